@@ -2,6 +2,19 @@ const express = require('express');
 const cors = require('cors');
 const GPSDatabase = require('./database');
 const SMSService = require('./sms-service');
+const CommandService = require('./command-service');
+const RetentionService = require('./retention-service');
+const OdometerService = require('./odometer-service');
+const GeofenceService = require('./geofence-service');
+const RulesEngine = require('./rules-engine');
+const WebhookService = require('./webhook-service');
+const StreamHub = require('./stream-hub');
+const TrackExporter = require('./track-export');
+const AuthService = require('./auth-service');
+const OrganizationService = require('./organization-service');
+const { DISTANCE_UNITS, convertDistance, toKilometres, validateArea, toArea } = require('./geo');
+const { isValidTimezone, resolveTimezone, parseUtc, formatInTimezone, isLocalDate } = require('./timezone');
+const { validatePageQuery, toPage, paginate } = require('./pagination');
 require('dotenv').config();
 
 class GPSTrackerAPI {
@@ -10,7 +23,39 @@ class GPSTrackerAPI {
     this.port = process.env.HTTP_PORT || 3000;
     this.host = process.env.HTTP_HOST || '0.0.0.0';
     this.db = new GPSDatabase();
-    this.smsService = new SMSService();
+    this.smsService = new SMSService({ db: this.db });
+    this.commandService = new CommandService({ db: this.db, smsService: this.smsService });
+    // Policies and archive usage only; the TCP server runs the schedule
+    this.retentionService = new RetentionService({ db: this.db });
+    // Reports only; the TCP server counts distance as fixes arrive
+    this.odometerService = new OdometerService({ db: this.db });
+    // Publishing only; the TCP server sends the deliveries
+    this.webhookService = new WebhookService({ db: this.db });
+    this.trackExporter = new TrackExporter({ db: this.db });
+    this.authService = new AuthService({ db: this.db });
+    this.organizationService = new OrganizationService({ db: this.db });
+    this.tcpServer = null;
+
+    // Deployment-wide display timezone; devices and requests can override it
+    if (process.env.DISPLAY_TIMEZONE && !isValidTimezone(process.env.DISPLAY_TIMEZONE)) {
+      console.warn(`⚠️  Invalid DISPLAY_TIMEZONE "${process.env.DISPLAY_TIMEZONE}", using UTC`);
+    }
+    this.displayTimezone = resolveTimezone(process.env.DISPLAY_TIMEZONE);
+
+    // Live positions and events over WebSocket and SSE, once a TCP server is attached
+    this.streamHub = new StreamHub({
+      db: this.db,
+      displayTimezone: this.displayTimezone,
+      format: (type, data, timezone) => this.formatStreamData(type, data, timezone),
+      // WebSocket upgrades carry their credentials like any other request
+      authorize: async (req) => !this.authService.enabled ||
+        AuthService.allows(await this.authService.authenticate(AuthService.credentialsFrom(req)), 'read'),
+      // ...and see their organization's devices, or a group's with "group"
+      restrict: async (req, params) => this.streamDevices({
+        principal: await this.authService.authenticate(AuthService.credentialsFrom(req)),
+        query: params
+      })
+    });
     
     this.setupMiddleware();
     this.setupRoutes();
@@ -18,6 +63,12 @@ class GPSTrackerAPI {
   }
 
   setupMiddleware() {
+    // Behind a reverse proxy, take client addresses (used for login limits) from X-Forwarded-For
+    if (process.env.TRUST_PROXY) {
+      const trustProxy = process.env.TRUST_PROXY;
+      this.app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy));
+    }
+
     // Enable CORS for all routes
     this.app.use(cors());
     
@@ -32,9 +83,202 @@ class GPSTrackerAPI {
       console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
       next();
     });
+
+    // Reject unknown display timezones (?tz=Europe/Istanbul)
+    this.app.use((req, res, next) => {
+      if (req.query.tz && !isValidTimezone(req.query.tz)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid timezone: ${req.query.tz}`
+        });
+      }
+      next();
+    });
+
+    // Identify the caller from a bearer token, X-API-Key or ?access_token=;
+    // routes decide with requireScope() whether that's enough
+    this.app.use(async (req, res, next) => {
+      try {
+        req.principal = await this.authService.authenticate(AuthService.credentialsFrom(req));
+        next();
+      } catch (error) {
+        next(error);
+      }
+    });
+  }
+
+  // Route guard: the caller must be authenticated and hold `scope` (any caller when null)
+  requireScope(scope = null) {
+    return (req, res, next) => {
+      if (!this.authService.enabled || AuthService.allows(req.principal, scope)) {
+        return next();
+      }
+
+      if (!req.principal) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({
+          success: false,
+          error: AuthService.credentialsFrom(req) ? 'Invalid or expired credentials' : 'Authentication required'
+        });
+      }
+
+      res.status(403).json({
+        success: false,
+        error: `This route needs the ${scope} scope`
+      });
+    };
+  }
+
+  // Route guard, after requireScope(): the caller must be platform staff rather than
+  // belong to an organization
+  requirePlatform() {
+    return (req, res, next) => {
+      if (this.isPlatform(req)) {
+        return next();
+      }
+
+      res.status(403).json({
+        success: false,
+        error: 'This route is for platform staff only'
+      });
+    };
+  }
+
+  // Whether the caller sees every organization: platform staff, or anyone when authentication is off
+  isPlatform(req) {
+    return !req.principal || req.principal.organizationId === null;
+  }
+
+  // Scope for storage list methods: the caller's organization, narrowed to a group when given
+  scopeOf(req, groupId = null) {
+    return {
+      organizationId: req.principal ? req.principal.organizationId : null,
+      groupId: groupId
+    };
+  }
+
+  // Whether a stored row with an organization_id is the caller's to see
+  owns(req, row) {
+    return this.isPlatform(req) || row.organization_id === req.principal.organizationId;
+  }
+
+  // Scope for a request's ?group=; null when the caller can't see that group
+  async requestScope(req) {
+    if (req.query.group === undefined || req.query.group === '') {
+      return this.scopeOf(req);
+    }
+
+    const group = await this.db.getDeviceGroup(parseInt(req.query.group) || 0);
+    return group && this.owns(req, group) ? this.scopeOf(req, group.id) : null;
+  }
+
+  /**
+   * The organization something a caller creates belongs to: their own, or for
+   * platform staff organization_id from the request (none when left out)
+   * @param {Object} req - Request
+   * @param {*} requested - organization_id from the body
+   * @returns {Promise<Object>} { organizationId }, or { status, error } when refused
+   */
+  async assignedOrganization(req, requested) {
+    if (!this.isPlatform(req)) {
+      if (requested !== undefined && requested !== req.principal.organizationId) {
+        return { status: 403, error: 'Only platform staff can assign another organization' };
+      }
+      return { organizationId: req.principal.organizationId };
+    }
+
+    if (requested === undefined || requested === null) {
+      return { organizationId: null };
+    }
+    if (!Number.isInteger(requested) || !(await this.db.getOrganization(requested))) {
+      return { status: 400, error: 'organization_id must be an existing organization' };
+    }
+    return { organizationId: requested };
+  }
+
+  /**
+   * app.param() handler answering 404, as for something that doesn't exist,
+   * when a route parameter names something outside the caller's organization
+   * @param {string} error - Not found message
+   * @param {string} field - Response field echoing the parameter
+   * @param {Function} visible - async (req, value) => whether the caller may see it
+   */
+  hideOutsideOrganization(error, field, visible) {
+    return async (req, res, next, value) => {
+      try {
+        if (this.isPlatform(req) || await visible(req, value)) {
+          return next();
+        }
+
+        res.status(404).json({
+          success: false,
+          error: error,
+          [field]: value
+        });
+      } catch (err) {
+        next(err);
+      }
+    };
+  }
+
+  // Devices a stream subscription is limited to (null for all); a group the caller can't see matches none
+  async streamDevices(req) {
+    const scope = await this.requestScope(req);
+    return this.organizationService.devicesIn(scope || { groupId: 0 });
+  }
+
+  // Whether the caller may see a device
+  async canSeeDevice(req, deviceId) {
+    if (this.isPlatform(req)) {
+      return true;
+    }
+    const device = await this.db.getDevice(deviceId);
+    return Boolean(device) && this.owns(req, device);
+  }
+
+  // Devices named in an organization's setup that aren't its own (none for the platform's setup)
+  async devicesOutside(organizationId, deviceIds) {
+    if (organizationId === null || deviceIds.length === 0) {
+      return [];
+    }
+    const devices = await this.organizationService.devicesIn({ organizationId: organizationId });
+    return deviceIds.filter(deviceId => !devices.has(deviceId));
   }
 
   setupRoutes() {
+    // Devices, trips, events and setup outside the caller's organization are
+    // answered as if they didn't exist
+    const id = (value) => parseInt(value) || 0;
+    const guard = (param, error, field, visible) => this.app.param(param, this.hideOutsideOrganization(error, field, visible));
+
+    guard('deviceId', 'Device not found', 'device_id', (req, deviceId) => this.canSeeDevice(req, deviceId));
+    guard('tripId', 'Trip not found', 'trip_id', async (req, tripId) => {
+      const trip = await this.db.getTrip(id(tripId));
+      return Boolean(trip) && this.canSeeDevice(req, trip.device_id);
+    });
+    guard('eventId', 'Event not found', 'event_id', async (req, eventId) => {
+      const event = await this.db.getEvent(id(eventId));
+      return Boolean(event) && this.canSeeDevice(req, event.device_id);
+    });
+    guard('deliveryId', 'Delivery not found', 'delivery_id', async (req, deliveryId) => {
+      const delivery = await this.db.getWebhookDelivery(id(deliveryId));
+      const webhook = delivery ? await this.db.getWebhook(delivery.webhook_id) : null;
+      return Boolean(webhook) && this.owns(req, webhook);
+    });
+    [
+      ['geofenceId', 'Geofence not found', 'geofence_id', rowId => this.db.getGeofence(rowId)],
+      ['ruleId', 'Rule not found', 'rule_id', rowId => this.db.getRule(rowId)],
+      ['webhookId', 'Webhook not found', 'webhook_id', rowId => this.db.getWebhook(rowId)],
+      ['userId', 'User not found', 'user_id', rowId => this.db.getUser(rowId)],
+      ['keyId', 'API key not found', 'key_id', rowId => this.db.getApiKey(rowId)],
+      ['groupId', 'Device group not found', 'group_id', rowId => this.db.getDeviceGroup(rowId)]
+    ].forEach(([param, error, field, read]) => guard(param, error, field, async (req, value) => {
+      const row = await read(id(value));
+      return Boolean(row) && this.owns(req, row);
+    }));
+    guard('organizationId', 'Organization not found', 'organization_id',
+      (req, organizationId) => id(organizationId) === req.principal.organizationId);
+
     // Health check endpoint
     this.app.get('/health', (req, res) => {
       res.json({
@@ -45,16 +289,43 @@ class GPSTrackerAPI {
       });
     });
 
-    // Get latest locations for all devices
-    this.app.get('/locations', async (req, res) => {
+    // Get per-protocol decoder counters from the TCP server
+    this.app.get('/stats/decoders', this.requireScope('read'), (req, res) => {
+      if (!this.tcpServer) {
+        return res.status(503).json({
+          success: false,
+          error: 'TCP server is not running in this process'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: this.tcpServer.parser.getDecoderStats()
+      });
+    });
+
+    // Get latest locations for all devices (?group= for a device group's)
+    this.app.get('/locations', this.requireScope('read'), async (req, res) => {
       try {
+        const scope = await this.requestScope(req);
+        if (!scope) {
+          return res.status(404).json({
+            success: false,
+            error: 'Device group not found',
+            group: req.query.group
+          });
+        }
+
         const limit = parseInt(req.query.limit) || 100;
-        const locations = this.db.getLatestLocations(limit);
+        const locations = await this.db.getLatestLocations(limit, scope);
         
         res.json({
           success: true,
           count: locations.length,
-          data: locations.map(this.formatLocationData)
+          data: locations.map(location => this.formatLocationData(
+            location,
+            this.getDisplayTimezone(req, location.device_timezone)
+          ))
         });
       } catch (error) {
         console.error('Error fetching latest locations:', error);
@@ -66,18 +337,32 @@ class GPSTrackerAPI {
       }
     });
 
-    // Get location history for a specific device
-    this.app.get('/devices/:deviceId/history', async (req, res) => {
+    // Get location history for a specific device, newest first
+    // (supports ?from=&to= as dates or times, ?order=asc|desc, ?limit=N, and ?cursor= from next_cursor)
+    this.app.get('/devices/:deviceId/history', this.requireScope('read'), async (req, res) => {
       try {
         const { deviceId } = req.params;
-        const limit = parseInt(req.query.limit) || 100;
-        const history = this.db.getDeviceHistory(deviceId, limit);
-        
+        const timezone = this.getDisplayTimezone(req, await this.getDeviceTimezone(deviceId));
+
+        const validationError = validatePageQuery(req.query, timezone);
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError
+          });
+        }
+
+        const { page, rows, nextCursor } = await this.readPage(req, timezone, 100, 'timestamp',
+          options => this.db.getDeviceHistory(deviceId, options));
+
         res.json({
           success: true,
           device_id: deviceId,
-          count: history.length,
-          data: history.map(this.formatLocationData)
+          timezone: timezone,
+          order: page.order,
+          count: rows.length,
+          next_cursor: nextCursor,
+          data: rows.map(location => this.formatLocationData(location, timezone))
         });
       } catch (error) {
         console.error('Error fetching device history:', error);
@@ -90,10 +375,10 @@ class GPSTrackerAPI {
     });
 
     // Get latest location for a specific device
-    this.app.get('/devices/:deviceId/latest', async (req, res) => {
+    this.app.get('/devices/:deviceId/latest', this.requireScope('read'), async (req, res) => {
       try {
         const { deviceId } = req.params;
-        const history = this.db.getDeviceHistory(deviceId, 1);
+        const history = await this.db.getDeviceHistory(deviceId, 1);
         
         if (history.length === 0) {
           return res.status(404).json({
@@ -103,10 +388,13 @@ class GPSTrackerAPI {
           });
         }
         
+        const timezone = this.getDisplayTimezone(req, await this.getDeviceTimezone(deviceId));
+
         res.json({
           success: true,
           device_id: deviceId,
-          data: this.formatLocationData(history[0])
+          timezone: timezone,
+          data: this.formatLocationData(history[0], timezone)
         });
       } catch (error) {
         console.error('Error fetching latest device location:', error);
@@ -118,23 +406,61 @@ class GPSTrackerAPI {
       }
     });
 
-    // Get all active devices
-    this.app.get('/devices', async (req, res) => {
+    // Get neighbour cell observations for a specific device
+    this.app.get('/devices/:deviceId/cells', this.requireScope('read'), async (req, res) => {
+      try {
+        const { deviceId } = req.params;
+        const limit = parseInt(req.query.limit) || 100;
+        const cells = await this.db.getCellObservations(deviceId, limit);
+
+        res.json({
+          success: true,
+          device_id: deviceId,
+          count: cells.length,
+          data: cells
+        });
+      } catch (error) {
+        console.error('Error fetching cell observations:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to fetch cell observations',
+          message: error.message
+        });
+      }
+    });
+
+    // Get all active devices (?group= for a device group's)
+    this.app.get('/devices', this.requireScope('read'), async (req, res) => {
       try {
-        const devices = this.db.getActiveDevices();
+        const scope = await this.requestScope(req);
+        if (!scope) {
+          return res.status(404).json({
+            success: false,
+            error: 'Device group not found',
+            group: req.query.group
+          });
+        }
+
+        const devices = await this.db.getActiveDevices(scope);
         
         res.json({
           success: true,
           count: devices.length,
-          data: devices.map(device => ({
-            device_id: device.device_id,
-            name: device.name,
-            is_active: Boolean(device.is_active),
-            last_seen: device.last_seen,
-            last_location_time: device.last_location_time,
-            total_logs: device.total_logs,
-            created_at: device.created_at
-          }))
+          data: devices.map(device => {
+            const timezone = this.getDisplayTimezone(req, device.timezone);
+            return {
+              device_id: device.device_id,
+              name: device.name,
+              is_active: Boolean(device.is_active),
+              provisioned: Boolean(device.provisioned),
+              organization_id: device.organization_id ?? null,
+              timezone: timezone,
+              last_seen: formatInTimezone(device.last_seen, timezone),
+              last_location_time: formatInTimezone(device.last_location_time, timezone),
+              total_logs: device.total_logs,
+              created_at: formatInTimezone(device.created_at, timezone)
+            };
+          })
         });
       } catch (error) {
         console.error('Error fetching devices:', error);
@@ -146,279 +472,2962 @@ class GPSTrackerAPI {
       }
     });
 
-    // Get locations within a geographic bounding box
-    this.app.get('/locations/bounds', async (req, res) => {
+    // Provision a device so the TCP server accepts it; it joins the caller's organization
+    // (platform staff may pass organizationId)
+    this.app.post('/devices', this.requireScope('admin'), async (req, res) => {
       try {
-        const { north, south, east, west, limit = 100 } = req.query;
-        
-        if (!north || !south || !east || !west) {
+        const { deviceId, name, phoneNumber } = req.body;
+
+        if (!deviceId || !/^\d{10,16}$/.test(String(deviceId))) {
           return res.status(400).json({
             success: false,
-            error: 'Missing required parameters: north, south, east, west'
+            error: 'A numeric device ID (IMEI) is required'
+          });
+        }
+
+        const assigned = await this.assignedOrganization(req, req.body.organizationId);
+        if (assigned.error) {
+          return res.status(assigned.status).json({
+            success: false,
+            error: assigned.error
           });
         }
 
-        // This would require a custom query - simplified version
-        const allLocations = this.db.getLatestLocations(parseInt(limit));
-        const filteredLocations = allLocations.filter(location => {
-          return location.lat >= parseFloat(south) &&
-                 location.lat <= parseFloat(north) &&
-                 location.lon >= parseFloat(west) &&
-                 location.lon <= parseFloat(east);
+        const existing = await this.db.getDevice(String(deviceId));
+        if (existing && !this.isPlatform(req) && existing.organization_id !== assigned.organizationId) {
+          return res.status(409).json({
+            success: false,
+            error: 'Device is registered outside your organization',
+            device_id: String(deviceId)
+          });
+        }
+
+        await this.db.provisionDevice({
+          device_id: String(deviceId),
+          name: name,
+          phone_number: phoneNumber ? this.smsService.cleanPhoneNumber(phoneNumber) : null,
+          organization_id: assigned.organizationId
         });
-        
-        res.json({
+        if (existing && assigned.organizationId !== null && existing.organization_id !== assigned.organizationId) {
+          // Leaves the old organization's groups and geofences as well
+          await this.db.setDeviceOrganization(existing.device_id, assigned.organizationId);
+          this.invalidateGeofences();
+        }
+        if (assigned.organizationId !== null) {
+          this.invalidateOrganizations();
+        }
+
+        res.status(201).json({
           success: true,
-          bounds: { north, south, east, west },
-          count: filteredLocations.length,
-          data: filteredLocations.map(this.formatLocationData)
+          message: 'Device provisioned successfully',
+          device_id: String(deviceId)
         });
       } catch (error) {
-        console.error('Error fetching locations by bounds:', error);
+        console.error('Error provisioning device:', error);
         res.status(500).json({
           success: false,
-          error: 'Failed to fetch locations by bounds',
+          error: 'Failed to provision device',
           message: error.message
         });
       }
     });
 
-    // SMS Command Management Endpoints
-    
-    // Send SMS command to device
-    this.app.post('/devices/:deviceId/commands', async (req, res) => {
+    // Withdraw a device's provisioning
+    this.app.delete('/devices/:deviceId/provisioning', this.requireScope('admin'), async (req, res) => {
       try {
         const { deviceId } = req.params;
-        const { commandType, parameters = {} } = req.body;
+        const result = await this.db.deprovisionDevice(deviceId);
 
-        if (!commandType) {
-          return res.status(400).json({
+        if (result.changes === 0) {
+          return res.status(404).json({
             success: false,
-            error: 'Command type is required'
+            error: 'Device not found',
+            device_id: deviceId
           });
         }
 
-        const result = await this.smsService.sendCommand(deviceId, commandType, parameters);
-        
         res.json({
           success: true,
-          message: 'Command sent successfully',
-          data: result
+          message: 'Device deprovisioned successfully',
+          device_id: deviceId
         });
       } catch (error) {
-        console.error('Error sending command:', error);
+        console.error('Error deprovisioning device:', error);
         res.status(500).json({
           success: false,
-          error: 'Failed to send command',
+          error: 'Failed to deprovision device',
           message: error.message
         });
       }
     });
 
-    // Get available commands
-    this.app.get('/devices/commands/available', (req, res) => {
+    // Get connection attempts from devices that are not provisioned
+    this.app.get('/devices/unknown', this.requireScope('admin'), this.requirePlatform(), async (req, res) => {
       try {
-        const commands = this.smsService.getAvailableCommands();
+        const limit = parseInt(req.query.limit) || 100;
+        const attempts = await this.db.getUnknownDevices(limit);
+
         res.json({
           success: true,
-          data: commands
+          count: attempts.length,
+          data: attempts
         });
       } catch (error) {
-        console.error('Error getting available commands:', error);
+        console.error('Error fetching unknown devices:', error);
         res.status(500).json({
           success: false,
-          error: 'Failed to get available commands',
+          error: 'Failed to fetch unknown devices',
           message: error.message
         });
       }
     });
 
-    // Get command history for device
-    this.app.get('/devices/:deviceId/commands', async (req, res) => {
+    // Get the latest location of each device within a geographic bounding box, newest first
+    // (?north=&south=&east=&west=; west greater than east crosses the antimeridian)
+    this.app.get('/locations/bounds', this.requireScope('read'), async (req, res) => {
       try {
-        const { deviceId } = req.params;
-        const limit = parseInt(req.query.limit) || 50;
-        
-        const commands = await this.smsService.getCommandHistory(deviceId, limit);
-        
+        const validationError = validateArea(req.query, { required: 'bounds' });
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError
+          });
+        }
+
+        const scope = await this.requestScope(req);
+        if (!scope) {
+          return res.status(404).json({
+            success: false,
+            error: 'Device group not found',
+            group: req.query.group
+          });
+        }
+
+        const area = toArea(req.query);
+        const locations = await this.db.getLatestLocationsInArea(area, parseInt(req.query.limit) || 100, scope);
+
         res.json({
           success: true,
-          device_id: deviceId,
-          count: commands.length,
-          data: commands
+          bounds: area.bounds,
+          count: locations.length,
+          data: locations.map(location => this.formatAreaLocation(
+            location,
+            this.getDisplayTimezone(req, location.device_timezone)
+          ))
         });
       } catch (error) {
-        console.error('Error getting command history:', error);
+        console.error('Error fetching locations by bounds:', error);
         res.status(500).json({
           success: false,
-          error: 'Failed to get command history',
+          error: 'Failed to fetch locations by bounds',
           message: error.message
         });
       }
     });
 
-    // Update device phone number
-    this.app.put('/devices/:deviceId/phone', async (req, res) => {
+    // Get the latest location of each device within radius_m metres of a point, nearest first
+    this.app.get('/locations/radius', this.requireScope('read'), async (req, res) => {
       try {
-        const { deviceId } = req.params;
-        const { phoneNumber } = req.body;
-
-        if (!phoneNumber) {
+        const validationError = validateArea(req.query, { required: 'circle' });
+        if (validationError) {
           return res.status(400).json({
             success: false,
-            error: 'Phone number is required'
+            error: validationError
           });
         }
 
-        await this.smsService.updateDevicePhone(deviceId, phoneNumber);
-        
+        const scope = await this.requestScope(req);
+        if (!scope) {
+          return res.status(404).json({
+            success: false,
+            error: 'Device group not found',
+            group: req.query.group
+          });
+        }
+
+        const area = toArea(req.query);
+        const locations = await this.db.getLatestLocationsInArea(area, parseInt(req.query.limit) || 100, scope);
+
         res.json({
           success: true,
-          message: 'Device phone number updated successfully',
-          device_id: deviceId,
-          phone_number: phoneNumber
+          center: { latitude: area.lat, longitude: area.lon },
+          radius_m: area.radiusM,
+          count: locations.length,
+          data: locations.map(location => this.formatAreaLocation(
+            location,
+            this.getDisplayTimezone(req, location.device_timezone)
+          ))
         });
       } catch (error) {
-        console.error('Error updating device phone:', error);
+        console.error('Error fetching locations by radius:', error);
         res.status(500).json({
           success: false,
-          error: 'Failed to update device phone number',
+          error: 'Failed to fetch locations by radius',
           message: error.message
         });
       }
     });
 
-    // Get pending commands
-    this.app.get('/commands/pending', async (req, res) => {
+    // Get the devices whose latest location is nearest a point, with distances
+    // (?lat=&lon=, optional ?radius_m= to search within, ?limit=N defaulting to 5)
+    this.app.get('/locations/nearest', this.requireScope('read'), async (req, res) => {
       try {
-        const deviceId = req.query.deviceId;
-        const commands = await this.smsService.getPendingCommands(deviceId);
-        
+        const validationError = validateArea(req.query, { required: 'point' });
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError
+          });
+        }
+
+        const scope = await this.requestScope(req);
+        if (!scope) {
+          return res.status(404).json({
+            success: false,
+            error: 'Device group not found',
+            group: req.query.group
+          });
+        }
+
+        const area = toArea(req.query);
+        const locations = await this.db.getLatestLocationsInArea(area, parseInt(req.query.limit) || 5, scope);
+
         res.json({
           success: true,
-          count: commands.length,
-          data: commands
+          center: { latitude: area.lat, longitude: area.lon },
+          radius_m: area.radiusM,
+          count: locations.length,
+          data: locations.map(location => this.formatAreaLocation(
+            location,
+            this.getDisplayTimezone(req, location.device_timezone)
+          ))
         });
       } catch (error) {
-        console.error('Error getting pending commands:', error);
+        console.error('Error fetching nearest devices:', error);
         res.status(500).json({
           success: false,
-          error: 'Failed to get pending commands',
+          error: 'Failed to fetch nearest devices',
           message: error.message
         });
       }
     });
 
-    // Webhook for incoming SMS responses
-    this.app.post('/webhook/sms', async (req, res) => {
+    // Get stored positions within a box or circle, newest first
+    // (the area as for /locations/bounds or /locations/radius, ?devices=ID1,ID2,
+    // and ?from=&to=&order=&limit=&cursor= as for device history)
+    this.app.get('/locations/history', this.requireScope('read'), async (req, res) => {
       try {
-        const { From, Body } = req.body;
-        
-        if (!From || !Body) {
+        const timezone = this.getDisplayTimezone(req);
+        const validationError = validateArea(req.query) || validatePageQuery(req.query, timezone);
+        if (validationError) {
           return res.status(400).json({
             success: false,
-            error: 'Missing SMS data'
+            error: validationError
           });
         }
 
-        const result = await this.smsService.processIncomingSMS(From, Body);
-        
+        const scope = await this.requestScope(req);
+        if (!scope) {
+          return res.status(404).json({
+            success: false,
+            error: 'Device group not found',
+            group: req.query.group
+          });
+        }
+
+        const area = toArea(req.query);
+        const deviceIds = req.query.devices
+          ? String(req.query.devices).split(',').map(id => id.trim()).filter(Boolean)
+          : null;
+        const { page, rows, nextCursor } = await this.readPage(req, timezone, 100, 'timestamp',
+          options => this.db.getLocationsInArea(area, { ...options, deviceIds: deviceIds }, scope));
+
         res.json({
           success: true,
-          message: 'SMS processed successfully',
-          data: result
+          timezone: timezone,
+          order: page.order,
+          count: rows.length,
+          next_cursor: nextCursor,
+          data: rows.map(location => this.formatAreaLocation(location, timezone))
         });
       } catch (error) {
-        console.error('Error processing SMS webhook:', error);
+        console.error('Error fetching location history by area:', error);
         res.status(500).json({
           success: false,
-          error: 'Failed to process SMS',
+          error: 'Failed to fetch location history by area',
           message: error.message
         });
       }
     });
 
-    // Simple web interface for viewing locations
-    this.app.get('/', (req, res) => {
-      res.send(`
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <title>ST-900 GPS Tracker Server</title>
-          <meta charset="utf-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1">
-          <style>
-            body { font-family: Arial, sans-serif; margin: 40px; background: #f5f5f5; }
-            .container { max-width: 800px; margin: 0 auto; background: white; padding: 30px; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
-            h1 { color: #333; text-align: center; }
-            .endpoint { background: #f8f9fa; padding: 15px; margin: 10px 0; border-radius: 5px; border-left: 4px solid #007bff; }
-            .method { font-weight: bold; color: #007bff; }
-            .url { font-family: monospace; background: #e9ecef; padding: 2px 6px; border-radius: 3px; }
-            .description { margin-top: 5px; color: #666; }
-            .status { text-align: center; padding: 20px; background: #d4edda; border-radius: 5px; margin: 20px 0; }
-          </style>
-        </head>
+    // Stream new positions and events as Server-Sent Events, after a snapshot of latest positions
+    // (supports ?devices=ID1,ID2, ?group= or ?north=&south=&east=&west=; WebSocket clients connect to the same path)
+    this.app.get('/stream', this.requireScope('read'), async (req, res) => {
+      try {
+        if (!this.tcpServer) {
+          return res.status(503).json({
+            success: false,
+            error: 'TCP server is not running in this process'
+          });
+        }
+
+        const validationError = StreamHub.validateSubscription(req.query);
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError
+          });
+        }
+
+        const scope = await this.requestScope(req);
+        if (!scope) {
+          return res.status(404).json({
+            success: false,
+            error: 'Device group not found',
+            group: req.query.group
+          });
+        }
+
+        const allowed = await this.organizationService.devicesIn(scope);
+        this.streamHub.addSseClient(res, StreamHub.toSubscription(req.query, allowed));
+      } catch (error) {
+        console.error('Error opening stream:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to open stream',
+          message: error.message
+        });
+      }
+    });
+
+    // Command Management Endpoints
+    
+    // Send command to device over its live connection, falling back to SMS
+    this.app.post('/devices/:deviceId/commands', this.requireScope('command'), async (req, res) => {
+      try {
+        const { deviceId } = req.params;
+        const { commandType, parameters = {}, channel = 'auto' } = req.body;
+
+        if (!commandType) {
+          return res.status(400).json({
+            success: false,
+            error: 'Command type is required'
+          });
+        }
+
+        if (!['auto', 'tcp', 'sms'].includes(channel)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Channel must be one of: auto, tcp, sms'
+          });
+        }
+
+        const result = await this.commandService.sendCommand(deviceId, commandType, parameters, channel);
+        
+        res.json({
+          success: true,
+          message: 'Command sent successfully',
+          data: result
+        });
+      } catch (error) {
+        console.error('Error sending command:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to send command',
+          message: error.message
+        });
+      }
+    });
+
+    // Get available commands
+    this.app.get('/devices/commands/available', this.requireScope('read'), (req, res) => {
+      try {
+        const commands = this.commandService.getAvailableCommands();
+        res.json({
+          success: true,
+          data: commands
+        });
+      } catch (error) {
+        console.error('Error getting available commands:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to get available commands',
+          message: error.message
+        });
+      }
+    });
+
+    // Get command history for device, newest first (supports the same paging as history)
+    this.app.get('/devices/:deviceId/commands', this.requireScope('read'), async (req, res) => {
+      try {
+        const { deviceId } = req.params;
+        const timezone = this.getDisplayTimezone(req, await this.getDeviceTimezone(deviceId));
+
+        const validationError = validatePageQuery(req.query, timezone);
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError
+          });
+        }
+
+        const { page, rows, nextCursor } = await this.readPage(req, timezone, 50, 'created_at',
+          options => this.smsService.getCommandHistory(deviceId, options));
+
+        res.json({
+          success: true,
+          device_id: deviceId,
+          order: page.order,
+          count: rows.length,
+          next_cursor: nextCursor,
+          data: rows
+        });
+      } catch (error) {
+        console.error('Error getting command history:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to get command history',
+          message: error.message
+        });
+      }
+    });
+
+    // Update device display timezone
+    this.app.put('/devices/:deviceId/timezone', this.requireScope('admin'), async (req, res) => {
+      try {
+        const { deviceId } = req.params;
+        const { timezone = null } = req.body;
+
+        if (timezone !== null && !isValidTimezone(timezone)) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid timezone: ${timezone}`
+          });
+        }
+
+        await this.db.updateDeviceTimezone(deviceId, timezone);
+
+        res.json({
+          success: true,
+          message: 'Device timezone updated successfully',
+          device_id: deviceId,
+          timezone: timezone || this.displayTimezone
+        });
+      } catch (error) {
+        console.error('Error updating device timezone:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to update device timezone',
+          message: error.message
+        });
+      }
+    });
+
+    // Update device phone number
+    this.app.put('/devices/:deviceId/phone', this.requireScope('admin'), async (req, res) => {
+      try {
+        const { deviceId } = req.params;
+        const { phoneNumber } = req.body;
+
+        if (!phoneNumber) {
+          return res.status(400).json({
+            success: false,
+            error: 'Phone number is required'
+          });
+        }
+
+        await this.smsService.updateDevicePhone(deviceId, phoneNumber);
+        
+        res.json({
+          success: true,
+          message: 'Device phone number updated successfully',
+          device_id: deviceId,
+          phone_number: phoneNumber
+        });
+      } catch (error) {
+        console.error('Error updating device phone:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to update device phone number',
+          message: error.message
+        });
+      }
+    });
+
+    // Get a device's trips, newest first (the current one has status "open")
+    this.app.get('/devices/:deviceId/trips', this.requireScope('read'), async (req, res) => {
+      try {
+        const { deviceId } = req.params;
+        const limit = parseInt(req.query.limit) || 50;
+        const trips = await this.db.getTrips(deviceId, limit);
+        const timezone = this.getDisplayTimezone(req, await this.getDeviceTimezone(deviceId));
+
+        res.json({
+          success: true,
+          device_id: deviceId,
+          timezone: timezone,
+          count: trips.length,
+          data: trips.map(trip => this.formatTrip(trip, timezone))
+        });
+      } catch (error) {
+        console.error('Error fetching trips:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to fetch trips',
+          message: error.message
+        });
+      }
+    });
+
+    // Get a device's stops, newest first (the current one has no end_time)
+    this.app.get('/devices/:deviceId/stops', this.requireScope('read'), async (req, res) => {
+      try {
+        const { deviceId } = req.params;
+        const limit = parseInt(req.query.limit) || 50;
+        const stops = await this.db.getStops(deviceId, limit);
+        const timezone = this.getDisplayTimezone(req, await this.getDeviceTimezone(deviceId));
+
+        res.json({
+          success: true,
+          device_id: deviceId,
+          timezone: timezone,
+          count: stops.length,
+          data: stops.map(stop => ({
+            id: stop.id,
+            device_id: stop.device_id,
+            start_time: formatInTimezone(stop.start_time, timezone),
+            end_time: formatInTimezone(stop.end_time, timezone),
+            latitude: stop.lat,
+            longitude: stop.lon,
+            duration_s: stop.duration_s !== null
+              ? stop.duration_s
+              : Math.round((Date.now() - parseUtc(stop.start_time)) / 1000)
+          }))
+        });
+      } catch (error) {
+        console.error('Error fetching stops:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to fetch stops',
+          message: error.message
+        });
+      }
+    });
+
+    // Get a single trip
+    this.app.get('/trips/:tripId', this.requireScope('read'), async (req, res) => {
+      try {
+        const trip = await this.db.getTrip(parseInt(req.params.tripId) || 0);
+
+        if (!trip) {
+          return res.status(404).json({
+            success: false,
+            error: 'Trip not found',
+            trip_id: req.params.tripId
+          });
+        }
+
+        const timezone = this.getDisplayTimezone(req, await this.getDeviceTimezone(trip.device_id));
+
+        res.json({
+          success: true,
+          timezone: timezone,
+          data: this.formatTrip(trip, timezone)
+        });
+      } catch (error) {
+        console.error('Error fetching trip:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to fetch trip',
+          message: error.message
+        });
+      }
+    });
+
+    // Get the positions recorded during a trip, oldest first
+    this.app.get('/trips/:tripId/points', this.requireScope('read'), async (req, res) => {
+      try {
+        const trip = await this.db.getTrip(parseInt(req.params.tripId) || 0);
+
+        if (!trip) {
+          return res.status(404).json({
+            success: false,
+            error: 'Trip not found',
+            trip_id: req.params.tripId
+          });
+        }
+
+        const limit = parseInt(req.query.limit) || 10000;
+        const points = await this.db.getGpsLogsBetween(trip.device_id, trip.start_time, trip.end_time, limit);
+        const timezone = this.getDisplayTimezone(req, await this.getDeviceTimezone(trip.device_id));
+
+        res.json({
+          success: true,
+          trip_id: trip.id,
+          device_id: trip.device_id,
+          timezone: timezone,
+          count: points.length,
+          data: points.map(location => this.formatLocationData(location, timezone))
+        });
+      } catch (error) {
+        console.error('Error fetching trip points:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to fetch trip points',
+          message: error.message
+        });
+      }
+    });
+
+    // Export a device's track as GPX, KML, GeoJSON or CSV
+    // (supports ?format=gpx|kml|geojson|csv&from=&to= as for history, and ?tz=)
+    this.app.get('/devices/:deviceId/export', this.requireScope('read'), async (req, res) => {
+      try {
+        const { deviceId } = req.params;
+        const format = req.query.format || 'gpx';
+        if (!TrackExporter.FORMATS.includes(format)) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid format: ${format} (use ${TrackExporter.FORMATS.join(', ')})`
+          });
+        }
+
+        const device = await this.db.getDevice(deviceId);
+        const timezone = this.getDisplayTimezone(req, device ? device.timezone : null);
+        const validationError = validatePageQuery({ from: req.query.from, to: req.query.to }, timezone);
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError
+          });
+        }
+
+        const { from, to } = toPage({ from: req.query.from, to: req.query.to }, timezone);
+        await this.trackExporter.export(res, {
+          deviceId: deviceId,
+          from: from,
+          to: to,
+          format: format,
+          timezone: timezone,
+          name: device && device.name ? device.name : deviceId,
+          filename: [deviceId, req.query.from, req.query.to].filter(Boolean).join('_')
+        });
+      } catch (error) {
+        console.error('Error exporting track:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to export track',
+          message: error.message
+        });
+      }
+    });
+
+    // Export the positions recorded during a trip (supports ?format= and ?tz=)
+    this.app.get('/trips/:tripId/export', this.requireScope('read'), async (req, res) => {
+      try {
+        const format = req.query.format || 'gpx';
+        if (!TrackExporter.FORMATS.includes(format)) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid format: ${format} (use ${TrackExporter.FORMATS.join(', ')})`
+          });
+        }
+
+        const trip = await this.db.getTrip(parseInt(req.params.tripId) || 0);
+        if (!trip) {
+          return res.status(404).json({
+            success: false,
+            error: 'Trip not found',
+            trip_id: req.params.tripId
+          });
+        }
+
+        const end = parseUtc(trip.end_time);
+        await this.trackExporter.export(res, {
+          deviceId: trip.device_id,
+          from: parseUtc(trip.start_time).toISOString(),
+          // The trip's last fix is included; an open trip runs up to now
+          to: end ? new Date(end.getTime() + 1).toISOString() : null,
+          format: format,
+          timezone: this.getDisplayTimezone(req, await this.getDeviceTimezone(trip.device_id)),
+          name: `Trip ${trip.id} (${trip.device_id})`,
+          filename: `trip-${trip.id}`
+        });
+      } catch (error) {
+        console.error('Error exporting trip:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to export trip',
+          message: error.message
+        });
+      }
+    });
+
+    // Get a device's odometer reading
+    this.app.get('/devices/:deviceId/odometer', this.requireScope('read'), async (req, res) => {
+      try {
+        const { deviceId } = req.params;
+        const unit = req.query.unit || 'km';
+
+        if (!DISTANCE_UNITS.includes(unit)) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid unit: ${unit} (use ${DISTANCE_UNITS.join(' or ')})`
+          });
+        }
+
+        const device = await this.db.getDevice(deviceId);
+        if (!device) {
+          return res.status(404).json({
+            success: false,
+            error: 'Device not found',
+            device_id: deviceId
+          });
+        }
+
+        res.json({
+          success: true,
+          data: this.formatOdometer(device, unit, this.getDisplayTimezone(req, device.timezone))
+        });
+      } catch (error) {
+        console.error('Error fetching odometer:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to fetch odometer',
+          message: error.message
+        });
+      }
+    });
+
+    // Set a device's odometer, e.g. to match the vehicle's dashboard
+    this.app.put('/devices/:deviceId/odometer', this.requireScope('admin'), async (req, res) => {
+      try {
+        const { deviceId } = req.params;
+        const { value, unit = 'km' } = req.body;
+
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+          return res.status(400).json({
+            success: false,
+            error: 'value must be a non-negative number'
+          });
+        }
+        if (!DISTANCE_UNITS.includes(unit)) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid unit: ${unit} (use ${DISTANCE_UNITS.join(' or ')})`
+          });
+        }
+
+        if (!(await this.db.getDevice(deviceId))) {
+          return res.status(404).json({
+            success: false,
+            error: 'Device not found',
+            device_id: deviceId
+          });
+        }
+
+        // Distance counted before now belongs to the old reading
+        if (this.tcpServer) {
+          await this.tcpServer.odometerService.flush(deviceId);
+        }
+        await this.db.setOdometer(deviceId, toKilometres(value, unit));
+        const device = await this.db.getDevice(deviceId);
+
+        res.json({
+          success: true,
+          message: 'Odometer updated',
+          data: this.formatOdometer(device, unit, this.getDisplayTimezone(req, device.timezone))
+        });
+      } catch (error) {
+        console.error('Error setting odometer:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to set odometer',
+          message: error.message
+        });
+      }
+    });
+
+    // Distance travelled per device per day, week or month (?group= for a device group's)
+    this.app.get('/reports/distance', this.requireScope('read'), async (req, res) => {
+      try {
+        const { from, to, period = 'day', unit = 'km' } = req.query;
+
+        if (!isLocalDate(from) || !isLocalDate(to) || from > to) {
+          return res.status(400).json({
+            success: false,
+            error: 'from and to must be dates (YYYY-MM-DD) with from not after to'
+          });
+        }
+        if (!OdometerService.PERIODS.includes(period)) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid period: ${period} (use ${OdometerService.PERIODS.join(', ')})`
+          });
+        }
+        if (!DISTANCE_UNITS.includes(unit)) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid unit: ${unit} (use ${DISTANCE_UNITS.join(' or ')})`
+          });
+        }
+
+        const deviceIds = req.query.devices
+          ? String(req.query.devices).split(',').map(id => id.trim()).filter(Boolean)
+          : null;
+
+        const scope = await this.requestScope(req);
+        if (!scope) {
+          return res.status(404).json({
+            success: false,
+            error: 'Device group not found',
+            group: req.query.group
+          });
+        }
+
+        const allowed = await this.organizationService.devicesIn(scope);
+        const hidden = allowed && deviceIds ? deviceIds.filter(id => !allowed.has(id)) : [];
+        if (hidden.length > 0) {
+          return res.status(404).json({
+            success: false,
+            error: 'Devices not found',
+            device_ids: hidden
+          });
+        }
+
+        const report = await this.odometerService.getDistanceReport({
+          deviceIds: deviceIds,
+          from: from,
+          to: to,
+          period: period,
+          unit: unit,
+          timezone: this.getDisplayTimezone(req),
+          scope: scope
+        });
+
+        res.json({
+          success: true,
+          ...report
+        });
+      } catch (error) {
+        console.error('Error building distance report:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to build distance report',
+          message: error.message
+        });
+      }
+    });
+
+    // Get all geofences
+    this.app.get('/geofences', this.requireScope('read'), async (req, res) => {
+      try {
+        const fences = await this.db.getGeofences(this.scopeOf(req));
+
+        res.json({
+          success: true,
+          count: fences.length,
+          data: fences.map(fence => this.formatGeofence(fence, this.getDisplayTimezone(req)))
+        });
+      } catch (error) {
+        console.error('Error fetching geofences:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to fetch geofences',
+          message: error.message
+        });
+      }
+    });
+
+    // Create a circle or polygon geofence
+    this.app.post('/geofences', this.requireScope('admin'), async (req, res) => {
+      try {
+        const validationError = GeofenceService.validateFence(req.body);
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError
+          });
+        }
+
+        const assigned = await this.assignedOrganization(req, req.body.organization_id);
+        if (assigned.error) {
+          return res.status(assigned.status).json({
+            success: false,
+            error: assigned.error
+          });
+        }
+
+        const result = await this.db.saveGeofence({
+          ...GeofenceService.toRow(req.body),
+          organization_id: assigned.organizationId
+        });
+        this.invalidateGeofences();
+
+        res.status(201).json({
+          success: true,
+          message: 'Geofence created successfully',
+          data: this.formatGeofence(await this.db.getGeofence(result.lastInsertRowid), this.getDisplayTimezone(req))
+        });
+      } catch (error) {
+        console.error('Error creating geofence:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to create geofence',
+          message: error.message
+        });
+      }
+    });
+
+    // Get a geofence with the devices it applies to
+    this.app.get('/geofences/:geofenceId', this.requireScope('read'), async (req, res) => {
+      try {
+        const fence = await this.db.getGeofence(parseInt(req.params.geofenceId) || 0);
+
+        if (!fence) {
+          return res.status(404).json({
+            success: false,
+            error: 'Geofence not found',
+            geofence_id: req.params.geofenceId
+          });
+        }
+
+        const assignments = await this.db.getGeofenceAssignments(fence.id);
+
+        res.json({
+          success: true,
+          data: {
+            ...this.formatGeofence(fence, this.getDisplayTimezone(req)),
+            devices: assignments.map(assignment => assignment.device_id)
+          }
+        });
+      } catch (error) {
+        console.error('Error fetching geofence:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to fetch geofence',
+          message: error.message
+        });
+      }
+    });
+
+    // Replace a geofence's shape, name or dwell time
+    this.app.put('/geofences/:geofenceId', this.requireScope('admin'), async (req, res) => {
+      try {
+        const fence = await this.db.getGeofence(parseInt(req.params.geofenceId) || 0);
+
+        if (!fence) {
+          return res.status(404).json({
+            success: false,
+            error: 'Geofence not found',
+            geofence_id: req.params.geofenceId
+          });
+        }
+
+        const validationError = GeofenceService.validateFence(req.body);
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError
+          });
+        }
+
+        await this.db.saveGeofence({ ...GeofenceService.toRow(req.body), id: fence.id });
+        this.invalidateGeofences();
+
+        res.json({
+          success: true,
+          message: 'Geofence updated successfully',
+          data: this.formatGeofence(await this.db.getGeofence(fence.id), this.getDisplayTimezone(req))
+        });
+      } catch (error) {
+        console.error('Error updating geofence:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to update geofence',
+          message: error.message
+        });
+      }
+    });
+
+    // Delete a geofence; its events are kept
+    this.app.delete('/geofences/:geofenceId', this.requireScope('admin'), async (req, res) => {
+      try {
+        const result = await this.db.deleteGeofence(parseInt(req.params.geofenceId) || 0);
+
+        if (result.changes === 0) {
+          return res.status(404).json({
+            success: false,
+            error: 'Geofence not found',
+            geofence_id: req.params.geofenceId
+          });
+        }
+
+        this.invalidateGeofences();
+
+        res.json({
+          success: true,
+          message: 'Geofence deleted successfully',
+          geofence_id: parseInt(req.params.geofenceId)
+        });
+      } catch (error) {
+        console.error('Error deleting geofence:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to delete geofence',
+          message: error.message
+        });
+      }
+    });
+
+    // Apply a geofence to devices ({ deviceIds: [...] }); an organization's fence only to its own devices
+    this.app.post('/geofences/:geofenceId/devices', this.requireScope('admin'), async (req, res) => {
+      try {
+        const fence = await this.db.getGeofence(parseInt(req.params.geofenceId) || 0);
+
+        if (!fence) {
+          return res.status(404).json({
+            success: false,
+            error: 'Geofence not found',
+            geofence_id: req.params.geofenceId
+          });
+        }
+
+        const { deviceIds } = req.body;
+        if (!Array.isArray(deviceIds) || deviceIds.length === 0) {
+          return res.status(400).json({
+            success: false,
+            error: 'deviceIds must be a non-empty array'
+          });
+        }
+
+        const unknown = [];
+        for (const deviceId of deviceIds.map(String)) {
+          const device = await this.db.getDevice(deviceId);
+          if (device && (fence.organization_id === null || device.organization_id === fence.organization_id)) {
+            await this.db.assignGeofence(fence.id, deviceId);
+          } else {
+            unknown.push(deviceId);
+          }
+        }
+        this.invalidateGeofences();
+
+        if (unknown.length === deviceIds.length) {
+          return res.status(404).json({
+            success: false,
+            error: 'Devices not found',
+            device_ids: unknown
+          });
+        }
+
+        const assignments = await this.db.getGeofenceAssignments(fence.id);
+
+        res.json({
+          success: true,
+          message: 'Geofence assigned successfully',
+          geofence_id: fence.id,
+          devices: assignments.map(assignment => assignment.device_id),
+          unknown_devices: unknown
+        });
+      } catch (error) {
+        console.error('Error assigning geofence:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to assign geofence',
+          message: error.message
+        });
+      }
+    });
+
+    // Stop applying a geofence to a device
+    this.app.delete('/geofences/:geofenceId/devices/:deviceId', this.requireScope('admin'), async (req, res) => {
+      try {
+        const { deviceId } = req.params;
+        const result = await this.db.unassignGeofence(parseInt(req.params.geofenceId) || 0, deviceId);
+
+        if (result.changes === 0) {
+          return res.status(404).json({
+            success: false,
+            error: 'Geofence is not assigned to this device',
+            geofence_id: req.params.geofenceId,
+            device_id: deviceId
+          });
+        }
+
+        this.invalidateGeofences();
+
+        res.json({
+          success: true,
+          message: 'Geofence unassigned successfully',
+          geofence_id: parseInt(req.params.geofenceId),
+          device_id: deviceId
+        });
+      } catch (error) {
+        console.error('Error unassigning geofence:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to unassign geofence',
+          message: error.message
+        });
+      }
+    });
+
+    // Get the geofences applied to a device
+    this.app.get('/devices/:deviceId/geofences', this.requireScope('read'), async (req, res) => {
+      try {
+        const { deviceId } = req.params;
+        const fences = await this.db.getDeviceGeofences(deviceId);
+
+        res.json({
+          success: true,
+          device_id: deviceId,
+          count: fences.length,
+          data: fences.map(fence => this.formatGeofence(fence, this.getDisplayTimezone(req)))
+        });
+      } catch (error) {
+        console.error('Error fetching device geofences:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to fetch device geofences',
+          message: error.message
+        });
+      }
+    });
+
+    // Get a device's geofence events, newest first (supports ?type=enter|exit|dwell&limit=N)
+    this.app.get('/devices/:deviceId/geofence-events', this.requireScope('read'), async (req, res) => {
+      await this.sendGeofenceEvents(req, res, { deviceId: req.params.deviceId });
+    });
+
+    // Get a geofence's events, newest first (supports ?type=enter|exit|dwell&limit=N)
+    this.app.get('/geofences/:geofenceId/events', this.requireScope('read'), async (req, res) => {
+      await this.sendGeofenceEvents(req, res, { geofenceId: parseInt(req.params.geofenceId) || 0 });
+    });
+
+    // Get all alert rules
+    this.app.get('/rules', this.requireScope('read'), async (req, res) => {
+      try {
+        const rules = await this.db.getRules(this.scopeOf(req));
+
+        res.json({
+          success: true,
+          count: rules.length,
+          data: rules.map(rule => this.formatRule(rule, this.getDisplayTimezone(req)))
+        });
+      } catch (error) {
+        console.error('Error fetching rules:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to fetch rules',
+          message: error.message
+        });
+      }
+    });
+
+    // Create an alert rule
+    this.app.post('/rules', this.requireScope('admin'), async (req, res) => {
+      try {
+        const validationError = RulesEngine.validateRule(req.body);
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError
+          });
+        }
+
+        const assigned = await this.assignedOrganization(req, req.body.organization_id);
+        if (assigned.error) {
+          return res.status(assigned.status).json({
+            success: false,
+            error: assigned.error
+          });
+        }
+
+        const outside = await this.devicesOutside(assigned.organizationId, req.body.device_id ? [req.body.device_id] : []);
+        if (outside.length > 0) {
+          return res.status(404).json({
+            success: false,
+            error: 'Devices not found',
+            device_ids: outside
+          });
+        }
+
+        const result = await this.db.saveRule({
+          ...RulesEngine.toRow(req.body),
+          organization_id: assigned.organizationId
+        });
+        this.invalidateRules();
+
+        res.status(201).json({
+          success: true,
+          message: 'Rule created successfully',
+          data: this.formatRule(await this.db.getRule(result.lastInsertRowid), this.getDisplayTimezone(req))
+        });
+      } catch (error) {
+        console.error('Error creating rule:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to create rule',
+          message: error.message
+        });
+      }
+    });
+
+    // Get an alert rule
+    this.app.get('/rules/:ruleId', this.requireScope('read'), async (req, res) => {
+      try {
+        const rule = await this.db.getRule(parseInt(req.params.ruleId) || 0);
+
+        if (!rule) {
+          return res.status(404).json({
+            success: false,
+            error: 'Rule not found',
+            rule_id: req.params.ruleId
+          });
+        }
+
+        res.json({
+          success: true,
+          data: this.formatRule(rule, this.getDisplayTimezone(req))
+        });
+      } catch (error) {
+        console.error('Error fetching rule:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to fetch rule',
+          message: error.message
+        });
+      }
+    });
+
+    // Replace an alert rule
+    this.app.put('/rules/:ruleId', this.requireScope('admin'), async (req, res) => {
+      try {
+        const rule = await this.db.getRule(parseInt(req.params.ruleId) || 0);
+
+        if (!rule) {
+          return res.status(404).json({
+            success: false,
+            error: 'Rule not found',
+            rule_id: req.params.ruleId
+          });
+        }
+
+        const validationError = RulesEngine.validateRule(req.body);
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError
+          });
+        }
+
+        const outside = await this.devicesOutside(rule.organization_id, req.body.device_id ? [req.body.device_id] : []);
+        if (outside.length > 0) {
+          return res.status(404).json({
+            success: false,
+            error: 'Devices not found',
+            device_ids: outside
+          });
+        }
+
+        await this.db.saveRule({ ...RulesEngine.toRow(req.body), id: rule.id });
+        this.invalidateRules();
+
+        res.json({
+          success: true,
+          message: 'Rule updated successfully',
+          data: this.formatRule(await this.db.getRule(rule.id), this.getDisplayTimezone(req))
+        });
+      } catch (error) {
+        console.error('Error updating rule:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to update rule',
+          message: error.message
+        });
+      }
+    });
+
+    // Delete an alert rule; its events are kept
+    this.app.delete('/rules/:ruleId', this.requireScope('admin'), async (req, res) => {
+      try {
+        const result = await this.db.deleteRule(parseInt(req.params.ruleId) || 0);
+
+        if (result.changes === 0) {
+          return res.status(404).json({
+            success: false,
+            error: 'Rule not found',
+            rule_id: req.params.ruleId
+          });
+        }
+
+        this.invalidateRules();
+
+        res.json({
+          success: true,
+          message: 'Rule deleted successfully',
+          rule_id: parseInt(req.params.ruleId)
+        });
+      } catch (error) {
+        console.error('Error deleting rule:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to delete rule',
+          message: error.message
+        });
+      }
+    });
+
+    // Get events, newest first (supports ?status=open|acknowledged|resolved|unresolved&type=&device=&group=
+    // and the same paging as history)
+    this.app.get('/events', this.requireScope('read'), async (req, res) => {
+      await this.sendEvents(req, res, { deviceId: req.query.device || null });
+    });
+
+    // Get a device's events, newest first (supports ?status=&type= and the same paging as history)
+    this.app.get('/devices/:deviceId/events', this.requireScope('read'), async (req, res) => {
+      await this.sendEvents(req, res, { deviceId: req.params.deviceId });
+    });
+
+    // Get an event
+    this.app.get('/events/:eventId', this.requireScope('read'), async (req, res) => {
+      try {
+        const event = await this.db.getEvent(parseInt(req.params.eventId) || 0);
+
+        if (!event) {
+          return res.status(404).json({
+            success: false,
+            error: 'Event not found',
+            event_id: req.params.eventId
+          });
+        }
+
+        const timezone = this.getDisplayTimezone(req, await this.getDeviceTimezone(event.device_id));
+
+        res.json({
+          success: true,
+          data: this.formatEvent(event, timezone)
+        });
+      } catch (error) {
+        console.error('Error fetching event:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to fetch event',
+          message: error.message
+        });
+      }
+    });
+
+    // Acknowledge an open event ({ user, note })
+    this.app.post('/events/:eventId/acknowledge', this.requireScope('command'), async (req, res) => {
+      await this.updateEventStatus(req, res, 'acknowledged');
+    });
+
+    // Resolve an event ({ user, note })
+    this.app.post('/events/:eventId/resolve', this.requireScope('command'), async (req, res) => {
+      await this.updateEventStatus(req, res, 'resolved');
+    });
+
+    // Get webhook subscriptions
+    this.app.get('/webhooks', this.requireScope('admin'), async (req, res) => {
+      try {
+        const webhooks = await this.db.getWebhooks(this.scopeOf(req));
+
+        res.json({
+          success: true,
+          count: webhooks.length,
+          data: webhooks.map(webhook => this.formatWebhook(webhook, this.getDisplayTimezone(req)))
+        });
+      } catch (error) {
+        console.error('Error fetching webhooks:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to fetch webhooks',
+          message: error.message
+        });
+      }
+    });
+
+    // Subscribe a URL to positions and events; the response is the only one showing the secret
+    this.app.post('/webhooks', this.requireScope('admin'), async (req, res) => {
+      try {
+        const validationError = WebhookService.validateWebhook(req.body) ||
+          await this.webhookService.checkTarget(req.body.url);
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError
+          });
+        }
+
+        const assigned = await this.assignedOrganization(req, req.body.organization_id);
+        if (assigned.error) {
+          return res.status(assigned.status).json({
+            success: false,
+            error: assigned.error
+          });
+        }
+
+        const outside = await this.devicesOutside(assigned.organizationId, req.body.device_ids ? req.body.device_ids.map(String) : []);
+        if (outside.length > 0) {
+          return res.status(404).json({
+            success: false,
+            error: 'Devices not found',
+            device_ids: outside
+          });
+        }
+
+        const row = { ...WebhookService.toRow(req.body), organization_id: assigned.organizationId };
+        const result = await this.db.saveWebhook(row);
+        this.invalidateWebhooks();
+
+        res.status(201).json({
+          success: true,
+          message: 'Webhook created successfully',
+          data: {
+            ...this.formatWebhook(await this.db.getWebhook(result.lastInsertRowid), this.getDisplayTimezone(req)),
+            secret: row.secret
+          }
+        });
+      } catch (error) {
+        console.error('Error creating webhook:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to create webhook',
+          message: error.message
+        });
+      }
+    });
+
+    // Get a webhook subscription
+    this.app.get('/webhooks/:webhookId', this.requireScope('admin'), async (req, res) => {
+      try {
+        const webhook = await this.db.getWebhook(parseInt(req.params.webhookId) || 0);
+
+        if (!webhook) {
+          return res.status(404).json({
+            success: false,
+            error: 'Webhook not found',
+            webhook_id: req.params.webhookId
+          });
+        }
+
+        res.json({
+          success: true,
+          data: this.formatWebhook(webhook, this.getDisplayTimezone(req))
+        });
+      } catch (error) {
+        console.error('Error fetching webhook:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to fetch webhook',
+          message: error.message
+        });
+      }
+    });
+
+    // Replace a webhook subscription; the secret is kept unless a new one is given
+    this.app.put('/webhooks/:webhookId', this.requireScope('admin'), async (req, res) => {
+      try {
+        const webhook = await this.db.getWebhook(parseInt(req.params.webhookId) || 0);
+
+        if (!webhook) {
+          return res.status(404).json({
+            success: false,
+            error: 'Webhook not found',
+            webhook_id: req.params.webhookId
+          });
+        }
+
+        const validationError = WebhookService.validateWebhook(req.body) ||
+          await this.webhookService.checkTarget(req.body.url);
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError
+          });
+        }
+
+        const outside = await this.devicesOutside(webhook.organization_id, req.body.device_ids ? req.body.device_ids.map(String) : []);
+        if (outside.length > 0) {
+          return res.status(404).json({
+            success: false,
+            error: 'Devices not found',
+            device_ids: outside
+          });
+        }
+
+        await this.db.saveWebhook({ ...WebhookService.toRow(req.body, webhook), id: webhook.id });
+        this.invalidateWebhooks();
+
+        res.json({
+          success: true,
+          message: 'Webhook updated successfully',
+          data: this.formatWebhook(await this.db.getWebhook(webhook.id), this.getDisplayTimezone(req))
+        });
+      } catch (error) {
+        console.error('Error updating webhook:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to update webhook',
+          message: error.message
+        });
+      }
+    });
+
+    // Delete a webhook subscription with its deliveries
+    this.app.delete('/webhooks/:webhookId', this.requireScope('admin'), async (req, res) => {
+      try {
+        const result = await this.db.deleteWebhook(parseInt(req.params.webhookId) || 0);
+
+        if (result.changes === 0) {
+          return res.status(404).json({
+            success: false,
+            error: 'Webhook not found',
+            webhook_id: req.params.webhookId
+          });
+        }
+
+        this.invalidateWebhooks();
+
+        res.json({
+          success: true,
+          message: 'Webhook deleted successfully',
+          webhook_id: parseInt(req.params.webhookId)
+        });
+      } catch (error) {
+        console.error('Error deleting webhook:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to delete webhook',
+          message: error.message
+        });
+      }
+    });
+
+    // Get a subscription's deliveries, newest first (supports ?status=pending|delivered|dead&limit=N)
+    this.app.get('/webhooks/:webhookId/deliveries', this.requireScope('admin'), async (req, res) => {
+      await this.sendWebhookDeliveries(req, res, { webhookId: parseInt(req.params.webhookId) || 0 });
+    });
+
+    // Get deliveries to every subscription; ?status=dead lists the dead letters
+    this.app.get('/webhook-deliveries', this.requireScope('admin'), async (req, res) => {
+      await this.sendWebhookDeliveries(req, res, {});
+    });
+
+    // Get a delivery with its payload
+    this.app.get('/webhook-deliveries/:deliveryId', this.requireScope('admin'), async (req, res) => {
+      try {
+        const delivery = await this.db.getWebhookDelivery(parseInt(req.params.deliveryId) || 0);
+
+        if (!delivery) {
+          return res.status(404).json({
+            success: false,
+            error: 'Delivery not found',
+            delivery_id: req.params.deliveryId
+          });
+        }
+
+        res.json({
+          success: true,
+          data: {
+            ...this.formatWebhookDelivery(delivery, this.getDisplayTimezone(req)),
+            payload: JSON.parse(delivery.payload)
+          }
+        });
+      } catch (error) {
+        console.error('Error fetching webhook delivery:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to fetch webhook delivery',
+          message: error.message
+        });
+      }
+    });
+
+    // Send a dead delivery again
+    this.app.post('/webhook-deliveries/:deliveryId/retry', this.requireScope('admin'), async (req, res) => {
+      try {
+        const deliveryId = parseInt(req.params.deliveryId) || 0;
+        const delivery = await this.db.getWebhookDelivery(deliveryId);
+
+        if (!delivery) {
+          return res.status(404).json({
+            success: false,
+            error: 'Delivery not found',
+            delivery_id: req.params.deliveryId
+          });
+        }
+
+        const result = await this.db.retryWebhookDelivery(deliveryId);
+        if (result.changes === 0) {
+          return res.status(409).json({
+            success: false,
+            error: `Only dead deliveries can be retried; this one is ${delivery.status}`,
+            delivery_id: deliveryId,
+            status: delivery.status
+          });
+        }
+
+        res.json({
+          success: true,
+          message: 'Delivery queued for retry',
+          data: this.formatWebhookDelivery(await this.db.getWebhookDelivery(deliveryId), this.getDisplayTimezone(req))
+        });
+      } catch (error) {
+        console.error('Error retrying webhook delivery:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to retry webhook delivery',
+          message: error.message
+        });
+      }
+    });
+
+    // Get retention defaults and per-device overrides
+    this.app.get('/retention', this.requireScope('admin'), async (req, res) => {
+      try {
+        const overrides = await this.db.getRetentionPolicies(this.scopeOf(req));
+
+        res.json({
+          success: true,
+          data: {
+            defaults: this.retentionService.defaults,
+            interval_hours: this.retentionService.intervalHours,
+            archive_dir: this.retentionService.archiveDir,
+            overrides: overrides,
+            last_run: this.tcpServer ? this.tcpServer.retentionService.lastRun : null
+          }
+        });
+      } catch (error) {
+        console.error('Error fetching retention policies:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to fetch retention policies',
+          message: error.message
+        });
+      }
+    });
+
+    // Get a device's effective retention policy
+    this.app.get('/devices/:deviceId/retention', this.requireScope('admin'), async (req, res) => {
+      try {
+        const { deviceId } = req.params;
+
+        res.json({
+          success: true,
+          device_id: deviceId,
+          data: await this.retentionService.getPolicy(deviceId)
+        });
+      } catch (error) {
+        console.error('Error fetching retention policy:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to fetch retention policy',
+          message: error.message
+        });
+      }
+    });
+
+    // Set a device's retention policy; omitted or null fields use the defaults
+    this.app.put('/devices/:deviceId/retention', this.requireScope('admin'), async (req, res) => {
+      try {
+        const { deviceId } = req.params;
+        const { raw_days = null, downsampled_days = null, summary_days = null } = req.body;
+        const policy = { raw_days, downsampled_days, summary_days };
+
+        // Validate the policy as it will apply, defaults included
+        const effective = {};
+        Object.keys(policy).forEach(field => {
+          effective[field] = policy[field] === null ? this.retentionService.defaults[field] : policy[field];
+        });
+        const validationError = RetentionService.validatePolicy(policy) || RetentionService.validatePolicy(effective);
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError
+          });
+        }
+
+        await this.db.setRetentionPolicy(deviceId, policy);
+
+        res.json({
+          success: true,
+          message: 'Retention policy updated successfully',
+          device_id: deviceId,
+          data: await this.retentionService.getPolicy(deviceId)
+        });
+      } catch (error) {
+        console.error('Error updating retention policy:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to update retention policy',
+          message: error.message
+        });
+      }
+    });
+
+    // Remove a device's retention policy so the defaults apply
+    this.app.delete('/devices/:deviceId/retention', this.requireScope('admin'), async (req, res) => {
+      try {
+        const { deviceId } = req.params;
+        await this.db.deleteRetentionPolicy(deviceId);
+
+        res.json({
+          success: true,
+          message: 'Retention policy removed; defaults apply',
+          device_id: deviceId,
+          data: await this.retentionService.getPolicy(deviceId)
+        });
+      } catch (error) {
+        console.error('Error removing retention policy:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to remove retention policy',
+          message: error.message
+        });
+      }
+    });
+
+    // Get a device's daily summaries, newest first
+    this.app.get('/devices/:deviceId/summaries', this.requireScope('read'), async (req, res) => {
+      try {
+        const { deviceId } = req.params;
+        const limit = parseInt(req.query.limit) || 100;
+        const summaries = await this.db.getDailySummaries(deviceId, limit);
+        const timezone = this.getDisplayTimezone(req, await this.getDeviceTimezone(deviceId));
+
+        res.json({
+          success: true,
+          device_id: deviceId,
+          timezone: timezone,
+          count: summaries.length,
+          data: summaries.map(summary => ({
+            ...summary,
+            first_fix_time: formatInTimezone(summary.first_fix_time, timezone),
+            last_fix_time: formatInTimezone(summary.last_fix_time, timezone),
+            created_at: formatInTimezone(summary.created_at, timezone)
+          }))
+        });
+      } catch (error) {
+        console.error('Error fetching daily summaries:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to fetch daily summaries',
+          message: error.message
+        });
+      }
+    });
+
+    // Get storage used by every device
+    this.app.get('/storage/usage', this.requireScope('admin'), async (req, res) => {
+      try {
+        const usage = await this.db.getStorageUsage(null, this.scopeOf(req));
+        const data = [];
+        for (const row of usage) {
+          data.push(await this.formatStorageUsage(row, req));
+        }
+
+        res.json({
+          success: true,
+          backend: this.db.backend,
+          count: data.length,
+          totals: {
+            gps_logs: data.reduce((sum, row) => sum + row.gps_logs, 0),
+            estimated_bytes: data.reduce((sum, row) => sum + row.estimated_bytes, 0),
+            archive_bytes: data.reduce((sum, row) => sum + row.archive.bytes, 0)
+          },
+          data: data
+        });
+      } catch (error) {
+        console.error('Error fetching storage usage:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to fetch storage usage',
+          message: error.message
+        });
+      }
+    });
+
+    // Get storage used by one device
+    this.app.get('/devices/:deviceId/storage', this.requireScope('admin'), async (req, res) => {
+      try {
+        const { deviceId } = req.params;
+        const [usage] = await this.db.getStorageUsage(deviceId);
+
+        if (!usage) {
+          return res.status(404).json({
+            success: false,
+            error: 'Device not found',
+            device_id: deviceId
+          });
+        }
+
+        res.json({
+          success: true,
+          backend: this.db.backend,
+          data: await this.formatStorageUsage(usage, req)
+        });
+      } catch (error) {
+        console.error('Error fetching device storage usage:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to fetch device storage usage',
+          message: error.message
+        });
+      }
+    });
+
+    // Get pending commands
+    this.app.get('/commands/pending', this.requireScope('read'), async (req, res) => {
+      try {
+        const deviceId = req.query.deviceId;
+        const commands = await this.smsService.getPendingCommands(deviceId, this.scopeOf(req));
+        
+        res.json({
+          success: true,
+          count: commands.length,
+          data: commands
+        });
+      } catch (error) {
+        console.error('Error getting pending commands:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to get pending commands',
+          message: error.message
+        });
+      }
+    });
+
+    // Authentication and access management
+
+    // Log in with { username, password } for a bearer token
+    this.app.post('/auth/login', async (req, res) => {
+      try {
+        const { username, password } = req.body || {};
+
+        if (typeof username !== 'string' || typeof password !== 'string') {
+          return res.status(400).json({
+            success: false,
+            error: 'Missing required fields: username, password'
+          });
+        }
+
+        const retryAfter = this.authService.loginRetryAfter(req.ip, username);
+        if (retryAfter > 0) {
+          res.set('Retry-After', String(retryAfter));
+          return res.status(429).json({
+            success: false,
+            error: 'Too many failed login attempts, try again later',
+            retry_after: retryAfter
+          });
+        }
+
+        const session = await this.authService.login(username, password, req.ip);
+        if (!session) {
+          return res.status(401).json({
+            success: false,
+            error: 'Invalid username or password'
+          });
+        }
+
+        const timezone = this.getDisplayTimezone(req);
+        res.json({
+          success: true,
+          token: session.token,
+          token_type: 'Bearer',
+          expires_at: formatInTimezone(session.expires_at, timezone),
+          user: this.formatUser(await this.db.getUser(session.user.id), timezone)
+        });
+      } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to log in',
+          message: error.message
+        });
+      }
+    });
+
+    // Get the authenticated caller
+    this.app.get('/auth/me', this.requireScope(), (req, res) => {
+      res.json({
+        success: true,
+        auth_enabled: this.authService.enabled,
+        data: req.principal
+      });
+    });
+
+    // Change the logged-in user's password ({ current_password, new_password })
+    this.app.put('/auth/password', this.requireScope(), async (req, res) => {
+      try {
+        const user = req.principal && req.principal.type === 'user' ? await this.db.getUser(req.principal.id) : null;
+
+        if (!user) {
+          return res.status(400).json({
+            success: false,
+            error: 'Only logged-in users have a password'
+          });
+        }
+
+        const { current_password: currentPassword, new_password: newPassword } = req.body || {};
+        if (typeof currentPassword !== 'string' || !(await AuthService.verifyPassword(currentPassword, user.password_hash))) {
+          return res.status(400).json({
+            success: false,
+            error: 'current_password is wrong'
+          });
+        }
+
+        const validationError = AuthService.validateUser({ password: newPassword }, user);
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError
+          });
+        }
+
+        await this.db.saveUser({ ...(await AuthService.toUserRow({ password: newPassword }, user)), id: user.id });
+
+        res.json({
+          success: true,
+          message: 'Password changed successfully'
+        });
+      } catch (error) {
+        console.error('Error changing password:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to change password',
+          message: error.message
+        });
+      }
+    });
+
+    // Get users
+    this.app.get('/users', this.requireScope('admin'), async (req, res) => {
+      try {
+        const users = await this.db.getUsers(this.scopeOf(req));
+
+        res.json({
+          success: true,
+          count: users.length,
+          data: users.map(user => this.formatUser(user, this.getDisplayTimezone(req)))
+        });
+      } catch (error) {
+        console.error('Error fetching users:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to fetch users',
+          message: error.message
+        });
+      }
+    });
+
+    // Create a user ({ username, password, role, enabled, organization_id })
+    this.app.post('/users', this.requireScope('admin'), async (req, res) => {
+      try {
+        const validationError = AuthService.validateUser(req.body);
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError
+          });
+        }
+
+        const assigned = await this.assignedOrganization(req, req.body.organization_id);
+        if (assigned.error) {
+          return res.status(assigned.status).json({
+            success: false,
+            error: assigned.error
+          });
+        }
+
+        const row = await AuthService.toUserRow({ ...req.body, organization_id: assigned.organizationId });
+        if (await this.db.getUserByUsername(row.username)) {
+          return res.status(409).json({
+            success: false,
+            error: 'Username is already taken',
+            username: row.username
+          });
+        }
+
+        const result = await this.db.saveUser(row);
+
+        res.status(201).json({
+          success: true,
+          message: 'User created successfully',
+          data: this.formatUser(await this.db.getUser(result.lastInsertRowid), this.getDisplayTimezone(req))
+        });
+      } catch (error) {
+        console.error('Error creating user:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to create user',
+          message: error.message
+        });
+      }
+    });
+
+    // Get a user
+    this.app.get('/users/:userId', this.requireScope('admin'), async (req, res) => {
+      try {
+        const user = await this.db.getUser(parseInt(req.params.userId) || 0);
+
+        if (!user) {
+          return res.status(404).json({
+            success: false,
+            error: 'User not found',
+            user_id: req.params.userId
+          });
+        }
+
+        res.json({
+          success: true,
+          data: this.formatUser(user, this.getDisplayTimezone(req))
+        });
+      } catch (error) {
+        console.error('Error fetching user:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to fetch user',
+          message: error.message
+        });
+      }
+    });
+
+    // Update a user; fields left out keep their values
+    this.app.put('/users/:userId', this.requireScope('admin'), async (req, res) => {
+      try {
+        const user = await this.db.getUser(parseInt(req.params.userId) || 0);
+
+        if (!user) {
+          return res.status(404).json({
+            success: false,
+            error: 'User not found',
+            user_id: req.params.userId
+          });
+        }
+
+        const validationError = AuthService.validateUser(req.body, user);
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError
+          });
+        }
+
+        const assigned = req.body.organization_id !== undefined
+          ? await this.assignedOrganization(req, req.body.organization_id)
+          : { organizationId: user.organization_id };
+        if (assigned.error) {
+          return res.status(assigned.status).json({
+            success: false,
+            error: assigned.error
+          });
+        }
+
+        const row = await AuthService.toUserRow({ ...req.body, organization_id: assigned.organizationId }, user);
+        const other = row.username !== user.username ? await this.db.getUserByUsername(row.username) : null;
+        if (other) {
+          return res.status(409).json({
+            success: false,
+            error: 'Username is already taken',
+            username: row.username
+          });
+        }
+        if ((row.role !== 'admin' || !row.enabled || row.organization_id !== null) && await this.isLastAdmin(user)) {
+          return res.status(409).json({
+            success: false,
+            error: 'The last enabled admin cannot be demoted, disabled or moved into an organization',
+            user_id: user.id
+          });
+        }
+
+        await this.db.saveUser({ ...row, id: user.id });
+
+        res.json({
+          success: true,
+          message: 'User updated successfully',
+          data: this.formatUser(await this.db.getUser(user.id), this.getDisplayTimezone(req))
+        });
+      } catch (error) {
+        console.error('Error updating user:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to update user',
+          message: error.message
+        });
+      }
+    });
+
+    // Delete a user
+    this.app.delete('/users/:userId', this.requireScope('admin'), async (req, res) => {
+      try {
+        const user = await this.db.getUser(parseInt(req.params.userId) || 0);
+
+        if (!user) {
+          return res.status(404).json({
+            success: false,
+            error: 'User not found',
+            user_id: req.params.userId
+          });
+        }
+        if (await this.isLastAdmin(user)) {
+          return res.status(409).json({
+            success: false,
+            error: 'The last enabled admin cannot be deleted',
+            user_id: user.id
+          });
+        }
+
+        await this.db.deleteUser(user.id);
+
+        res.json({
+          success: true,
+          message: 'User deleted successfully',
+          user_id: user.id
+        });
+      } catch (error) {
+        console.error('Error deleting user:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to delete user',
+          message: error.message
+        });
+      }
+    });
+
+    // Get API keys (never the keys themselves)
+    this.app.get('/api-keys', this.requireScope('admin'), async (req, res) => {
+      try {
+        const apiKeys = await this.db.getApiKeys(this.scopeOf(req));
+
+        res.json({
+          success: true,
+          count: apiKeys.length,
+          data: apiKeys.map(apiKey => this.formatApiKey(apiKey, this.getDisplayTimezone(req)))
+        });
+      } catch (error) {
+        console.error('Error fetching API keys:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to fetch API keys',
+          message: error.message
+        });
+      }
+    });
+
+    // Create an API key ({ name, scopes, expires_at, organization_id }); the response is the only one showing the key
+    this.app.post('/api-keys', this.requireScope('admin'), async (req, res) => {
+      try {
+        const validationError = AuthService.validateApiKey(req.body);
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError
+          });
+        }
+
+        const assigned = await this.assignedOrganization(req, req.body.organization_id);
+        if (assigned.error) {
+          return res.status(assigned.status).json({
+            success: false,
+            error: assigned.error
+          });
+        }
+
+        const { id, key } = await this.authService.createApiKey(
+          { ...req.body, organization_id: assigned.organizationId },
+          req.principal ? req.principal.name : null
+        );
+
+        res.status(201).json({
+          success: true,
+          message: 'API key created successfully',
+          data: {
+            ...this.formatApiKey(await this.db.getApiKey(id), this.getDisplayTimezone(req)),
+            key: key
+          }
+        });
+      } catch (error) {
+        console.error('Error creating API key:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to create API key',
+          message: error.message
+        });
+      }
+    });
+
+    // Revoke an API key
+    this.app.delete('/api-keys/:keyId', this.requireScope('admin'), async (req, res) => {
+      try {
+        const result = await this.db.deleteApiKey(parseInt(req.params.keyId) || 0);
+
+        if (result.changes === 0) {
+          return res.status(404).json({
+            success: false,
+            error: 'API key not found',
+            key_id: req.params.keyId
+          });
+        }
+
+        res.json({
+          success: true,
+          message: 'API key revoked successfully',
+          key_id: parseInt(req.params.keyId)
+        });
+      } catch (error) {
+        console.error('Error revoking API key:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to revoke API key',
+          message: error.message
+        });
+      }
+    });
+
+    // Organizations and Device Groups
+
+    // Get organizations (a caller in one sees only their own)
+    this.app.get('/organizations', this.requireScope('read'), async (req, res) => {
+      try {
+        const organizations = await this.db.getOrganizations(this.scopeOf(req));
+
+        res.json({
+          success: true,
+          count: organizations.length,
+          data: organizations.map(organization => this.formatOrganization(organization, this.getDisplayTimezone(req)))
+        });
+      } catch (error) {
+        console.error('Error fetching organizations:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to fetch organizations',
+          message: error.message
+        });
+      }
+    });
+
+    // Create an organization ({ name })
+    this.app.post('/organizations', this.requireScope('admin'), this.requirePlatform(), async (req, res) => {
+      try {
+        const validationError = OrganizationService.validateOrganization(req.body);
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError
+          });
+        }
+
+        const name = req.body.name.trim();
+        if (await this.db.getOrganizationByName(name)) {
+          return res.status(409).json({
+            success: false,
+            error: 'Organization name is already taken',
+            name: name
+          });
+        }
+
+        const result = await this.db.saveOrganization({ name: name });
+
+        res.status(201).json({
+          success: true,
+          message: 'Organization created successfully',
+          data: this.formatOrganization(await this.db.getOrganization(result.lastInsertRowid), this.getDisplayTimezone(req))
+        });
+      } catch (error) {
+        console.error('Error creating organization:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to create organization',
+          message: error.message
+        });
+      }
+    });
+
+    // Get an organization with counts of what it owns
+    this.app.get('/organizations/:organizationId', this.requireScope('read'), async (req, res) => {
+      try {
+        const organization = await this.db.getOrganization(parseInt(req.params.organizationId) || 0);
+
+        if (!organization) {
+          return res.status(404).json({
+            success: false,
+            error: 'Organization not found',
+            organization_id: req.params.organizationId
+          });
+        }
+
+        res.json({
+          success: true,
+          data: this.formatOrganization(organization, this.getDisplayTimezone(req))
+        });
+      } catch (error) {
+        console.error('Error fetching organization:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to fetch organization',
+          message: error.message
+        });
+      }
+    });
+
+    // Rename an organization ({ name })
+    this.app.put('/organizations/:organizationId', this.requireScope('admin'), this.requirePlatform(), async (req, res) => {
+      try {
+        const organization = await this.db.getOrganization(parseInt(req.params.organizationId) || 0);
+
+        if (!organization) {
+          return res.status(404).json({
+            success: false,
+            error: 'Organization not found',
+            organization_id: req.params.organizationId
+          });
+        }
+
+        const validationError = OrganizationService.validateOrganization(req.body);
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError
+          });
+        }
+
+        const name = req.body.name.trim();
+        const other = await this.db.getOrganizationByName(name);
+        if (other && other.id !== organization.id) {
+          return res.status(409).json({
+            success: false,
+            error: 'Organization name is already taken',
+            name: name
+          });
+        }
+
+        await this.db.saveOrganization({ id: organization.id, name: name });
+
+        res.json({
+          success: true,
+          message: 'Organization updated successfully',
+          data: this.formatOrganization(await this.db.getOrganization(organization.id), this.getDisplayTimezone(req))
+        });
+      } catch (error) {
+        console.error('Error updating organization:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to update organization',
+          message: error.message
+        });
+      }
+    });
+
+    // Delete an organization and its device groups; its devices, users, keys and alert setup must go first
+    this.app.delete('/organizations/:organizationId', this.requireScope('admin'), this.requirePlatform(), async (req, res) => {
+      try {
+        const organization = await this.db.getOrganization(parseInt(req.params.organizationId) || 0);
+
+        if (!organization) {
+          return res.status(404).json({
+            success: false,
+            error: 'Organization not found',
+            organization_id: req.params.organizationId
+          });
+        }
+
+        const owned = this.formatOrganization(organization);
+        if (owned.device_count + owned.user_count + owned.api_key_count + owned.config_count > 0) {
+          return res.status(409).json({
+            success: false,
+            error: 'Organization still has devices, users, API keys, geofences, rules or webhooks',
+            data: owned
+          });
+        }
+
+        await this.db.deleteOrganization(organization.id);
+
+        res.json({
+          success: true,
+          message: 'Organization deleted successfully',
+          organization_id: organization.id
+        });
+      } catch (error) {
+        console.error('Error deleting organization:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to delete organization',
+          message: error.message
+        });
+      }
+    });
+
+    // Move a device to an organization ({ organization_id }, null for none); it leaves the old one's groups and geofences
+    this.app.put('/devices/:deviceId/organization', this.requireScope('admin'), this.requirePlatform(), async (req, res) => {
+      try {
+        const { deviceId } = req.params;
+        const organizationId = req.body.organization_id;
+
+        if (!(await this.db.getDevice(deviceId))) {
+          return res.status(404).json({
+            success: false,
+            error: 'Device not found',
+            device_id: deviceId
+          });
+        }
+        if (organizationId === undefined) {
+          return res.status(400).json({
+            success: false,
+            error: 'organization_id is required (null for none)'
+          });
+        }
+
+        const assigned = await this.assignedOrganization(req, organizationId);
+        if (assigned.error) {
+          return res.status(assigned.status).json({
+            success: false,
+            error: assigned.error
+          });
+        }
+
+        await this.db.setDeviceOrganization(deviceId, assigned.organizationId);
+        this.invalidateOrganizations();
+        this.invalidateGeofences();
+
+        res.json({
+          success: true,
+          message: 'Device organization updated successfully',
+          device_id: deviceId,
+          organization_id: assigned.organizationId
+        });
+      } catch (error) {
+        console.error('Error moving device:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to move device',
+          message: error.message
+        });
+      }
+    });
+
+    // Get device groups
+    this.app.get('/groups', this.requireScope('read'), async (req, res) => {
+      try {
+        const groups = await this.db.getDeviceGroups(this.scopeOf(req));
+
+        res.json({
+          success: true,
+          count: groups.length,
+          data: groups.map(group => this.formatGroup(group, this.getDisplayTimezone(req)))
+        });
+      } catch (error) {
+        console.error('Error fetching device groups:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to fetch device groups',
+          message: error.message
+        });
+      }
+    });
+
+    // Create a device group ({ name, parent_id, organization_id })
+    this.app.post('/groups', this.requireScope('admin'), async (req, res) => {
+      try {
+        const validationError = OrganizationService.validateGroup(req.body);
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError
+          });
+        }
+
+        const assigned = await this.assignedOrganization(req, req.body.organization_id);
+        if (assigned.error || assigned.organizationId === null) {
+          return res.status(assigned.status || 400).json({
+            success: false,
+            error: assigned.error || 'organization_id is required'
+          });
+        }
+
+        const row = OrganizationService.toGroupRow({ ...req.body, organization_id: assigned.organizationId });
+        const parentError = await this.organizationService.validateParent(row);
+        if (parentError) {
+          return res.status(400).json({
+            success: false,
+            error: parentError
+          });
+        }
+
+        const result = await this.db.saveDeviceGroup(row);
+
+        res.status(201).json({
+          success: true,
+          message: 'Device group created successfully',
+          data: this.formatGroup(await this.db.getDeviceGroup(result.lastInsertRowid), this.getDisplayTimezone(req))
+        });
+      } catch (error) {
+        console.error('Error creating device group:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to create device group',
+          message: error.message
+        });
+      }
+    });
+
+    // Get a device group with the devices directly in it
+    this.app.get('/groups/:groupId', this.requireScope('read'), async (req, res) => {
+      try {
+        const group = await this.db.getDeviceGroup(parseInt(req.params.groupId) || 0);
+
+        if (!group) {
+          return res.status(404).json({
+            success: false,
+            error: 'Device group not found',
+            group_id: req.params.groupId
+          });
+        }
+
+        res.json({
+          success: true,
+          data: {
+            ...this.formatGroup(group, this.getDisplayTimezone(req)),
+            devices: await this.db.getDeviceGroupMembers(group.id)
+          }
+        });
+      } catch (error) {
+        console.error('Error fetching device group:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to fetch device group',
+          message: error.message
+        });
+      }
+    });
+
+    // Rename or move a device group ({ name, parent_id }); fields left out keep their values
+    this.app.put('/groups/:groupId', this.requireScope('admin'), async (req, res) => {
+      try {
+        const group = await this.db.getDeviceGroup(parseInt(req.params.groupId) || 0);
+
+        if (!group) {
+          return res.status(404).json({
+            success: false,
+            error: 'Device group not found',
+            group_id: req.params.groupId
+          });
+        }
+
+        const validationError = OrganizationService.validateGroup(req.body, group);
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError
+          });
+        }
+
+        const row = { ...OrganizationService.toGroupRow(req.body, group), id: group.id };
+        const parentError = await this.organizationService.validateParent(row);
+        if (parentError) {
+          return res.status(400).json({
+            success: false,
+            error: parentError
+          });
+        }
+
+        await this.db.saveDeviceGroup(row);
+
+        res.json({
+          success: true,
+          message: 'Device group updated successfully',
+          data: this.formatGroup(await this.db.getDeviceGroup(group.id), this.getDisplayTimezone(req))
+        });
+      } catch (error) {
+        console.error('Error updating device group:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to update device group',
+          message: error.message
+        });
+      }
+    });
+
+    // Delete a device group; its subgroups move up to its parent and its devices stay in the organization
+    this.app.delete('/groups/:groupId', this.requireScope('admin'), async (req, res) => {
+      try {
+        const result = await this.db.deleteDeviceGroup(parseInt(req.params.groupId) || 0);
+
+        if (result.changes === 0) {
+          return res.status(404).json({
+            success: false,
+            error: 'Device group not found',
+            group_id: req.params.groupId
+          });
+        }
+
+        res.json({
+          success: true,
+          message: 'Device group deleted successfully',
+          group_id: parseInt(req.params.groupId)
+        });
+      } catch (error) {
+        console.error('Error deleting device group:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to delete device group',
+          message: error.message
+        });
+      }
+    });
+
+    // Put devices of the group's organization in a group ({ deviceIds: [...] })
+    this.app.post('/groups/:groupId/devices', this.requireScope('admin'), async (req, res) => {
+      try {
+        const group = await this.db.getDeviceGroup(parseInt(req.params.groupId) || 0);
+
+        if (!group) {
+          return res.status(404).json({
+            success: false,
+            error: 'Device group not found',
+            group_id: req.params.groupId
+          });
+        }
+
+        const { deviceIds } = req.body;
+        if (!Array.isArray(deviceIds) || deviceIds.length === 0) {
+          return res.status(400).json({
+            success: false,
+            error: 'deviceIds must be a non-empty array'
+          });
+        }
+
+        const unknown = await this.devicesOutside(group.organization_id, deviceIds.map(String));
+        if (unknown.length === deviceIds.length) {
+          return res.status(404).json({
+            success: false,
+            error: 'Devices not found',
+            device_ids: unknown
+          });
+        }
+
+        await this.db.addDevicesToGroup(group.id, deviceIds.map(String).filter(deviceId => !unknown.includes(deviceId)));
+
+        res.json({
+          success: true,
+          message: 'Devices added to group successfully',
+          group_id: group.id,
+          devices: await this.db.getDeviceGroupMembers(group.id),
+          unknown_devices: unknown
+        });
+      } catch (error) {
+        console.error('Error adding devices to group:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to add devices to group',
+          message: error.message
+        });
+      }
+    });
+
+    // Take a device out of a group
+    this.app.delete('/groups/:groupId/devices/:deviceId', this.requireScope('admin'), async (req, res) => {
+      try {
+        const groupId = parseInt(req.params.groupId) || 0;
+        const result = await this.db.removeDeviceFromGroup(groupId, req.params.deviceId);
+
+        if (result.changes === 0) {
+          return res.status(404).json({
+            success: false,
+            error: 'Device is not in this group',
+            group_id: groupId,
+            device_id: req.params.deviceId
+          });
+        }
+
+        res.json({
+          success: true,
+          message: 'Device removed from group successfully',
+          group_id: groupId,
+          device_id: req.params.deviceId
+        });
+      } catch (error) {
+        console.error('Error removing device from group:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to remove device from group',
+          message: error.message
+        });
+      }
+    });
+
+    // Webhook for incoming SMS responses
+    // (left open: Twilio posts here and can't present an API key)
+    this.app.post('/webhook/sms', async (req, res) => {
+      try {
+        const { From, Body } = req.body;
+        
+        if (!From || !Body) {
+          return res.status(400).json({
+            success: false,
+            error: 'Missing SMS data'
+          });
+        }
+
+        const result = await this.smsService.processIncomingSMS(From, Body);
+        
+        res.json({
+          success: true,
+          message: 'SMS processed successfully',
+          data: result
+        });
+      } catch (error) {
+        console.error('Error processing SMS webhook:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to process SMS',
+          message: error.message
+        });
+      }
+    });
+
+    // Simple web interface for viewing locations
+    this.app.get('/', (req, res) => {
+      res.send(`
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <title>ST-900 GPS Tracker Server</title>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1">
+          <style>
+            body { font-family: Arial, sans-serif; margin: 40px; background: #f5f5f5; }
+            .container { max-width: 800px; margin: 0 auto; background: white; padding: 30px; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+            h1 { color: #333; text-align: center; }
+            .endpoint { background: #f8f9fa; padding: 15px; margin: 10px 0; border-radius: 5px; border-left: 4px solid #007bff; }
+            .method { font-weight: bold; color: #007bff; }
+            .url { font-family: monospace; background: #e9ecef; padding: 2px 6px; border-radius: 3px; }
+            .description { margin-top: 5px; color: #666; }
+            .status { text-align: center; padding: 20px; background: #d4edda; border-radius: 5px; margin: 20px 0; }
+          </style>
+        </head>
         <body>
           <div class="container">
             <h1>🛰️ ST-900 GPS Tracker Server</h1>
             
-            <div class="status">
-              <strong>✅ API Server is running!</strong><br>
-              Server started at: ${new Date().toISOString()}
+            <div class="status">
+              <strong>✅ API Server is running!</strong><br>
+              Server started at: ${new Date().toISOString()}
+            </div>
+            
+            <h2>📡 Available API Endpoints</h2>
+            
+            <div class="endpoint">
+              <div><span class="method">GET</span> <span class="url">/health</span></div>
+              <div class="description">Check server health and status</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">GET</span> <span class="url">/stats/decoders</span></div>
+              <div class="description">Get per-protocol decoder success and failure counters</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">GET</span> <span class="url">/locations</span></div>
+              <div class="description">Get latest locations for all devices (supports ?limit=N and ?group=)</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">GET</span> <span class="url">/devices</span></div>
+              <div class="description">Get list of all active devices (supports ?group=)</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">POST</span> <span class="url">/devices</span></div>
+              <div class="description">Provision a device so the TCP server accepts it ({ deviceId, name, phoneNumber, organizationId })</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">DELETE</span> <span class="url">/devices/{deviceId}/provisioning</span></div>
+              <div class="description">Withdraw a device's provisioning</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">GET</span> <span class="url">/devices/unknown</span></div>
+              <div class="description">Get connection attempts from devices that are not provisioned</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">GET</span> <span class="url">/devices/{deviceId}/latest</span></div>
+              <div class="description">Get latest location for a specific device</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">GET</span> <span class="url">/devices/{deviceId}/history</span></div>
+              <div class="description">Get location history for a specific device (supports ?from=&amp;to=&amp;order=asc|desc&amp;limit=N, and ?cursor= from next_cursor for the next page)</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">GET</span> <span class="url">/devices/{deviceId}/cells</span></div>
+              <div class="description">Get neighbour cell (LBS) observations for a device (supports ?limit=N)</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">GET</span> <span class="url">/locations/bounds</span></div>
+              <div class="description">Latest location of each device within geographic bounds (?north=&amp;south=&amp;east=&amp;west=, supports ?limit=N)</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">GET</span> <span class="url">/locations/radius</span></div>
+              <div class="description">Latest location of each device within a radius, nearest first with distances (?lat=&amp;lon=&amp;radius_m=)</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">GET</span> <span class="url">/locations/nearest</span></div>
+              <div class="description">Nearest devices to a point with distances (?lat=&amp;lon=, optional ?radius_m=, ?limit=N defaulting to 5)</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">GET</span> <span class="url">/locations/history</span></div>
+              <div class="description">Stored positions within a box or radius (?devices=ID1,ID2, ?from=&amp;to=, ?order=, ?limit=N, ?cursor=)</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">GET</span> <span class="url">/stream</span></div>
+              <div class="description">Live positions and events as Server-Sent Events, or over WebSocket at ws://…/stream, after a snapshot (?devices=ID1,ID2 or ?north=&amp;south=&amp;east=&amp;west=)</div>
+            </div>
+            
+            <h2>📱 Command Management</h2>
+            
+            <div class="endpoint">
+              <div><span class="method">POST</span> <span class="url">/devices/{deviceId}/commands</span></div>
+              <div class="description">Send command to device over its live GPRS connection, or by SMS when offline (requires Twilio setup)</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">GET</span> <span class="url">/devices/commands/available</span></div>
+              <div class="description">Get list of available commands and the channels each supports</div>
             </div>
             
-            <h2>📡 Available API Endpoints</h2>
+            <div class="endpoint">
+              <div><span class="method">GET</span> <span class="url">/devices/{deviceId}/commands</span></div>
+              <div class="description">Get command history for device (supports ?from=&amp;to=&amp;order=&amp;limit=N&amp;cursor=)</div>
+            </div>
             
             <div class="endpoint">
-              <div><span class="method">GET</span> <span class="url">/health</span></div>
-              <div class="description">Check server health and status</div>
+              <div><span class="method">PUT</span> <span class="url">/devices/{deviceId}/timezone</span></div>
+              <div class="description">Set the IANA timezone used to display a device's timestamps</div>
             </div>
             
             <div class="endpoint">
-              <div><span class="method">GET</span> <span class="url">/locations</span></div>
-              <div class="description">Get latest locations for all devices (supports ?limit=N)</div>
+              <div><span class="method">PUT</span> <span class="url">/devices/{deviceId}/phone</span></div>
+              <div class="description">Update device phone number for SMS commands</div>
             </div>
             
             <div class="endpoint">
-              <div><span class="method">GET</span> <span class="url">/devices</span></div>
-              <div class="description">Get list of all active devices</div>
+              <div><span class="method">GET</span> <span class="url">/devices/{deviceId}/trips</span></div>
+              <div class="description">Get a device's trips with distance, duration, speeds and idle time</div>
             </div>
             
             <div class="endpoint">
-              <div><span class="method">GET</span> <span class="url">/devices/{deviceId}/latest</span></div>
-              <div class="description">Get latest location for a specific device</div>
+              <div><span class="method">GET</span> <span class="url">/devices/{deviceId}/stops</span></div>
+              <div class="description">Get the places a device stopped between trips</div>
             </div>
             
             <div class="endpoint">
-              <div><span class="method">GET</span> <span class="url">/devices/{deviceId}/history</span></div>
-              <div class="description">Get location history for a specific device (supports ?limit=N)</div>
+              <div><span class="method">GET</span> <span class="url">/trips/{tripId}/points</span></div>
+              <div class="description">Get the positions recorded during a trip (/trips/{tripId} for the trip itself)</div>
             </div>
             
             <div class="endpoint">
-              <div><span class="method">GET</span> <span class="url">/locations/bounds</span></div>
-              <div class="description">Get locations within geographic bounds (?north=&south=&east=&west=)</div>
+              <div><span class="method">GET</span> <span class="url">/devices/{deviceId}/export</span></div>
+              <div class="description">Download a track (supports ?format=gpx|kml|geojson|csv&amp;from=&amp;to=&amp;tz=; /trips/{tripId}/export for a trip)</div>
             </div>
             
-            <h2>📱 SMS Command Management</h2>
+            <div class="endpoint">
+              <div><span class="method">GET</span> <span class="url">/devices/{deviceId}/odometer</span></div>
+              <div class="description">Get a device's odometer (supports ?unit=km|mi)</div>
+            </div>
             
             <div class="endpoint">
-              <div><span class="method">POST</span> <span class="url">/devices/{deviceId}/commands</span></div>
-              <div class="description">Send SMS command to device (requires Twilio setup)</div>
+              <div><span class="method">PUT</span> <span class="url">/devices/{deviceId}/odometer</span></div>
+              <div class="description">Set a device's odometer to match the vehicle ({ value, unit })</div>
             </div>
             
             <div class="endpoint">
-              <div><span class="method">GET</span> <span class="url">/devices/commands/available</span></div>
-              <div class="description">Get list of available SMS commands</div>
+              <div><span class="method">GET</span> <span class="url">/reports/distance</span></div>
+              <div class="description">Distance per device per period (?from=YYYY-MM-DD&amp;to=YYYY-MM-DD&amp;period=day|week|month&amp;unit=km|mi&amp;devices=ID1,ID2)</div>
             </div>
             
             <div class="endpoint">
-              <div><span class="method">GET</span> <span class="url">/devices/{deviceId}/commands</span></div>
-              <div class="description">Get command history for device</div>
+              <div><span class="method">GET</span> <span class="url">/geofences</span></div>
+              <div class="description">Get all geofences (POST to create a circle or polygon fence)</div>
             </div>
             
             <div class="endpoint">
-              <div><span class="method">PUT</span> <span class="url">/devices/{deviceId}/phone</span></div>
-              <div class="description">Update device phone number for SMS commands</div>
+              <div><span class="method">GET</span> <span class="url">/geofences/{geofenceId}</span></div>
+              <div class="description">Get a geofence and its devices (PUT to update, DELETE to remove)</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">POST</span> <span class="url">/geofences/{geofenceId}/devices</span></div>
+              <div class="description">Apply a geofence to devices ({ deviceIds }); DELETE /geofences/{geofenceId}/devices/{deviceId} to remove</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">GET</span> <span class="url">/devices/{deviceId}/geofence-events</span></div>
+              <div class="description">Get a device's enter, exit and dwell events (supports ?type=&amp;limit=N; also /geofences/{geofenceId}/events)</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">GET</span> <span class="url">/rules</span></div>
+              <div class="description">Get alert rules (POST to create an overspeed, idling, offline, alarm or low_battery rule)</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">GET</span> <span class="url">/rules/{ruleId}</span></div>
+              <div class="description">Get an alert rule (PUT to update, DELETE to remove)</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">GET</span> <span class="url">/events</span></div>
+              <div class="description">Get rule events (supports ?status=open|acknowledged|resolved|unresolved&amp;type=&amp;device=, and ?from=&amp;to=&amp;order=&amp;limit=N&amp;cursor=; also /devices/{deviceId}/events)</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">POST</span> <span class="url">/events/{eventId}/acknowledge</span></div>
+              <div class="description">Acknowledge an open event ({ user, note }); POST /events/{eventId}/resolve to resolve it</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">GET</span> <span class="url">/webhooks</span></div>
+              <div class="description">Get webhook subscriptions (POST to subscribe a URL; GET|PUT|DELETE /webhooks/{webhookId})</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">GET</span> <span class="url">/webhooks/{webhookId}/deliveries</span></div>
+              <div class="description">Get a subscription's delivery log (supports ?status=pending|delivered|dead&amp;limit=N; /webhook-deliveries for all)</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">POST</span> <span class="url">/webhook-deliveries/{deliveryId}/retry</span></div>
+              <div class="description">Send a dead delivery again (GET /webhook-deliveries/{deliveryId} shows its payload)</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">GET</span> <span class="url">/retention</span></div>
+              <div class="description">Get retention defaults, per-device overrides and the last run</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">GET/PUT/DELETE</span> <span class="url">/devices/{deviceId}/retention</span></div>
+              <div class="description">Get, set or remove a device's retention policy (raw_days, downsampled_days, summary_days)</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">GET</span> <span class="url">/devices/{deviceId}/summaries</span></div>
+              <div class="description">Get daily summaries kept after points are downsampled or expired</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">GET</span> <span class="url">/storage/usage</span></div>
+              <div class="description">Get database and archive storage per device (also /devices/{deviceId}/storage)</div>
             </div>
             
             <div class="endpoint">
@@ -431,9 +3440,56 @@ class GPSTrackerAPI {
               <div class="description">Webhook for Twilio SMS responses</div>
             </div>
             
+            <h2>🔐 Authentication</h2>
+            <p>Send <code>Authorization: Bearer &lt;token or key&gt;</code>, <code>X-API-Key</code> or <code>?access_token=</code>. Roles: viewer (read), dispatcher (read, command), admin (everything).</p>
+            
+            <div class="endpoint">
+              <div><span class="method">POST</span> <span class="url">/auth/login</span></div>
+              <div class="description">Log in with { username, password } for a bearer token (rate limited)</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">GET</span> <span class="url">/auth/me</span></div>
+              <div class="description">The authenticated caller and its scopes (PUT /auth/password changes your password)</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">GET</span> <span class="url">/users</span></div>
+              <div class="description">Manage users and roles (POST /users, GET/PUT/DELETE /users/{userId}; admin)</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">GET</span> <span class="url">/api-keys</span></div>
+              <div class="description">Manage scoped API keys (POST /api-keys shows the key once, DELETE /api-keys/{keyId} revokes; admin)</div>
+            </div>
+            
+            <h2>🏢 Organizations &amp; Groups</h2>
+            <p>Callers in an organization see only its devices and setup; platform staff (no organization) see everything. Lists of positions, devices, events and the stream accept <code>?group=</code>.</p>
+            
+            <div class="endpoint">
+              <div><span class="method">GET</span> <span class="url">/organizations</span></div>
+              <div class="description">Manage organizations (POST /organizations, GET/PUT/DELETE /organizations/{organizationId}; platform admin)</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">PUT</span> <span class="url">/devices/{deviceId}/organization</span></div>
+              <div class="description">Move a device to an organization ({ organization_id }, null for none; platform admin)</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">GET</span> <span class="url">/groups</span></div>
+              <div class="description">Manage nested device groups (POST /groups, GET/PUT/DELETE /groups/{groupId}; admin)</div>
+            </div>
+            
+            <div class="endpoint">
+              <div><span class="method">POST</span> <span class="url">/groups/{groupId}/devices</span></div>
+              <div class="description">Put devices in a group ({ deviceIds: [...] }; DELETE /groups/{groupId}/devices/{deviceId} takes one out)</div>
+            </div>
+            
             <h2>🔧 Configuration</h2>
             <p><strong>TCP Server:</strong> Listening for GPS trackers on port ${process.env.TCP_PORT || 8090}</p>
             <p><strong>HTTP API:</strong> Running on port ${this.port}</p>
+            <p><strong>Authentication:</strong> ${this.authService.enabled ? '✅ Required' : '⚠️ Disabled (AUTH_ENABLED=false)'}</p>
             <p><strong>SMS Service:</strong> ${this.smsService.client ? '✅ Enabled (Twilio)' : '❌ Disabled (Configure Twilio)'}</p>
             
             <h2>📱 Device Setup</h2>
@@ -464,6 +3520,13 @@ TWILIO_PHONE_NUMBER=+1234567890
     });
   }
 
+  // Give routes access to the TCP server running in the same process
+  attachTcpServer(tcpServer) {
+    this.tcpServer = tcpServer;
+    this.commandService.attachTcpServer(tcpServer);
+    this.streamHub.attach(tcpServer);
+  }
+
   setupErrorHandling() {
     // 404 handler
     this.app.use((req, res) => {
@@ -486,34 +3549,517 @@ TWILIO_PHONE_NUMBER=+1234567890
     });
   }
 
-  formatLocationData(location) {
-    // Convert timestamps to Syria timezone (UTC+3) for display
-    const formatSyriaTime = (utcTime) => {
-      if (!utcTime) return null;
-      const date = new Date(utcTime);
-      const syriaTime = new Date(date.getTime() + (3 * 60 * 60 * 1000));
-      return syriaTime.toISOString().replace('Z', '+03:00');
+  // Timezone to render a response in: request, then device, then deployment default
+  getDisplayTimezone(req, deviceTimezone = null) {
+    return resolveTimezone(req.query.tz, deviceTimezone, this.displayTimezone);
+  }
+
+  async getDeviceTimezone(deviceId) {
+    const device = await this.db.getDevice(deviceId);
+    return device ? device.timezone : null;
+  }
+
+  // Read one page of a list ordered by `timeColumn`, for the request's ?from, ?to, ?order,
+  // ?limit and ?cursor (checked with validatePageQuery); read(options) queries storage
+  async readPage(req, timezone, defaultLimit, timeColumn, read) {
+    const page = toPage(req.query, timezone, defaultLimit);
+    // One row more than the page tells whether another page follows
+    const { rows, nextCursor } = paginate(await read({ ...page, limit: page.limit + 1 }), page, timeColumn);
+    return { page, rows, nextCursor };
+  }
+
+  formatTrip(trip, timezone = this.displayTimezone) {
+    return {
+      id: trip.id,
+      device_id: trip.device_id,
+      status: trip.status,
+      start_time: formatInTimezone(trip.start_time, timezone),
+      end_time: formatInTimezone(trip.end_time, timezone),
+      start: { latitude: trip.start_lat, longitude: trip.start_lon },
+      end: { latitude: trip.end_lat, longitude: trip.end_lon },
+      distance_km: trip.distance_km,
+      duration_s: trip.duration_s,
+      idle_s: trip.idle_s,
+      max_speed: trip.max_speed,
+      avg_speed: trip.avg_speed,
+      point_count: trip.point_count
+    };
+  }
+
+  // Respond with geofence events matching filters plus the request's ?type and ?limit
+  async sendGeofenceEvents(req, res, filters) {
+    try {
+      const type = req.query.type || null;
+      if (type && !GeofenceService.EVENT_TYPES.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid event type: ${type} (use ${GeofenceService.EVENT_TYPES.join(', ')})`
+        });
+      }
+
+      const limit = parseInt(req.query.limit) || 100;
+      const events = await this.db.getGeofenceEvents({ ...filters, type: type, limit: limit });
+      const timezone = this.getDisplayTimezone(req, filters.deviceId ? await this.getDeviceTimezone(filters.deviceId) : null);
+
+      res.json({
+        success: true,
+        ...(filters.deviceId ? { device_id: filters.deviceId } : { geofence_id: filters.geofenceId }),
+        timezone: timezone,
+        count: events.length,
+        data: events.map(event => this.formatGeofenceEvent(event, timezone))
+      });
+    } catch (error) {
+      console.error('Error fetching geofence events:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch geofence events',
+        message: error.message
+      });
+    }
+  }
+
+  // Let the TCP server see geofence changes before its next reload
+  invalidateGeofences() {
+    if (this.tcpServer) {
+      this.tcpServer.geofenceService.invalidate();
+    }
+  }
+
+  formatGeofenceEvent(event, timezone = this.displayTimezone) {
+    return {
+      id: event.id,
+      device_id: event.device_id,
+      geofence_id: event.geofence_id,
+      geofence_name: event.geofence_name,
+      event_type: event.event_type,
+      timestamp: formatInTimezone(event.timestamp, timezone),
+      latitude: event.lat,
+      longitude: event.lon,
+      gps_log_id: event.gps_log_id,
+      duration_s: event.duration_s
+    };
+  }
+
+  // Stream payloads render like the matching REST responses
+  formatStreamData(type, data, timezone) {
+    if (type === 'position') {
+      return this.formatLocationData(data, timezone);
+    }
+    if (type.startsWith('geofence.')) {
+      return this.formatGeofenceEvent(data, timezone);
+    }
+    return this.formatEvent(data, timezone);
+  }
+
+  formatGeofence(fence, timezone = this.displayTimezone) {
+    const shape = fence.type === 'circle'
+      ? { center: { latitude: fence.center_lat, longitude: fence.center_lon }, radius_m: fence.radius_m }
+      : { points: JSON.parse(fence.polygon).map(([latitude, longitude]) => ({ latitude, longitude })) };
+
+    return {
+      id: fence.id,
+      name: fence.name,
+      type: fence.type,
+      ...shape,
+      dwell_minutes: fence.dwell_minutes,
+      organization_id: fence.organization_id ?? null,
+      ...(fence.device_count !== undefined ? { device_count: Number(fence.device_count) } : {}),
+      created_at: formatInTimezone(fence.created_at, timezone),
+      updated_at: formatInTimezone(fence.updated_at, timezone)
+    };
+  }
+
+  // Respond with events matching filters plus the request's ?status, ?type and paging
+  async sendEvents(req, res, filters) {
+    try {
+      // 'unresolved' lists open and acknowledged events together
+      const statuses = [...RulesEngine.EVENT_STATUSES, 'unresolved'];
+      const status = req.query.status || null;
+      if (status && !statuses.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid status: ${status} (use ${statuses.join(', ')})`
+        });
+      }
+
+      const type = req.query.type || null;
+      if (type && !RulesEngine.RULE_TYPES.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid event type: ${type} (use ${RulesEngine.RULE_TYPES.join(', ')})`
+        });
+      }
+
+      const scope = await this.requestScope(req);
+      if (!scope) {
+        return res.status(404).json({
+          success: false,
+          error: 'Device group not found',
+          group: req.query.group
+        });
+      }
+
+      const timezone = this.getDisplayTimezone(req, filters.deviceId ? await this.getDeviceTimezone(filters.deviceId) : null);
+      const validationError = validatePageQuery(req.query, timezone);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+
+      const { page, rows, nextCursor } = await this.readPage(req, timezone, 100, 'triggered_at',
+        options => this.db.getEvents({ ...filters, ...options, status: status, type: type }, scope));
+
+      res.json({
+        success: true,
+        ...(filters.deviceId ? { device_id: filters.deviceId } : {}),
+        timezone: timezone,
+        order: page.order,
+        count: rows.length,
+        next_cursor: nextCursor,
+        data: rows.map(event => this.formatEvent(event, timezone))
+      });
+    } catch (error) {
+      console.error('Error fetching events:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch events',
+        message: error.message
+      });
+    }
+  }
+
+  // Acknowledge or resolve an event on behalf of { user, note }
+  async updateEventStatus(req, res, status) {
+    try {
+      const eventId = parseInt(req.params.eventId) || 0;
+      const event = await this.db.getEvent(eventId);
+
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          error: 'Event not found',
+          event_id: req.params.eventId
+        });
+      }
+
+      // Recorded as the caller unless the body names someone
+      const { user = req.principal ? req.principal.name : null, note = null } = req.body || {};
+      const result = status === 'acknowledged'
+        ? await this.db.acknowledgeEvent(eventId, user, note)
+        : await this.db.resolveEvent(eventId, user, note);
+
+      if (result.changes === 0) {
+        return res.status(409).json({
+          success: false,
+          error: `Event is already ${event.status}`,
+          event_id: eventId,
+          status: event.status
+        });
+      }
+
+      // A resolved event no longer holds back new ones for its rule
+      if (status === 'resolved') {
+        this.invalidateRules();
+      }
+
+      const updated = await this.db.getEvent(eventId);
+      this.webhookService.publishRuleEvent(`event.${status}`, updated);
+      this.streamHub.publish(`event.${status}`, updated);
+      const timezone = this.getDisplayTimezone(req, await this.getDeviceTimezone(event.device_id));
+
+      res.json({
+        success: true,
+        message: `Event ${status} successfully`,
+        data: this.formatEvent(updated, timezone)
+      });
+    } catch (error) {
+      console.error(`Error updating event to ${status}:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update event',
+        message: error.message
+      });
+    }
+  }
+
+  // Let the TCP server see rule and event changes before its next reload
+  invalidateRules() {
+    if (this.tcpServer) {
+      this.tcpServer.rulesEngine.invalidate();
+    }
+  }
+
+  formatRule(rule, timezone = this.displayTimezone) {
+    return {
+      id: rule.id,
+      name: rule.name,
+      type: rule.type,
+      device_id: rule.device_id,
+      params: JSON.parse(rule.params),
+      severity: rule.severity,
+      auto_resolve: Boolean(rule.auto_resolve),
+      enabled: Boolean(rule.enabled),
+      organization_id: rule.organization_id ?? null,
+      created_at: formatInTimezone(rule.created_at, timezone),
+      updated_at: formatInTimezone(rule.updated_at, timezone)
+    };
+  }
+
+  formatEvent(event, timezone = this.displayTimezone) {
+    return {
+      id: event.id,
+      rule_id: event.rule_id,
+      rule_name: event.rule_name ?? null,
+      device_id: event.device_id,
+      type: event.type,
+      severity: event.severity,
+      status: event.status,
+      message: event.message,
+      // Stored as JSON; events straight from the rules engine carry an object
+      details: typeof event.details === 'string' ? JSON.parse(event.details) : (event.details ?? null),
+      latitude: event.lat,
+      longitude: event.lon,
+      gps_log_id: event.gps_log_id,
+      triggered_at: formatInTimezone(event.triggered_at, timezone),
+      acknowledged_at: formatInTimezone(event.acknowledged_at, timezone),
+      acknowledged_by: event.acknowledged_by,
+      resolved_at: formatInTimezone(event.resolved_at, timezone),
+      resolved_by: event.resolved_by,
+      note: event.note
+    };
+  }
+
+  // Respond with webhook deliveries matching filters plus the request's ?status and ?limit
+  async sendWebhookDeliveries(req, res, filters) {
+    try {
+      const status = req.query.status || null;
+      if (status && !WebhookService.DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid status: ${status} (use ${WebhookService.DELIVERY_STATUSES.join(', ')})`
+        });
+      }
+
+      const limit = parseInt(req.query.limit) || 100;
+      const deliveries = await this.db.getWebhookDeliveries({ ...filters, status: status, limit: limit }, this.scopeOf(req));
+      const timezone = this.getDisplayTimezone(req);
+
+      res.json({
+        success: true,
+        ...(filters.webhookId ? { webhook_id: filters.webhookId } : {}),
+        timezone: timezone,
+        count: deliveries.length,
+        data: deliveries.map(delivery => this.formatWebhookDelivery(delivery, timezone))
+      });
+    } catch (error) {
+      console.error('Error fetching webhook deliveries:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch webhook deliveries',
+        message: error.message
+      });
+    }
+  }
+
+  // Let publishers here and in the TCP server see subscription changes before their next reload
+  invalidateWebhooks() {
+    this.webhookService.invalidate();
+    if (this.tcpServer) {
+      this.tcpServer.webhookService.invalidate();
+    }
+  }
+
+  // Rules and webhooks read each device's organization with their setup; read it again after a device moves
+  invalidateOrganizations() {
+    this.invalidateRules();
+    this.invalidateWebhooks();
+  }
+
+  // Whether a user is the only enabled platform admin left; organizations' admins don't count
+  async isLastAdmin(user) {
+    if (user.role !== 'admin' || !user.enabled || user.organization_id !== null) {
+      return false;
+    }
+    const admins = (await this.db.getUsers({ organizationId: null }))
+      .filter(other => other.role === 'admin' && other.enabled && other.organization_id === null);
+    return admins.length === 1;
+  }
+
+  formatOrganization(organization, timezone = this.displayTimezone) {
+    return {
+      id: organization.id,
+      name: organization.name,
+      device_count: Number(organization.device_count),
+      group_count: Number(organization.group_count),
+      user_count: Number(organization.user_count),
+      api_key_count: Number(organization.api_key_count),
+      config_count: Number(organization.config_count),
+      created_at: formatInTimezone(organization.created_at, timezone),
+      updated_at: formatInTimezone(organization.updated_at, timezone)
+    };
+  }
+
+  formatGroup(group, timezone = this.displayTimezone) {
+    return {
+      id: group.id,
+      organization_id: group.organization_id,
+      parent_id: group.parent_id ?? null,
+      name: group.name,
+      device_count: Number(group.device_count),
+      created_at: formatInTimezone(group.created_at, timezone),
+      updated_at: formatInTimezone(group.updated_at, timezone)
+    };
+  }
+
+  formatUser(user, timezone = this.displayTimezone) {
+    return {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      scopes: AuthService.ROLE_SCOPES[user.role] || [],
+      enabled: Boolean(user.enabled),
+      organization_id: user.organization_id ?? null,
+      last_login_at: formatInTimezone(user.last_login_at, timezone),
+      created_at: formatInTimezone(user.created_at, timezone),
+      updated_at: formatInTimezone(user.updated_at, timezone)
+    };
+  }
+
+  formatApiKey(apiKey, timezone = this.displayTimezone) {
+    return {
+      id: apiKey.id,
+      name: apiKey.name,
+      key_prefix: apiKey.key_prefix,
+      scopes: JSON.parse(apiKey.scopes),
+      created_by: apiKey.created_by,
+      organization_id: apiKey.organization_id ?? null,
+      expires_at: formatInTimezone(apiKey.expires_at, timezone),
+      last_used_at: formatInTimezone(apiKey.last_used_at, timezone),
+      created_at: formatInTimezone(apiKey.created_at, timezone)
+    };
+  }
+
+  formatWebhook(webhook, timezone = this.displayTimezone) {
+    return {
+      id: webhook.id,
+      url: webhook.url,
+      description: webhook.description,
+      device_ids: webhook.device_ids ? JSON.parse(webhook.device_ids) : null,
+      event_types: webhook.event_types ? JSON.parse(webhook.event_types) : null,
+      enabled: Boolean(webhook.enabled),
+      organization_id: webhook.organization_id ?? null,
+      created_at: formatInTimezone(webhook.created_at, timezone),
+      updated_at: formatInTimezone(webhook.updated_at, timezone)
+    };
+  }
+
+  formatWebhookDelivery(delivery, timezone = this.displayTimezone) {
+    return {
+      id: delivery.id,
+      webhook_id: delivery.webhook_id,
+      event_type: delivery.event_type,
+      device_id: delivery.device_id,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      next_attempt_at: delivery.status === 'pending' ? formatInTimezone(delivery.next_attempt_at, timezone) : null,
+      last_attempt_at: formatInTimezone(delivery.last_attempt_at, timezone),
+      response_status: delivery.response_status,
+      last_error: delivery.last_error,
+      delivered_at: formatInTimezone(delivery.delivered_at, timezone),
+      created_at: formatInTimezone(delivery.created_at, timezone)
+    };
+  }
+
+  formatOdometer(device, unit = 'km', timezone = this.displayTimezone) {
+    return {
+      device_id: device.device_id,
+      odometer: convertDistance(device.odometer_km || 0, unit),
+      unit: unit,
+      counting_since: formatInTimezone(device.odometer_started_at, timezone),
+      last_counted_fix: formatInTimezone(device.odometer_time, timezone)
+    };
+  }
+
+  // Database usage of a device with its archive files and effective policy
+  async formatStorageUsage(usage, req) {
+    const timezone = this.getDisplayTimezone(req, await this.getDeviceTimezone(usage.device_id));
+
+    return {
+      device_id: usage.device_id,
+      gps_logs: Number(usage.gps_logs),
+      oldest_fix: formatInTimezone(usage.oldest_fix, timezone),
+      newest_fix: formatInTimezone(usage.newest_fix, timezone),
+      estimated_bytes: Number(usage.estimated_bytes),
+      daily_summaries: Number(usage.daily_summaries),
+      archive: this.retentionService.getArchiveUsage(usage.device_id),
+      retention: await this.retentionService.getPolicy(usage.device_id)
     };
+  }
+
+  // Location from an area query, with its distance from the centre of a circle
+  formatAreaLocation(location, timezone) {
+    const formatted = this.formatLocationData(location, timezone);
+    if (location.distance_m !== undefined) {
+      formatted.distance_m = Math.round(location.distance_m);
+    }
+    return formatted;
+  }
+
+  formatLocationData(location, timezone = this.displayTimezone) {
+
+    // No-fix rows keep the device's reported coordinates only when it had some
+    const gpsValid = location.gps_valid === null || location.gps_valid === undefined
+      ? true
+      : Boolean(location.gps_valid);
+    const hasPosition = gpsValid || location.lat !== 0 || location.lon !== 0;
 
     return {
       id: location.id,
       device_id: location.device_id,
       device_name: location.device_name || null,
-      latitude: location.lat,
-      longitude: location.lon,
+      latitude: hasPosition ? location.lat : null,
+      longitude: hasPosition ? location.lon : null,
+      gps_valid: gpsValid,
+      cell: location.cell_id !== null && location.cell_id !== undefined ? {
+        mcc: location.mcc,
+        mnc: location.mnc,
+        lac: location.lac,
+        cell_id: location.cell_id
+      } : null,
       speed: location.speed,
       altitude: location.altitude,
       heading: location.heading,
-      timestamp: formatSyriaTime(location.timestamp),
-      timestamp_syria: formatSyriaTime(location.timestamp),
-      created_at: formatSyriaTime(location.created_at),
+      // Stored rows keep flags as JSON and alarms comma separated; streamed packets as parsed
+      packet_type: location.packet_type || location.type || 'location',
+      status_word: location.status_word || null,
+      status_flags: typeof location.status_flags === 'string'
+        ? JSON.parse(location.status_flags)
+        : (location.status_flags || null),
+      alarms: Array.isArray(location.alarms) ? location.alarms : (location.alarms ? location.alarms.split(',') : []),
+      ignition: location.ignition === null || location.ignition === undefined
+        ? null
+        : Boolean(location.ignition),
+      battery_level: location.battery_level ?? null,
+      // Stored timestamps are UTC; render them in the requested timezone
+      timestamp: formatInTimezone(location.timestamp, timezone),
+      timestamp_utc: location.timestamp,
+      timezone: timezone,
+      // When the device took the fix vs. when the server received it
+      device_time: formatInTimezone(location.timestamp, timezone),
+      received_at: formatInTimezone(location.received_at || location.created_at, timezone),
+      is_backfill: Boolean(location.is_backfill),
+      created_at: formatInTimezone(location.created_at, timezone),
       // Add computed fields
-      coordinates: [location.lon, location.lat], // GeoJSON format [lng, lat]
-      location_age_minutes: Math.round((new Date() - new Date(location.timestamp)) / (1000 * 60))
+      coordinates: hasPosition ? [location.lon, location.lat] : null, // GeoJSON format [lng, lat]
+      location_age_minutes: Math.round((new Date() - parseUtc(location.timestamp)) / (1000 * 60))
     };
   }
 
-  start() {
+  async start() {
+    await this.db.ready();
+
     this.server = this.app.listen(this.port, this.host, () => {
       console.log(`🌐 GPS Tracker HTTP API listening on http://${this.host}:${this.port}`);
       console.log(`📊 Database initialized and ready`);
@@ -521,6 +4067,8 @@ TWILIO_PHONE_NUMBER=+1234567890
       console.log(`🔗 Open http://localhost:${this.port} in your browser`);
     });
 
+    this.streamHub.attachServer(this.server);
+
     this.server.on('error', (error) => {
       console.error('❌ API Server error:', error);
       if (error.code === 'EADDRINUSE') {
@@ -540,15 +4088,21 @@ TWILIO_PHONE_NUMBER=+1234567890
     });
   }
 
-  shutdown() {
+  async shutdown() {
+    // Long-lived stream connections would keep the server from closing
+    this.streamHub.close();
+
     if (this.server) {
       this.server.close(() => {
         console.log('✅ HTTP API Server closed');
       });
     }
 
+    // Store webhook payloads published by requests that just finished
+    await this.webhookService.close();
+
     if (this.db) {
-      this.db.close();
+      await this.db.close();
       console.log('✅ Database connection closed');
     }
 
@@ -560,7 +4114,10 @@ TWILIO_PHONE_NUMBER=+1234567890
 // Start API server if this file is run directly
 if (require.main === module) {
   const api = new GPSTrackerAPI();
-  api.start();
+  api.start().catch(error => {
+    console.error('❌ Failed to start GPS Tracker API:', error);
+    process.exit(1);
+  });
 }
 
 module.exports = GPSTrackerAPI;
\ No newline at end of file
@@ -0,0 +1,392 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const GPSDatabase = require('./database');
+const { parseUtc } = require('./timezone');
+require('dotenv').config();
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['viewer', 'dispatcher', 'admin'];
+const SCOPES = ['read', 'command', 'admin'];
+
+// What each role may do: read data, send commands and handle events, manage the server
+const ROLE_SCOPES = {
+  viewer: ['read'],
+  dispatcher: ['read', 'command'],
+  admin: ['read', 'command', 'admin']
+};
+
+// Keys start with this so they're told apart from login tokens
+const API_KEY_PREFIX = 'st9_';
+const USERNAME_PATTERN = /^[a-z0-9._@-]{3,64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+// scrypt cost, stored with each hash so it can be raised for new passwords later
+const SCRYPT_COST = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Organizations are referenced by ID; null means none (platform staff)
+const isOrganizationId = (value) => value === undefined || value === null || (Number.isInteger(value) && value > 0);
+
+// Compare secrets in constant time, whatever their lengths
+const safeEqual = (a, b) => crypto.timingSafeEqual(Buffer.from(sha256(a)), Buffer.from(sha256(b)));
+
+/**
+ * Authenticates API callers and decides what they may do.
+ *
+ * People log in with a username and password and get a signed JWT; machine
+ * clients send an API key. Either way the caller ends up as a principal with
+ * scopes: users get their role's scopes, keys the scopes they were created
+ * with. Users and keys that belong to an organization only see its devices;
+ * those without one are platform staff and see everything. API_KEY from the
+ * environment is a platform key with every scope, for bootstrapping. Failed logins are counted per username and per address, and
+ * further attempts are refused for the rest of the window once either runs
+ * out.
+ */
+class AuthService {
+  constructor(options = {}) {
+    this.db = options.db || new GPSDatabase();
+    this.enabled = options.enabled ?? process.env.AUTH_ENABLED !== 'false';
+    this.apiKey = options.apiKey ?? process.env.API_KEY ?? null;
+    this.tokenTtl = options.tokenTtlSeconds || parseInt(process.env.JWT_EXPIRES_SECONDS) || 12 * 3600;
+    this.maxLoginAttempts = options.maxLoginAttempts || parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+    this.maxLoginAttemptsPerIp = options.maxLoginAttemptsPerIp || parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20;
+    this.loginWindow = (options.loginWindowSeconds || parseInt(process.env.LOGIN_WINDOW_SECONDS) || 900) * 1000;
+    this.now = options.now || (() => Date.now());
+
+    this.jwtSecret = options.jwtSecret || process.env.JWT_SECRET;
+    if (!this.jwtSecret) {
+      this.jwtSecret = crypto.randomBytes(32).toString('hex');
+      if (this.enabled) {
+        console.warn('⚠️  JWT_SECRET is not set; login tokens will stop working when the server restarts');
+      }
+    }
+
+    this.failures = new Map(); // 'user:name' or 'ip:address' -> { count, first }
+    this.dummyHash = null;
+  }
+
+  /**
+   * Hash a password for storage
+   * @param {string} password - Plain text password
+   * @returns {Promise<string>} 'scrypt$N$r$p$salt$hash' with base64 salt and hash
+   */
+  static async hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const { N, r, p } = SCRYPT_COST;
+    const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH, { N, r, p });
+    return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+  }
+
+  /**
+   * Check a password against a stored hash
+   * @param {string} password - Plain text password
+   * @param {string} stored - Hash from hashPassword()
+   * @returns {Promise<boolean>} Whether the password matches
+   */
+  static async verifyPassword(password, stored) {
+    const [scheme, N, r, p, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !hash) {
+      return false;
+    }
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+      N: Number(N), r: Number(r), p: Number(p)
+    });
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Check a user from the API
+   * @param {Object} input - { username, password, role, enabled, organization_id }
+   * @param {Object} existing - Stored user being updated; fields left out keep their values
+   * @returns {string|null} Error message, or null when valid
+   */
+  static validateUser(input, existing = null) {
+    if (!input || typeof input !== 'object') {
+      return 'Request body must be a JSON object';
+    }
+    if ((!existing || input.username !== undefined) &&
+      (typeof input.username !== 'string' || !USERNAME_PATTERN.test(input.username.toLowerCase()))) {
+      return 'username must be 3-64 letters, digits, dots, dashes, underscores or @';
+    }
+    if ((!existing || input.password !== undefined) &&
+      (typeof input.password !== 'string' || input.password.length < MIN_PASSWORD_LENGTH)) {
+      return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    if (input.role !== undefined && !ROLES.includes(input.role)) {
+      return `role must be one of: ${ROLES.join(', ')}`;
+    }
+    if (input.enabled !== undefined && typeof input.enabled !== 'boolean') {
+      return 'enabled must be true or false';
+    }
+    if (!isOrganizationId(input.organization_id)) {
+      return 'organization_id must be an organization ID or null';
+    }
+
+    return null;
+  }
+
+  /**
+   * User row for storage from validated API input
+   * @param {Object} input - User as accepted by validateUser()
+   * @param {Object} existing - Stored user being updated, if any
+   * @returns {Promise<Object>} Row with a lower-case username and the password hashed
+   */
+  static async toUserRow(input, existing = null) {
+    return {
+      username: input.username !== undefined ? input.username.toLowerCase() : existing.username,
+      password_hash: input.password !== undefined
+        ? await AuthService.hashPassword(input.password)
+        : existing.password_hash,
+      role: input.role || (existing ? existing.role : 'viewer'),
+      enabled: input.enabled ?? (existing ? Boolean(existing.enabled) : true),
+      organization_id: input.organization_id !== undefined
+        ? input.organization_id
+        : (existing ? existing.organization_id : null)
+    };
+  }
+
+  /**
+   * Check an API key from the API
+   * @param {Object} input - { name, scopes, expires_at, organization_id }; scopes default to ['read']
+   * @returns {string|null} Error message, or null when valid
+   */
+  static validateApiKey(input) {
+    if (!input || typeof input.name !== 'string' || !input.name.trim()) {
+      return 'name is required';
+    }
+    if (input.scopes !== undefined &&
+      (!Array.isArray(input.scopes) || input.scopes.length === 0 || !input.scopes.every(scope => SCOPES.includes(scope)))) {
+      return `scopes must list scopes from: ${SCOPES.join(', ')}`;
+    }
+    if (input.expires_at !== undefined && input.expires_at !== null) {
+      const expiresAt = Date.parse(input.expires_at);
+      if (!Number.isFinite(expiresAt)) {
+        return 'expires_at must be an ISO 8601 time';
+      }
+      if (expiresAt <= Date.now()) {
+        return 'expires_at must be in the future';
+      }
+    }
+    if (!isOrganizationId(input.organization_id)) {
+      return 'organization_id must be an organization ID or null';
+    }
+
+    return null;
+  }
+
+  /**
+   * Where a request carries its credentials: an "Authorization: Bearer" token
+   * or key, an X-API-Key header, or ?access_token= for clients that can't set
+   * headers (EventSource, WebSocket, download links)
+   * @param {http.IncomingMessage} req - Request
+   * @returns {string|null} Token or key
+   */
+  static credentialsFrom(req) {
+    const header = req.headers.authorization;
+    if (header && /^Bearer\s+/i.test(header)) {
+      return header.replace(/^Bearer\s+/i, '').trim() || null;
+    }
+    if (req.headers['x-api-key']) {
+      return String(req.headers['x-api-key']).trim() || null;
+    }
+    return new URL(req.url, 'http://localhost').searchParams.get('access_token') || null;
+  }
+
+  // Whether a principal holds a scope; without a scope, whether there is a principal at all
+  static allows(principal, scope = null) {
+    return Boolean(principal) && (!scope || principal.scopes.includes(scope));
+  }
+
+  /**
+   * Identify the caller behind a token or key
+   * @param {string|null} credentials - From credentialsFrom()
+   * @returns {Promise<Object|null>} { type: 'user'|'api_key', id, name, role, scopes,
+   *   organizationId }, organizationId being null for platform callers; or null when the credentials are missing, wrong or expired
+   */
+  async authenticate(credentials) {
+    if (!credentials) {
+      return null;
+    }
+    if (credentials.startsWith(API_KEY_PREFIX)) {
+      return this.authenticateApiKey(credentials);
+    }
+    if (this.apiKey && safeEqual(credentials, this.apiKey)) {
+      return { type: 'api_key', id: null, name: 'API_KEY', role: null, scopes: SCOPES, organizationId: null };
+    }
+    return this.authenticateToken(credentials);
+  }
+
+  async authenticateToken(token) {
+    let claims;
+    try {
+      claims = jwt.verify(token, this.jwtSecret, { algorithms: ['HS256'] });
+    } catch (error) {
+      return null;
+    }
+
+    // Read the user again so disabling them or changing their role applies at once
+    const user = await this.db.getUser(parseInt(claims.sub) || 0);
+    if (!user || !user.enabled) {
+      return null;
+    }
+    return {
+      type: 'user',
+      id: user.id,
+      name: user.username,
+      role: user.role,
+      scopes: ROLE_SCOPES[user.role] || [],
+      organizationId: user.organization_id ?? null
+    };
+  }
+
+  async authenticateApiKey(key) {
+    const apiKey = await this.db.getApiKeyByHash(sha256(key));
+    const now = this.now();
+    if (!apiKey || (apiKey.expires_at && parseUtc(apiKey.expires_at) <= now)) {
+      return null;
+    }
+
+    // Kept to the minute rather than written on every request
+    if (!apiKey.last_used_at || now - parseUtc(apiKey.last_used_at) >= 60000) {
+      await this.db.recordApiKeyUse(apiKey.id, new Date(now).toISOString());
+    }
+    return {
+      type: 'api_key',
+      id: apiKey.id,
+      name: apiKey.name,
+      role: null,
+      scopes: JSON.parse(apiKey.scopes),
+      organizationId: apiKey.organization_id ?? null
+    };
+  }
+
+  /**
+   * Create an API key
+   * @param {Object} input - As accepted by validateApiKey()
+   * @param {string|null} createdBy - Name of the caller creating it
+   * @returns {Promise<Object>} { id, key }; the key is not stored and can't be shown again
+   */
+  async createApiKey(input, createdBy = null) {
+    const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const result = await this.db.insertApiKey({
+      name: input.name.trim(),
+      key_prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+      key_hash: sha256(key),
+      scopes: input.scopes || ['read'],
+      created_by: createdBy,
+      expires_at: input.expires_at ? new Date(input.expires_at).toISOString() : null,
+      organization_id: input.organization_id ?? null
+    });
+    return { id: result.lastInsertRowid, key: key };
+  }
+
+  /**
+   * Log a user in
+   * Check loginRetryAfter() first, with no await in between. The attempt is
+   * counted as a failure before the user is looked up, so parallel attempts
+   * can't all pass the check, and refunded when it succeeds.
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @param {string} ip - Address the attempt came from
+   * @returns {Promise<Object|null>} { token, expires_at, user }, or null when the
+   *   credentials are wrong or the user is disabled
+   */
+  async login(username, password, ip) {
+    const name = String(username || '').toLowerCase();
+    this.recordLoginFailure(ip, name);
+    const user = name ? await this.db.getUserByUsername(name) : null;
+
+    // Hash even for unknown users so the response time doesn't tell which exist
+    if (!this.dummyHash) {
+      this.dummyHash = AuthService.hashPassword(crypto.randomBytes(16).toString('hex'));
+    }
+    const valid = await AuthService.verifyPassword(String(password ?? ''), user ? user.password_hash : await this.dummyHash);
+
+    if (!user || !valid || !user.enabled) {
+      return null;
+    }
+
+    this.failures.delete(`user:${name}`);
+    this.refundLoginAttempt(ip);
+    await this.db.recordUserLogin(user.id, new Date(this.now()).toISOString());
+    return { ...this.issueToken(user), user: user };
+  }
+
+  // Signed session token for a user
+  issueToken(user) {
+    const token = jwt.sign({ username: user.username, role: user.role }, this.jwtSecret, {
+      subject: String(user.id),
+      expiresIn: this.tokenTtl,
+      algorithm: 'HS256'
+    });
+    return { token: token, expires_at: new Date(jwt.decode(token).exp * 1000).toISOString() };
+  }
+
+  /**
+   * Seconds before another login may be tried for a username from an address
+   * @param {string} ip - Address of the attempt
+   * @param {string} username - Username being tried
+   * @returns {number} 0 when an attempt is allowed now
+   */
+  loginRetryAfter(ip, username) {
+    const now = this.now();
+    return Math.max(...this.loginLimits(ip, username).map(([key, limit]) => {
+      const entry = this.failures.get(key);
+      if (!entry || now - entry.first >= this.loginWindow || entry.count < limit) {
+        return 0;
+      }
+      return Math.ceil((entry.first + this.loginWindow - now) / 1000);
+    }));
+  }
+
+  recordLoginFailure(ip, username) {
+    const now = this.now();
+
+    // Forget windows that have passed before the map grows large
+    if (this.failures.size > 10000) {
+      for (const [key, entry] of this.failures) {
+        if (now - entry.first >= this.loginWindow) {
+          this.failures.delete(key);
+        }
+      }
+    }
+
+    this.loginLimits(ip, username).forEach(([key]) => {
+      const entry = this.failures.get(key);
+      if (!entry || now - entry.first >= this.loginWindow) {
+        this.failures.set(key, { count: 1, first: now });
+      } else {
+        entry.count++;
+      }
+    });
+  }
+
+  // Take back the failure counted up front for an address's successful login
+  refundLoginAttempt(ip) {
+    const entry = this.failures.get(`ip:${ip}`);
+    if (entry && entry.count > 1) {
+      entry.count--;
+    } else {
+      this.failures.delete(`ip:${ip}`);
+    }
+  }
+
+  // Failure counters an attempt is held to, with their limits
+  loginLimits(ip, username) {
+    return [
+      [`user:${String(username || '').toLowerCase()}`, this.maxLoginAttempts],
+      [`ip:${ip}`, this.maxLoginAttemptsPerIp]
+    ];
+  }
+}
+
+AuthService.ROLES = ROLES;
+AuthService.SCOPES = SCOPES;
+AuthService.ROLE_SCOPES = ROLE_SCOPES;
+
+module.exports = AuthService;
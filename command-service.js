@@ -0,0 +1,141 @@
+const SMSService = require('./sms-service');
+const GPSDatabase = require('./database');
+require('dotenv').config();
+
+class CommandService {
+  constructor(options = {}) {
+    this.db = options.db || new GPSDatabase();
+    this.smsService = options.smsService || new SMSService();
+    this.tcpServer = options.tcpServer || null;
+
+    // HQ server frames: *HQ,<IMEI>,<code>,<HHMMSS>,<params...>#
+    // The device acknowledges with a V4 frame carrying the same code
+    this.hqCommandTemplates = {
+      setServer: (ip, port) => ({ code: 'S23', params: [ip, port] }),
+      setInterval: (seconds) => ({ code: 'S71', params: ['22', seconds] }),
+      engineStop: () => ({ code: 'S20', params: ['1', '1'] }),
+      engineResume: () => ({ code: 'S20', params: ['1', '0'] }),
+      armAlarm: () => ({ code: 'SCF', params: ['0', '0'] }),
+      disarmAlarm: () => ({ code: 'SCF', params: ['1', '1'] })
+    };
+  }
+
+  // Use the live TCP connection of a server running in this process
+  attachTcpServer(tcpServer) {
+    this.tcpServer = tcpServer;
+  }
+
+  // Send command over GPRS when the device is connected, otherwise by SMS
+  // channel: 'auto' (default), 'tcp' or 'sms'
+  async sendCommand(deviceId, commandType, parameters = {}, channel = 'auto') {
+    const hqCommand = this.generateHQCommand(deviceId, commandType, parameters);
+    const smsSupported = Boolean(this.smsService.commandTemplates[commandType]);
+
+    if (!hqCommand && !smsSupported) {
+      throw new Error(`Unknown command type: ${commandType}`);
+    }
+
+    const connected = this.isDeviceConnected(deviceId);
+
+    if (channel === 'tcp' || (channel === 'auto' && hqCommand && connected)) {
+      if (!hqCommand) {
+        throw new Error(`Command ${commandType} cannot be sent over TCP`);
+      }
+      if (!connected) {
+        throw new Error(`Device ${deviceId} is not connected`);
+      }
+      return this.sendTcpCommand(deviceId, commandType, hqCommand);
+    }
+
+    if (!smsSupported) {
+      throw new Error(`Command ${commandType} requires a live connection and device ${deviceId} is not connected`);
+    }
+
+    return this.smsService.sendCommand(deviceId, commandType, parameters);
+  }
+
+  // Write HQ frame to the device's open socket
+  // Stored as sent before the write, so a reply arriving straight away isn't overwritten
+  async sendTcpCommand(deviceId, commandType, hqCommand) {
+    const commandRecord = await this.db.insertCommand({
+      device_id: deviceId,
+      command_type: commandType,
+      command_text: hqCommand.frame,
+      reply_code: hqCommand.code,
+      channel: 'tcp',
+      status: 'sent'
+    });
+    const commandId = commandRecord.lastInsertRowid;
+
+    try {
+      await this.tcpServer.sendToDevice(deviceId, hqCommand.frame);
+    } catch (error) {
+      await this.db.updateCommandStatus(commandId, 'failed', error.message);
+      console.error(`❌ Error sending TCP command to ${deviceId}:`, error.message);
+      throw error;
+    }
+
+    console.log(`📡 TCP command sent to ${deviceId}: ${hqCommand.frame}`);
+
+    return {
+      success: true,
+      commandId: commandId,
+      channel: 'tcp',
+      commandText: hqCommand.frame
+    };
+  }
+
+  // Generate HQ frame based on type and parameters
+  generateHQCommand(deviceId, commandType, parameters) {
+    const template = this.hqCommandTemplates[commandType];
+    if (!template) {
+      return null;
+    }
+
+    const { code, params } = template(...Object.values(parameters));
+    const time = new Date().toISOString().slice(11, 19).replace(/:/g, ''); // HHMMSS UTC
+    const fields = [deviceId, code, time, ...params.map(String)];
+
+    return {
+      code: code,
+      frame: `*HQ,${fields.join(',')}#`
+    };
+  }
+
+  isDeviceConnected(deviceId) {
+    return Boolean(this.tcpServer && this.tcpServer.isDeviceConnected(deviceId));
+  }
+
+  // Get available commands with the channels each can use
+  getAvailableCommands() {
+    const smsCommands = this.smsService.getAvailableCommands();
+    const commands = {};
+
+    Object.entries(smsCommands).forEach(([type, info]) => {
+      commands[type] = {
+        ...info,
+        channels: this.hqCommandTemplates[type] ? ['tcp', 'sms'] : ['sms']
+      };
+    });
+
+    const tcpOnly = {
+      engineStop: 'Cut fuel/power to stop the engine',
+      engineResume: 'Restore fuel/power to the engine',
+      armAlarm: 'Arm the vehicle alarm',
+      disarmAlarm: 'Disarm the vehicle alarm'
+    };
+
+    Object.entries(tcpOnly).forEach(([type, description]) => {
+      commands[type] = {
+        description: description,
+        parameters: [],
+        example: {},
+        channels: ['tcp']
+      };
+    });
+
+    return commands;
+  }
+}
+
+module.exports = CommandService;
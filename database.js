@@ -1,306 +1,573 @@
-const Database = require('better-sqlite3');
-const path = require('path');
-
+const SQLiteStorage = require('./storage/sqlite-storage');
+require('dotenv').config();
+
+/**
+ * GPS tracker storage
+ * Delegates to a storage backend chosen from configuration. Methods may return
+ * plain values (SQLite) or promises (PostgreSQL), so callers always await them.
+ * List methods take a trailing scope, { organizationId, groupId }, that limits
+ * them to one organization's devices and setup, or a group's devices; an empty
+ * scope lists everything.
+ */
 class GPSDatabase {
-  constructor(dbPath = 'gps_tracker.db') {
-    this.db = new Database(dbPath);
-    this.initTables();
-  }
-
-  initTables() {
-    // Create gps_logs table
-    const createGpsLogsTable = `
-      CREATE TABLE IF NOT EXISTS gps_logs (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        device_id TEXT NOT NULL,
-        lat REAL NOT NULL,
-        lon REAL NOT NULL,
-        speed REAL DEFAULT 0,
-        altitude REAL DEFAULT 0,
-        heading REAL DEFAULT 0,
-        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-        raw_data TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `;
-
-    // Create devices table for device management
-    const createDevicesTable = `
-      CREATE TABLE IF NOT EXISTS devices (
-        device_id TEXT PRIMARY KEY,
-        name TEXT,
-        phone_number TEXT,
-        last_seen DATETIME,
-        is_active BOOLEAN DEFAULT 1,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `;
-
-    // Create device commands table
-    const createCommandsTable = `
-      CREATE TABLE IF NOT EXISTS device_commands (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        device_id TEXT NOT NULL,
-        command_type TEXT NOT NULL,
-        command_text TEXT NOT NULL,
-        status TEXT DEFAULT 'pending',
-        sent_at DATETIME,
-        response_received_at DATETIME,
-        response_data TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (device_id) REFERENCES devices(device_id)
-      )
-    `;
-
-    // Create indexes for better performance
-    const createIndexes = [
-      'CREATE INDEX IF NOT EXISTS idx_gps_logs_device_id ON gps_logs(device_id)',
-      'CREATE INDEX IF NOT EXISTS idx_gps_logs_timestamp ON gps_logs(timestamp)',
-      'CREATE INDEX IF NOT EXISTS idx_devices_last_seen ON devices(last_seen)',
-      'CREATE INDEX IF NOT EXISTS idx_commands_device_id ON device_commands(device_id)',
-      'CREATE INDEX IF NOT EXISTS idx_commands_status ON device_commands(status)',
-      'CREATE INDEX IF NOT EXISTS idx_commands_created_at ON device_commands(created_at)'
-    ];
-
-    try {
-      this.db.exec(createGpsLogsTable);
-      this.db.exec(createDevicesTable);
-      this.db.exec(createCommandsTable);
-      
-      createIndexes.forEach(indexQuery => {
-        this.db.exec(indexQuery);
-      });
-
-      console.log('Database tables initialized successfully');
-    } catch (error) {
-      console.error('Error initializing database tables:', error);
-      throw error;
+  /**
+   * @param {Object|string} options - Storage options, or a SQLite file path
+   * @param {string} options.backend - 'sqlite' or 'postgres'
+   * @param {string} options.path - SQLite database file
+   * @param {string} options.connectionString - PostgreSQL connection URL
+   * @param {boolean} options.migrate - Apply pending migrations on open (default true)
+   */
+  constructor(options = {}) {
+    const config = GPSDatabase.resolveConfig(typeof options === 'string' ? { path: options } : options);
+    this.backend = config.backend;
+
+    if (config.backend === 'postgres') {
+      // Loaded on demand so SQLite deployments don't need the pg driver
+      const PostgresStorage = require('./storage/postgres-storage');
+      this.adapter = new PostgresStorage(config);
+    } else if (config.backend === 'sqlite') {
+      this.adapter = new SQLiteStorage(config.path, { migrate: config.migrate });
+      this.db = this.adapter.db;
+    } else {
+      throw new Error(`Unknown database backend: ${config.backend}`);
     }
   }
 
-  // Insert GPS log entry
+  /**
+   * Work out the storage backend from options and environment
+   * DATABASE_BACKEND wins; otherwise DATABASE_URL or DATABASE_HOST selects PostgreSQL
+   * @param {Object} options - Explicit options, overriding the environment
+   * @returns {Object} { backend, path, connectionString, host, port, database, user, password, migrate }
+   */
+  static resolveConfig(options = {}) {
+    const env = process.env;
+    const backend = options.backend ||
+      env.DATABASE_BACKEND ||
+      (options.connectionString || env.DATABASE_URL || env.DATABASE_HOST ? 'postgres' : 'sqlite');
+
+    return {
+      backend: backend,
+      path: options.path || env.DATABASE_PATH || 'gps_tracker.db',
+      connectionString: options.connectionString || env.DATABASE_URL,
+      host: options.host || env.DATABASE_HOST,
+      port: parseInt(options.port || env.DATABASE_PORT) || 5432,
+      database: options.database || env.DATABASE_NAME,
+      user: options.user || env.DATABASE_USER,
+      password: options.password || env.DATABASE_PASSWORD,
+      migrate: options.migrate !== false
+    };
+  }
+
+  // Resolves once tables are ready (immediately for SQLite)
+  ready() {
+    return this.adapter.ready;
+  }
+
+  // Schema migrations
+  migrate(options = {}) {
+    return this.adapter.migrate(options);
+  }
+
+  getMigrationStatus() {
+    return this.adapter.getMigrationStatus();
+  }
+
+  // GPS logs
   insertGpsLog(data) {
-    const stmt = this.db.prepare(`
-      INSERT INTO gps_logs (device_id, lat, lon, speed, altitude, heading, timestamp, raw_data)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-    `);
-
-    try {
-      const result = stmt.run(
-        data.device_id,
-        data.lat,
-        data.lon,
-        data.speed || 0,
-        data.altitude || 0,
-        data.heading || 0,
-        data.timestamp || new Date().toISOString(),
-        data.raw_data || ''
-      );
-
-      // Update device last seen
-      this.updateDeviceLastSeen(data.device_id);
-
-      return result;
-    } catch (error) {
-      console.error('Error inserting GPS log:', error);
-      throw error;
-    }
+    return this.adapter.insertGpsLog(data);
+  }
+
+  // Batch insert in one transaction; returns a result or { error } per entry
+  insertGpsLogs(batch) {
+    return this.adapter.insertGpsLogs(batch);
   }
 
-  // Update device last seen timestamp
+  getLatestLocations(limit = 100, scope = {}) {
+    return this.adapter.getLatestLocations(limit, scope);
+  }
+
+  // options: a limit, or { from, to, order, after, limit }
+  getDeviceHistory(deviceId, options = 100) {
+    return this.adapter.getDeviceHistory(deviceId, options);
+  }
+
+  // area: { bounds } for a box, or { lat, lon, radiusM, bounds } for a circle (see geo.toArea)
+  getLatestLocationsInArea(area, limit = 100, scope = {}) {
+    return this.adapter.getLatestLocationsInArea(area, limit, scope);
+  }
+
+  // options: { deviceIds, from, to, order, after, limit }
+  getLocationsInArea(area, options = {}, scope = {}) {
+    return this.adapter.getLocationsInArea(area, options, scope);
+  }
+
+  refreshLatestFixes(onlyMissing = false) {
+    return this.adapter.refreshLatestFixes(onlyMissing);
+  }
+
+  // Devices
   updateDeviceLastSeen(deviceId) {
-    const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO devices (device_id, last_seen)
-      VALUES (?, ?)
-    `);
-
-    try {
-      stmt.run(deviceId, new Date().toISOString());
-    } catch (error) {
-      console.error('Error updating device last seen:', error);
-    }
+    return this.adapter.updateDeviceLastSeen(deviceId);
   }
 
-  // Get latest locations for all devices
-  getLatestLocations(limit = 100) {
-    const stmt = this.db.prepare(`
-      SELECT 
-        gl.*,
-        d.name as device_name
-      FROM gps_logs gl
-      LEFT JOIN devices d ON gl.device_id = d.device_id
-      WHERE gl.id IN (
-        SELECT MAX(id)
-        FROM gps_logs
-        GROUP BY device_id
-      )
-      ORDER BY gl.timestamp DESC
-      LIMIT ?
-    `);
-
-    try {
-      return stmt.all(limit);
-    } catch (error) {
-      console.error('Error getting latest locations:', error);
-      throw error;
-    }
+  getActiveDevices(scope = {}) {
+    return this.adapter.getActiveDevices(scope);
   }
 
-  // Get location history for a specific device
-  getDeviceHistory(deviceId, limit = 100) {
-    const stmt = this.db.prepare(`
-      SELECT * FROM gps_logs
-      WHERE device_id = ?
-      ORDER BY timestamp DESC
-      LIMIT ?
-    `);
-
-    try {
-      return stmt.all(deviceId, limit);
-    } catch (error) {
-      console.error('Error getting device history:', error);
-      throw error;
-    }
+  getDevice(deviceId) {
+    return this.adapter.getDevice(deviceId);
   }
 
-  // Get all active devices
-  getActiveDevices() {
-    const stmt = this.db.prepare(`
-      SELECT 
-        d.*,
-        COUNT(gl.id) as total_logs,
-        MAX(gl.timestamp) as last_location_time
-      FROM devices d
-      LEFT JOIN gps_logs gl ON d.device_id = gl.device_id
-      WHERE d.is_active = 1
-      GROUP BY d.device_id
-      ORDER BY d.last_seen DESC
-    `);
-
-    try {
-      return stmt.all();
-    } catch (error) {
-      console.error('Error getting active devices:', error);
-      throw error;
-    }
+  getDeviceByPhone(phoneNumber) {
+    return this.adapter.getDeviceByPhone(phoneNumber);
   }
 
-  // Insert device command
+  updateDevicePhone(deviceId, phoneNumber) {
+    return this.adapter.updateDevicePhone(deviceId, phoneNumber);
+  }
+
+  updateDeviceTimezone(deviceId, timezone) {
+    return this.adapter.updateDeviceTimezone(deviceId, timezone);
+  }
+
+  // Enrollment
+  isDeviceProvisioned(deviceId) {
+    return this.adapter.isDeviceProvisioned(deviceId);
+  }
+
+  provisionDevice(data) {
+    return this.adapter.provisionDevice(data);
+  }
+
+  deprovisionDevice(deviceId) {
+    return this.adapter.deprovisionDevice(deviceId);
+  }
+
+  recordUnknownDevice(data) {
+    return this.adapter.recordUnknownDevice(data);
+  }
+
+  getUnknownDevices(limit = 100) {
+    return this.adapter.getUnknownDevices(limit);
+  }
+
+  // Commands
   insertCommand(data) {
-    const stmt = this.db.prepare(`
-      INSERT INTO device_commands (device_id, command_type, command_text, status)
-      VALUES (?, ?, ?, ?)
-    `);
-
-    try {
-      const result = stmt.run(
-        data.device_id,
-        data.command_type,
-        data.command_text,
-        data.status || 'pending'
-      );
-      return result;
-    } catch (error) {
-      console.error('Error inserting command:', error);
-      throw error;
-    }
+    return this.adapter.insertCommand(data);
   }
 
-  // Update command status
   updateCommandStatus(commandId, status, responseData = null) {
-    const stmt = this.db.prepare(`
-      UPDATE device_commands 
-      SET status = ?, response_data = ?, 
-          sent_at = CASE WHEN status = 'sent' THEN ? ELSE sent_at END,
-          response_received_at = CASE WHEN status = 'completed' THEN ? ELSE response_received_at END
-      WHERE id = ?
-    `);
-
-    try {
-      const now = new Date().toISOString();
-      const result = stmt.run(status, responseData, now, now, commandId);
-      return result;
-    } catch (error) {
-      console.error('Error updating command status:', error);
-      throw error;
-    }
+    return this.adapter.updateCommandStatus(commandId, status, responseData);
   }
 
-  // Get pending commands
-  getPendingCommands(deviceId = null) {
-    let query = `
-      SELECT * FROM device_commands 
-      WHERE status = 'pending'
-    `;
-    let params = [];
+  getPendingCommands(deviceId = null, scope = {}) {
+    return this.adapter.getPendingCommands(deviceId, scope);
+  }
 
-    if (deviceId) {
-      query += ' AND device_id = ?';
-      params.push(deviceId);
-    }
+  findCommandForReply(deviceId, replyCode) {
+    return this.adapter.findCommandForReply(deviceId, replyCode);
+  }
 
-    query += ' ORDER BY created_at ASC';
+  getCommandHistory(deviceId, options = 50) {
+    return this.adapter.getCommandHistory(deviceId, options);
+  }
 
-    const stmt = this.db.prepare(query);
-    try {
-      return stmt.all(...params);
-    } catch (error) {
-      console.error('Error getting pending commands:', error);
-      throw error;
-    }
+  // Cell observations
+  insertCellObservations(data) {
+    return this.adapter.insertCellObservations(data);
   }
 
-  // Get command history for device
-  getCommandHistory(deviceId, limit = 50) {
-    const stmt = this.db.prepare(`
-      SELECT * FROM device_commands
-      WHERE device_id = ?
-      ORDER BY created_at DESC
-      LIMIT ?
-    `);
-
-    try {
-      return stmt.all(deviceId, limit);
-    } catch (error) {
-      console.error('Error getting command history:', error);
-      throw error;
-    }
+  getCellObservations(deviceId, limit = 100) {
+    return this.adapter.getCellObservations(deviceId, limit);
   }
 
-  // Update device phone number
-  updateDevicePhone(deviceId, phoneNumber) {
-    const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO devices (device_id, phone_number, last_seen)
-      VALUES (?, ?, ?)
-    `);
-
-    try {
-      const result = stmt.run(deviceId, phoneNumber, new Date().toISOString());
-      return result;
-    } catch (error) {
-      console.error('Error updating device phone:', error);
-      throw error;
-    }
+  // Retention
+  getDeviceIds(scope = {}) {
+    return this.adapter.getDeviceIds(scope);
   }
 
-  // Get device by phone number
-  getDeviceByPhone(phoneNumber) {
-    const stmt = this.db.prepare(`
-      SELECT * FROM devices WHERE phone_number = ?
-    `);
-
-    try {
-      return stmt.get(phoneNumber);
-    } catch (error) {
-      console.error('Error getting device by phone:', error);
-      throw error;
+  getRetentionPolicy(deviceId) {
+    return this.adapter.getRetentionPolicy(deviceId);
+  }
+
+  getRetentionPolicies(scope = {}) {
+    return this.adapter.getRetentionPolicies(scope);
+  }
+
+  setRetentionPolicy(deviceId, policy) {
+    return this.adapter.setRetentionPolicy(deviceId, policy);
+  }
+
+  deleteRetentionPolicy(deviceId) {
+    return this.adapter.deleteRetentionPolicy(deviceId);
+  }
+
+  getGpsLogDays(deviceId, beforeDay) {
+    return this.adapter.getGpsLogDays(deviceId, beforeDay);
+  }
+
+  getGpsLogsForDay(deviceId, day) {
+    return this.adapter.getGpsLogsForDay(deviceId, day);
+  }
+
+  deleteGpsLogs(deviceId, ids) {
+    return this.adapter.deleteGpsLogs(deviceId, ids);
+  }
+
+  setDownsampledUntil(deviceId, day) {
+    return this.adapter.setDownsampledUntil(deviceId, day);
+  }
+
+  getDailySummary(deviceId, day) {
+    return this.adapter.getDailySummary(deviceId, day);
+  }
+
+  getDailySummaries(deviceId, limit = 100) {
+    return this.adapter.getDailySummaries(deviceId, limit);
+  }
+
+  upsertDailySummary(summary) {
+    return this.adapter.upsertDailySummary(summary);
+  }
+
+  deleteDailySummariesBefore(deviceId, day) {
+    return this.adapter.deleteDailySummariesBefore(deviceId, day);
+  }
+
+  getStorageUsage(deviceId = null, scope = {}) {
+    return this.adapter.getStorageUsage(deviceId, scope);
+  }
+
+  // Trips
+  getGpsLogsBetween(deviceId, from = null, to = null, limit = 10000, after = null) {
+    return this.adapter.getGpsLogsBetween(deviceId, from, to, limit, after);
+  }
+
+  /**
+   * Hand a device's fixes from a time on to visit(row), oldest first
+   * Reads pageSize fixes per query, paging on (timestamp, id) so fixes sharing
+   * a time can't hold the cursor in place.
+   * @param {string} deviceId - Device
+   * @param {string|null} from - Time of the first fix, inclusive; null for all
+   * @param {number} pageSize - Fixes read per query
+   * @param {Function} visit - Called with each fix, and awaited
+   */
+  async eachGpsLogSince(deviceId, from, pageSize, visit) {
+    let after = null;
+
+    for (;;) {
+      const rows = await this.getGpsLogsBetween(deviceId, from, null, pageSize, after);
+      for (const row of rows) {
+        await visit(row);
+      }
+
+      if (rows.length < pageSize) {
+        return;
+      }
+      const last = rows[rows.length - 1];
+      after = { time: last.timestamp, id: last.id };
     }
   }
 
+  saveTrip(trip) {
+    return this.adapter.saveTrip(trip);
+  }
+
+  getTrip(tripId) {
+    return this.adapter.getTrip(tripId);
+  }
+
+  getOpenTrip(deviceId) {
+    return this.adapter.getOpenTrip(deviceId);
+  }
+
+  getTrips(deviceId, limit = 50) {
+    return this.adapter.getTrips(deviceId, limit);
+  }
+
+  deleteTrip(tripId) {
+    return this.adapter.deleteTrip(tripId);
+  }
+
+  saveStop(stop) {
+    return this.adapter.saveStop(stop);
+  }
+
+  getOpenStop(deviceId) {
+    return this.adapter.getOpenStop(deviceId);
+  }
+
+  getStops(deviceId, limit = 50) {
+    return this.adapter.getStops(deviceId, limit);
+  }
+
+  deleteTripsSince(deviceId, from = null) {
+    return this.adapter.deleteTripsSince(deviceId, from);
+  }
+
+  // Odometer
+  recordOdometer(deviceId, odometer) {
+    return this.adapter.recordOdometer(deviceId, odometer);
+  }
+
+  setOdometer(deviceId, km) {
+    return this.adapter.setOdometer(deviceId, km);
+  }
+
+  getOdometerDistances(deviceIds, from, to, scope = {}) {
+    return this.adapter.getOdometerDistances(deviceIds, from, to, scope);
+  }
+
+  getNeighbourFixes(deviceId, timestamp, excludeId = null) {
+    return this.adapter.getNeighbourFixes(deviceId, timestamp, excludeId);
+  }
+
+  // Geofences
+  saveGeofence(fence) {
+    return this.adapter.saveGeofence(fence);
+  }
+
+  getGeofence(geofenceId) {
+    return this.adapter.getGeofence(geofenceId);
+  }
+
+  getGeofences(scope = {}) {
+    return this.adapter.getGeofences(scope);
+  }
+
+  deleteGeofence(geofenceId) {
+    return this.adapter.deleteGeofence(geofenceId);
+  }
+
+  assignGeofence(geofenceId, deviceId) {
+    return this.adapter.assignGeofence(geofenceId, deviceId);
+  }
+
+  unassignGeofence(geofenceId, deviceId) {
+    return this.adapter.unassignGeofence(geofenceId, deviceId);
+  }
+
+  getGeofenceAssignments(geofenceId = null) {
+    return this.adapter.getGeofenceAssignments(geofenceId);
+  }
+
+  getDeviceGeofences(deviceId) {
+    return this.adapter.getDeviceGeofences(deviceId);
+  }
+
+  getGeofenceStates(deviceId) {
+    return this.adapter.getGeofenceStates(deviceId);
+  }
+
+  saveGeofenceEvent(event) {
+    return this.adapter.saveGeofenceEvent(event);
+  }
+
+  getGeofenceEvents(filters = {}) {
+    return this.adapter.getGeofenceEvents(filters);
+  }
+
+  // Rules and events
+  saveRule(rule) {
+    return this.adapter.saveRule(rule);
+  }
+
+  getRule(ruleId) {
+    return this.adapter.getRule(ruleId);
+  }
+
+  getRules(scope = {}) {
+    return this.adapter.getRules(scope);
+  }
+
+  deleteRule(ruleId) {
+    return this.adapter.deleteRule(ruleId);
+  }
+
+  insertEvent(event) {
+    return this.adapter.insertEvent(event);
+  }
+
+  getEvent(eventId) {
+    return this.adapter.getEvent(eventId);
+  }
+
+  getEvents(filters = {}, scope = {}) {
+    return this.adapter.getEvents(filters, scope);
+  }
+
+  getUnresolvedEvents(deviceId) {
+    return this.adapter.getUnresolvedEvents(deviceId);
+  }
+
+  acknowledgeEvent(eventId, by = null, note = null) {
+    return this.adapter.acknowledgeEvent(eventId, by, note);
+  }
+
+  resolveEvent(eventId, by = null, note = null) {
+    return this.adapter.resolveEvent(eventId, by, note);
+  }
+
+  getSilentDevices(before) {
+    return this.adapter.getSilentDevices(before);
+  }
+
+  // Webhooks
+  saveWebhook(webhook) {
+    return this.adapter.saveWebhook(webhook);
+  }
+
+  getWebhook(webhookId) {
+    return this.adapter.getWebhook(webhookId);
+  }
+
+  getWebhooks(scope = {}) {
+    return this.adapter.getWebhooks(scope);
+  }
+
+  deleteWebhook(webhookId) {
+    return this.adapter.deleteWebhook(webhookId);
+  }
+
+  insertWebhookDeliveries(deliveries) {
+    return this.adapter.insertWebhookDeliveries(deliveries);
+  }
+
+  getDueWebhookDeliveries(now, limit = 50) {
+    return this.adapter.getDueWebhookDeliveries(now, limit);
+  }
+
+  recordWebhookAttempt(deliveryId, attempt) {
+    return this.adapter.recordWebhookAttempt(deliveryId, attempt);
+  }
+
+  getWebhookDelivery(deliveryId) {
+    return this.adapter.getWebhookDelivery(deliveryId);
+  }
+
+  getWebhookDeliveries(filters = {}, scope = {}) {
+    return this.adapter.getWebhookDeliveries(filters, scope);
+  }
+
+  retryWebhookDelivery(deliveryId) {
+    return this.adapter.retryWebhookDelivery(deliveryId);
+  }
+
+  // Users and API keys
+  saveUser(user) {
+    return this.adapter.saveUser(user);
+  }
+
+  getUser(userId) {
+    return this.adapter.getUser(userId);
+  }
+
+  getUserByUsername(username) {
+    return this.adapter.getUserByUsername(username);
+  }
+
+  getUsers(scope = {}) {
+    return this.adapter.getUsers(scope);
+  }
+
+  deleteUser(userId) {
+    return this.adapter.deleteUser(userId);
+  }
+
+  recordUserLogin(userId, at) {
+    return this.adapter.recordUserLogin(userId, at);
+  }
+
+  insertApiKey(apiKey) {
+    return this.adapter.insertApiKey(apiKey);
+  }
+
+  getApiKey(keyId) {
+    return this.adapter.getApiKey(keyId);
+  }
+
+  getApiKeyByHash(keyHash) {
+    return this.adapter.getApiKeyByHash(keyHash);
+  }
+
+  getApiKeys(scope = {}) {
+    return this.adapter.getApiKeys(scope);
+  }
+
+  deleteApiKey(keyId) {
+    return this.adapter.deleteApiKey(keyId);
+  }
+
+  recordApiKeyUse(keyId, at) {
+    return this.adapter.recordApiKeyUse(keyId, at);
+  }
+
+  // Organizations and device groups
+  saveOrganization(organization) {
+    return this.adapter.saveOrganization(organization);
+  }
+
+  getOrganization(organizationId) {
+    return this.adapter.getOrganization(organizationId);
+  }
+
+  getOrganizationByName(name) {
+    return this.adapter.getOrganizationByName(name);
+  }
+
+  getOrganizations(scope = {}) {
+    return this.adapter.getOrganizations(scope);
+  }
+
+  deleteOrganization(organizationId) {
+    return this.adapter.deleteOrganization(organizationId);
+  }
+
+  setDeviceOrganization(deviceId, organizationId) {
+    return this.adapter.setDeviceOrganization(deviceId, organizationId);
+  }
+
+  getDeviceOrganizations() {
+    return this.adapter.getDeviceOrganizations();
+  }
+
+  saveDeviceGroup(group) {
+    return this.adapter.saveDeviceGroup(group);
+  }
+
+  getDeviceGroup(groupId) {
+    return this.adapter.getDeviceGroup(groupId);
+  }
+
+  getDeviceGroups(scope = {}) {
+    return this.adapter.getDeviceGroups(scope);
+  }
+
+  // IDs of a group and every group nested under it
+  getDeviceGroupTree(groupId) {
+    return this.adapter.getDeviceGroupTree(groupId);
+  }
+
+  deleteDeviceGroup(groupId) {
+    return this.adapter.deleteDeviceGroup(groupId);
+  }
+
+  addDevicesToGroup(groupId, deviceIds) {
+    return this.adapter.addDevicesToGroup(groupId, deviceIds);
+  }
+
+  removeDeviceFromGroup(groupId, deviceId) {
+    return this.adapter.removeDeviceFromGroup(groupId, deviceId);
+  }
+
+  getDeviceGroupMembers(groupId) {
+    return this.adapter.getDeviceGroupMembers(groupId);
+  }
+
   // Close database connection
   close() {
-    this.db.close();
+    return this.adapter.close();
   }
 }
 
-module.exports = GPSDatabase;
\ No newline at end of file
+module.exports = GPSDatabase;
@@ -0,0 +1,115 @@
+/**
+ * Decoder registry for tracker protocols
+ * Each protocol declares a cheap sniff test and a decode function
+ */
+
+class DecoderRegistry {
+  constructor() {
+    this.decoders = [];
+    this.stats = new Map();
+  }
+
+  /**
+   * Register a protocol decoder. Decoders are sniffed in registration order.
+   * @param {string} name - Unique protocol name
+   * @param {Object} decoder
+   * @param {Function} decoder.sniff - (data) => boolean, must not throw
+   * @param {Function} decoder.decode - (data) => parsed packet or null
+   */
+  register(name, decoder) {
+    if (!name || typeof decoder.sniff !== 'function' || typeof decoder.decode !== 'function') {
+      throw new Error('Decoder requires a name, a sniff function and a decode function');
+    }
+
+    if (this.get(name)) {
+      throw new Error(`Decoder already registered: ${name}`);
+    }
+
+    this.decoders.push({ name: name, sniff: decoder.sniff, decode: decoder.decode });
+    this.stats.set(name, { matched: 0, decoded: 0, failed: 0, rejected: 0 });
+  }
+
+  /**
+   * @param {string} name - Protocol name
+   * @returns {Object|undefined} Registered decoder
+   */
+  get(name) {
+    return this.decoders.find(decoder => decoder.name === name);
+  }
+
+  /**
+   * Find the first decoder whose sniff test accepts the data
+   * @param {string|Buffer} data - Raw frame
+   * @returns {Object|null} Decoder or null if no protocol matches
+   */
+  detect(data) {
+    return this.decoders.find(decoder => this.safeSniff(decoder, data)) || null;
+  }
+
+  /**
+   * Decode a frame, either with a fixed protocol or by sniffing
+   * @param {string|Buffer} data - Raw frame
+   * @param {string|null} format - Protocol already detected for this connection
+   * @returns {Object|null} { format, packet } or null if the frame could not be decoded
+   */
+  decode(data, format = null) {
+    let decoder;
+
+    if (format) {
+      decoder = this.get(format);
+      if (!decoder) {
+        throw new Error(`Unknown decoder: ${format}`);
+      }
+
+      if (!this.safeSniff(decoder, data)) {
+        this.stats.get(format).rejected++;
+        return null;
+      }
+    } else {
+      decoder = this.detect(data);
+      if (!decoder) {
+        return null;
+      }
+    }
+
+    const stats = this.stats.get(decoder.name);
+    stats.matched++;
+
+    let packet = null;
+    try {
+      packet = decoder.decode(data);
+    } catch (error) {
+      console.warn(`Decoder ${decoder.name} threw:`, error);
+    }
+
+    if (packet) {
+      stats.decoded++;
+      return { format: decoder.name, packet: packet };
+    }
+
+    stats.failed++;
+    return null;
+  }
+
+  safeSniff(decoder, data) {
+    try {
+      return Boolean(decoder.sniff(data));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Per-decoder counters
+   * @returns {Object} Map of protocol name to { matched, decoded, failed, rejected }
+   */
+  getStats() {
+    const result = {};
+    this.stats.forEach((stats, name) => {
+      result[name] = { ...stats };
+    });
+    return result;
+  }
+}
+
+module.exports = DecoderRegistry;
@@ -0,0 +1,188 @@
+/**
+ * Stream framing for tracker TCP connections
+ * Reassembles packets that TCP splits across chunks or glues together
+ */
+
+// Binary H02 ('$') packets come in two sizes: the 32 byte position packet, and a
+// 45 byte one that appends the serving cell. Neither has a terminator.
+const BINARY_SHORT_LENGTH = 32;
+const BINARY_LONG_LENGTH = 45;
+
+// A binary packet's '$' and device id, repeated at the start of the device's next one
+const BINARY_HEADER_LENGTH = 6;
+const HQ_START = Buffer.from('*HQ,');
+
+class FrameBuffer {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxFrameSize - Maximum bytes allowed in a single frame
+   */
+  constructor(options = {}) {
+    this.maxFrameSize = options.maxFrameSize || 1024;
+    this.pending = Buffer.alloc(0);
+    this.droppedBytes = 0;
+    // Length of the last binary packet, for when the bytes buffered can't tell
+    this.binaryPacketLength = null;
+  }
+
+  /**
+   * Append a chunk received from the socket and extract every complete frame
+   * @param {Buffer|string} chunk - Data from socket.on('data')
+   * @returns {Buffer[]} Complete frames, in arrival order
+   */
+  push(chunk) {
+    const data = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+    this.pending = Buffer.concat([this.pending, data]);
+
+    const frames = [];
+    let frame;
+
+    while ((frame = this.nextFrame()) !== null) {
+      if (frame.length > 0) {
+        frames.push(frame);
+      }
+    }
+
+    // Discard a partial frame that can no longer become valid
+    if (this.pending.length > this.maxFrameSize) {
+      console.warn(`⚠️  Dropping ${this.pending.length} bytes without a frame terminator`);
+      this.droppedBytes += this.pending.length;
+      this.pending = Buffer.alloc(0);
+    }
+
+    return frames;
+  }
+
+  /**
+   * Remove the next complete frame from the pending buffer
+   * HQ frames keep their '#' terminator; newline terminated frames are trimmed.
+   * Binary frames have no terminator and may contain any byte, so they are cut by length.
+   * @returns {Buffer|null} Frame, or null if no complete frame is buffered
+   */
+  nextFrame() {
+    // Skip separators left between frames
+    let start = 0;
+    while (start < this.pending.length && this.isWhitespace(this.pending[start])) start++;
+    this.pending = this.pending.subarray(start);
+
+    if (this.pending.length > 0 && this.pending[0] === 0x24) { // '$'
+      const length = this.binaryLength();
+      if (length === null) {
+        return null;
+      }
+
+      const frame = this.pending.subarray(0, length);
+      this.pending = this.pending.subarray(length);
+      return frame;
+    }
+
+    const hashIndex = this.pending.indexOf(0x23); // '#'
+    const newlineIndex = this.pending.indexOf(0x0a); // '\n'
+
+    if (hashIndex === -1 && newlineIndex === -1) {
+      return null;
+    }
+
+    let end;
+    let frame;
+
+    if (hashIndex !== -1 && (newlineIndex === -1 || hashIndex < newlineIndex)) {
+      end = hashIndex + 1;
+      frame = this.pending.subarray(0, end);
+    } else {
+      end = newlineIndex + 1;
+      frame = this.pending.subarray(0, newlineIndex);
+    }
+
+    this.pending = this.pending.subarray(end);
+
+    if (frame.length > this.maxFrameSize) {
+      console.warn(`⚠️  Dropping oversized frame (${frame.length} bytes)`);
+      this.droppedBytes += frame.length;
+      return Buffer.alloc(0);
+    }
+
+    return this.trim(frame);
+  }
+
+  /**
+   * Length of the binary packet at the start of the pending buffer
+   * Byte 32 starts the next frame after a short packet and the cell data of a
+   * long one, which may be any byte, so a short packet is only recognised by
+   * a frame following it: the same device's next binary packet, or an HQ text
+   * frame. When nothing after byte 32 is buffered yet, the length this
+   * connection's device sent last is assumed; before the first one, wait.
+   * @returns {number|null} Packet length, or null until enough bytes are buffered to tell
+   */
+  binaryLength() {
+    if (this.pending.length < BINARY_SHORT_LENGTH) {
+      return null;
+    }
+
+    const followed = this.frameStartsAt(BINARY_SHORT_LENGTH);
+    if (followed === true) {
+      this.binaryPacketLength = BINARY_SHORT_LENGTH;
+    } else if (followed === false) {
+      if (this.pending.length < BINARY_LONG_LENGTH) {
+        return null;
+      }
+      this.binaryPacketLength = BINARY_LONG_LENGTH;
+    } else if (this.binaryPacketLength !== BINARY_SHORT_LENGTH) {
+      return null;
+    }
+
+    return this.binaryPacketLength;
+  }
+
+  /**
+   * Whether a frame from the same device starts at an offset, after any line breaks
+   * @param {number} offset - Offset into the pending buffer
+   * @returns {boolean|null} null while too few bytes are buffered to tell
+   */
+  frameStartsAt(offset) {
+    while (offset < this.pending.length && (this.pending[offset] === 0x0d || this.pending[offset] === 0x0a)) offset++;
+
+    const rest = this.pending.subarray(offset);
+    let partial = false;
+
+    for (const start of [this.pending.subarray(0, BINARY_HEADER_LENGTH), HQ_START]) {
+      if (rest.length >= start.length && rest.subarray(0, start.length).equals(start)) {
+        return true;
+      }
+      if (rest.length < start.length && start.subarray(0, rest.length).equals(rest)) {
+        partial = true;
+      }
+    }
+
+    return partial ? null : false;
+  }
+
+  /**
+   * Strip surrounding whitespace and carriage returns from a frame
+   * @param {Buffer} frame
+   * @returns {Buffer}
+   */
+  trim(frame) {
+    let start = 0;
+    let end = frame.length;
+
+    while (start < end && this.isWhitespace(frame[start])) start++;
+    while (end > start && this.isWhitespace(frame[end - 1])) end--;
+
+    return frame.subarray(start, end);
+  }
+
+  isWhitespace(byte) {
+    return byte === 0x20 || byte === 0x09 || byte === 0x0d || byte === 0x0a || byte === 0x00;
+  }
+
+  /**
+   * Number of bytes waiting for a terminator
+   * @returns {number}
+   */
+  get pendingBytes() {
+    return this.pending.length;
+  }
+}
+
+module.exports = FrameBuffer;
@@ -0,0 +1,212 @@
+/**
+ * Geographic helpers for GPS fixes
+ */
+
+const EARTH_RADIUS_KM = 6371.0088;
+const KM_PER_MILE = 1.609344;
+
+// Distance units accepted by the API
+const DISTANCE_UNITS = ['km', 'mi'];
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance between two points
+ * @param {number} lat1 - Latitude of the first point in degrees
+ * @param {number} lon1 - Longitude of the first point in degrees
+ * @param {number} lat2 - Latitude of the second point in degrees
+ * @param {number} lon2 - Longitude of the second point in degrees
+ * @returns {number} Distance in kilometres
+ */
+function haversineKm(lat1, lon1, lat2, lon2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Smallest difference between two headings
+ * @param {number} a - Heading in degrees
+ * @param {number} b - Heading in degrees
+ * @returns {number} Difference in degrees, 0-180
+ */
+function headingDelta(a, b) {
+  const delta = Math.abs((a || 0) - (b || 0)) % 360;
+  return delta > 180 ? 360 - delta : delta;
+}
+
+/**
+ * Whether a stored row is a real GPS fix (not a no-fix packet at 0,0)
+ * @param {Object} row - gps_logs row
+ * @returns {boolean} True if the row has usable coordinates
+ */
+function hasFix(row) {
+  const valid = row.gps_valid === null || row.gps_valid === undefined ? true : Boolean(row.gps_valid);
+  return valid && !(row.lat === 0 && row.lon === 0);
+}
+
+/**
+ * Convert kilometres to a distance unit
+ * @param {number} km - Distance in kilometres
+ * @param {string} unit - 'km' or 'mi'
+ * @returns {number} Distance in the unit, rounded to metres
+ */
+function convertDistance(km, unit = 'km') {
+  const value = unit === 'mi' ? km / KM_PER_MILE : km;
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Convert a distance in a unit to kilometres
+ * @param {number} value - Distance
+ * @param {string} unit - 'km' or 'mi'
+ * @returns {number} Distance in kilometres
+ */
+function toKilometres(value, unit = 'km') {
+  return unit === 'mi' ? value * KM_PER_MILE : value;
+}
+
+/**
+ * Box around a circle on the earth's surface
+ * @param {number} lat - Centre latitude in degrees
+ * @param {number} lon - Centre longitude in degrees
+ * @param {number} radiusM - Radius in metres
+ * @returns {Object} { north, south, east, west }; west is greater than east
+ *   when the box crosses the antimeridian
+ */
+function boundingBox(lat, lon, radiusM) {
+  const angle = radiusM / 1000 / EARTH_RADIUS_KM;
+  const dLat = angle * 180 / Math.PI;
+  const north = Math.min(90, lat + dLat);
+  const south = Math.max(-90, lat - dLat);
+
+  // Near a pole, or wide enough, the circle covers every longitude
+  if (north === 90 || south === -90 || angle >= Math.PI / 2) {
+    return { north, south, east: 180, west: -180 };
+  }
+  const dLon = Math.asin(Math.min(1, Math.sin(angle) / Math.cos(toRadians(lat)))) * 180 / Math.PI;
+  if (dLon >= 180) {
+    return { north, south, east: 180, west: -180 };
+  }
+
+  let west = lon - dLon;
+  let east = lon + dLon;
+  if (west < -180) {
+    west += 360;
+  }
+  if (east > 180) {
+    east -= 360;
+  }
+  return { north, south, east, west };
+}
+
+/**
+ * Longitude ranges a box covers, split in two where it crosses the antimeridian
+ * @param {Object} bounds - { east, west } in degrees
+ * @returns {Array} [[west, east]] or [[west, 180], [-180, east]]
+ */
+function lonRanges({ east, west }) {
+  return west <= east ? [[west, east]] : [[west, 180], [-180, east]];
+}
+
+/**
+ * Check area query parameters: a box (north, south, east, west) or a circle
+ * (lat, lon, radius_m)
+ * @param {Object} params - Query parameters
+ * @param {Object} options - { required: 'bounds'|'circle'|'point'|'any' } to demand
+ *   one kind; 'point' is a circle whose radius_m may be left out
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateArea(params = {}, options = {}) {
+  const required = options.required || 'any';
+  const present = (name) => params[name] !== undefined && params[name] !== '';
+  const edges = ['north', 'south', 'east', 'west'];
+  const isBox = edges.some(present);
+  const isCircle = ['lat', 'lon', 'radius_m'].some(present);
+
+  if (isBox && isCircle) {
+    return 'Give either a box (north, south, east, west) or a circle (lat, lon, radius_m), not both';
+  }
+
+  if (required === 'bounds' || (required === 'any' && isBox)) {
+    if (!edges.every(present)) {
+      return 'Missing required parameters: north, south, east, west';
+    }
+    const [north, south, east, west] = edges.map(edge => Number(params[edge]));
+    if ([north, south].some(value => !Number.isFinite(value) || Math.abs(value) > 90) ||
+      [east, west].some(value => !Number.isFinite(value) || Math.abs(value) > 180)) {
+      return 'north and south must be latitudes, east and west longitudes';
+    }
+    if (south > north) {
+      return 'south must not be greater than north';
+    }
+    return null;
+  }
+
+  if (required === 'circle' || required === 'point' || isCircle) {
+    if (!present('lat') || !present('lon')) {
+      return 'Missing required parameters: lat, lon';
+    }
+    const lat = Number(params.lat);
+    const lon = Number(params.lon);
+    if (!Number.isFinite(lat) || Math.abs(lat) > 90 || !Number.isFinite(lon) || Math.abs(lon) > 180) {
+      return 'lat and lon must be a valid latitude and longitude';
+    }
+    if (required !== 'point' && !present('radius_m')) {
+      return 'Missing required parameter: radius_m';
+    }
+    if (present('radius_m') && !(Number(params.radius_m) > 0)) {
+      return 'radius_m must be a positive number of metres';
+    }
+    return null;
+  }
+
+  return 'Give a box (north, south, east, west) or a circle (lat, lon, radius_m)';
+}
+
+/**
+ * Area from validated parameters
+ * @param {Object} params - As accepted by validateArea()
+ * @returns {Object} { bounds } for a box, or { lat, lon, radiusM, bounds } for a
+ *   circle, where bounds is the box around it (radiusM null when not given)
+ */
+function toArea(params) {
+  if (params.north !== undefined && params.north !== '') {
+    return {
+      bounds: {
+        north: Number(params.north),
+        south: Number(params.south),
+        east: Number(params.east),
+        west: Number(params.west)
+      }
+    };
+  }
+
+  const lat = Number(params.lat);
+  const lon = Number(params.lon);
+  const radiusM = params.radius_m !== undefined && params.radius_m !== '' ? Number(params.radius_m) : null;
+  return {
+    lat: lat,
+    lon: lon,
+    radiusM: radiusM,
+    bounds: radiusM !== null ? boundingBox(lat, lon, radiusM) : null
+  };
+}
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  KM_PER_MILE,
+  DISTANCE_UNITS,
+  haversineKm,
+  convertDistance,
+  toKilometres,
+  headingDelta,
+  hasFix,
+  boundingBox,
+  lonRanges,
+  validateArea,
+  toArea
+};
@@ -0,0 +1,378 @@
+const EventEmitter = require('events');
+const GPSDatabase = require('./database');
+const { haversineKm, hasFix } = require('./geo');
+const { parseUtc } = require('./timezone');
+require('dotenv').config();
+
+const METRES_PER_DEGREE = 111320;
+const FENCE_TYPES = ['circle', 'polygon'];
+const EVENT_TYPES = ['enter', 'exit', 'dwell'];
+const MAX_POLYGON_POINTS = 1000;
+// Fences covering more grid cells than this are checked for every fix instead
+const MAX_FENCE_CELLS = 256;
+
+/**
+ * Raises enter, exit and dwell events as devices cross the geofences assigned
+ * to them.
+ *
+ * Fences are kept in memory in a grid of cellSize-degree cells, so a fix is
+ * only tested against the few fences whose bounding box covers its cell. The
+ * fences are read again every reloadInterval, or at once after invalidate().
+ * A dwell event is raised once per visit, when a device has been inside a fence
+ * for the fence's dwell_minutes. Fixes older than the last one evaluated for a
+ * device (blind-area uploads) don't raise events.
+ *
+ * Emits 'event' with each stored event.
+ */
+class GeofenceService extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.db = options.db || new GPSDatabase();
+    this.cellSize = options.cellSize || 0.1;
+    this.reloadInterval = (options.reloadSeconds || parseFloat(process.env.GEOFENCE_RELOAD_SECONDS) || 60) * 1000;
+
+    this.index = null; // Fences and assignments, see buildIndex()
+    this.loadedAt = 0;
+    this.loading = null;
+    this.states = new Map(); // Fences each device is inside
+    this.chains = new Map(); // Work queued per device, run in order
+  }
+
+  /**
+   * Check a geofence from the API
+   * @param {Object} input - { name, type, center: { latitude, longitude }, radius_m }
+   *   or { name, type, points: [{ latitude, longitude }, ...] }, with dwell_minutes
+   * @returns {string|null} Error message, or null when valid
+   */
+  static validateFence(input) {
+    if (!input || typeof input.name !== 'string' || !input.name.trim()) {
+      return 'name is required';
+    }
+    if (!FENCE_TYPES.includes(input.type)) {
+      return `type must be one of: ${FENCE_TYPES.join(', ')}`;
+    }
+
+    if (input.type === 'circle') {
+      if (!input.center || !isPosition(input.center)) {
+        return 'center must have a valid latitude and longitude';
+      }
+      if (typeof input.radius_m !== 'number' || !(input.radius_m > 0)) {
+        return 'radius_m must be a positive number of metres';
+      }
+    } else {
+      if (!Array.isArray(input.points) || input.points.length < 3 || input.points.length > MAX_POLYGON_POINTS) {
+        return `points must list 3 to ${MAX_POLYGON_POINTS} positions`;
+      }
+      if (!input.points.every(isPosition)) {
+        return 'every point must have a valid latitude and longitude';
+      }
+    }
+
+    const dwell = input.dwell_minutes;
+    if (dwell !== null && dwell !== undefined && (!Number.isInteger(dwell) || dwell <= 0)) {
+      return 'dwell_minutes must be a positive whole number';
+    }
+
+    return null;
+  }
+
+  /**
+   * Geofence row for storage from validated API input
+   * @param {Object} input - Fence as accepted by validateFence()
+   * @returns {Object} Row with its bounding box
+   */
+  static toRow(input) {
+    const row = {
+      name: input.name.trim(),
+      type: input.type,
+      dwell_minutes: input.dwell_minutes || null
+    };
+
+    if (input.type === 'circle') {
+      const { latitude, longitude } = input.center;
+      const dLat = input.radius_m / METRES_PER_DEGREE;
+      const dLon = input.radius_m / (METRES_PER_DEGREE * Math.max(Math.cos(latitude * Math.PI / 180), 0.01));
+      Object.assign(row, {
+        center_lat: latitude,
+        center_lon: longitude,
+        radius_m: input.radius_m,
+        min_lat: Math.max(latitude - dLat, -90),
+        max_lat: Math.min(latitude + dLat, 90),
+        min_lon: Math.max(longitude - dLon, -180),
+        max_lon: Math.min(longitude + dLon, 180)
+      });
+    } else {
+      const lats = input.points.map(point => point.latitude);
+      const lons = input.points.map(point => point.longitude);
+      Object.assign(row, {
+        polygon: input.points.map(point => [point.latitude, point.longitude]),
+        min_lat: Math.min(...lats),
+        max_lat: Math.max(...lats),
+        min_lon: Math.min(...lons),
+        max_lon: Math.max(...lons)
+      });
+    }
+
+    return row;
+  }
+
+  /**
+   * Evaluate a stored fix against the device's geofences
+   * @param {Object} row - gps_logs row (or parsed data with its stored id)
+   * @returns {Promise<Array>} Events raised; never rejects
+   */
+  addPoint(row) {
+    return this.enqueue(row.device_id, () => this.handlePoint(row))
+      .catch(error => {
+        console.error(`❌ Geofence evaluation failed for ${row.device_id}:`, error);
+        return [];
+      });
+  }
+
+  // Read fences and assignments again before the next fix
+  invalidate() {
+    this.loadedAt = 0;
+  }
+
+  // Run a task after the device's earlier ones; a failure doesn't stop later tasks
+  enqueue(deviceId, task) {
+    const previous = this.chains.get(deviceId) || Promise.resolve();
+    const run = previous.then(task);
+    const settled = run.catch(() => {});
+
+    this.chains.set(deviceId, settled);
+    settled.then(() => {
+      if (this.chains.get(deviceId) === settled) {
+        this.chains.delete(deviceId);
+      }
+    });
+
+    return run;
+  }
+
+  async handlePoint(row) {
+    const point = toPoint(row);
+    if (!point) {
+      return []; // No GPS fix
+    }
+
+    const index = await this.getIndex();
+    const state = await this.loadState(row.device_id);
+
+    if (point.time <= state.lastTime) {
+      return [];
+    }
+    state.lastTime = point.time;
+
+    const assigned = index.byDevice.get(row.device_id);
+    if (!assigned && state.inside.size === 0) {
+      return [];
+    }
+
+    const inside = new Set(this.candidates(index, point)
+      .filter(id => assigned && assigned.has(id) && contains(index.fences.get(id), point)));
+    const events = [];
+
+    for (const [id, visit] of state.inside) {
+      const fence = index.fences.get(id);
+      if (!fence || !assigned || !assigned.has(id)) {
+        // Deleted or unassigned since the device entered it
+        state.inside.delete(id);
+      } else if (!inside.has(id)) {
+        events.push(await this.raise(state, fence, 'exit', point, (point.time - visit.enteredAt) / 1000));
+      } else if (fence.dwell_minutes && !visit.dwellNotified &&
+          point.time - visit.enteredAt >= fence.dwell_minutes * 60 * 1000) {
+        events.push(await this.raise(state, fence, 'dwell', point, (point.time - visit.enteredAt) / 1000));
+      }
+    }
+
+    for (const id of inside) {
+      if (!state.inside.has(id)) {
+        events.push(await this.raise(state, index.fences.get(id), 'enter', point));
+      }
+    }
+
+    return events;
+  }
+
+  // Store an event and apply it to the device's state
+  async raise(state, fence, type, point, durationS = null) {
+    const event = {
+      device_id: state.deviceId,
+      geofence_id: fence.id,
+      event_type: type,
+      timestamp: point.timestamp,
+      lat: point.lat,
+      lon: point.lon,
+      gps_log_id: point.id,
+      duration_s: durationS === null ? null : Math.round(durationS)
+    };
+    const result = await this.db.saveGeofenceEvent(event);
+    event.id = result.lastInsertRowid;
+    event.geofence_name = fence.name;
+
+    if (type === 'enter') {
+      state.inside.set(fence.id, { enteredAt: point.time, dwellNotified: false });
+    } else if (type === 'exit') {
+      state.inside.delete(fence.id);
+    } else {
+      state.inside.get(fence.id).dwellNotified = true;
+    }
+
+    const verb = { enter: 'entered', exit: 'left', dwell: 'is dwelling in' }[type];
+    console.log(`📍 ${state.deviceId} ${verb} geofence "${fence.name}"`);
+    this.emit('event', event);
+    return event;
+  }
+
+  // Fences a device is inside, picking up where it was after a restart
+  async loadState(deviceId) {
+    if (this.states.has(deviceId)) {
+      return this.states.get(deviceId);
+    }
+
+    const state = { deviceId: deviceId, inside: new Map(), lastTime: 0 };
+    (await this.db.getGeofenceStates(deviceId)).forEach(row => {
+      state.inside.set(Number(row.geofence_id), {
+        enteredAt: parseUtc(row.entered_at).getTime(),
+        dwellNotified: Boolean(row.dwell_notified)
+      });
+    });
+
+    this.states.set(deviceId, state);
+    return state;
+  }
+
+  // Fences and assignments, read again when stale
+  async getIndex() {
+    if (this.index && Date.now() - this.loadedAt < this.reloadInterval) {
+      return this.index;
+    }
+
+    if (!this.loading) {
+      const loadedAt = Date.now();
+      this.loading = Promise.all([this.db.getGeofences(), this.db.getGeofenceAssignments()])
+        .then(([fences, assignments]) => {
+          this.index = this.buildIndex(fences, assignments);
+          this.loadedAt = loadedAt;
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+
+    await this.loading;
+    return this.index;
+  }
+
+  buildIndex(fences, assignments) {
+    const index = {
+      fences: new Map(), // Fence by ID
+      cells: new Map(), // Grid cell key -> IDs of fences whose box covers it
+      large: [], // IDs of fences too large for the grid
+      byDevice: new Map() // Device ID -> IDs of its fences
+    };
+
+    fences.forEach(row => {
+      const fence = {
+        ...row,
+        id: Number(row.id),
+        polygon: row.polygon ? JSON.parse(row.polygon) : null
+      };
+      index.fences.set(fence.id, fence);
+
+      const height = this.cell(fence.max_lat) - this.cell(fence.min_lat) + 1;
+      const width = this.cell(fence.max_lon) - this.cell(fence.min_lon) + 1;
+      if (height * width > MAX_FENCE_CELLS) {
+        index.large.push(fence.id);
+        return;
+      }
+
+      for (let lat = this.cell(fence.min_lat); lat <= this.cell(fence.max_lat); lat++) {
+        for (let lon = this.cell(fence.min_lon); lon <= this.cell(fence.max_lon); lon++) {
+          const key = `${lat}:${lon}`;
+          if (!index.cells.has(key)) {
+            index.cells.set(key, []);
+          }
+          index.cells.get(key).push(fence.id);
+        }
+      }
+    });
+
+    assignments.forEach(({ geofence_id, device_id }) => {
+      if (!index.byDevice.has(device_id)) {
+        index.byDevice.set(device_id, new Set());
+      }
+      index.byDevice.get(device_id).add(Number(geofence_id));
+    });
+
+    return index;
+  }
+
+  cell(degrees) {
+    return Math.floor(degrees / this.cellSize);
+  }
+
+  // IDs of fences that may contain a fix
+  candidates(index, point) {
+    const cell = index.cells.get(`${this.cell(point.lat)}:${this.cell(point.lon)}`) || [];
+    return index.large.length ? cell.concat(index.large) : cell;
+  }
+
+  // Finish queued evaluations
+  async close() {
+    await Promise.all([...this.chains.values()]);
+  }
+}
+
+GeofenceService.FENCE_TYPES = FENCE_TYPES;
+GeofenceService.EVENT_TYPES = EVENT_TYPES;
+
+// Whether a geofence contains a fix
+function contains(fence, point) {
+  if (point.lat < fence.min_lat || point.lat > fence.max_lat ||
+      point.lon < fence.min_lon || point.lon > fence.max_lon) {
+    return false;
+  }
+
+  if (fence.type === 'circle') {
+    return haversineKm(fence.center_lat, fence.center_lon, point.lat, point.lon) * 1000 <= fence.radius_m;
+  }
+
+  // Ray casting; edges are short enough to treat as straight in degrees
+  const polygon = fence.polygon;
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lonI] = polygon[i];
+    const [latJ, lonJ] = polygon[j];
+    if ((latI > point.lat) !== (latJ > point.lat) &&
+        point.lon < (lonJ - lonI) * (point.lat - latI) / (latJ - latI) + lonI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function isPosition(value) {
+  return Boolean(value) &&
+    typeof value.latitude === 'number' && value.latitude >= -90 && value.latitude <= 90 &&
+    typeof value.longitude === 'number' && value.longitude >= -180 && value.longitude <= 180;
+}
+
+// Fix used for evaluation, or null for packets without a position
+function toPoint(row) {
+  const time = parseUtc(row.timestamp);
+  if (!time || !hasFix(row)) {
+    return null;
+  }
+
+  return {
+    id: Number(row.id),
+    timestamp: time.toISOString(),
+    time: time.getTime(),
+    lat: row.lat,
+    lon: row.lon
+  };
+}
+
+module.exports = GeofenceService;
@@ -17,7 +17,7 @@ class ST900GPSTrackerSystem {
       // Start TCP server for GPS trackers
       console.log('📡 Initializing TCP server for GPS trackers...');
       this.tcpServer = new GPSTrackerServer();
-      this.tcpServer.start();
+      await this.tcpServer.start();
       
       // Wait a moment for TCP server to initialize
       await new Promise(resolve => setTimeout(resolve, 1000));
@@ -25,7 +25,8 @@ class ST900GPSTrackerSystem {
       // Start HTTP API server
       console.log('🌐 Initializing HTTP API server...');
       this.apiServer = new GPSTrackerAPI();
-      this.apiServer.start();
+      this.apiServer.attachTcpServer(this.tcpServer);
+      await this.apiServer.start();
       
       console.log('=' .repeat(50));
       console.log('✅ ST-900 GPS Tracker System is fully operational!');
@@ -61,13 +62,13 @@ class ST900GPSTrackerSystem {
         // Shutdown TCP server
         if (this.tcpServer) {
           console.log('🔄 Shutting down TCP server...');
-          this.tcpServer.shutdown();
+          await this.tcpServer.shutdown();
         }
         
         // Shutdown API server
         if (this.apiServer) {
           console.log('🔄 Shutting down HTTP API server...');
-          this.apiServer.shutdown();
+          await this.apiServer.shutdown();
         }
         
         console.log('✅ ST-900 GPS Tracker System shutdown complete');
@@ -0,0 +1,141 @@
+const EventEmitter = require('events');
+
+/**
+ * Batched write path for GPS fixes
+ * Collects fixes from all connections and writes them in one transaction per
+ * batch. Each enqueue() resolves only after its batch has committed.
+ *
+ * Events:
+ *   'full'  - pending fixes reached maxPending; stop reading from sockets
+ *   'drain' - pending fixes fell back to half of maxPending
+ */
+class IngestQueue extends EventEmitter {
+  /**
+   * @param {Object} db - GPSDatabase, or anything with insertGpsLogs(batch)
+   * @param {Object} options
+   * @param {number} options.batchSize - Fixes written per transaction
+   * @param {number} options.flushInterval - Milliseconds a fix may wait for its batch to fill
+   * @param {number} options.maxPending - Queued fixes at which 'full' is emitted
+   */
+  constructor(db, options = {}) {
+    super();
+    this.db = db;
+    this.batchSize = options.batchSize || 200;
+    this.flushInterval = options.flushInterval ?? 50;
+    this.maxPending = options.maxPending || 5000;
+
+    this.queue = [];
+    this.timer = null;
+    this.flushing = null;
+    this.full = false;
+    this.stats = { batches: 0, committed: 0, failed: 0 };
+  }
+
+  /**
+   * Queue a fix for the next batch
+   * @param {Object} data - Parsed GPS packet
+   * @returns {Promise<Object>} Insert result, once committed
+   */
+  enqueue(data) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ data, resolve, reject });
+
+      if (!this.full && this.queue.length >= this.maxPending) {
+        this.full = true;
+        this.emit('full');
+      }
+
+      if (this.queue.length >= this.batchSize) {
+        this.flush();
+      } else if (!this.timer) {
+        this.timer = setTimeout(() => this.flush(), this.flushInterval);
+      }
+    });
+  }
+
+  get pending() {
+    return this.queue.length;
+  }
+
+  get isFull() {
+    return this.full;
+  }
+
+  /**
+   * Write queued fixes, one batch at a time, until the queue is empty
+   * @returns {Promise<void>} Resolves when everything queued so far is committed
+   */
+  flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    if (!this.flushing) {
+      this.flushing = this.drainQueue().finally(() => {
+        this.flushing = null;
+        // Fixes queued while the last batch was settling
+        if (this.queue.length > 0 && !this.timer) {
+          this.timer = setTimeout(() => this.flush(), this.flushInterval);
+        }
+      });
+    }
+
+    return this.flushing;
+  }
+
+  async drainQueue() {
+    while (this.queue.length > 0) {
+      const batch = this.queue.splice(0, this.batchSize);
+      await this.writeBatch(batch);
+
+      if (this.full && this.queue.length <= this.maxPending / 2) {
+        this.full = false;
+        this.emit('drain');
+      }
+    }
+  }
+
+  async writeBatch(batch) {
+    let results;
+
+    try {
+      results = await this.db.insertGpsLogs(batch.map(entry => entry.data));
+    } catch (error) {
+      // Nothing in the batch was committed
+      this.stats.failed += batch.length;
+      batch.forEach(entry => entry.reject(error));
+      return;
+    }
+
+    this.stats.batches++;
+    batch.forEach((entry, index) => {
+      const result = results[index];
+      if (result && result.error) {
+        this.stats.failed++;
+        entry.reject(result.error);
+      } else {
+        this.stats.committed++;
+        entry.resolve(result);
+      }
+    });
+  }
+
+  getStats() {
+    return {
+      pending: this.queue.length,
+      full: this.full,
+      batchSize: this.batchSize,
+      flushInterval: this.flushInterval,
+      maxPending: this.maxPending,
+      ...this.stats
+    };
+  }
+
+  // Commit everything still queued
+  async close() {
+    await this.flush();
+  }
+}
+
+module.exports = IngestQueue;
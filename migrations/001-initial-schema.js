@@ -0,0 +1,259 @@
+/**
+ * Baseline schema, as created before versioned migrations existed.
+ * Uses IF NOT EXISTS and column checks so databases created by older
+ * versions are adopted in place.
+ */
+
+// Add any missing columns to an existing SQLite table
+function ensureColumns(db, table, columns) {
+  const existing = db.prepare(`PRAGMA table_info(${table})`).all()
+    .map(column => column.name);
+
+  Object.entries(columns).forEach(([name, definition]) => {
+    if (!existing.includes(name)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+      console.log(`Added column ${table}.${name}`);
+    }
+  });
+}
+
+module.exports = {
+  description: 'GPS logs, devices, commands, cell observations and unknown devices',
+
+  sqlite(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS gps_logs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        device_id TEXT NOT NULL,
+        lat REAL NOT NULL,
+        lon REAL NOT NULL,
+        speed REAL DEFAULT 0,
+        altitude REAL DEFAULT 0,
+        heading REAL DEFAULT 0,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        raw_data TEXT,
+        packet_type TEXT DEFAULT 'location',
+        status_word TEXT,
+        status_flags TEXT,
+        alarms TEXT,
+        ignition BOOLEAN,
+        gps_valid BOOLEAN DEFAULT 1,
+        mcc INTEGER,
+        mnc INTEGER,
+        lac INTEGER,
+        cell_id INTEGER,
+        is_backfill BOOLEAN DEFAULT 0,
+        received_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS devices (
+        device_id TEXT PRIMARY KEY,
+        name TEXT,
+        phone_number TEXT,
+        last_seen DATETIME,
+        is_active BOOLEAN DEFAULT 1,
+        timezone TEXT,
+        last_log_id INTEGER,
+        last_fix_time DATETIME,
+        provisioned BOOLEAN DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS device_commands (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        device_id TEXT NOT NULL,
+        command_type TEXT NOT NULL,
+        command_text TEXT NOT NULL,
+        reply_code TEXT,
+        channel TEXT DEFAULT 'sms',
+        status TEXT DEFAULT 'pending',
+        sent_at DATETIME,
+        response_received_at DATETIME,
+        response_data TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (device_id) REFERENCES devices(device_id)
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS cell_observations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        device_id TEXT NOT NULL,
+        mcc INTEGER,
+        mnc INTEGER,
+        lac INTEGER,
+        cell_id INTEGER,
+        rssi INTEGER,
+        timing_advance INTEGER,
+        observed_at DATETIME,
+        raw_data TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (device_id) REFERENCES devices(device_id)
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS unknown_devices (
+        device_id TEXT PRIMARY KEY,
+        remote_address TEXT,
+        action TEXT,
+        attempts INTEGER DEFAULT 1,
+        last_raw_data TEXT,
+        first_seen DATETIME,
+        last_seen DATETIME
+      )
+    `);
+
+    // Columns added by releases that predate migrations
+    ensureColumns(db, 'gps_logs', {
+      packet_type: "TEXT DEFAULT 'location'",
+      status_word: 'TEXT',
+      status_flags: 'TEXT',
+      alarms: 'TEXT',
+      ignition: 'BOOLEAN',
+      gps_valid: 'BOOLEAN DEFAULT 1',
+      mcc: 'INTEGER',
+      mnc: 'INTEGER',
+      lac: 'INTEGER',
+      cell_id: 'INTEGER',
+      is_backfill: 'BOOLEAN DEFAULT 0',
+      received_at: 'DATETIME'
+    });
+    ensureColumns(db, 'devices', {
+      phone_number: 'TEXT',
+      timezone: 'TEXT',
+      last_log_id: 'INTEGER',
+      last_fix_time: 'DATETIME',
+      provisioned: 'BOOLEAN DEFAULT 0'
+    });
+    ensureColumns(db, 'device_commands', {
+      reply_code: 'TEXT',
+      channel: "TEXT DEFAULT 'sms'"
+    });
+
+    [
+      'CREATE INDEX IF NOT EXISTS idx_gps_logs_device_id ON gps_logs(device_id)',
+      'CREATE INDEX IF NOT EXISTS idx_gps_logs_timestamp ON gps_logs(timestamp)',
+      'CREATE INDEX IF NOT EXISTS idx_gps_logs_device_timestamp ON gps_logs(device_id, timestamp)',
+      'CREATE INDEX IF NOT EXISTS idx_devices_last_seen ON devices(last_seen)',
+      'CREATE INDEX IF NOT EXISTS idx_commands_device_id ON device_commands(device_id)',
+      'CREATE INDEX IF NOT EXISTS idx_commands_status ON device_commands(status)',
+      'CREATE INDEX IF NOT EXISTS idx_commands_created_at ON device_commands(created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_cell_observations_device_id ON cell_observations(device_id, observed_at)'
+    ].forEach(statement => db.exec(statement));
+
+    // Point devices from older versions at their newest fix
+    db.exec(`
+      UPDATE devices SET
+        last_log_id = (
+          SELECT id FROM gps_logs WHERE gps_logs.device_id = devices.device_id
+          ORDER BY timestamp DESC, id DESC LIMIT 1
+        ),
+        last_fix_time = (
+          SELECT MAX(timestamp) FROM gps_logs WHERE gps_logs.device_id = devices.device_id
+        )
+      WHERE last_log_id IS NULL
+    `);
+  },
+
+  async postgres(client) {
+    const statements = [
+      'CREATE EXTENSION IF NOT EXISTS postgis',
+
+      `CREATE TABLE IF NOT EXISTS devices (
+        device_id TEXT PRIMARY KEY,
+        name TEXT,
+        phone_number TEXT,
+        last_seen TIMESTAMPTZ,
+        is_active BOOLEAN DEFAULT TRUE,
+        timezone TEXT,
+        last_log_id BIGINT,
+        last_fix_time TIMESTAMPTZ,
+        provisioned BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMPTZ DEFAULT now()
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS gps_logs (
+        id BIGSERIAL PRIMARY KEY,
+        device_id TEXT NOT NULL,
+        lat DOUBLE PRECISION NOT NULL,
+        lon DOUBLE PRECISION NOT NULL,
+        geom geometry(Point, 4326),
+        speed DOUBLE PRECISION DEFAULT 0,
+        altitude DOUBLE PRECISION DEFAULT 0,
+        heading DOUBLE PRECISION DEFAULT 0,
+        timestamp TIMESTAMPTZ DEFAULT now(),
+        raw_data TEXT,
+        packet_type TEXT DEFAULT 'location',
+        status_word TEXT,
+        status_flags TEXT,
+        alarms TEXT,
+        ignition BOOLEAN,
+        gps_valid BOOLEAN DEFAULT TRUE,
+        mcc INTEGER,
+        mnc INTEGER,
+        lac INTEGER,
+        cell_id INTEGER,
+        is_backfill BOOLEAN DEFAULT FALSE,
+        received_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT now()
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS device_commands (
+        id BIGSERIAL PRIMARY KEY,
+        device_id TEXT NOT NULL REFERENCES devices(device_id),
+        command_type TEXT NOT NULL,
+        command_text TEXT NOT NULL,
+        reply_code TEXT,
+        channel TEXT DEFAULT 'sms',
+        status TEXT DEFAULT 'pending',
+        sent_at TIMESTAMPTZ,
+        response_received_at TIMESTAMPTZ,
+        response_data TEXT,
+        created_at TIMESTAMPTZ DEFAULT now()
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS cell_observations (
+        id BIGSERIAL PRIMARY KEY,
+        device_id TEXT NOT NULL REFERENCES devices(device_id),
+        mcc INTEGER,
+        mnc INTEGER,
+        lac INTEGER,
+        cell_id INTEGER,
+        rssi INTEGER,
+        timing_advance INTEGER,
+        observed_at TIMESTAMPTZ,
+        raw_data TEXT,
+        created_at TIMESTAMPTZ DEFAULT now()
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS unknown_devices (
+        device_id TEXT PRIMARY KEY,
+        remote_address TEXT,
+        action TEXT,
+        attempts INTEGER DEFAULT 1,
+        last_raw_data TEXT,
+        first_seen TIMESTAMPTZ,
+        last_seen TIMESTAMPTZ
+      )`,
+
+      'CREATE INDEX IF NOT EXISTS idx_gps_logs_device_timestamp ON gps_logs(device_id, timestamp)',
+      'CREATE INDEX IF NOT EXISTS idx_gps_logs_timestamp ON gps_logs(timestamp)',
+      'CREATE INDEX IF NOT EXISTS idx_gps_logs_geom ON gps_logs USING GIST (geom)',
+      'CREATE INDEX IF NOT EXISTS idx_devices_last_seen ON devices(last_seen)',
+      'CREATE INDEX IF NOT EXISTS idx_commands_device_id ON device_commands(device_id)',
+      'CREATE INDEX IF NOT EXISTS idx_commands_status ON device_commands(status)',
+      'CREATE INDEX IF NOT EXISTS idx_commands_created_at ON device_commands(created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_cell_observations_device_id ON cell_observations(device_id, observed_at)'
+    ];
+
+    for (const statement of statements) {
+      await client.query(statement);
+    }
+  }
+};
@@ -0,0 +1,77 @@
+/**
+ * Retention: per-device policy overrides, daily summaries of GPS logs,
+ * and a per-device mark of how far downsampling has progressed.
+ */
+
+module.exports = {
+  description: 'Retention policies, daily summaries and downsampling progress',
+
+  sqlite(db) {
+    db.exec(`
+      CREATE TABLE retention_policies (
+        device_id TEXT PRIMARY KEY,
+        raw_days INTEGER,
+        downsampled_days INTEGER,
+        summary_days INTEGER,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (device_id) REFERENCES devices(device_id)
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE daily_summaries (
+        device_id TEXT NOT NULL,
+        day TEXT NOT NULL,
+        points INTEGER NOT NULL,
+        distance_km REAL DEFAULT 0,
+        max_speed REAL DEFAULT 0,
+        avg_speed REAL DEFAULT 0,
+        first_fix_time DATETIME,
+        last_fix_time DATETIME,
+        min_lat REAL,
+        max_lat REAL,
+        min_lon REAL,
+        max_lon REAL,
+        alarm_count INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (device_id, day)
+      )
+    `);
+
+    db.exec('ALTER TABLE devices ADD COLUMN downsampled_until TEXT');
+  },
+
+  async postgres(client) {
+    await client.query(`
+      CREATE TABLE retention_policies (
+        device_id TEXT PRIMARY KEY REFERENCES devices(device_id),
+        raw_days INTEGER,
+        downsampled_days INTEGER,
+        summary_days INTEGER,
+        updated_at TIMESTAMPTZ DEFAULT now()
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE daily_summaries (
+        device_id TEXT NOT NULL,
+        day DATE NOT NULL,
+        points INTEGER NOT NULL,
+        distance_km DOUBLE PRECISION DEFAULT 0,
+        max_speed DOUBLE PRECISION DEFAULT 0,
+        avg_speed DOUBLE PRECISION DEFAULT 0,
+        first_fix_time TIMESTAMPTZ,
+        last_fix_time TIMESTAMPTZ,
+        min_lat DOUBLE PRECISION,
+        max_lat DOUBLE PRECISION,
+        min_lon DOUBLE PRECISION,
+        max_lon DOUBLE PRECISION,
+        alarm_count INTEGER DEFAULT 0,
+        created_at TIMESTAMPTZ DEFAULT now(),
+        PRIMARY KEY (device_id, day)
+      )
+    `);
+
+    await client.query('ALTER TABLE devices ADD COLUMN downsampled_until DATE');
+  }
+};
@@ -0,0 +1,97 @@
+/**
+ * Trips and stops segmented from each device's GPS logs.
+ * A device has at most one open trip (still moving) or one open stop
+ * (end_time NULL) at a time.
+ */
+
+module.exports = {
+  description: 'Trips and stops',
+
+  sqlite(db) {
+    db.exec(`
+      CREATE TABLE trips (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        device_id TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'open',
+        start_time DATETIME NOT NULL,
+        end_time DATETIME NOT NULL,
+        start_lat REAL NOT NULL,
+        start_lon REAL NOT NULL,
+        end_lat REAL NOT NULL,
+        end_lon REAL NOT NULL,
+        start_log_id INTEGER,
+        end_log_id INTEGER,
+        distance_km REAL DEFAULT 0,
+        duration_s INTEGER DEFAULT 0,
+        idle_s INTEGER DEFAULT 0,
+        max_speed REAL DEFAULT 0,
+        avg_speed REAL DEFAULT 0,
+        point_count INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (device_id) REFERENCES devices(device_id)
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE stops (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        device_id TEXT NOT NULL,
+        start_time DATETIME NOT NULL,
+        end_time DATETIME,
+        lat REAL NOT NULL,
+        lon REAL NOT NULL,
+        start_log_id INTEGER,
+        duration_s INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (device_id) REFERENCES devices(device_id)
+      )
+    `);
+
+    db.exec('CREATE INDEX idx_trips_device_start ON trips(device_id, start_time)');
+    db.exec('CREATE INDEX idx_stops_device_start ON stops(device_id, start_time)');
+  },
+
+  async postgres(client) {
+    await client.query(`
+      CREATE TABLE trips (
+        id BIGSERIAL PRIMARY KEY,
+        device_id TEXT NOT NULL REFERENCES devices(device_id),
+        status TEXT NOT NULL DEFAULT 'open',
+        start_time TIMESTAMPTZ NOT NULL,
+        end_time TIMESTAMPTZ NOT NULL,
+        start_lat DOUBLE PRECISION NOT NULL,
+        start_lon DOUBLE PRECISION NOT NULL,
+        end_lat DOUBLE PRECISION NOT NULL,
+        end_lon DOUBLE PRECISION NOT NULL,
+        start_log_id BIGINT,
+        end_log_id BIGINT,
+        distance_km DOUBLE PRECISION DEFAULT 0,
+        duration_s INTEGER DEFAULT 0,
+        idle_s INTEGER DEFAULT 0,
+        max_speed DOUBLE PRECISION DEFAULT 0,
+        avg_speed DOUBLE PRECISION DEFAULT 0,
+        point_count INTEGER DEFAULT 0,
+        created_at TIMESTAMPTZ DEFAULT now(),
+        updated_at TIMESTAMPTZ DEFAULT now()
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE stops (
+        id BIGSERIAL PRIMARY KEY,
+        device_id TEXT NOT NULL REFERENCES devices(device_id),
+        start_time TIMESTAMPTZ NOT NULL,
+        end_time TIMESTAMPTZ,
+        lat DOUBLE PRECISION NOT NULL,
+        lon DOUBLE PRECISION NOT NULL,
+        start_log_id BIGINT,
+        duration_s INTEGER,
+        created_at TIMESTAMPTZ DEFAULT now()
+      )
+    `);
+
+    await client.query('CREATE INDEX idx_trips_device_start ON trips(device_id, start_time)');
+    await client.query('CREATE INDEX idx_stops_device_start ON stops(device_id, start_time)');
+  }
+};
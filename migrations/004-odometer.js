@@ -0,0 +1,49 @@
+/**
+ * Odometer per device, and distance travelled per device per UTC hour.
+ * devices.odometer_* record the last fix counted, so counting resumes there
+ * after a restart.
+ */
+
+module.exports = {
+  description: 'Device odometers and hourly distance',
+
+  sqlite(db) {
+    db.exec('ALTER TABLE devices ADD COLUMN odometer_km REAL DEFAULT 0');
+    db.exec('ALTER TABLE devices ADD COLUMN odometer_started_at DATETIME');
+    db.exec('ALTER TABLE devices ADD COLUMN odometer_time DATETIME');
+    db.exec('ALTER TABLE devices ADD COLUMN odometer_lat REAL');
+    db.exec('ALTER TABLE devices ADD COLUMN odometer_lon REAL');
+    db.exec('ALTER TABLE devices ADD COLUMN odometer_log_id INTEGER');
+
+    db.exec(`
+      CREATE TABLE odometer_hourly (
+        device_id TEXT NOT NULL,
+        hour DATETIME NOT NULL,
+        distance_km REAL NOT NULL DEFAULT 0,
+        PRIMARY KEY (device_id, hour),
+        FOREIGN KEY (device_id) REFERENCES devices(device_id)
+      )
+    `);
+  },
+
+  async postgres(client) {
+    await client.query(`
+      ALTER TABLE devices
+        ADD COLUMN odometer_km DOUBLE PRECISION DEFAULT 0,
+        ADD COLUMN odometer_started_at TIMESTAMPTZ,
+        ADD COLUMN odometer_time TIMESTAMPTZ,
+        ADD COLUMN odometer_lat DOUBLE PRECISION,
+        ADD COLUMN odometer_lon DOUBLE PRECISION,
+        ADD COLUMN odometer_log_id BIGINT
+    `);
+
+    await client.query(`
+      CREATE TABLE odometer_hourly (
+        device_id TEXT NOT NULL REFERENCES devices(device_id),
+        hour TIMESTAMPTZ NOT NULL,
+        distance_km DOUBLE PRECISION NOT NULL DEFAULT 0,
+        PRIMARY KEY (device_id, hour)
+      )
+    `);
+  }
+};
@@ -0,0 +1,130 @@
+/**
+ * Geofences, the devices each one applies to, and the enter/exit/dwell events
+ * they raise. geofence_states holds the fences each device is inside, so a
+ * restart doesn't raise the same events again.
+ * Polygons are stored as JSON [[lat, lon], ...] with their bounding box.
+ */
+
+module.exports = {
+  description: 'Geofences, assignments and events',
+
+  sqlite(db) {
+    db.exec(`
+      CREATE TABLE geofences (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        type TEXT NOT NULL,
+        center_lat REAL,
+        center_lon REAL,
+        radius_m REAL,
+        polygon TEXT,
+        min_lat REAL NOT NULL,
+        min_lon REAL NOT NULL,
+        max_lat REAL NOT NULL,
+        max_lon REAL NOT NULL,
+        dwell_minutes INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE geofence_devices (
+        geofence_id INTEGER NOT NULL,
+        device_id TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (geofence_id, device_id),
+        FOREIGN KEY (geofence_id) REFERENCES geofences(id),
+        FOREIGN KEY (device_id) REFERENCES devices(device_id)
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE geofence_states (
+        device_id TEXT NOT NULL,
+        geofence_id INTEGER NOT NULL,
+        entered_at DATETIME NOT NULL,
+        dwell_notified INTEGER DEFAULT 0,
+        PRIMARY KEY (device_id, geofence_id)
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE geofence_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        device_id TEXT NOT NULL,
+        geofence_id INTEGER NOT NULL,
+        event_type TEXT NOT NULL,
+        timestamp DATETIME NOT NULL,
+        lat REAL NOT NULL,
+        lon REAL NOT NULL,
+        gps_log_id INTEGER,
+        duration_s INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec('CREATE INDEX idx_geofence_devices_device ON geofence_devices(device_id)');
+    db.exec('CREATE INDEX idx_geofence_events_device ON geofence_events(device_id, timestamp)');
+    db.exec('CREATE INDEX idx_geofence_events_geofence ON geofence_events(geofence_id, timestamp)');
+  },
+
+  async postgres(client) {
+    await client.query(`
+      CREATE TABLE geofences (
+        id BIGSERIAL PRIMARY KEY,
+        name TEXT NOT NULL,
+        type TEXT NOT NULL,
+        center_lat DOUBLE PRECISION,
+        center_lon DOUBLE PRECISION,
+        radius_m DOUBLE PRECISION,
+        polygon TEXT,
+        min_lat DOUBLE PRECISION NOT NULL,
+        min_lon DOUBLE PRECISION NOT NULL,
+        max_lat DOUBLE PRECISION NOT NULL,
+        max_lon DOUBLE PRECISION NOT NULL,
+        dwell_minutes INTEGER,
+        created_at TIMESTAMPTZ DEFAULT now(),
+        updated_at TIMESTAMPTZ DEFAULT now()
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE geofence_devices (
+        geofence_id BIGINT NOT NULL REFERENCES geofences(id),
+        device_id TEXT NOT NULL REFERENCES devices(device_id),
+        created_at TIMESTAMPTZ DEFAULT now(),
+        PRIMARY KEY (geofence_id, device_id)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE geofence_states (
+        device_id TEXT NOT NULL,
+        geofence_id BIGINT NOT NULL,
+        entered_at TIMESTAMPTZ NOT NULL,
+        dwell_notified BOOLEAN DEFAULT FALSE,
+        PRIMARY KEY (device_id, geofence_id)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE geofence_events (
+        id BIGSERIAL PRIMARY KEY,
+        device_id TEXT NOT NULL,
+        geofence_id BIGINT NOT NULL,
+        event_type TEXT NOT NULL,
+        timestamp TIMESTAMPTZ NOT NULL,
+        lat DOUBLE PRECISION NOT NULL,
+        lon DOUBLE PRECISION NOT NULL,
+        gps_log_id BIGINT,
+        duration_s INTEGER,
+        created_at TIMESTAMPTZ DEFAULT now()
+      )
+    `);
+
+    await client.query('CREATE INDEX idx_geofence_devices_device ON geofence_devices(device_id)');
+    await client.query('CREATE INDEX idx_geofence_events_device ON geofence_events(device_id, timestamp)');
+    await client.query('CREATE INDEX idx_geofence_events_geofence ON geofence_events(geofence_id, timestamp)');
+  }
+};
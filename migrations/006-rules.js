@@ -0,0 +1,99 @@
+/**
+ * Alert rules and the events they raise, plus the battery level binary
+ * position packets report.
+ * An event is open until acknowledged, and stays listed until resolved.
+ */
+
+module.exports = {
+  description: 'Rules, events and battery level',
+
+  sqlite(db) {
+    db.exec('ALTER TABLE gps_logs ADD COLUMN battery_level INTEGER');
+
+    db.exec(`
+      CREATE TABLE rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        type TEXT NOT NULL,
+        device_id TEXT,
+        params TEXT NOT NULL DEFAULT '{}',
+        severity TEXT NOT NULL DEFAULT 'warning',
+        auto_resolve BOOLEAN DEFAULT 1,
+        enabled BOOLEAN DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        rule_id INTEGER,
+        device_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        severity TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'open',
+        message TEXT,
+        details TEXT,
+        lat REAL,
+        lon REAL,
+        gps_log_id INTEGER,
+        triggered_at DATETIME NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        acknowledged_at DATETIME,
+        acknowledged_by TEXT,
+        resolved_at DATETIME,
+        resolved_by TEXT,
+        note TEXT
+      )
+    `);
+
+    db.exec('CREATE INDEX idx_events_device ON events(device_id, triggered_at)');
+    db.exec('CREATE INDEX idx_events_status ON events(status, triggered_at)');
+  },
+
+  async postgres(client) {
+    await client.query('ALTER TABLE gps_logs ADD COLUMN battery_level INTEGER');
+
+    await client.query(`
+      CREATE TABLE rules (
+        id BIGSERIAL PRIMARY KEY,
+        name TEXT NOT NULL,
+        type TEXT NOT NULL,
+        device_id TEXT,
+        params TEXT NOT NULL DEFAULT '{}',
+        severity TEXT NOT NULL DEFAULT 'warning',
+        auto_resolve BOOLEAN DEFAULT TRUE,
+        enabled BOOLEAN DEFAULT TRUE,
+        created_at TIMESTAMPTZ DEFAULT now(),
+        updated_at TIMESTAMPTZ DEFAULT now()
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE events (
+        id BIGSERIAL PRIMARY KEY,
+        rule_id BIGINT,
+        device_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        severity TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'open',
+        message TEXT,
+        details TEXT,
+        lat DOUBLE PRECISION,
+        lon DOUBLE PRECISION,
+        gps_log_id BIGINT,
+        triggered_at TIMESTAMPTZ NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT now(),
+        acknowledged_at TIMESTAMPTZ,
+        acknowledged_by TEXT,
+        resolved_at TIMESTAMPTZ,
+        resolved_by TEXT,
+        note TEXT
+      )
+    `);
+
+    await client.query('CREATE INDEX idx_events_device ON events(device_id, triggered_at)');
+    await client.query('CREATE INDEX idx_events_status ON events(status, triggered_at)');
+  }
+};
@@ -0,0 +1,83 @@
+/**
+ * Outbound webhook subscriptions and their deliveries.
+ * A delivery is pending until the subscriber accepts it, or dead once it has
+ * used up its attempts; dead deliveries are the dead-letter list.
+ */
+
+module.exports = {
+  description: 'Webhook subscriptions and deliveries',
+
+  sqlite(db) {
+    db.exec(`
+      CREATE TABLE webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        description TEXT,
+        device_ids TEXT,
+        event_types TEXT,
+        enabled BOOLEAN DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id INTEGER NOT NULL,
+        event_type TEXT NOT NULL,
+        device_id TEXT,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at DATETIME NOT NULL,
+        last_attempt_at DATETIME,
+        response_status INTEGER,
+        last_error TEXT,
+        delivered_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec('CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)');
+    db.exec('CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, id)');
+  },
+
+  async postgres(client) {
+    await client.query(`
+      CREATE TABLE webhooks (
+        id BIGSERIAL PRIMARY KEY,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        description TEXT,
+        device_ids TEXT,
+        event_types TEXT,
+        enabled BOOLEAN DEFAULT TRUE,
+        created_at TIMESTAMPTZ DEFAULT now(),
+        updated_at TIMESTAMPTZ DEFAULT now()
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE webhook_deliveries (
+        id BIGSERIAL PRIMARY KEY,
+        webhook_id BIGINT NOT NULL,
+        event_type TEXT NOT NULL,
+        device_id TEXT,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMPTZ NOT NULL,
+        last_attempt_at TIMESTAMPTZ,
+        response_status INTEGER,
+        last_error TEXT,
+        delivered_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT now()
+      )
+    `);
+
+    await client.query('CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)');
+    await client.query('CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, id)');
+  }
+};
@@ -0,0 +1,84 @@
+/**
+ * Spatial indexes for area and distance queries.
+ * SQLite keeps two R*Trees in step with gps_logs and devices through triggers:
+ * every position with a fix, and each device's latest one. R*Tree coordinates
+ * are 32-bit floats rounded outward, so queries recheck gps_logs.lat/lon.
+ * PostgreSQL already indexes gps_logs.geom with GiST (migration 1).
+ */
+
+// Rows that have a position: a GPS fix other than the 0,0 devices report without one
+const HAS_FIX = (row) => `${row}.lat IS NOT NULL AND ${row}.lon IS NOT NULL
+  AND COALESCE(${row}.gps_valid, 1) != 0 AND NOT (${row}.lat = 0 AND ${row}.lon = 0)`;
+
+module.exports = {
+  description: 'Spatial indexes on positions and latest positions',
+
+  sqlite(db) {
+    db.exec('CREATE VIRTUAL TABLE gps_logs_rtree USING rtree(id, min_lat, max_lat, min_lon, max_lon)');
+    db.exec(`
+      INSERT INTO gps_logs_rtree
+      SELECT id, lat, lat, lon, lon FROM gps_logs WHERE ${HAS_FIX('gps_logs')}
+    `);
+
+    db.exec(`
+      CREATE TRIGGER gps_logs_rtree_insert AFTER INSERT ON gps_logs
+      WHEN ${HAS_FIX('NEW')}
+      BEGIN
+        INSERT INTO gps_logs_rtree VALUES (NEW.id, NEW.lat, NEW.lat, NEW.lon, NEW.lon);
+      END
+    `);
+    db.exec(`
+      CREATE TRIGGER gps_logs_rtree_update AFTER UPDATE OF lat, lon, gps_valid ON gps_logs
+      BEGIN
+        DELETE FROM gps_logs_rtree WHERE id = OLD.id;
+        INSERT INTO gps_logs_rtree
+        SELECT NEW.id, NEW.lat, NEW.lat, NEW.lon, NEW.lon WHERE ${HAS_FIX('NEW')};
+      END
+    `);
+    db.exec(`
+      CREATE TRIGGER gps_logs_rtree_delete AFTER DELETE ON gps_logs
+      BEGIN
+        DELETE FROM gps_logs_rtree WHERE id = OLD.id;
+      END
+    `);
+
+    // Keyed by the gps_logs id each device's last_log_id points at
+    db.exec('CREATE VIRTUAL TABLE latest_positions_rtree USING rtree(id, min_lat, max_lat, min_lon, max_lon)');
+    db.exec(`
+      INSERT INTO latest_positions_rtree
+      SELECT gl.id, gl.lat, gl.lat, gl.lon, gl.lon
+      FROM devices d JOIN gps_logs gl ON gl.id = d.last_log_id
+      WHERE ${HAS_FIX('gl')}
+    `);
+
+    const indexLatest = `
+      INSERT OR REPLACE INTO latest_positions_rtree
+      SELECT gl.id, gl.lat, gl.lat, gl.lon, gl.lon FROM gps_logs gl
+      WHERE gl.id = NEW.last_log_id AND ${HAS_FIX('gl')};
+    `;
+    db.exec(`
+      CREATE TRIGGER latest_positions_rtree_insert AFTER INSERT ON devices
+      BEGIN
+        ${indexLatest}
+      END
+    `);
+    db.exec(`
+      CREATE TRIGGER latest_positions_rtree_update AFTER UPDATE OF last_log_id ON devices
+      BEGIN
+        DELETE FROM latest_positions_rtree WHERE id = OLD.last_log_id;
+        ${indexLatest}
+      END
+    `);
+    db.exec(`
+      CREATE TRIGGER latest_positions_rtree_delete AFTER DELETE ON devices
+      BEGIN
+        DELETE FROM latest_positions_rtree WHERE id = OLD.last_log_id;
+      END
+    `);
+  },
+
+  async postgres() {
+    // Nothing to add: idx_gps_logs_geom serves area queries, and latest
+    // positions are one per device
+  }
+};
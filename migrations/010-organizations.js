@@ -0,0 +1,92 @@
+/**
+ * Organizations and device groups.
+ * Devices, users, API keys and the rules, geofences and webhooks set up for
+ * them may belong to an organization; NULL means none, which for users and
+ * keys is the platform staff who see everything. Groups belong to an
+ * organization and nest through parent_id (fleets holding depots, say).
+ */
+
+// Tables that gain an owning organization
+const OWNED_TABLES = ['devices', 'users', 'api_keys', 'geofences', 'rules', 'webhooks'];
+
+module.exports = {
+  description: 'Organizations and nested device groups',
+
+  sqlite(db) {
+    db.exec(`
+      CREATE TABLE organizations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE device_groups (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        organization_id INTEGER NOT NULL,
+        parent_id INTEGER,
+        name TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE device_group_devices (
+        group_id INTEGER NOT NULL,
+        device_id TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (group_id, device_id)
+      )
+    `);
+
+    OWNED_TABLES.forEach(table => db.exec(`ALTER TABLE ${table} ADD COLUMN organization_id INTEGER`));
+
+    db.exec('CREATE INDEX idx_devices_organization ON devices(organization_id)');
+    db.exec('CREATE INDEX idx_device_groups_organization ON device_groups(organization_id)');
+    db.exec('CREATE INDEX idx_device_groups_parent ON device_groups(parent_id)');
+    db.exec('CREATE INDEX idx_device_group_devices_device ON device_group_devices(device_id)');
+  },
+
+  async postgres(client) {
+    await client.query(`
+      CREATE TABLE organizations (
+        id BIGSERIAL PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE,
+        created_at TIMESTAMPTZ DEFAULT now(),
+        updated_at TIMESTAMPTZ DEFAULT now()
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE device_groups (
+        id BIGSERIAL PRIMARY KEY,
+        organization_id BIGINT NOT NULL REFERENCES organizations(id),
+        parent_id BIGINT REFERENCES device_groups(id),
+        name TEXT NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT now(),
+        updated_at TIMESTAMPTZ DEFAULT now()
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE device_group_devices (
+        group_id BIGINT NOT NULL REFERENCES device_groups(id),
+        device_id TEXT NOT NULL REFERENCES devices(device_id),
+        created_at TIMESTAMPTZ DEFAULT now(),
+        PRIMARY KEY (group_id, device_id)
+      )
+    `);
+
+    for (const table of OWNED_TABLES) {
+      await client.query(`ALTER TABLE ${table} ADD COLUMN organization_id BIGINT REFERENCES organizations(id)`);
+    }
+
+    await client.query('CREATE INDEX idx_devices_organization ON devices(organization_id)');
+    await client.query('CREATE INDEX idx_device_groups_organization ON device_groups(organization_id)');
+    await client.query('CREATE INDEX idx_device_groups_parent ON device_groups(parent_id)');
+    await client.query('CREATE INDEX idx_device_group_devices_device ON device_group_devices(device_id)');
+  }
+};
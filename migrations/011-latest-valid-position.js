@@ -0,0 +1,71 @@
+/**
+ * Each device's latest position with a GPS fix.
+ * devices.last_log_id follows every packet, including those sent without a
+ * fix, so area queries now join last_valid_log_id instead, and SQLite's
+ * latest_positions_rtree (migration 8) is rekeyed on it.
+ */
+
+// Rows that have a position: a GPS fix other than the 0,0 devices report without one
+const HAS_FIX = (row) => `${row}.lat IS NOT NULL AND ${row}.lon IS NOT NULL
+  AND COALESCE(${row}.gps_valid, 1) != 0 AND NOT (${row}.lat = 0 AND ${row}.lon = 0)`;
+
+module.exports = {
+  description: 'Latest position with a fix for area queries',
+
+  sqlite(db) {
+    db.exec('ALTER TABLE devices ADD COLUMN last_valid_log_id INTEGER');
+    db.exec(`
+      UPDATE devices SET last_valid_log_id = (
+        SELECT id FROM gps_logs WHERE gps_logs.device_id = devices.device_id AND ${HAS_FIX('gps_logs')}
+        ORDER BY timestamp DESC, id DESC LIMIT 1
+      )
+    `);
+
+    ['insert', 'update', 'delete'].forEach(event => db.exec(`DROP TRIGGER latest_positions_rtree_${event}`));
+    db.exec('DELETE FROM latest_positions_rtree');
+    db.exec(`
+      INSERT INTO latest_positions_rtree
+      SELECT gl.id, gl.lat, gl.lat, gl.lon, gl.lon
+      FROM devices d JOIN gps_logs gl ON gl.id = d.last_valid_log_id
+    `);
+
+    const indexLatest = `
+      INSERT OR REPLACE INTO latest_positions_rtree
+      SELECT gl.id, gl.lat, gl.lat, gl.lon, gl.lon FROM gps_logs gl
+      WHERE gl.id = NEW.last_valid_log_id AND ${HAS_FIX('gl')};
+    `;
+    db.exec(`
+      CREATE TRIGGER latest_positions_rtree_insert AFTER INSERT ON devices
+      BEGIN
+        ${indexLatest}
+      END
+    `);
+    db.exec(`
+      CREATE TRIGGER latest_positions_rtree_update AFTER UPDATE OF last_valid_log_id ON devices
+      BEGIN
+        DELETE FROM latest_positions_rtree WHERE id = OLD.last_valid_log_id;
+        ${indexLatest}
+      END
+    `);
+    db.exec(`
+      CREATE TRIGGER latest_positions_rtree_delete AFTER DELETE ON devices
+      BEGIN
+        DELETE FROM latest_positions_rtree WHERE id = OLD.last_valid_log_id;
+      END
+    `);
+  },
+
+  async postgres(client) {
+    await client.query('ALTER TABLE devices ADD COLUMN last_valid_log_id BIGINT');
+    await client.query(`
+      UPDATE devices d SET last_valid_log_id = latest.id
+      FROM (
+        SELECT DISTINCT ON (device_id) device_id, id
+        FROM gps_logs
+        WHERE gps_valid IS NOT FALSE AND NOT (lat = 0 AND lon = 0)
+        ORDER BY device_id, timestamp DESC, id DESC
+      ) latest
+      WHERE latest.device_id = d.device_id
+    `);
+  }
+};
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Schema migrations
+ * Each file is named <version>-<name>.js and exports:
+ *   description - what the migration changes
+ *   sqlite(db) - applies it with a better-sqlite3 connection
+ *   postgres(client) - applies it with a pg client (may be async)
+ * Versions must be unique; they are applied in ascending order and never edited
+ * once released.
+ */
+
+const MIGRATION_FILE = /^(\d+)-([\w-]+)\.js$/;
+
+/**
+ * Load the migrations in a directory
+ * @param {string} directory - Directory holding migration files
+ * @returns {Array} Migrations sorted by version
+ */
+function loadMigrations(directory = __dirname) {
+  const migrations = fs.readdirSync(directory)
+    .map(file => ({ file, match: file.match(MIGRATION_FILE) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({
+      version: parseInt(match[1], 10),
+      name: match[2],
+      ...require(path.join(directory, file))
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migration.version === migrations[index - 1].version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+}
+
+module.exports = { loadMigrations };
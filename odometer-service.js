@@ -0,0 +1,336 @@
+const GPSDatabase = require('./database');
+const { haversineKm, hasFix, convertDistance } = require('./geo');
+const { parseUtc, localDate, startOfLocalDay, DEFAULT_TIMEZONE } = require('./timezone');
+require('dotenv').config();
+
+// Fixes read per query when catching up after a restart
+const REPLAY_PAGE_SIZE = 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Report periods and the key of the period a local date falls in
+const PERIODS = {
+  day: (day) => day,
+  // Weeks start on Monday
+  week: (day) => addDays(day, -((new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7)),
+  month: (day) => day.slice(0, 7)
+};
+
+/**
+ * Keeps a great-circle odometer per device as fixes are stored, and totals the
+ * distance per UTC hour for billing reports.
+ *
+ * Packets without a fix are ignored. A fix closer than jitterMeters to the last
+ * counted fix is GPS wander and isn't counted; neither is one that would mean
+ * travelling faster than maxSpeed km/h. Counting starts at the first fix after
+ * the odometer is switched on and resumes at the last counted fix after a
+ * restart. A fix that arrives older than the last counted one (blind-area
+ * upload) adds the detour it makes between its stored neighbours.
+ */
+class OdometerService {
+  constructor(options = {}) {
+    this.db = options.db || new GPSDatabase();
+    this.jitterKm = (options.jitterMeters || parseFloat(process.env.ODOMETER_JITTER_METERS) || 30) / 1000;
+    this.maxSpeed = options.maxSpeed || parseFloat(process.env.ODOMETER_MAX_SPEED) || 250;
+    // Counted distance is written at most this often per device
+    this.saveInterval = options.saveInterval || 30 * 1000;
+    this.replayPageSize = options.replayPageSize || REPLAY_PAGE_SIZE;
+
+    this.states = new Map(); // Odometer state per device
+    this.chains = new Map(); // Work queued per device, run in order
+  }
+
+  /**
+   * Count a stored fix. Call in the order fixes are stored.
+   * @param {Object} row - gps_logs row (or parsed data with its stored id)
+   * @returns {Promise} Resolves when the fix has been handled; never rejects
+   */
+  addPoint(row) {
+    return this.enqueue(row.device_id, () => this.handlePoint(row))
+      .catch(error => console.error(`❌ Odometer update failed for ${row.device_id}:`, error));
+  }
+
+  /**
+   * Write a device's counted distance now, e.g. before its odometer is set
+   * @param {string} deviceId - Device ID
+   * @returns {Promise}
+   */
+  flush(deviceId) {
+    return this.enqueue(deviceId, async () => {
+      const state = this.states.get(deviceId);
+      if (state) {
+        await this.save(state, true);
+      }
+    });
+  }
+
+  // Run a task after the device's earlier ones; a failure doesn't stop later tasks
+  enqueue(deviceId, task) {
+    const previous = this.chains.get(deviceId) || Promise.resolve();
+    const run = previous.then(task);
+    const settled = run.catch(() => {});
+
+    this.chains.set(deviceId, settled);
+    settled.then(() => {
+      if (this.chains.get(deviceId) === settled) {
+        this.chains.delete(deviceId);
+      }
+    });
+
+    return run;
+  }
+
+  async handlePoint(row) {
+    const state = await this.loadState(row.device_id);
+    const id = Number(row.id);
+
+    // Already read while catching up
+    if (id <= state.maxId) {
+      return;
+    }
+
+    const point = toPoint(row);
+    if (point && state.last && point.time < state.last.time) {
+      state.maxId = id;
+      await this.addLateFix(state, point);
+      await this.save(state, true);
+      return;
+    }
+
+    this.advance(state, row);
+    await this.save(state);
+  }
+
+  // State for a device, catching up on fixes stored since its last counted fix
+  async loadState(deviceId) {
+    if (this.states.has(deviceId)) {
+      return this.states.get(deviceId);
+    }
+
+    const state = {
+      deviceId: deviceId,
+      last: null, // Last counted fix
+      startedAt: null, // Time of the first fix counted
+      maxId: 0, // Highest gps_logs id handled
+      distance: 0, // Counted since the last save, in km
+      hours: new Map(), // Counted since the last save, per UTC hour
+      savedLast: null,
+      savedAt: 0
+    };
+
+    const device = await this.db.getDevice(deviceId);
+    if (device && device.odometer_time) {
+      const time = parseUtc(device.odometer_time);
+      state.last = {
+        id: Number(device.odometer_log_id),
+        timestamp: time.toISOString(),
+        time: time.getTime(),
+        lat: device.odometer_lat,
+        lon: device.odometer_lon
+      };
+      state.savedLast = state.last;
+      state.startedAt = parseUtc(device.odometer_started_at).getTime();
+      await this.replay(state);
+    }
+
+    this.states.set(deviceId, state);
+    return state;
+  }
+
+  // Count stored fixes newer than the last counted one, oldest first
+  async replay(state) {
+    await this.db.eachGpsLogSince(state.deviceId, state.last.timestamp, this.replayPageSize, (row) => {
+      if (Date.parse(row.timestamp) > state.last.time) {
+        this.advance(state, row);
+      }
+      state.maxId = Math.max(state.maxId, Number(row.id));
+    });
+  }
+
+  // Count the step from the last counted fix to a newer one
+  advance(state, row) {
+    state.maxId = Math.max(state.maxId, Number(row.id));
+
+    const point = toPoint(row);
+    if (!point) {
+      return; // No GPS fix
+    }
+
+    const last = state.last;
+    if (!last) {
+      // First fix: the odometer counts from here
+      state.last = point;
+      state.startedAt = point.time;
+      return;
+    }
+    if (point.time <= last.time) {
+      return;
+    }
+
+    const km = distanceKm(last, point);
+    if (km < this.jitterKm || !this.isPlausible(km, point.time - last.time)) {
+      return;
+    }
+
+    this.count(state, point, km);
+    state.last = point;
+  }
+
+  // A fix older than the last counted one: add the detour it makes between the
+  // fixes stored either side of it
+  async addLateFix(state, point) {
+    const { previous, next } = await this.db.getNeighbourFixes(state.deviceId, point.timestamp, point.id);
+    const before = previous && toPoint(previous);
+    const after = next && toPoint(next);
+
+    // Before the odometer started counting
+    if (!before || !after || before.time < state.startedAt) {
+      return;
+    }
+
+    const inbound = distanceKm(before, point);
+    const outbound = distanceKm(point, after);
+    const detour = inbound + outbound - distanceKm(before, after);
+
+    if (detour < this.jitterKm ||
+        !this.isPlausible(inbound, point.time - before.time) ||
+        !this.isPlausible(outbound, after.time - point.time)) {
+      return;
+    }
+
+    this.count(state, point, detour);
+  }
+
+  isPlausible(km, elapsedMs) {
+    return elapsedMs > 0 && km / (elapsedMs / HOUR_MS) <= this.maxSpeed;
+  }
+
+  count(state, point, km) {
+    const hour = new Date(Math.floor(point.time / HOUR_MS) * HOUR_MS).toISOString();
+    state.distance += km;
+    state.hours.set(hour, (state.hours.get(hour) || 0) + km);
+  }
+
+  // Write counted distance when there is some and it hasn't been written for a while
+  async save(state, force = false) {
+    if (state.last === state.savedLast && state.hours.size === 0) {
+      return;
+    }
+    if (!force && Date.now() - state.savedAt < this.saveInterval) {
+      return;
+    }
+
+    const last = state.last;
+    const hours = [...state.hours].map(([hour, km]) => ({ hour: hour, distance_km: km }));
+
+    await this.db.recordOdometer(state.deviceId, {
+      distance_km: state.distance,
+      last: last === state.savedLast ? null : last,
+      hours: hours
+    });
+
+    state.distance = 0;
+    state.hours.clear();
+    state.savedLast = last;
+    state.savedAt = Date.now();
+  }
+
+  /**
+   * Distance travelled per device per day, week or month
+   * @param {Object} options - { deviceIds (null for all), from, to (local dates,
+   *   YYYY-MM-DD, inclusive), period ('day'|'week'|'month'), unit ('km'|'mi'), timezone,
+   *   scope (limits the devices, as for GPSDatabase list methods) }
+   * @returns {Promise<Object>} Report with per-period distances and totals
+   */
+  async getDistanceReport(options) {
+    const { from, to, period = 'day', unit = 'km', timezone = DEFAULT_TIMEZONE } = options;
+    const deviceIds = options.deviceIds || null;
+    const periodOf = PERIODS[period];
+
+    const rows = await this.db.getOdometerDistances(
+      deviceIds,
+      startOfLocalDay(from, timezone).toISOString(),
+      startOfLocalDay(addDays(to, 1), timezone).toISOString(),
+      options.scope || {}
+    );
+
+    // Every period the range touches, so quiet periods report zero
+    const periods = [];
+    for (let day = from; day <= to; day = addDays(day, 1)) {
+      const key = periodOf(day);
+      if (periods[periods.length - 1] !== key) {
+        periods.push(key);
+      }
+    }
+
+    const devices = new Map((deviceIds || []).map(deviceId => [deviceId, new Map()]));
+    rows.forEach(row => {
+      if (!devices.has(row.device_id)) {
+        devices.set(row.device_id, new Map());
+      }
+      const totals = devices.get(row.device_id);
+      const key = periodOf(localDate(parseUtc(row.hour), timezone));
+      totals.set(key, (totals.get(key) || 0) + row.distance_km);
+    });
+
+    let total = 0;
+    const report = [...devices].map(([deviceId, totals]) => {
+      const km = [...totals.values()].reduce((sum, value) => sum + value, 0);
+      total += km;
+      return {
+        device_id: deviceId,
+        distance: convertDistance(km, unit),
+        periods: periods.map(key => ({
+          period: key,
+          distance: convertDistance(totals.get(key) || 0, unit)
+        }))
+      };
+    });
+
+    return {
+      from: from,
+      to: to,
+      period: period,
+      unit: unit,
+      timezone: timezone,
+      distance: convertDistance(total, unit),
+      devices: report
+    };
+  }
+
+  // Finish queued work and write counted distance
+  async close() {
+    await Promise.all([...this.chains.values()]);
+
+    for (const state of this.states.values()) {
+      await this.save(state, true);
+    }
+  }
+}
+
+OdometerService.PERIODS = Object.keys(PERIODS);
+
+// Fix used for counting, or null for packets without a position
+function toPoint(row) {
+  const time = parseUtc(row.timestamp);
+  if (!time || !hasFix(row)) {
+    return null;
+  }
+
+  return {
+    id: Number(row.id),
+    timestamp: time.toISOString(),
+    time: time.getTime(),
+    lat: row.lat,
+    lon: row.lon
+  };
+}
+
+const distanceKm = (a, b) => haversineKm(a.lat, a.lon, b.lat, b.lon);
+
+// Local date a number of days after another
+function addDays(day, days) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+module.exports = OdometerService;
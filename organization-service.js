@@ -0,0 +1,114 @@
+const GPSDatabase = require('./database');
+require('dotenv').config();
+
+const MAX_NAME_LENGTH = 100;
+
+// IDs of stored rows; null where none is allowed
+const isId = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Organizations and the device groups inside them.
+ *
+ * Each client company is an organization that owns its devices, users, API
+ * keys and alert setup. Groups (fleets, depots) belong to one organization and
+ * nest through parent_id; a group's devices include those of every group under
+ * it. Users and keys outside any organization are the platform's staff and see
+ * everything; devices outside any organization show to them alone.
+ */
+class OrganizationService {
+  constructor(options = {}) {
+    this.db = options.db || new GPSDatabase();
+  }
+
+  /**
+   * Check an organization from the API
+   * @param {Object} input - { name }
+   * @returns {string|null} Error message, or null when valid
+   */
+  static validateOrganization(input) {
+    if (!input || typeof input.name !== 'string' || !input.name.trim()) {
+      return 'name is required';
+    }
+    if (input.name.trim().length > MAX_NAME_LENGTH) {
+      return `name must be at most ${MAX_NAME_LENGTH} characters`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a device group from the API
+   * @param {Object} input - { name, parent_id, organization_id }
+   * @param {Object} existing - Stored group being updated; fields left out keep their values
+   * @returns {string|null} Error message, or null when valid
+   */
+  static validateGroup(input, existing = null) {
+    if (!input || typeof input !== 'object') {
+      return 'Request body must be a JSON object';
+    }
+    if ((!existing || input.name !== undefined) && (typeof input.name !== 'string' || !input.name.trim())) {
+      return 'name is required';
+    }
+    if (input.name !== undefined && input.name.trim().length > MAX_NAME_LENGTH) {
+      return `name must be at most ${MAX_NAME_LENGTH} characters`;
+    }
+    if (input.parent_id !== undefined && input.parent_id !== null && !isId(input.parent_id)) {
+      return 'parent_id must be a group ID or null';
+    }
+    if (existing && input.organization_id !== undefined && input.organization_id !== existing.organization_id) {
+      return 'A group cannot move to another organization';
+    }
+
+    return null;
+  }
+
+  /**
+   * Group row for storage from validated API input
+   * @param {Object} input - Group as accepted by validateGroup()
+   * @param {Object} existing - Stored group being updated, if any
+   * @returns {Object} { organization_id, parent_id, name }
+   */
+  static toGroupRow(input, existing = null) {
+    return {
+      organization_id: existing ? existing.organization_id : input.organization_id,
+      parent_id: input.parent_id !== undefined ? input.parent_id : (existing ? existing.parent_id : null),
+      name: input.name !== undefined ? input.name.trim() : existing.name
+    };
+  }
+
+  /**
+   * Check where a group would sit: under a group of its own organization, and
+   * not under itself or one of its subgroups
+   * @param {Object} group - Row from toGroupRow(), with the id of a stored group
+   * @returns {Promise<string|null>} Error message, or null when the parent is fine
+   */
+  async validateParent(group) {
+    if (group.parent_id === null || group.parent_id === undefined) {
+      return null;
+    }
+
+    const parent = await this.db.getDeviceGroup(group.parent_id);
+    if (!parent || parent.organization_id !== group.organization_id) {
+      return 'parent_id must be a group in the same organization';
+    }
+    if (group.id && (await this.db.getDeviceGroupTree(group.id)).includes(parent.id)) {
+      return 'A group cannot be nested inside itself or its subgroups';
+    }
+
+    return null;
+  }
+
+  /**
+   * Devices a scope covers
+   * @param {Object} scope - { organizationId, groupId }, as for GPSDatabase list methods
+   * @returns {Promise<Set|null>} Device IDs, or null when the scope covers every device
+   */
+  async devicesIn(scope) {
+    if (scope.organizationId == null && scope.groupId == null) {
+      return null;
+    }
+    return new Set(await this.db.getDeviceIds(scope));
+  }
+}
+
+module.exports = OrganizationService;
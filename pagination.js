@@ -0,0 +1,124 @@
+const { parseLocalTime, isLocalDate, startOfLocalDay } = require('./timezone');
+
+/**
+ * Time-range filters and cursor pagination for list endpoints
+ *
+ * Lists are ordered by a time column and then id. A page continues after the
+ * last row of the previous one rather than at an offset, so rows stored in
+ * the meantime never shift or repeat a page. The cursor handed to clients
+ * encodes that row's position and the list's order, and is meant to be
+ * passed back unchanged together with the same filters.
+ */
+
+const ORDERS = ['asc', 'desc'];
+const MAX_LIMIT = 10000;
+
+const nextDay = (day) => new Date(Date.parse(`${day}T00:00:00Z`) + 86400000).toISOString().slice(0, 10);
+
+// End of a range: exclusive, except that a date includes that whole day
+function parseEnd(value, timezone) {
+  return isLocalDate(value) ? startOfLocalDay(nextDay(value), timezone) : parseLocalTime(value, timezone);
+}
+
+/**
+ * Check list query parameters
+ * @param {Object} query - { from, to, order, cursor, limit }; a date as `to` includes that day
+ * @param {string} timezone - Timezone for from/to given without an offset
+ * @returns {string|null} Error message, or null when valid
+ */
+function validatePageQuery(query = {}, timezone) {
+  const from = query.from !== undefined ? parseLocalTime(query.from, timezone) : null;
+  const to = query.to !== undefined ? parseEnd(query.to, timezone) : null;
+
+  if ((query.from !== undefined && !from) || (query.to !== undefined && !to)) {
+    return 'from and to must be dates (YYYY-MM-DD) or ISO 8601 times';
+  }
+  if (from && to && from >= to) {
+    return 'from must be before to';
+  }
+  if (query.order !== undefined && !ORDERS.includes(query.order)) {
+    return `Invalid order: ${query.order} (use ${ORDERS.join(' or ')})`;
+  }
+  // SQLite reads a negative LIMIT as no limit at all
+  if (query.limit !== undefined && !(/^\d+$/.test(query.limit) && parseInt(query.limit) > 0)) {
+    return 'limit must be a positive integer';
+  }
+
+  if (query.cursor !== undefined) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      return 'Invalid cursor';
+    }
+    if (query.order !== undefined && query.order !== cursor.order) {
+      return 'The cursor belongs to a list in the other order';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * List options for storage from validated query parameters
+ * @param {Object} query - As accepted by validatePageQuery()
+ * @param {string} timezone - Timezone for from/to given without an offset
+ * @param {number} defaultLimit - Page size when ?limit is not given
+ * @returns {Object} { from, to, order, after, limit } with from/to as ISO strings
+ */
+function toPage(query = {}, timezone, defaultLimit = 100) {
+  const cursor = query.cursor !== undefined ? decodeCursor(query.cursor) : null;
+
+  return {
+    from: query.from !== undefined ? parseLocalTime(query.from, timezone).toISOString() : null,
+    to: query.to !== undefined ? parseEnd(query.to, timezone).toISOString() : null,
+    order: cursor ? cursor.order : (query.order || 'desc'),
+    after: cursor ? { time: cursor.time, id: cursor.id } : null,
+    limit: Math.min(parseInt(query.limit) || defaultLimit, MAX_LIMIT)
+  };
+}
+
+/**
+ * Split off the extra row fetched to tell whether another page follows
+ * Storage is asked for page.limit + 1 rows.
+ * @param {Array} rows - Rows from storage
+ * @param {Object} page - From toPage()
+ * @param {string} timeColumn - Column the list is ordered by
+ * @returns {Object} { rows, nextCursor } with nextCursor null on the last page
+ */
+function paginate(rows, page, timeColumn) {
+  if (rows.length <= page.limit) {
+    return { rows: rows, nextCursor: null };
+  }
+
+  const pageRows = rows.slice(0, page.limit);
+  const last = pageRows[pageRows.length - 1];
+  return {
+    rows: pageRows,
+    nextCursor: encodeCursor({ order: page.order, time: last[timeColumn], id: Number(last.id) })
+  };
+}
+
+function encodeCursor({ order, time, id }) {
+  return Buffer.from(JSON.stringify([order, time, id])).toString('base64url');
+}
+
+// Cursor contents, or null if it was not made by encodeCursor()
+function decodeCursor(value) {
+  try {
+    const [order, time, id] = JSON.parse(Buffer.from(String(value), 'base64url').toString());
+    if (!ORDERS.includes(order) || typeof time !== 'string' || !Number.isInteger(id)) {
+      return null;
+    }
+    return { order, time, id };
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  ORDERS,
+  validatePageQuery,
+  toPage,
+  paginate,
+  encodeCursor,
+  decodeCursor
+};
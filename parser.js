@@ -3,43 +3,138 @@
  * Handles various packet formats from the ST-900 GPS tracker
  */
 
+const DecoderRegistry = require('./decoder-registry');
+
+// Bit positions in the 32-bit HQ vehicle status word (field 11 of a V1 frame).
+// The device reports these active-low: a cleared bit means the condition is present.
+const HQ_STATUS_BITS = {
+  vibration: 0,
+  sos: 1,
+  overspeed: 2,
+  acc_off: 10,
+  fuel_cut: 18,
+  power_cut: 19
+};
+
+// Status flags that represent an alarm rather than ordinary vehicle state
+const HQ_ALARM_FLAGS = ['sos', 'overspeed', 'power_cut', 'vibration'];
+
+// Binary H02 position packets start with '$' and carry at least 29 bytes
+const BINARY_MARKER = 0x24;
+const BINARY_MIN_LENGTH = 29;
+
 class ST900Parser {
   constructor() {
     this.packetTypes = {
       LOCATION: 'location',
       HEARTBEAT: 'heartbeat',
       ALARM: 'alarm',
-      LOGIN: 'login'
+      LOGIN: 'login',
+      COMMAND_REPLY: 'command_reply',
+      CELL_INFO: 'cell_info'
     };
+
+    this.registry = new DecoderRegistry();
+    this.registerDefaultDecoders();
+  }
+
+  /**
+   * Register the built-in protocol decoders
+   * Sniff tests are exclusive so a loose format can never claim another's frame
+   */
+  registerDefaultDecoders() {
+    // H02: ASCII *HQ frames and binary $ packets from the same device family
+    this.registerDecoder('h02', {
+      sniff: (data) => this.isBinaryPacket(data) ||
+        (typeof data === 'string' && data.startsWith('*HQ,')),
+      decode: (data) => {
+        if (Buffer.isBuffer(data)) {
+          return this.parseBinaryFormat(data);
+        }
+        return this.parseHQFormat(data) ||
+               this.parseHQReply(data) ||
+               this.parseHQNeighbours(data);
+      }
+    });
+
+    this.registerDecoder('st900', {
+      sniff: (data) => typeof data === 'string' && /^ST900,ID:/i.test(data),
+      decode: (data) => this.parseStandardFormat(data)
+    });
+
+    this.registerDecoder('key-value', {
+      sniff: (data) => typeof data === 'string' && /(^|,)imei:/i.test(data),
+      decode: (data) => this.parseAlternativeFormat(data)
+    });
+
+    this.registerDecoder('comma-delimited', {
+      sniff: (data) => typeof data === 'string' && /^\d+,-?[\d.]+,-?[\d.]+,/.test(data),
+      decode: (data) => this.parseCommaDelimited(data)
+    });
+  }
+
+  /**
+   * Add a protocol decoder for another tracker model
+   * @param {string} name - Unique protocol name
+   * @param {Object} decoder - { sniff(data), decode(data) }
+   */
+  registerDecoder(name, decoder) {
+    this.registry.register(name, decoder);
+  }
+
+  /**
+   * Per-decoder success and failure counters
+   * @returns {Object} Counters keyed by protocol name
+   */
+  getDecoderStats() {
+    return this.registry.getStats();
   }
 
   /**
    * Parse incoming raw data from ST-900 device
-   * @param {string} rawData - Raw data string from device
+   * @param {string|Buffer} rawData - Raw data string, or packet bytes for binary packets
+   * @param {Object} options
+   * @param {string} options.format - Protocol already detected for this connection or device
    * @returns {Object|null} Parsed GPS data or null if invalid
    */
-  parse(rawData) {
-    if (!rawData || typeof rawData !== 'string') {
-      return null;
+  parse(rawData, options = {}) {
+    let data;
+    let rawText;
+
+    if (this.isBinaryPacket(rawData)) {
+      data = rawData;
+      rawText = rawData.toString('hex');
+    } else {
+      if (Buffer.isBuffer(rawData)) {
+        rawData = rawData.toString();
+      }
+
+      if (!rawData || typeof rawData !== 'string') {
+        return null;
+      }
+
+      data = rawData.trim();
+      rawText = data;
     }
 
-    const data = rawData.trim();
-    console.log('Parsing raw data:', data);
+    console.log('Parsing raw data:', rawText);
 
     try {
-      // Try different parsing methods based on common GPS tracker formats
-      let parsed = this.parseStandardFormat(data) ||
-                   this.parseCommaDelimited(data) ||
-                   this.parseAlternativeFormat(data) ||
-                   this.parseHQFormat(data);
-
-      if (parsed) {
-        parsed.raw_data = data;
+      const result = this.registry.decode(data, options.format || null);
+
+      if (result) {
+        const parsed = result.packet;
+        parsed.format = result.format;
+        parsed.raw_data = rawText;
         parsed.parsed_at = new Date().toISOString();
         return parsed;
       }
 
-      console.warn('Unable to parse data format:', data);
+      if (options.format) {
+        console.warn(`Unable to parse data as ${options.format}:`, rawText);
+      } else {
+        console.warn('Unable to parse data format:', rawText);
+      }
       return null;
     } catch (error) {
       console.error('Error parsing GPS data:', error);
@@ -148,64 +243,27 @@ class ST900Parser {
     const cleanData = data.slice(4, -1);
     const parts = cleanData.split(',');
 
-    if (parts.length >= 12) {
+    if (parts.length >= 12 && parts[1] === 'V1') {
       try {
         const deviceId = parts[0]; // IMEI
         const status = parts[3]; // A = valid, V = invalid
-        
-        if (status !== 'A') {
-          // Invalid GPS fix
-          return null;
-        }
 
-        // Parse coordinates in DDMM.MMMM format
-        const latDegMin = parseFloat(parts[4]); // 3635.1452
-        const latDir = parts[5]; // N or S
-        const lonDegMin = parseFloat(parts[6]); // 03702.2586
-        const lonDir = parts[7]; // E or W
-        
-        // Convert DDMM.MMMM to decimal degrees
-        const latDeg = Math.floor(latDegMin / 100);
-        const latMin = latDegMin % 100;
-        let lat = latDeg + (latMin / 60);
-        if (latDir === 'S') lat = -lat;
-        
-        const lonDeg = Math.floor(lonDegMin / 100);
-        const lonMin = lonDegMin % 100;
-        let lon = lonDeg + (lonMin / 60);
-        if (lonDir === 'W') lon = -lon;
-        
-        const speed = parseFloat(parts[8]) || 0; // Speed in knots
-        const heading = parseFloat(parts[9]) || 0; // Course
-        const dateStr = parts[10]; // DDMMYY format
-        
-        // Parse date DDMMYY
-        const day = dateStr.substr(0, 2);
-        const month = dateStr.substr(2, 2);
-        const year = '20' + dateStr.substr(4, 2);
-        
-        // Parse time from parts[2] (HHMMSS format)
-        const timeStr = parts[2];
-        const hour = timeStr.substr(0, 2);
-        const minute = timeStr.substr(2, 2);
-        const second = timeStr.substr(4, 2);
-        
-        // Create timestamp and convert to Syria timezone (UTC+3)
-         const utcDate = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}Z`);
-         const syriaDate = new Date(utcDate.getTime() + (3 * 60 * 60 * 1000)); // Add 3 hours for Syria timezone
-         const timestamp = syriaDate.toISOString();
-        
-        if (this.isValidCoordinate(lat, lon)) {
-          return {
-            type: this.packetTypes.LOCATION,
-            device_id: deviceId,
-            lat: lat,
-            lon: lon,
-            speed: speed * 1.852, // Convert knots to km/h
-            heading: heading,
-            timestamp: timestamp
-          };
-        }
+        // Coordinates in DDMM.MMMM format
+        const lat = this.degMinToDecimal(parseFloat(parts[4]), parts[5]); // 3635.1452,N
+        const lon = this.degMinToDecimal(parseFloat(parts[6]), parts[7]); // 03702.2586,E
+
+        return this.buildHQPosition({
+          deviceId: deviceId,
+          lat: lat,
+          lon: lon,
+          speedKnots: parseFloat(parts[8]) || 0,
+          heading: parseFloat(parts[9]) || 0,
+          timeStr: parts[2], // HHMMSS
+          dateStr: parts[10], // DDMMYY
+          statusInfo: this.decodeStatusWord(parts[11]), // Vehicle status bitmask
+          gpsValid: status === 'A',
+          cell: this.parseCellInfo(parts.slice(12, 16)) // MCC, MNC, LAC, CellID
+        });
       } catch (error) {
         console.warn('Error parsing HQ format:', error);
         return null;
@@ -215,6 +273,279 @@ class ST900Parser {
     return null;
   }
 
+  /**
+   * Parse HQ command reply
+   * Example: *HQ,3072866250,V4,S20,1,211806,A,3635.1452,N,03702.2586,E,000.00,000,090925,7FFFFBFF#
+   */
+  parseHQReply(data) {
+    const parts = this.splitHQFrame(data);
+
+    if (!parts || parts.length < 3 || parts[1] !== 'V4') {
+      return null;
+    }
+
+    return {
+      type: this.packetTypes.COMMAND_REPLY,
+      device_id: parts[0],
+      command_code: parts[2], // Code of the server command being acknowledged, e.g. S20
+      response: parts.slice(3).join(','),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Parse HQ neighbour cell (LBS) report
+   * Layout: IMEI,NBR,HHMMSS,MCC,MNC,TA,count,(LAC,CellID,RSSI)*count,DDMMYY,status
+   * Example: *HQ,3072866250,NBR,211806,417,02,0,3,202,23002,45,202,23003,38,202,23010,30,090925,7FFFFBFF#
+   */
+  parseHQNeighbours(data) {
+    const parts = this.splitHQFrame(data);
+
+    if (!parts || parts.length < 9 || parts[1] !== 'NBR') {
+      return null;
+    }
+
+    const count = parseInt(parts[6], 10);
+    if (isNaN(count) || parts.length < 9 + count * 3) {
+      return null;
+    }
+
+    const mcc = parseInt(parts[3], 10);
+    const mnc = parseInt(parts[4], 10);
+    const cells = [];
+
+    for (let i = 0; i < count; i++) {
+      const offset = 7 + i * 3;
+      cells.push({
+        mcc: mcc,
+        mnc: mnc,
+        lac: parseInt(parts[offset], 10),
+        cell_id: parseInt(parts[offset + 1], 10),
+        rssi: parseInt(parts[offset + 2], 10)
+      });
+    }
+
+    const dateStr = parts[7 + count * 3];
+    const statusInfo = this.decodeStatusWord(parts[8 + count * 3]);
+
+    return {
+      type: this.packetTypes.CELL_INFO,
+      device_id: parts[0],
+      timing_advance: parseInt(parts[5], 10),
+      cells: cells,
+      status_word: statusInfo ? statusInfo.status_word : null,
+      timestamp: this.parseHQTimestamp(dateStr, parts[2])
+    };
+  }
+
+  /**
+   * Strip the *HQ, prefix and # terminator from an HQ frame
+   * @param {string} data - Raw frame
+   * @returns {string[]|null} Comma separated fields, starting with the IMEI
+   */
+  splitHQFrame(data) {
+    if (!data.startsWith('*HQ,') || !data.endsWith('#')) {
+      return null;
+    }
+
+    return data.slice(4, -1).split(',');
+  }
+
+  /**
+   * Parse binary H02 position packet
+   * Layout: '$' | IMEI (5 BCD) | HHMMSS (3 BCD) | DDMMYY (3 BCD) | lat DDMMmmmm (4 BCD) |
+   *         battery (1) | lon DDDMMmmmm + flags nibble (5 BCD) | speed + course (3 BCD) | status (4)
+   * @param {Buffer} buffer - Raw packet bytes starting with 0x24
+   * @returns {Object|null} Parsed GPS data in the same shape as parseHQFormat
+   */
+  parseBinaryFormat(buffer) {
+    if (!Buffer.isBuffer(buffer) || !this.isBinaryPacket(buffer) || buffer.length < BINARY_MIN_LENGTH) {
+      return null;
+    }
+
+    try {
+      const digits = buffer.subarray(1).toString('hex');
+      const bcd = (offset, length) => {
+        const value = digits.substr(offset, length);
+        return /^\d+$/.test(value) ? value : null;
+      };
+
+      const deviceId = bcd(0, 10);
+      const timeStr = bcd(10, 6);
+      const dateStr = bcd(16, 6);
+      const latDigits = bcd(22, 8);
+      const lonDigits = bcd(32, 9);
+      const speedDigits = bcd(42, 3);
+      const courseDigits = bcd(45, 3);
+      // Battery level byte, 0-6
+      const battery = parseInt(digits.substr(30, 2), 16);
+
+      if (!deviceId || !timeStr || !dateStr || !latDigits || !lonDigits) {
+        return null;
+      }
+
+      // Low nibble after the longitude: bit 1 = fix valid, bit 2 = north, bit 3 = east
+      const flags = parseInt(digits[41], 16);
+
+      const lat = this.degMinToDecimal(
+        parseFloat(`${latDigits.substr(0, 4)}.${latDigits.substr(4)}`),
+        (flags & 0x04) ? 'N' : 'S'
+      );
+      const lon = this.degMinToDecimal(
+        parseFloat(`${lonDigits.substr(0, 5)}.${lonDigits.substr(5)}`),
+        (flags & 0x08) ? 'E' : 'W'
+      );
+
+      return this.buildHQPosition({
+        deviceId: deviceId,
+        lat: lat,
+        lon: lon,
+        speedKnots: speedDigits ? parseInt(speedDigits, 10) : 0,
+        heading: courseDigits ? parseInt(courseDigits, 10) : 0,
+        timeStr: timeStr,
+        dateStr: dateStr,
+        statusInfo: this.decodeStatusWord(digits.substr(48, 8)),
+        gpsValid: (flags & 0x02) !== 0,
+        batteryLevel: isNaN(battery) ? null : Math.min(Math.round(battery * 100 / 6), 100),
+        cell: null
+      });
+    } catch (error) {
+      console.warn('Error parsing binary format:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Build the normalized position shared by the HQ text and binary encodings
+   * Packets without a GPS fix are kept, flagged with gps_valid = false, so the
+   * device's last contact and serving cell are still recorded
+   * @param {Object} fields - Decoded packet fields
+   * @returns {Object|null} Parsed GPS data or null if a valid fix has bad coordinates
+   */
+  buildHQPosition(fields) {
+    const { deviceId, speedKnots, heading, timeStr, dateStr, statusInfo, gpsValid, batteryLevel, cell } = fields;
+    let { lat, lon } = fields;
+
+    if (gpsValid && !this.isValidCoordinate(lat, lon)) {
+      return null;
+    }
+
+    // Without a fix the device may report zeros or garbage; keep only plausible values
+    if (!gpsValid && !this.isValidCoordinate(lat, lon)) {
+      lat = 0;
+      lon = 0;
+    }
+
+    return {
+      type: statusInfo && statusInfo.alarms.length > 0
+        ? this.packetTypes.ALARM
+        : this.packetTypes.LOCATION,
+      device_id: deviceId,
+      lat: lat,
+      lon: lon,
+      speed: speedKnots * 1.852, // Convert knots to km/h
+      heading: heading,
+      timestamp: this.parseHQTimestamp(dateStr, timeStr),
+      status_word: statusInfo ? statusInfo.status_word : null,
+      status_flags: statusInfo ? statusInfo.flags : null,
+      alarms: statusInfo ? statusInfo.alarms : [],
+      ignition: statusInfo ? statusInfo.flags.acc_on : null,
+      battery_level: batteryLevel ?? null, // Percent; binary packets only
+      gps_valid: gpsValid,
+      mcc: cell ? cell.mcc : null,
+      mnc: cell ? cell.mnc : null,
+      lac: cell ? cell.lac : null,
+      cell_id: cell ? cell.cell_id : null
+    };
+  }
+
+  /**
+   * Parse the serving cell fields at the end of an HQ packet
+   * Example: 417,02,202,23002
+   * @param {string[]} fields - MCC, MNC, LAC and CellID
+   * @returns {Object|null} Cell identifiers or null if absent
+   */
+  parseCellInfo(fields) {
+    if (!fields || fields.length < 4 || !fields.every(field => /^\d+$/.test(field))) {
+      return null;
+    }
+
+    const [mcc, mnc, lac, cellId] = fields.map(field => parseInt(field, 10));
+    return { mcc: mcc, mnc: mnc, lac: lac, cell_id: cellId };
+  }
+
+  /**
+   * Convert DDMM.MMMM (or DDDMM.MMMM) to signed decimal degrees
+   * @param {number} degMin - Degrees and minutes, e.g. 3635.1452
+   * @param {string} direction - N, S, E or W
+   * @returns {number} Decimal degrees
+   */
+  degMinToDecimal(degMin, direction) {
+    const degrees = Math.floor(degMin / 100);
+    const minutes = degMin % 100;
+    const decimal = degrees + (minutes / 60);
+
+    return (direction === 'S' || direction === 'W') ? -decimal : decimal;
+  }
+
+  /**
+   * Build UTC timestamp from HQ date and time fields
+   * @param {string} dateStr - DDMMYY
+   * @param {string} timeStr - HHMMSS
+   * @returns {string} ISO timestamp
+   */
+  parseHQTimestamp(dateStr, timeStr) {
+    const day = dateStr.substr(0, 2);
+    const month = dateStr.substr(2, 2);
+    const year = '20' + dateStr.substr(4, 2);
+
+    const hour = timeStr.substr(0, 2);
+    const minute = timeStr.substr(2, 2);
+    const second = timeStr.substr(4, 2);
+
+    // Devices report UTC; timestamps are stored as UTC and localized only for display
+    return new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}Z`).toISOString();
+  }
+
+  /**
+   * Check if data is a binary H02 packet
+   * @param {Buffer|string} data - Raw packet
+   * @returns {boolean} True if the packet starts with the '$' marker
+   */
+  isBinaryPacket(data) {
+    return Buffer.isBuffer(data) && data.length > 0 && data[0] === BINARY_MARKER;
+  }
+
+  /**
+   * Decode the HQ vehicle status word into named flags
+   * Example: 7FFFFBFF
+   * @param {string} hexStatus - 8 character hexadecimal status word
+   * @returns {Object|null} Status word, named flags and active alarms, or null if invalid
+   */
+  decodeStatusWord(hexStatus) {
+    if (!hexStatus || !/^[0-9A-F]{8}$/i.test(hexStatus)) {
+      return null;
+    }
+
+    const word = parseInt(hexStatus, 16);
+    const isActive = (bit) => ((word >>> bit) & 1) === 0;
+
+    const flags = {
+      sos: isActive(HQ_STATUS_BITS.sos),
+      overspeed: isActive(HQ_STATUS_BITS.overspeed),
+      power_cut: isActive(HQ_STATUS_BITS.power_cut),
+      vibration: isActive(HQ_STATUS_BITS.vibration),
+      acc_on: !isActive(HQ_STATUS_BITS.acc_off),
+      fuel_cut: isActive(HQ_STATUS_BITS.fuel_cut)
+    };
+
+    return {
+      status_word: hexStatus.toUpperCase(),
+      flags: flags,
+      alarms: HQ_ALARM_FLAGS.filter(flag => flags[flag])
+    };
+  }
+
   /**
    * Parse timestamp from various formats
    * @param {string} timeStr - Time string in various formats
@@ -315,4 +646,7 @@ class ST900Parser {
   }
 }
 
+// Status flags reported as alarms, for validating alarm filters
+ST900Parser.ALARM_FLAGS = HQ_ALARM_FLAGS;
+
 module.exports = ST900Parser;
\ No newline at end of file
@@ -0,0 +1,327 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const GPSDatabase = require('./database');
+const { haversineKm, headingDelta, hasFix } = require('./geo');
+const { parseUtc } = require('./timezone');
+require('dotenv').config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const POLICY_FIELDS = ['raw_days', 'downsampled_days', 'summary_days'];
+
+const toDay = (date) => date.toISOString().slice(0, 10);
+const addDays = (day, days) => toDay(new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS));
+
+// Device IDs are used as directory names
+const safeName = (deviceId) => String(deviceId).replace(/[^\w.-]/g, '_');
+
+/**
+ * Retention for GPS logs
+ * Ages are in days, counted back from the start of the current UTC day:
+ *   raw_days         - keep every point this long
+ *   downsampled_days - then keep one point per minute, plus heading changes and
+ *                      alarms, until this age; older points are removed
+ *   summary_days     - keep daily summaries this long
+ * 0 means keep forever. Removed points are archived to gzipped NDJSON first.
+ */
+class RetentionService {
+  constructor(options = {}) {
+    this.db = options.db || new GPSDatabase();
+    this.archiveDir = options.archiveDir || process.env.ARCHIVE_DIR || 'archive';
+    // Downsampling also keeps a point when the heading turns by this many degrees
+    this.headingChange = parseFloat(process.env.RETENTION_HEADING_CHANGE) || 30;
+    this.intervalHours = process.env.RETENTION_INTERVAL_HOURS === undefined
+      ? 24
+      : parseFloat(process.env.RETENTION_INTERVAL_HOURS) || 0;
+    this.defaults = {
+      raw_days: parseInt(process.env.RETENTION_RAW_DAYS) || 0,
+      downsampled_days: parseInt(process.env.RETENTION_DOWNSAMPLED_DAYS) || 0,
+      summary_days: parseInt(process.env.RETENTION_SUMMARY_DAYS) || 0
+    };
+
+    const defaultsError = RetentionService.validatePolicy(this.defaults);
+    if (defaultsError) {
+      throw new Error(`Invalid retention settings: ${defaultsError}`);
+    }
+
+    this.timer = null;
+    this.running = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * Check a policy; fields may be null to use the defaults
+   * @param {Object} policy - { raw_days, downsampled_days, summary_days }
+   * @returns {string|null} Error message, or null if valid
+   */
+  static validatePolicy(policy) {
+    for (const field of POLICY_FIELDS) {
+      const value = policy[field];
+      if (value !== null && value !== undefined && (!Number.isInteger(value) || value < 0)) {
+        return `${field} must be a whole number of days (0 keeps forever)`;
+      }
+    }
+
+    const { raw_days, downsampled_days, summary_days } = policy;
+    if (raw_days > 0 && downsampled_days > 0 && downsampled_days < raw_days) {
+      return 'downsampled_days must not be less than raw_days';
+    }
+    if (downsampled_days > 0 && summary_days > 0 && summary_days < downsampled_days) {
+      return 'summary_days must not be less than downsampled_days';
+    }
+
+    return null;
+  }
+
+  // Effective policy for a device: its overrides on top of the defaults
+  async getPolicy(deviceId) {
+    const override = await this.db.getRetentionPolicy(deviceId);
+    const policy = { source: override ? 'device' : 'default' };
+
+    POLICY_FIELDS.forEach(field => {
+      policy[field] = override && override[field] !== null ? override[field] : this.defaults[field];
+    });
+
+    return policy;
+  }
+
+  start() {
+    if (this.intervalHours <= 0) {
+      console.log('🗃️  Retention schedule disabled');
+      return;
+    }
+
+    const runScheduled = () => {
+      this.run().catch(error => console.error('❌ Retention run failed:', error));
+    };
+
+    // First run shortly after startup, then on the interval
+    this.timer = setTimeout(() => {
+      runScheduled();
+      this.timer = setInterval(runScheduled, this.intervalHours * 60 * 60 * 1000);
+      this.timer.unref();
+    }, 60 * 1000);
+    this.timer.unref();
+
+    console.log(`🗃️  Retention runs every ${this.intervalHours}h (archive: ${this.archiveDir})`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Apply retention to every device
+   * @param {Object} options
+   * @param {boolean} options.dryRun - Report what would change without changing it
+   * @param {Date} options.now - Reference time (defaults to now)
+   * @returns {Promise<Object>} Per-device report and totals
+   */
+  run(options = {}) {
+    if (!this.running) {
+      this.running = this.runAll(options).finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async runAll(options) {
+    const report = {
+      dry_run: Boolean(options.dryRun),
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      devices: [],
+      totals: { summarized: 0, downsampled: 0, expired: 0, archives: 0 }
+    };
+
+    for (const deviceId of await this.db.getDeviceIds()) {
+      const policy = await this.getPolicy(deviceId);
+      const result = await this.applyPolicy(deviceId, policy, options);
+
+      if (result.summarized || result.downsampled || result.expired || result.summaries_deleted) {
+        report.devices.push(result);
+      }
+      report.totals.summarized += result.summarized;
+      report.totals.downsampled += result.downsampled;
+      report.totals.expired += result.expired;
+      report.totals.archives += result.archives.length;
+    }
+
+    report.finished_at = new Date().toISOString();
+    if (!report.dry_run) {
+      this.lastRun = report;
+    }
+
+    const { summarized, downsampled, expired } = report.totals;
+    console.log(`🗃️  Retention${report.dry_run ? ' (dry run)' : ''}: ${summarized} days summarized, ${downsampled} points downsampled, ${expired} points expired`);
+    return report;
+  }
+
+  // Apply one device's policy, oldest day first
+  async applyPolicy(deviceId, policy, options = {}) {
+    const dryRun = Boolean(options.dryRun);
+    const today = toDay(options.now || new Date());
+    const rawCutoff = policy.raw_days > 0 ? addDays(today, -policy.raw_days) : null;
+    const expireCutoff = policy.downsampled_days > 0 ? addDays(today, -policy.downsampled_days) : null;
+    const summaryCutoff = policy.summary_days > 0 ? addDays(today, -policy.summary_days) : null;
+
+    const result = {
+      device_id: deviceId,
+      summarized: 0,
+      downsampled: 0,
+      expired: 0,
+      summaries_deleted: 0,
+      archives: []
+    };
+
+    const horizon = rawCutoff || expireCutoff;
+    if (horizon) {
+      const device = await this.db.getDevice(deviceId);
+      const downsampledUntil = device ? device.downsampled_until : null;
+
+      for (const day of await this.db.getGpsLogDays(deviceId, horizon)) {
+        const expiring = Boolean(expireCutoff && day < expireCutoff);
+        const downsampling = !expiring && Boolean(rawCutoff) && (!downsampledUntil || day >= downsampledUntil);
+        const summarized = Boolean(await this.db.getDailySummary(deviceId, day));
+
+        if (!expiring && !downsampling && summarized) {
+          continue;
+        }
+
+        const rows = await this.db.getGpsLogsForDay(deviceId, day);
+
+        // Summaries are taken before points leave the raw window
+        if (!summarized && rows.length > 0) {
+          if (!dryRun) {
+            await this.db.upsertDailySummary(this.summarizeDay(deviceId, day, rows));
+          }
+          result.summarized++;
+        }
+
+        const remove = expiring ? rows : (downsampling ? this.downsample(rows).drop : []);
+        if (remove.length === 0) {
+          continue;
+        }
+
+        const reason = expiring ? 'expired' : 'downsampled';
+        if (!dryRun) {
+          // The archive is on disk before anything is deleted
+          result.archives.push(this.writeArchive(deviceId, day, reason, remove));
+          await this.db.deleteGpsLogs(deviceId, remove.map(row => row.id));
+        }
+        result[reason] += remove.length;
+      }
+
+      if (rawCutoff && !dryRun && (!downsampledUntil || rawCutoff > downsampledUntil)) {
+        await this.db.setDownsampledUntil(deviceId, rawCutoff);
+      }
+    }
+
+    if (summaryCutoff && !dryRun) {
+      result.summaries_deleted = (await this.db.deleteDailySummariesBefore(deviceId, summaryCutoff)).changes;
+    }
+
+    return result;
+  }
+
+  /**
+   * Thin a day of points: keep the first point of each minute, points where the
+   * heading turns by at least headingChange degrees, and every alarm
+   * @param {Array} rows - gps_logs rows, oldest first
+   * @returns {Object} { keep, drop }
+   */
+  downsample(rows) {
+    const keep = [];
+    const drop = [];
+    let last = null;
+
+    rows.forEach(row => {
+      const time = parseUtc(row.timestamp);
+      const minute = time ? Math.floor(time.getTime() / 60000) : null;
+
+      const kept = !last ||
+        row.packet_type === 'alarm' ||
+        minute !== last.minute ||
+        (hasFix(row) && hasFix(last.row) && headingDelta(row.heading, last.row.heading) >= this.headingChange);
+
+      if (kept) {
+        keep.push(row);
+        last = { row, minute };
+      } else {
+        drop.push(row);
+      }
+    });
+
+    return { keep, drop };
+  }
+
+  // Daily totals for one device, from its points of that day
+  summarizeDay(deviceId, day, rows) {
+    const fixes = rows.filter(hasFix);
+    let distance = 0;
+
+    for (let i = 1; i < fixes.length; i++) {
+      distance += haversineKm(fixes[i - 1].lat, fixes[i - 1].lon, fixes[i].lat, fixes[i].lon);
+    }
+
+    const speeds = fixes.map(row => row.speed || 0);
+    const lats = fixes.map(row => row.lat);
+    const lons = fixes.map(row => row.lon);
+
+    return {
+      device_id: deviceId,
+      day: day,
+      points: rows.length,
+      distance_km: Math.round(distance * 1000) / 1000,
+      max_speed: speeds.length > 0 ? Math.max(...speeds) : 0,
+      avg_speed: speeds.length > 0 ? Math.round(speeds.reduce((a, b) => a + b, 0) / speeds.length * 100) / 100 : 0,
+      first_fix_time: rows[0].timestamp,
+      last_fix_time: rows[rows.length - 1].timestamp,
+      min_lat: lats.length > 0 ? Math.min(...lats) : null,
+      max_lat: lats.length > 0 ? Math.max(...lats) : null,
+      min_lon: lons.length > 0 ? Math.min(...lons) : null,
+      max_lon: lons.length > 0 ? Math.max(...lons) : null,
+      alarm_count: rows.filter(row => row.packet_type === 'alarm').length
+    };
+  }
+
+  // Write rows to <archiveDir>/<device>/<day>-<reason>-<ms>.ndjson.gz and sync it to disk
+  writeArchive(deviceId, day, reason, rows) {
+    const directory = path.join(this.archiveDir, safeName(deviceId));
+    fs.mkdirSync(directory, { recursive: true });
+
+    const file = path.join(directory, `${day}-${reason}-${Date.now()}.ndjson.gz`);
+    const data = zlib.gzipSync(rows.map(row => JSON.stringify(row)).join('\n') + '\n');
+
+    const fd = fs.openSync(file, 'wx');
+    try {
+      fs.writeSync(fd, data);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    return file;
+  }
+
+  // Archive files and bytes on disk for a device
+  getArchiveUsage(deviceId) {
+    const directory = path.join(this.archiveDir, safeName(deviceId));
+    if (!fs.existsSync(directory)) {
+      return { files: 0, bytes: 0 };
+    }
+
+    return fs.readdirSync(directory).reduce((usage, file) => {
+      usage.files++;
+      usage.bytes += fs.statSync(path.join(directory, file)).size;
+      return usage;
+    }, { files: 0, bytes: 0 });
+  }
+}
+
+module.exports = RetentionService;
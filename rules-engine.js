@@ -0,0 +1,415 @@
+const EventEmitter = require('events');
+const GPSDatabase = require('./database');
+const ST900Parser = require('./parser');
+const { hasFix } = require('./geo');
+const { parseUtc } = require('./timezone');
+require('dotenv').config();
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+const isPositive = (value) => typeof value === 'number' && value > 0;
+const isWholeNumber = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Rule types. Each checks its params, and all but 'offline' say whether a fix
+ * meets the condition: true, false, or null when the fix doesn't tell (no GPS
+ * fix, no ignition or battery reading). A condition must hold for holdMs
+ * before an event is raised.
+ */
+const RULE_TYPES = {
+  // Faster than speed_kmh for duration_s
+  overspeed: {
+    validate: (params) => {
+      if (!isPositive(params.speed_kmh)) return 'params.speed_kmh must be a positive number';
+      if (params.duration_s !== undefined && !isWholeNumber(params.duration_s)) {
+        return 'params.duration_s must be a whole number of seconds';
+      }
+      return null;
+    },
+    matches: (params, row) => hasFix(row) ? row.speed > params.speed_kmh : null,
+    holdMs: (params) => (params.duration_s || 0) * 1000,
+    message: (params, row) => `Speed ${Math.round(row.speed)} km/h above ${params.speed_kmh} km/h`
+  },
+
+  // Ignition on and slower than max_speed_kmh for minutes
+  idling: {
+    validate: (params) => {
+      if (!Number.isInteger(params.minutes) || params.minutes <= 0) return 'params.minutes must be a positive whole number';
+      if (params.max_speed_kmh !== undefined && !(typeof params.max_speed_kmh === 'number' && params.max_speed_kmh >= 0)) {
+        return 'params.max_speed_kmh must be a number';
+      }
+      return null;
+    },
+    matches: (params, row) => {
+      if (row.ignition === null || row.ignition === undefined) return null;
+      const maxSpeed = params.max_speed_kmh ?? 5;
+      return Boolean(row.ignition) && (row.speed || 0) <= maxSpeed;
+    },
+    holdMs: (params) => params.minutes * 60 * 1000,
+    message: (params) => `Idling with ignition on for ${params.minutes} minutes`
+  },
+
+  // No position for minutes; checked on a timer
+  offline: {
+    validate: (params) => Number.isInteger(params.minutes) && params.minutes > 0
+      ? null
+      : 'params.minutes must be a positive whole number',
+    // Any packet means the device is back
+    matches: () => false,
+    holdMs: () => 0,
+    message: (params) => `No data for ${params.minutes} minutes`
+  },
+
+  // Any of the listed alarm flags (all of them when none are listed)
+  alarm: {
+    validate: (params) => {
+      if (params.alarms === undefined) return null;
+      if (!Array.isArray(params.alarms) || !params.alarms.every(alarm => ST900Parser.ALARM_FLAGS.includes(alarm))) {
+        return `params.alarms must list alarms from: ${ST900Parser.ALARM_FLAGS.join(', ')}`;
+      }
+      return null;
+    },
+    matches: (params, row) => activeAlarms(params, row).length > 0,
+    holdMs: () => 0,
+    message: (params, row) => `Alarm: ${activeAlarms(params, row).join(', ')}`
+  },
+
+  // Battery at or below percent
+  low_battery: {
+    validate: (params) => Number.isInteger(params.percent) && params.percent > 0 && params.percent <= 100
+      ? null
+      : 'params.percent must be a whole number from 1 to 100',
+    matches: (params, row) => row.battery_level === null || row.battery_level === undefined
+      ? null
+      : row.battery_level <= params.percent,
+    holdMs: () => 0,
+    message: (params, row) => `Battery at ${row.battery_level}%`
+  }
+};
+
+/**
+ * Evaluates alert rules against incoming positions and device state, and
+ * stores what they find in the events table.
+ *
+ * A rule applies to one device or, without device_id, to all of them; rules
+ * an organization set up only ever apply to its own devices. While a
+ * device has an unresolved event for a rule, the rule raises nothing new for
+ * it. Rules with auto_resolve resolve their event once the condition clears.
+ * Absence rules ('offline') are checked every checkInterval.
+ *
+ * Emits 'event' with each raised event and 'resolved' with each event resolved
+ * automatically.
+ */
+class RulesEngine extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.db = options.db || new GPSDatabase();
+    this.checkInterval = (options.checkSeconds || parseFloat(process.env.RULES_CHECK_SECONDS) || 60) * 1000;
+    // Rules and unresolved events are read again this often
+    this.reloadInterval = (options.reloadSeconds || parseFloat(process.env.RULES_RELOAD_SECONDS) || 60) * 1000;
+
+    this.rules = null;
+    this.organizations = new Map(); // Organization of each device, read with the rules
+    this.loadedAt = 0;
+    this.states = new Map(); // Conditions and unresolved events per device
+    this.chains = new Map(); // Work queued per device, run in order
+    this.timer = null;
+    this.checking = null;
+  }
+
+  /**
+   * Check a rule from the API
+   * @param {Object} input - { name, type, device_id, params, severity, auto_resolve, enabled }
+   * @returns {string|null} Error message, or null when valid
+   */
+  static validateRule(input) {
+    if (!input || typeof input.name !== 'string' || !input.name.trim()) {
+      return 'name is required';
+    }
+    if (!RULE_TYPES[input.type]) {
+      return `type must be one of: ${Object.keys(RULE_TYPES).join(', ')}`;
+    }
+    if (input.params !== undefined && (typeof input.params !== 'object' || input.params === null || Array.isArray(input.params))) {
+      return 'params must be an object';
+    }
+    if (input.severity !== undefined && !SEVERITIES.includes(input.severity)) {
+      return `severity must be one of: ${SEVERITIES.join(', ')}`;
+    }
+    if (input.device_id !== undefined && input.device_id !== null && typeof input.device_id !== 'string') {
+      return 'device_id must be a string';
+    }
+
+    return RULE_TYPES[input.type].validate(input.params || {});
+  }
+
+  /**
+   * Rule row for storage from validated API input
+   * @param {Object} input - Rule as accepted by validateRule()
+   * @returns {Object} Row with defaults filled in
+   */
+  static toRow(input) {
+    return {
+      name: input.name.trim(),
+      type: input.type,
+      device_id: input.device_id || null,
+      params: input.params || {},
+      severity: input.severity || 'warning',
+      // Alarms stay until someone deals with them
+      auto_resolve: input.auto_resolve ?? input.type !== 'alarm',
+      enabled: input.enabled ?? true
+    };
+  }
+
+  /**
+   * Evaluate a stored position against the rules
+   * @param {Object} row - gps_logs row (or parsed data with its stored id)
+   * @returns {Promise<Array>} Events raised; never rejects
+   */
+  addPoint(row) {
+    return this.enqueue(row.device_id, () => this.handlePoint(row))
+      .catch(error => {
+        console.error(`❌ Rule evaluation failed for ${row.device_id}:`, error);
+        return [];
+      });
+  }
+
+  // Read rules and unresolved events again before they're next used
+  invalidate() {
+    this.loadedAt = 0;
+    this.states.forEach(state => {
+      state.loadedAt = 0;
+    });
+  }
+
+  // Run a task after the device's earlier ones; a failure doesn't stop later tasks
+  enqueue(deviceId, task) {
+    const previous = this.chains.get(deviceId) || Promise.resolve();
+    const run = previous.then(task);
+    const settled = run.catch(() => {});
+
+    this.chains.set(deviceId, settled);
+    settled.then(() => {
+      if (this.chains.get(deviceId) === settled) {
+        this.chains.delete(deviceId);
+      }
+    });
+
+    return run;
+  }
+
+  async handlePoint(row) {
+    const time = parseUtc(row.timestamp);
+    if (!time) {
+      return [];
+    }
+
+    const rules = (await this.getRules()).filter(rule => appliesTo(rule, row.device_id, this.organizations));
+    const state = await this.loadState(row.device_id);
+    const events = [];
+
+    // Conditions that last are judged in fix order; alarms in backfilled data still count
+    const late = time.getTime() <= state.lastTime;
+    if (!late) {
+      state.lastTime = time.getTime();
+    }
+
+    for (const rule of rules) {
+      const type = RULE_TYPES[rule.type];
+      if (late && type.holdMs(rule.params) > 0) {
+        continue;
+      }
+
+      const matched = type.matches(rule.params, row);
+      if (matched === null) {
+        continue;
+      }
+
+      const open = state.open.get(rule.id);
+      if (!matched) {
+        state.since.delete(rule.id);
+        if (open && rule.auto_resolve) {
+          await this.resolve(state, rule, open);
+        }
+        continue;
+      }
+
+      if (!state.since.has(rule.id)) {
+        state.since.set(rule.id, time.getTime());
+      }
+      if (!open && time.getTime() - state.since.get(rule.id) >= type.holdMs(rule.params)) {
+        events.push(await this.raise(state, rule, {
+          message: type.message(rule.params, row),
+          details: details(row),
+          lat: hasFix(row) ? row.lat : null,
+          lon: hasFix(row) ? row.lon : null,
+          gps_log_id: row.id,
+          triggered_at: time.toISOString()
+        }));
+      }
+    }
+
+    return events;
+  }
+
+  // Raise events for devices silent longer than their offline rules allow
+  async check(now = new Date()) {
+    const rules = (await this.getRules()).filter(rule => rule.type === 'offline');
+    const events = [];
+
+    for (const rule of rules) {
+      const before = new Date(now.getTime() - rule.params.minutes * 60 * 1000).toISOString();
+      const devices = (await this.db.getSilentDevices(before))
+        .filter(device => appliesTo(rule, device.device_id, this.organizations));
+
+      for (const device of devices) {
+        const event = await this.enqueue(device.device_id, async () => {
+          const state = await this.loadState(device.device_id);
+          if (state.open.has(rule.id)) {
+            return null;
+          }
+          return this.raise(state, rule, {
+            message: RULE_TYPES.offline.message(rule.params),
+            details: { last_seen: parseUtc(device.last_seen).toISOString() },
+            triggered_at: now.toISOString()
+          });
+        });
+        if (event) {
+          events.push(event);
+        }
+      }
+    }
+
+    return events;
+  }
+
+  async raise(state, rule, fields) {
+    const event = {
+      rule_id: rule.id,
+      device_id: state.deviceId,
+      type: rule.type,
+      severity: rule.severity,
+      status: 'open',
+      ...fields
+    };
+    const result = await this.db.insertEvent(event);
+    event.id = result.lastInsertRowid;
+    event.rule_name = rule.name;
+    state.open.set(rule.id, event);
+
+    console.log(`🔔 ${rule.severity} event for ${state.deviceId}: ${event.message} (rule "${rule.name}")`);
+    this.emit('event', event);
+    return event;
+  }
+
+  async resolve(state, rule, event) {
+    await this.db.resolveEvent(event.id, 'system');
+    state.open.delete(rule.id);
+
+    console.log(`✅ Event ${event.id} for ${state.deviceId} resolved (rule "${rule.name}")`);
+    this.emit('resolved', { ...event, status: 'resolved', resolved_by: 'system' });
+  }
+
+  // Enabled rules, read again when stale, with the device organizations they need
+  async getRules() {
+    if (!this.rules || Date.now() - this.loadedAt >= this.reloadInterval) {
+      const loadedAt = Date.now();
+      const rules = (await this.db.getRules())
+        .filter(rule => rule.enabled)
+        .map(rule => ({
+          ...rule,
+          id: Number(rule.id),
+          params: JSON.parse(rule.params),
+          auto_resolve: Boolean(rule.auto_resolve),
+          organization_id: rule.organization_id ?? null
+        }));
+      this.organizations = rules.some(rule => rule.organization_id !== null)
+        ? new Map((await this.db.getDeviceOrganizations()).map(row => [row.device_id, row.organization_id]))
+        : new Map();
+      this.rules = rules;
+      this.loadedAt = loadedAt;
+    }
+
+    return this.rules;
+  }
+
+  // Conditions being timed and unresolved events for a device
+  async loadState(deviceId) {
+    let state = this.states.get(deviceId);
+    if (!state) {
+      state = { deviceId: deviceId, since: new Map(), open: new Map(), lastTime: 0, loadedAt: 0 };
+      this.states.set(deviceId, state);
+    }
+
+    // Events may have been acknowledged or resolved through the API
+    if (Date.now() - state.loadedAt >= this.reloadInterval) {
+      const loadedAt = Date.now();
+      state.open = new Map((await this.db.getUnresolvedEvents(deviceId))
+        .filter(event => event.rule_id !== null)
+        .map(event => [Number(event.rule_id), { ...event, id: Number(event.id) }]));
+      state.loadedAt = loadedAt;
+    }
+
+    return state;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      if (this.checking) {
+        return;
+      }
+      this.checking = this.check()
+        .catch(error => console.error('❌ Offline rule check failed:', error))
+        .finally(() => {
+          this.checking = null;
+        });
+    }, this.checkInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Stop the timer and finish queued evaluations
+  async close() {
+    this.stop();
+    if (this.checking) {
+      await this.checking;
+    }
+    await Promise.all([...this.chains.values()]);
+  }
+}
+
+RulesEngine.RULE_TYPES = Object.keys(RULE_TYPES);
+RulesEngine.SEVERITIES = SEVERITIES;
+RulesEngine.EVENT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+function appliesTo(rule, deviceId, organizations) {
+  return (!rule.device_id || rule.device_id === deviceId) &&
+    (rule.organization_id === null || rule.organization_id === organizations.get(deviceId));
+}
+
+// Alarms on a fix that a rule listens for; stored rows keep them comma separated
+function activeAlarms(params, row) {
+  const alarms = Array.isArray(row.alarms) ? row.alarms : (row.alarms ? row.alarms.split(',') : []);
+  return params.alarms ? alarms.filter(alarm => params.alarms.includes(alarm)) : alarms;
+}
+
+// Readings kept with an event
+function details(row) {
+  return {
+    speed: row.speed ?? null,
+    ignition: row.ignition ?? null,
+    battery_level: row.battery_level ?? null,
+    alarms: activeAlarms({}, row)
+  };
+}
+
+module.exports = RulesEngine;
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+
+/**
+ * Apply retention policies now instead of waiting for the schedule.
+ *   npm run retention                 summarize, downsample, archive and expire
+ *   npm run retention -- --dry-run    report what would change
+ * Policies come from RETENTION_* settings and per-device overrides.
+ */
+
+const GPSDatabase = require('../database');
+const RetentionService = require('../retention-service');
+require('dotenv').config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  const db = new GPSDatabase();
+  const retention = new RetentionService({ db });
+
+  try {
+    await db.ready();
+
+    console.log(`🗃️  Applying retention policies${dryRun ? ' (dry run)' : ''}...`);
+    console.log('=' .repeat(50));
+
+    const report = await retention.run({ dryRun: dryRun });
+
+    report.devices.forEach(device => {
+      console.log(`   ${device.device_id}: ${device.summarized} days summarized, ${device.downsampled} downsampled, ${device.expired} expired, ${device.summaries_deleted} summaries removed`);
+      device.archives.forEach(file => console.log(`      📦 ${file}`));
+    });
+
+    console.log('=' .repeat(50));
+    console.log(`✅ ${report.devices.length} device(s) changed, ${report.totals.archives} archive file(s) written`);
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Retention failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+/**
+ * Create an API user, or reset an existing user's password and role.
+ *   npm run user:create -- <username> [--role viewer|dispatcher|admin]
+ * The password is read from USER_PASSWORD, or from standard input when that
+ * is not set. Use it to create the first admin; after that, admins manage
+ * users through the API.
+ */
+
+const readline = require('readline');
+const GPSDatabase = require('../database');
+const AuthService = require('../auth-service');
+require('dotenv').config();
+
+const args = process.argv.slice(2);
+const roleIndex = args.indexOf('--role');
+const role = roleIndex >= 0 ? args[roleIndex + 1] : 'admin';
+const username = args.find((arg, index) => !arg.startsWith('--') && index !== roleIndex + 1);
+
+function readPassword() {
+  if (process.env.USER_PASSWORD) {
+    return Promise.resolve(process.env.USER_PASSWORD);
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => rl.question('Password: ', answer => {
+    rl.close();
+    resolve(answer);
+  }));
+}
+
+async function main() {
+  const input = { username: username, password: await readPassword(), role: role, enabled: true };
+  const validationError = AuthService.validateUser(input);
+  if (validationError) {
+    console.error(`❌ ${validationError}`);
+    process.exit(1);
+  }
+
+  const db = new GPSDatabase();
+
+  try {
+    await db.ready();
+
+    const existing = await db.getUserByUsername(input.username.toLowerCase());
+    const row = await AuthService.toUserRow(input, existing);
+    await db.saveUser(existing ? { ...row, id: existing.id } : row);
+
+    console.log(`✅ ${existing ? 'Updated' : 'Created'} ${row.role} user "${row.username}"`);
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Creating user failed:', error);
+  process.exit(1);
+});
@@ -6,9 +6,10 @@ require('dotenv').config();
 console.log('🗄️  Initializing ST-900 GPS Tracker Database...');
 console.log('=' .repeat(50));
 
-try {
+async function main() {
   // Initialize database
   const db = new GPSDatabase();
+  await db.ready();
   
   console.log('✅ Database tables created successfully');
   console.log('✅ Indexes created for optimal performance');
@@ -26,15 +27,15 @@ try {
   };
   
   console.log('📍 Inserting sample GPS data...');
-  const result = db.insertGpsLog(sampleData);
+  const result = await db.insertGpsLog(sampleData);
   
   if (result) {
     console.log(`✅ Sample data inserted with ID: ${result.lastInsertRowid}`);
   }
   
   // Get and display database stats
-  const devices = db.getActiveDevices();
-  const locations = db.getLatestLocations(10);
+  const devices = await db.getActiveDevices();
+  const locations = await db.getLatestLocations(10);
   
   console.log('');
   console.log('📊 Database Statistics:');
@@ -50,14 +51,15 @@ try {
   }
   
   // Close database connection
-  db.close();
+  await db.close();
   
   console.log('');
   console.log('=' .repeat(50));
   console.log('✅ Database initialization completed successfully!');
   console.log('🚀 You can now start the GPS tracker server with: npm start');
-  
-} catch (error) {
+}
+
+main().catch(error => {
   console.error('❌ Database initialization failed:', error);
   process.exit(1);
-}
\ No newline at end of file
+});
\ No newline at end of file
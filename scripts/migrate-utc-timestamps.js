@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+/**
+ * One-off migration: older versions stored H02 (*HQ and binary $) timestamps
+ * shifted +3 hours. Recompute them as UTC from the stored raw packet.
+ * SQLite only. Safe to run more than once. Pass --dry-run to only report what would change.
+ */
+
+const GPSDatabase = require('../database');
+const ST900Parser = require('../parser');
+require('dotenv').config();
+
+const BATCH_SIZE = 1000;
+const dryRun = process.argv.includes('--dry-run');
+
+// Decode the UTC timestamp of a stored H02 packet, or null if it isn't one
+function decodeTimestamp(parser, rawData) {
+  if (!rawData) {
+    return null;
+  }
+
+  let parsed = null;
+  if (rawData.startsWith('*HQ,')) {
+    parsed = parser.parseHQFormat(rawData) || parser.parseHQNeighbours(rawData);
+  } else if (/^24[0-9a-f]+$/i.test(rawData)) {
+    parsed = parser.parseBinaryFormat(Buffer.from(rawData, 'hex'));
+  }
+
+  return parsed ? parsed.timestamp : null;
+}
+
+// Walk a table in id order and rewrite timestamps that differ from the decoded UTC time
+function migrateTable(db, parser, table, column) {
+  const select = db.db.prepare(`
+    SELECT id, ${column} AS stored, raw_data FROM ${table}
+    WHERE id > ? AND (raw_data LIKE '*HQ,%' OR raw_data LIKE '24%')
+    ORDER BY id ASC
+    LIMIT ?
+  `);
+  const update = db.db.prepare(`UPDATE ${table} SET ${column} = ? WHERE id = ?`);
+
+  let lastId = 0;
+  let checked = 0;
+  let changed = 0;
+  let rows;
+
+  do {
+    rows = select.all(lastId, BATCH_SIZE);
+
+    const applyBatch = db.db.transaction((batch) => {
+      batch.forEach(row => {
+        checked++;
+        const utc = decodeTimestamp(parser, row.raw_data);
+        if (utc && utc !== row.stored) {
+          changed++;
+          if (!dryRun) {
+            update.run(utc, row.id);
+          }
+        }
+      });
+    });
+
+    applyBatch(rows);
+    if (rows.length > 0) {
+      lastId = rows[rows.length - 1].id;
+    }
+  } while (rows.length === BATCH_SIZE);
+
+  console.log(`   ${table}: ${checked} H02 rows checked, ${changed} ${dryRun ? 'would be corrected' : 'corrected'}`);
+}
+
+console.log(`🕒 Migrating stored H02 timestamps to UTC${dryRun ? ' (dry run)' : ''}...`);
+console.log('=' .repeat(50));
+
+try {
+  const db = new GPSDatabase();
+  const parser = new ST900Parser();
+
+  // PostgreSQL deployments were created after the UTC change
+  if (db.backend !== 'sqlite') {
+    throw new Error(`UTC migration only applies to SQLite databases (backend: ${db.backend})`);
+  }
+
+  migrateTable(db, parser, 'gps_logs', 'timestamp');
+  migrateTable(db, parser, 'cell_observations', 'observed_at');
+
+  // Latest-position pointers were chosen by the shifted times
+  if (!dryRun) {
+    db.refreshLatestFixes();
+  }
+
+  db.close();
+
+  console.log('=' .repeat(50));
+  console.log('✅ Timestamp migration completed successfully!');
+} catch (error) {
+  console.error('❌ Timestamp migration failed:', error);
+  process.exit(1);
+}
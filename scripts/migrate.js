@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+/**
+ * Apply pending schema migrations.
+ *   npm run migrate                 apply pending migrations
+ *   npm run migrate -- --dry-run    list what would be applied
+ *   npm run migrate:status          show applied and pending migrations
+ * The servers also apply pending migrations when they start.
+ */
+
+const GPSDatabase = require('../database');
+require('dotenv').config();
+
+const dryRun = process.argv.includes('--dry-run');
+const statusOnly = process.argv.includes('--status');
+
+async function showStatus(db) {
+  const status = await db.getMigrationStatus();
+
+  console.log(`📊 Schema version ${status.current} of ${status.latest} (${db.backend})`);
+  status.applied.forEach(migration => {
+    console.log(`   ✅ ${migration.version} ${migration.name} (applied ${migration.applied_at})`);
+  });
+  status.pending.forEach(migration => {
+    console.log(`   ⏳ ${migration.version} ${migration.name} - ${migration.description}`);
+  });
+}
+
+async function main() {
+  // Opened without migrating so status and dry runs leave the database untouched
+  const db = new GPSDatabase({ migrate: false });
+
+  try {
+    if (statusOnly) {
+      await showStatus(db);
+      return;
+    }
+
+    console.log(`🗄️  Migrating database schema${dryRun ? ' (dry run)' : ''}...`);
+    console.log('=' .repeat(50));
+
+    const result = await db.migrate({ dryRun: dryRun });
+
+    if (result.migrations.length === 0) {
+      console.log(`✅ Schema is up to date (version ${result.from})`);
+      return;
+    }
+
+    result.migrations.forEach(migration => {
+      console.log(`   ${dryRun ? '⏳ Would apply' : '✅ Applied'} ${migration.version} ${migration.name} - ${migration.description}`);
+    });
+
+    console.log('=' .repeat(50));
+    console.log(dryRun
+      ? `📋 ${result.migrations.length} migration(s) pending, schema is at version ${result.from}`
+      : `✅ Schema migrated from version ${result.from} to ${result.to}`);
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Migration failed:', error);
+  process.exit(1);
+});
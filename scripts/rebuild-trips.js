@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+
+/**
+ * Segment stored GPS logs into trips and stops again.
+ *   npm run trips:rebuild                  every device, whole history
+ *   npm run trips:rebuild -- <deviceId>    one device
+ * Run it once after upgrading to build trips for existing history, or after
+ * changing the TRIP_* thresholds. Stop the TCP server first.
+ */
+
+const GPSDatabase = require('../database');
+const TripService = require('../trip-service');
+require('dotenv').config();
+
+const deviceArg = process.argv.slice(2).find(arg => !arg.startsWith('--'));
+
+async function main() {
+  const db = new GPSDatabase();
+  const trips = new TripService({ db });
+
+  try {
+    await db.ready();
+
+    const deviceIds = deviceArg ? [deviceArg] : await db.getDeviceIds();
+    console.log(`🧭 Segmenting trips for ${deviceIds.length} device(s)...`);
+    console.log('=' .repeat(50));
+
+    for (const deviceId of deviceIds) {
+      await trips.rebuild(deviceId);
+    }
+
+    await trips.close();
+    console.log('=' .repeat(50));
+    console.log('✅ Trips rebuilt');
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Trip rebuild failed:', error);
+  process.exit(1);
+});
@@ -1,19 +1,66 @@
 const net = require('net');
+const EventEmitter = require('events');
 const GPSDatabase = require('./database');
 const ST900Parser = require('./parser');
+const FrameBuffer = require('./frame-buffer');
+const IngestQueue = require('./ingest-queue');
+const RetentionService = require('./retention-service');
+const TripService = require('./trip-service');
+const OdometerService = require('./odometer-service');
+const GeofenceService = require('./geofence-service');
+const RulesEngine = require('./rules-engine');
+const WebhookService = require('./webhook-service');
 require('dotenv').config();
 
-class GPSTrackerServer {
+/**
+ * TCP server for ST-900 trackers. Emits 'position' with each newly stored fix.
+ */
+class GPSTrackerServer extends EventEmitter {
   constructor() {
+    super();
     this.port = process.env.TCP_PORT || 8090;
     this.host = process.env.TCP_HOST || '0.0.0.0';
     this.db = new GPSDatabase();
     this.parser = new ST900Parser();
     this.clients = new Map(); // Track connected clients
+    this.deviceFormats = new Map(); // Protocol detected for each device
+    this.maxFrameSize = parseInt(process.env.MAX_FRAME_SIZE) || 1024;
+    // open: accept any device; quarantine: drop data from unknown devices;
+    // reject: also close their connection
+    this.enrollmentMode = process.env.DEVICE_ENROLLMENT || 'open';
+    if (!['open', 'quarantine', 'reject'].includes(this.enrollmentMode)) {
+      console.warn(`⚠️  Unknown DEVICE_ENROLLMENT "${this.enrollmentMode}", using reject`);
+      this.enrollmentMode = 'reject';
+    }
+    // GPS fixes are written in batches; sockets pause while the queue is full
+    this.ingestQueue = new IngestQueue(this.db, {
+      batchSize: parseInt(process.env.INGEST_BATCH_SIZE) || 200,
+      flushInterval: parseInt(process.env.INGEST_FLUSH_MS) || 50,
+      maxPending: parseInt(process.env.INGEST_MAX_PENDING) || 5000
+    });
+    this.ingestQueue.on('full', () => this.pauseClients());
+    this.ingestQueue.on('drain', () => this.resumeClients());
+    // Downsampling, archival and summaries on a schedule
+    this.retentionService = new RetentionService({ db: this.db });
+    // Trips and stops, segmented as fixes are stored
+    this.tripService = new TripService({ db: this.db });
+    // Distance travelled, counted as fixes are stored
+    this.odometerService = new OdometerService({ db: this.db });
+    // Enter, exit and dwell events for assigned geofences
+    this.geofenceService = new GeofenceService({ db: this.db });
+    // Alert rules, evaluated as fixes are stored and on a timer for offline devices
+    this.rulesEngine = new RulesEngine({ db: this.db });
+    // Positions and events pushed to webhook subscribers
+    this.webhookService = new WebhookService({ db: this.db });
+    this.geofenceService.on('event', event => this.webhookService.publishGeofenceEvent(event));
+    this.rulesEngine.on('event', event => this.webhookService.publishRuleEvent('event.raised', event));
+    this.rulesEngine.on('resolved', event => this.webhookService.publishRuleEvent('event.resolved', event));
     this.server = null;
   }
 
-  start() {
+  async start() {
+    await this.db.ready();
+
     this.server = net.createServer((socket) => {
       this.handleConnection(socket);
     });
@@ -24,6 +71,10 @@ class GPSTrackerServer {
       console.log(`⏰ Server started at ${new Date().toISOString()}`);
     });
 
+    this.retentionService.start();
+    this.rulesEngine.start();
+    this.webhookService.start();
+
     this.server.on('error', (error) => {
       console.error('❌ Server error:', error);
       if (error.code === 'EADDRINUSE') {
@@ -55,7 +106,12 @@ class GPSTrackerServer {
       connectedAt: connectionTime,
       lastActivity: connectionTime,
       deviceId: null,
-      packetsReceived: 0
+      authorized: false,
+      format: null,
+      packetsReceived: 0,
+      // Frames are handled one at a time in arrival order; fixes are acked once their batch commits
+      queue: Promise.resolve(),
+      frameBuffer: new FrameBuffer({ maxFrameSize: this.maxFrameSize })
     });
 
     // Set socket timeout (30 minutes of inactivity)
@@ -82,11 +138,26 @@ class GPSTrackerServer {
 
     // Send acknowledgment to device (some trackers expect this)
     socket.write('OK\n');
+
+    if (this.ingestQueue.isFull) {
+      socket.pause();
+    }
   }
 
   handleData(socket, clientId, data) {
+    const client = this.clients.get(clientId);
+    if (!client) return;
+
+    // A chunk may hold part of a packet or several packets
+    const frames = client.frameBuffer.push(data);
+
+    frames.forEach(frame => {
+      client.queue = client.queue.then(() => this.handleFrame(socket, clientId, frame));
+    });
+  }
+
+  async handleFrame(socket, clientId, frame) {
     try {
-      const rawData = data.toString().trim();
       const client = this.clients.get(clientId);
       
       if (!client) return;
@@ -95,6 +166,14 @@ class GPSTrackerServer {
       client.lastActivity = new Date().toISOString();
       client.packetsReceived++;
 
+      // Binary packets must not go through toString()
+      if (this.parser.isBinaryPacket(frame)) {
+        await this.handleBinaryData(socket, clientId, frame);
+        return;
+      }
+
+      const rawData = frame.toString().trim();
+
       console.log(`📦 Raw data from ${clientId}: ${rawData}`);
 
       // Handle different packet types
@@ -104,15 +183,15 @@ class GPSTrackerServer {
       }
 
       if (this.parser.isLogin(rawData)) {
-        this.handleLogin(socket, clientId, rawData);
+        await this.handleLogin(socket, clientId, rawData);
         return;
       }
 
       // Parse GPS data
-      const parsedData = this.parser.parse(rawData);
+      const parsedData = this.parsePacket(client, rawData);
       
       if (parsedData) {
-        this.handleGPSData(socket, clientId, parsedData);
+        await this.dispatchPacket(socket, clientId, parsedData);
       } else {
         console.warn(`⚠️  Unable to parse data from ${clientId}: ${rawData}`);
         // Still send acknowledgment to keep connection alive
@@ -125,28 +204,154 @@ class GPSTrackerServer {
     }
   }
 
+  async handleBinaryData(socket, clientId, frame) {
+    console.log(`📦 Binary data from ${clientId}: ${frame.toString('hex')}`);
+
+    const parsedData = this.parsePacket(this.clients.get(clientId), frame);
+
+    if (parsedData) {
+      await this.dispatchPacket(socket, clientId, parsedData);
+    } else {
+      console.warn(`⚠️  Unable to parse binary data from ${clientId}`);
+      socket.write('ERROR\n');
+    }
+  }
+
+  // Parse with the protocol already detected for this socket or device, if any,
+  // and fix the protocol once the first packet decodes
+  parsePacket(client, data) {
+    const format = client.format ||
+      (client.deviceId ? this.deviceFormats.get(client.deviceId) : null) ||
+      null;
+
+    const parsedData = this.parser.parse(data, { format: format });
+
+    if (parsedData && !client.format) {
+      client.format = parsedData.format;
+      if (parsedData.device_id && !this.deviceFormats.has(parsedData.device_id)) {
+        this.deviceFormats.set(parsedData.device_id, parsedData.format);
+        console.log(`🔎 Detected ${parsedData.format} protocol for device ${parsedData.device_id}`);
+      }
+    }
+
+    return parsedData;
+  }
+
+  async dispatchPacket(socket, clientId, parsedData) {
+    if (!await this.authorizeDevice(socket, clientId, parsedData.device_id, parsedData.raw_data)) {
+      return;
+    }
+
+    switch (parsedData.type) {
+      case this.parser.packetTypes.COMMAND_REPLY:
+        await this.handleCommandReply(socket, clientId, parsedData);
+        break;
+      case this.parser.packetTypes.CELL_INFO:
+        await this.handleCellInfo(socket, clientId, parsedData);
+        break;
+      default:
+        await this.handleGPSData(socket, clientId, parsedData);
+    }
+  }
+
+  async handleCommandReply(socket, clientId, parsedData) {
+    try {
+      console.log(`📨 Command reply ${parsedData.command_code} from device ${parsedData.device_id}`);
+
+      const command = await this.db.findCommandForReply(parsedData.device_id, parsedData.command_code);
+
+      if (command) {
+        await this.db.updateCommandStatus(command.id, 'completed', parsedData.raw_data);
+        console.log(`✅ Command ${command.id} marked as completed`);
+      } else {
+        console.warn(`⚠️  No outstanding command for reply from device ${parsedData.device_id}`);
+      }
+
+      socket.write('OK\n');
+    } catch (error) {
+      console.error(`❌ Error handling command reply from ${clientId}:`, error);
+      socket.write('ERROR\n');
+    }
+  }
+
+  async handleCellInfo(socket, clientId, parsedData) {
+    try {
+      const count = await this.db.insertCellObservations(parsedData);
+      console.log(`📶 Stored ${count} neighbour cells for device ${parsedData.device_id}`);
+      socket.write('OK\n');
+    } catch (error) {
+      console.error(`❌ Error saving cell info from ${clientId}:`, error);
+      socket.write('ERROR\n');
+    }
+  }
+
   handleHeartbeat(socket, clientId, rawData) {
     console.log(`💓 Heartbeat from ${clientId}`);
     socket.write('OK\n');
   }
 
-  handleLogin(socket, clientId, rawData) {
+  async handleLogin(socket, clientId, rawData) {
     console.log(`🔐 Login packet from ${clientId}: ${rawData}`);
     
     // Extract device ID from login packet if possible
     const deviceIdMatch = rawData.match(/\d{10,}/); // Look for IMEI-like number
-    if (deviceIdMatch) {
-      const client = this.clients.get(clientId);
-      if (client) {
-        client.deviceId = deviceIdMatch[0];
-        console.log(`📱 Device ID identified: ${client.deviceId} for ${clientId}`);
-      }
+    if (deviceIdMatch && !await this.authorizeDevice(socket, clientId, deviceIdMatch[0], rawData)) {
+      return;
     }
     
     socket.write('LOAD\n'); // Common response for login
   }
 
-  handleGPSData(socket, clientId, parsedData) {
+  // Bind the connection to the first device ID seen on it and, unless enrollment
+  // is open, accept only provisioned devices. Returns false if the packet must be dropped.
+  async authorizeDevice(socket, clientId, deviceId, rawData) {
+    const client = this.clients.get(clientId);
+    if (!client || !deviceId) {
+      return Boolean(client);
+    }
+
+    if (client.deviceId && client.deviceId !== deviceId) {
+      console.warn(`🚫 Connection ${clientId} bound to ${client.deviceId} sent data as ${deviceId}, closing`);
+      await this.db.recordUnknownDevice({
+        device_id: deviceId,
+        remote_address: clientId,
+        raw_data: rawData,
+        action: 'id_mismatch'
+      });
+      socket.write('ERROR\n');
+      socket.destroy();
+      this.clients.delete(clientId);
+      return false;
+    }
+
+    if (client.authorized) {
+      return true;
+    }
+
+    if (this.enrollmentMode !== 'open' && !await this.db.isDeviceProvisioned(deviceId)) {
+      console.warn(`🚫 Unknown device ${deviceId} from ${clientId} (${this.enrollmentMode})`);
+      await this.db.recordUnknownDevice({
+        device_id: deviceId,
+        remote_address: clientId,
+        raw_data: rawData,
+        action: this.enrollmentMode
+      });
+
+      socket.write('ERROR\n');
+      if (this.enrollmentMode === 'reject') {
+        socket.end();
+        this.clients.delete(clientId);
+      }
+      return false;
+    }
+
+    client.deviceId = deviceId;
+    client.authorized = true;
+    console.log(`📱 Device ID identified: ${deviceId} for ${clientId}`);
+    return true;
+  }
+
+  async handleGPSData(socket, clientId, parsedData) {
     try {
       console.log(`📍 GPS data from ${clientId}:`, {
         device_id: parsedData.device_id,
@@ -156,29 +361,101 @@ class GPSTrackerServer {
         timestamp: parsedData.timestamp
       });
 
-      // Update client device ID if not set
-      const client = this.clients.get(clientId);
-      if (client && !client.deviceId && parsedData.device_id) {
-        client.deviceId = parsedData.device_id;
+      if (parsedData.gps_valid === false) {
+        console.log(`📡 No GPS fix from device ${parsedData.device_id}, cell ${parsedData.mcc}/${parsedData.mnc}/${parsedData.lac}/${parsedData.cell_id}`);
       }
 
-      // Save to database
-      const result = this.db.insertGpsLog(parsedData);
-      
-      if (result) {
-        console.log(`✅ GPS data saved to database (ID: ${result.lastInsertRowid})`);
-        socket.write('OK\n');
-      } else {
-        console.error('❌ Failed to save GPS data to database');
-        socket.write('ERROR\n');
+      if (parsedData.type === this.parser.packetTypes.ALARM) {
+        console.warn(`🚨 Alarm from device ${parsedData.device_id}: ${parsedData.alarms.join(', ')}`);
       }
 
+      // Save to database in the next batch; the device is acknowledged only
+      // after that batch commits, so the connection can keep reading meanwhile
+      this.ingestQueue.enqueue(parsedData)
+        .then(result => this.handleGPSDataSaved(socket, parsedData, result))
+        .catch(error => {
+          console.error(`❌ Error saving GPS data from ${clientId}:`, error);
+          this.reply(socket, 'ERROR\n');
+        });
+
     } catch (error) {
       console.error(`❌ Error saving GPS data from ${clientId}:`, error);
       socket.write('ERROR\n');
     }
   }
 
+  handleGPSDataSaved(socket, parsedData, result) {
+    if (result && result.duplicate) {
+      // Acknowledge so the device stops re-sending the stored fix
+      console.log(`♻️  Duplicate fix from ${parsedData.device_id} ignored (ID: ${result.lastInsertRowid})`);
+      this.reply(socket, 'OK\n');
+    } else if (result) {
+      console.log(`✅ GPS data saved to database (ID: ${result.lastInsertRowid}${result.backfill ? ', backfill' : ''})`);
+      this.reply(socket, 'OK\n');
+      const row = { ...parsedData, id: result.lastInsertRowid, is_backfill: result.backfill };
+      this.tripService.addPoint(row);
+      this.odometerService.addPoint(row);
+      this.geofenceService.addPoint(row);
+      this.rulesEngine.addPoint(row);
+      this.webhookService.publishPosition(row);
+      this.emit('position', row);
+    } else {
+      console.error('❌ Failed to save GPS data to database');
+      this.reply(socket, 'ERROR\n');
+    }
+  }
+
+  // Write to a socket that may have closed while its data was being stored
+  reply(socket, message) {
+    if (!socket.destroyed && socket.writable) {
+      socket.write(message);
+    }
+  }
+
+  // Stop reading from trackers while the ingest queue catches up
+  pauseClients() {
+    console.warn(`⏸️  Ingest queue full (${this.ingestQueue.pending} fixes pending), pausing ${this.clients.size} connections`);
+    this.clients.forEach(client => client.socket.pause());
+  }
+
+  resumeClients() {
+    console.log(`▶️  Ingest queue drained, resuming ${this.clients.size} connections`);
+    this.clients.forEach(client => client.socket.resume());
+  }
+
+  // Find the open connection identified as this device
+  getDeviceClient(deviceId) {
+    for (const client of this.clients.values()) {
+      if (client.deviceId === deviceId && !client.socket.destroyed && client.socket.writable) {
+        return client;
+      }
+    }
+    return null;
+  }
+
+  isDeviceConnected(deviceId) {
+    return this.getDeviceClient(deviceId) !== null;
+  }
+
+  // Write a downlink frame to the device's live socket
+  sendToDevice(deviceId, frame) {
+    return new Promise((resolve, reject) => {
+      const client = this.getDeviceClient(deviceId);
+      if (!client) {
+        reject(new Error(`Device ${deviceId} is not connected`));
+        return;
+      }
+
+      client.socket.write(frame, (error) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
   getServerStats() {
     const connectedClients = this.clients.size;
     const clientsWithDeviceId = Array.from(this.clients.values())
@@ -187,19 +464,46 @@ class GPSTrackerServer {
     return {
       connectedClients,
       clientsWithDeviceId,
+      enrollmentMode: this.enrollmentMode,
+      ingest: this.ingestQueue.getStats(),
+      decoders: this.parser.getDecoderStats(),
       uptime: process.uptime(),
       memoryUsage: process.memoryUsage(),
       clients: Array.from(this.clients.entries()).map(([id, client]) => ({
         clientId: id,
         deviceId: client.deviceId,
+        format: client.format,
         connectedAt: client.connectedAt,
         lastActivity: client.lastActivity,
-        packetsReceived: client.packetsReceived
+        packetsReceived: client.packetsReceived,
+        pendingBytes: client.frameBuffer.pendingBytes,
+        droppedBytes: client.frameBuffer.droppedBytes
       }))
     };
   }
 
-  shutdown() {
+  async shutdown() {
+    // Let a retention run in progress finish before the database closes
+    this.retentionService.stop();
+    if (this.retentionService.running) {
+      await this.retentionService.running.catch(() => {});
+    }
+
+    // Commit and acknowledge fixes still waiting in the ingest queue
+    await this.ingestQueue.close();
+    console.log('✅ Ingest queue flushed');
+
+    await this.tripService.close();
+    console.log('✅ Open trips saved');
+
+    await this.odometerService.close();
+    console.log('✅ Odometers saved');
+
+    await this.geofenceService.close();
+    await this.rulesEngine.close();
+    // After the services above, so the events they raised while closing are queued too
+    await this.webhookService.close();
+
     console.log('🔄 Closing all client connections...');
     
     // Close all client connections
@@ -217,7 +521,7 @@ class GPSTrackerServer {
 
     // Close database
     if (this.db) {
-      this.db.close();
+      await this.db.close();
       console.log('✅ Database connection closed');
     }
 
@@ -229,7 +533,10 @@ class GPSTrackerServer {
 // Start server if this file is run directly
 if (require.main === module) {
   const server = new GPSTrackerServer();
-  server.start();
+  server.start().catch(error => {
+    console.error('❌ Failed to start GPS Tracker Server:', error);
+    process.exit(1);
+  });
 
   // Log server stats every 5 minutes
   setInterval(() => {
@@ -3,7 +3,7 @@ const GPSDatabase = require('./database');
 require('dotenv').config();
 
 class SMSService {
-  constructor() {
+  constructor(options = {}) {
     this.accountSid = process.env.TWILIO_ACCOUNT_SID;
     this.authToken = process.env.TWILIO_AUTH_TOKEN;
     this.fromNumber = process.env.TWILIO_PHONE_NUMBER;
@@ -16,7 +16,7 @@ class SMSService {
       this.client = null;
     }
     
-    this.db = new GPSDatabase();
+    this.db = options.db || new GPSDatabase();
     this.commandTemplates = {
       setServer: (ip, port) => `8040000 ${ip} ${port}`,
       setInterval: (seconds) => `8090000 ${seconds}`,
@@ -49,10 +49,11 @@ class SMSService {
       }
 
       // Insert command into database
-      const commandRecord = this.db.insertCommand({
+      const commandRecord = await this.db.insertCommand({
         device_id: deviceId,
         command_type: commandType,
         command_text: commandText,
+        channel: 'sms',
         status: 'pending'
       });
 
@@ -64,13 +65,14 @@ class SMSService {
       });
 
       // Update command status
-      this.db.updateCommandStatus(commandRecord.lastInsertRowid, 'sent');
+      await this.db.updateCommandStatus(commandRecord.lastInsertRowid, 'sent');
 
       console.log(`📱 SMS sent to ${device.phone_number}: ${commandText}`);
       
       return {
         success: true,
         commandId: commandRecord.lastInsertRowid,
+        channel: 'sms',
         messageSid: message.sid,
         commandText: commandText,
         sentTo: device.phone_number
@@ -103,7 +105,7 @@ class SMSService {
   // Get device information
   async getDeviceInfo(deviceId) {
     try {
-      const devices = this.db.getActiveDevices();
+      const devices = await this.db.getActiveDevices();
       return devices.find(device => device.device_id === deviceId);
     } catch (error) {
       console.error('Error getting device info:', error);
@@ -120,7 +122,7 @@ class SMSService {
         throw new Error('Invalid phone number format');
       }
 
-      const result = this.db.updateDevicePhone(deviceId, cleanPhone);
+      const result = await this.db.updateDevicePhone(deviceId, cleanPhone);
       console.log(`📱 Updated phone number for device ${deviceId}: ${cleanPhone}`);
       return result;
     } catch (error) {
@@ -149,10 +151,10 @@ class SMSService {
     return phoneRegex.test(phoneNumber);
   }
 
-  // Get command history for device
-  async getCommandHistory(deviceId, limit = 50) {
+  // Get command history for device (a limit, or { from, to, order, after, limit })
+  async getCommandHistory(deviceId, options = 50) {
     try {
-      return this.db.getCommandHistory(deviceId, limit);
+      return await this.db.getCommandHistory(deviceId, options);
     } catch (error) {
       console.error('Error getting command history:', error);
       throw error;
@@ -160,9 +162,9 @@ class SMSService {
   }
 
   // Get pending commands
-  async getPendingCommands(deviceId = null) {
+  async getPendingCommands(deviceId = null, scope = {}) {
     try {
-      return this.db.getPendingCommands(deviceId);
+      return await this.db.getPendingCommands(deviceId, scope);
     } catch (error) {
       console.error('Error getting pending commands:', error);
       throw error;
@@ -172,7 +174,7 @@ class SMSService {
   // Mark command as completed (when device responds)
   async markCommandCompleted(commandId, responseData = null) {
     try {
-      return this.db.updateCommandStatus(commandId, 'completed', responseData);
+      return await this.db.updateCommandStatus(commandId, 'completed', responseData);
     } catch (error) {
       console.error('Error marking command completed:', error);
       throw error;
@@ -231,18 +233,18 @@ class SMSService {
       console.log(`📱 Received SMS from ${from}: ${body}`);
       
       // Find device by phone number
-      const device = this.db.getDeviceByPhone(from);
+      const device = await this.db.getDeviceByPhone(from);
       if (!device) {
         console.warn(`⚠️  Unknown device phone number: ${from}`);
         return { success: false, message: 'Unknown device' };
       }
 
       // Find pending command for this device
-      const pendingCommands = this.db.getPendingCommands(device.device_id);
+      const pendingCommands = await this.db.getPendingCommands(device.device_id);
       if (pendingCommands.length > 0) {
         // Mark the oldest pending command as completed
         const command = pendingCommands[0];
-        this.db.updateCommandStatus(command.id, 'completed', body);
+        await this.db.updateCommandStatus(command.id, 'completed', body);
         console.log(`✅ Command ${command.id} marked as completed`);
       }
 
@@ -0,0 +1,2458 @@
+const { Pool, types } = require('pg');
+const { loadMigrations } = require('../migrations');
+const { lonRanges } = require('../geo');
+
+// Return timestamps as ISO strings and 64-bit integers as numbers,
+// so rows have the same shape as the SQLite backend's
+const parseTimestamp = types.getTypeParser(1184);
+const TYPE_PARSERS = {
+  20: (value) => parseInt(value, 10), // int8 (BIGSERIAL ids, COUNT)
+  1082: (value) => value, // date, kept as YYYY-MM-DD
+  1184: (value) => parseTimestamp(value).toISOString() // timestamptz
+};
+
+// gps_logs columns returned to callers (the PostGIS geom column is internal)
+const GPS_LOG_COLUMNS = [
+  'id', 'device_id', 'lat', 'lon', 'speed', 'altitude', 'heading', 'timestamp', 'raw_data',
+  'packet_type', 'status_word', 'status_flags', 'alarms', 'ignition', 'gps_valid',
+  'mcc', 'mnc', 'lac', 'cell_id', 'is_backfill', 'received_at', 'created_at', 'battery_level'
+];
+
+// UTC day boundaries for YYYY-MM-DD days
+const dayStart = (day) => `${day}T00:00:00Z`;
+const nextDay = (day) => new Date(Date.parse(dayStart(day)) + 86400000).toISOString().slice(0, 10);
+
+// Advisory lock key held while migrating
+const MIGRATION_LOCK_ID = 900001;
+
+const gpsLogColumns = (alias) => GPS_LOG_COLUMNS.map(column => `${alias}.${column}`).join(', ');
+
+// List options from a limit (older callers) or { from, to, order, after: { time, id }, limit }
+function pageOptions(options, limit) {
+  const page = typeof options === 'number' ? { limit: options } : (options || {});
+  return {
+    from: page.from ?? null,
+    to: page.to ?? null,
+    order: page.order === 'asc' ? 'asc' : 'desc',
+    after: page.after ?? null,
+    limit: page.limit || limit
+  };
+}
+
+// Numbered query parameters, added as a query is built after any given up front
+function parameters(initial = []) {
+  const values = [...initial];
+  return {
+    values: values,
+    add: (value) => {
+      values.push(value);
+      return `$${values.length}`;
+    }
+  };
+}
+
+// Rows with a GPS fix, leaving out the 0,0 devices report without one
+const hasFix = (alias) => `${alias}.gps_valid IS NOT FALSE AND NOT (${alias}.lat = 0 AND ${alias}.lon = 0)`;
+
+/**
+ * WHERE condition for positions (gps_logs alias `alias`) inside an area
+ * Boxes use the GiST index on geom and are rechecked against lat/lon; circles
+ * add a great-circle distance check. Without bounds (a circle with no radius)
+ * every position with a fix matches.
+ * @param {string} alias - gps_logs alias
+ * @param {Object} area - { bounds } and/or { lat, lon, radiusM }
+ * @param {Function} param - Adds a parameter, returning its placeholder
+ * @returns {string} SQL condition
+ */
+function areaCondition(alias, area, param) {
+  const conditions = [`${alias}.geom IS NOT NULL AND ${hasFix(alias)}`];
+  if (!area.bounds) {
+    return conditions[0];
+  }
+
+  const { north, south } = area.bounds;
+  const ranges = lonRanges(area.bounds);
+  conditions.push(
+    '(' + ranges.map(([west, east]) =>
+      `${alias}.geom && ST_MakeEnvelope(${param(west)}::float8, ${param(south)}::float8, ${param(east)}::float8, ${param(north)}::float8, 4326)`
+    ).join(' OR ') + ')',
+    `${alias}.lat BETWEEN ${param(south)} AND ${param(north)}`,
+    '(' + ranges.map(([west, east]) => `${alias}.lon BETWEEN ${param(west)} AND ${param(east)}`).join(' OR ') + ')'
+  );
+
+  if (area.radiusM) {
+    conditions.push(`ST_DWithin(${alias}.geom::geography, ${point(area, param)}, ${param(area.radiusM)}::float8, false)`);
+  }
+  return conditions.join(' AND ');
+}
+
+// Devices in a group (parameter `group`) or any group nested under it
+const groupDevices = (group) => `
+  WITH RECURSIVE tree(id) AS (
+    SELECT id FROM device_groups WHERE id = ${group}
+    UNION
+    SELECT g.id FROM device_groups g JOIN tree ON g.parent_id = tree.id
+  )
+  SELECT device_id FROM device_group_devices WHERE group_id IN (SELECT id FROM tree)
+`;
+
+/**
+ * WHERE condition limiting rows to the devices a caller may see
+ * @param {string} column - Device ID column
+ * @param {Object} scope - { organizationId, groupId }; either may be left out
+ * @param {Function} param - Adds a parameter, returning its placeholder
+ * @returns {string} SQL condition; without a scope every device matches
+ */
+function scopeCondition(column, scope, param) {
+  const conditions = ['TRUE'];
+  if (scope && scope.organizationId != null) {
+    conditions.push(`${column} IN (SELECT device_id FROM devices WHERE organization_id = ${param(scope.organizationId)})`);
+  }
+  if (scope && scope.groupId != null) {
+    conditions.push(`${column} IN (${groupDevices(param(scope.groupId))})`);
+  }
+  return conditions.join(' AND ');
+}
+
+// The organization a scope is limited to, or null for all of them
+const organizationOf = (scope = {}) => scope.organizationId ?? null;
+
+// Centre of a circle as a geography
+const point = (area, param) => `ST_SetSRID(ST_MakePoint(${param(area.lon)}::float8, ${param(area.lat)}::float8), 4326)::geography`;
+
+// PostgreSQL storage backend with PostGIS point geometry on positions
+class PostgresStorage {
+  constructor(config = {}) {
+    this.pool = new Pool({
+      connectionString: config.connectionString,
+      host: config.host,
+      port: config.port,
+      database: config.database,
+      user: config.user,
+      password: config.password,
+      types: {
+        getTypeParser: (oid, format) => TYPE_PARSERS[oid] || types.getTypeParser(oid, format)
+      }
+    });
+
+    this.pool.on('error', (error) => {
+      console.error('PostgreSQL pool error:', error);
+    });
+
+    // Fixes received this much later than they were taken count as backfill
+    this.backfillLagMs = (parseInt(process.env.BACKFILL_LAG_SECONDS) || 300) * 1000;
+    this.migrations = loadMigrations();
+
+    this.ready = config.migrate === false
+      ? Promise.resolve()
+      : this.migrate().then(() => console.log('Database tables initialized successfully (PostgreSQL)'));
+  }
+
+  // Apply pending schema migrations, each in its own transaction
+  // Several processes may start at once, so migrations run under an advisory lock
+  async migrate(options = {}) {
+    const dryRun = Boolean(options.dryRun);
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+
+      const status = await this.getMigrationStatus(client);
+      const result = {
+        dryRun: dryRun,
+        from: status.current,
+        to: status.current,
+        migrations: status.pending
+      };
+
+      if (dryRun || status.pending.length === 0) {
+        return result;
+      }
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_version (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at TIMESTAMPTZ DEFAULT now()
+        )
+      `);
+
+      for (const { version, name } of status.pending) {
+        const migration = this.migrations.find(m => m.version === version);
+        try {
+          await client.query('BEGIN');
+          await migration.postgres(client);
+          await client.query('INSERT INTO schema_version (version, name) VALUES ($1, $2)', [version, name]);
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw error;
+        }
+        result.to = version;
+        console.log(`Applied migration ${version} ${name}`);
+      }
+
+      return result;
+    } catch (error) {
+      console.error('Error applying migrations:', error);
+      throw error;
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+      client.release();
+    }
+  }
+
+  // Applied and pending migrations, without changing anything
+  async getMigrationStatus(client = this.pool) {
+    const table = await client.query("SELECT to_regclass('schema_version') AS name");
+    const applied = table.rows[0].name
+      ? (await client.query('SELECT version, name, applied_at FROM schema_version ORDER BY version')).rows
+      : [];
+    const appliedVersions = new Set(applied.map(row => row.version));
+
+    return {
+      current: applied.length > 0 ? applied[applied.length - 1].version : 0,
+      latest: this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 0,
+      applied: applied,
+      pending: this.migrations
+        .filter(migration => !appliedVersions.has(migration.version))
+        .map(({ version, name, description }) => ({ version, name, description }))
+    };
+  }
+
+  // Run a query once the schema is ready
+  async query(text, params = []) {
+    await this.ready;
+    return this.pool.query(text, params);
+  }
+
+  // Run fn(client) inside a transaction
+  async transaction(fn) {
+    await this.ready;
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Recompute each device's newest fix from gps_logs
+  async refreshLatestFixes(onlyMissing = false) {
+    await this.query(`
+      UPDATE devices d SET last_log_id = latest.id, last_fix_time = latest.timestamp
+      FROM (
+        SELECT DISTINCT ON (device_id) device_id, id, timestamp
+        FROM gps_logs
+        ORDER BY device_id, timestamp DESC, id DESC
+      ) latest
+      WHERE latest.device_id = d.device_id
+      ${onlyMissing ? 'AND d.last_log_id IS NULL' : ''}
+    `);
+    await this.query(`
+      UPDATE devices d SET last_valid_log_id = latest.id
+      FROM (
+        SELECT DISTINCT ON (device_id) device_id, id
+        FROM gps_logs gl
+        WHERE ${hasFix('gl')}
+        ORDER BY device_id, timestamp DESC, id DESC
+      ) latest
+      WHERE latest.device_id = d.device_id
+      ${onlyMissing ? 'AND d.last_valid_log_id IS NULL' : ''}
+    `);
+  }
+
+  // Insert GPS log entry
+  async insertGpsLog(data) {
+    try {
+      return await this.transaction(client => this.writeGpsLog(client, data));
+    } catch (error) {
+      console.error('Error inserting GPS log:', error);
+      throw error;
+    }
+  }
+
+  // Insert a batch of GPS log entries in one transaction
+  // Each entry gets its own savepoint so a bad packet fails alone;
+  // its result is { error } instead of an insert result
+  async insertGpsLogs(batch) {
+    try {
+      return await this.transaction(async (client) => {
+        const results = [];
+        for (const data of batch) {
+          await client.query('SAVEPOINT gps_log');
+          try {
+            results.push(await this.writeGpsLog(client, data));
+            await client.query('RELEASE SAVEPOINT gps_log');
+          } catch (error) {
+            await client.query('ROLLBACK TO SAVEPOINT gps_log');
+            console.error('Error inserting GPS log:', error);
+            results.push({ error: error });
+          }
+        }
+        return results;
+      });
+    } catch (error) {
+      console.error('Error inserting GPS log batch:', error);
+      throw error;
+    }
+  }
+
+  // Write one GPS log entry; callers provide the transaction
+  // Queries are named so each pooled connection prepares them once
+  // Repeated uploads of the same fix are skipped; fixes older than the device's
+  // latest, or received long after they were taken, are flagged as backfill
+  async writeGpsLog(client, data) {
+    const timestamp = data.timestamp || new Date().toISOString();
+    const receivedAt = data.parsed_at || new Date().toISOString();
+
+    // Upserting the device first locks its row, serializing inserts per device
+    const device = (await client.query({
+      name: 'gps-log-device',
+      text: `
+        INSERT INTO devices (device_id, last_seen)
+        VALUES ($1, now())
+        ON CONFLICT (device_id) DO UPDATE SET last_seen = excluded.last_seen
+        RETURNING last_fix_time
+      `,
+      values: [data.device_id]
+    })).rows[0];
+
+    const duplicate = (await client.query({
+      name: 'gps-log-duplicate',
+      text: `
+        SELECT id, is_backfill FROM gps_logs
+        WHERE device_id = $1 AND timestamp = $2 AND lat = $3 AND lon = $4
+        LIMIT 1
+      `,
+      values: [data.device_id, timestamp, data.lat, data.lon]
+    })).rows[0];
+
+    if (duplicate) {
+      return {
+        changes: 0,
+        lastInsertRowid: duplicate.id,
+        duplicate: true,
+        backfill: Boolean(duplicate.is_backfill)
+      };
+    }
+
+    const outOfOrder = Boolean(device.last_fix_time &&
+      new Date(timestamp) < new Date(device.last_fix_time));
+    const delayed = new Date(receivedAt) - new Date(timestamp) > this.backfillLagMs;
+    const gpsValid = data.gps_valid !== false;
+
+    const inserted = (await client.query({
+      name: 'gps-log-insert',
+      text: `
+        INSERT INTO gps_logs (
+          device_id, lat, lon, geom, speed, altitude, heading, timestamp, raw_data,
+          packet_type, status_word, status_flags, alarms, ignition,
+          gps_valid, mcc, mnc, lac, cell_id, is_backfill, received_at, battery_level
+        )
+        VALUES (
+          $1, $2, $3,
+          CASE WHEN $14::boolean THEN ST_SetSRID(ST_MakePoint($3, $2), 4326) END,
+          $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21
+        )
+        RETURNING id
+      `,
+      values: [
+        data.device_id,
+        data.lat,
+        data.lon,
+        data.speed || 0,
+        data.altitude || 0,
+        data.heading || 0,
+        timestamp,
+        data.raw_data || '',
+        data.type || 'location',
+        data.status_word || null,
+        data.status_flags ? JSON.stringify(data.status_flags) : null,
+        data.alarms && data.alarms.length > 0 ? data.alarms.join(',') : null,
+        typeof data.ignition === 'boolean' ? data.ignition : null,
+        gpsValid,
+        data.mcc ?? null,
+        data.mnc ?? null,
+        data.lac ?? null,
+        data.cell_id ?? null,
+        outOfOrder || delayed,
+        receivedAt,
+        data.battery_level ?? null
+      ]
+    })).rows[0];
+
+    // "Latest" follows device fix time, not insert order
+    if (!outOfOrder) {
+      await client.query({
+        name: 'gps-log-latest',
+        text: `
+          UPDATE devices SET last_log_id = $1, last_fix_time = $2
+          WHERE device_id = $3
+        `,
+        values: [inserted.id, timestamp, data.device_id]
+      });
+    }
+    // Area queries place a device at its latest fix, past packets sent without one
+    if (gpsValid && !(data.lat === 0 && data.lon === 0)) {
+      await client.query({
+        name: 'gps-log-latest-valid',
+        text: `
+          UPDATE devices SET last_valid_log_id = $1
+          WHERE device_id = $2
+            AND $3::timestamptz >= COALESCE((SELECT timestamp FROM gps_logs WHERE id = devices.last_valid_log_id), '-infinity')
+        `,
+        values: [inserted.id, data.device_id, timestamp]
+      });
+    }
+
+    return {
+      changes: 1,
+      lastInsertRowid: inserted.id,
+      duplicate: false,
+      backfill: outOfOrder || delayed
+    };
+  }
+
+  // Update device last seen timestamp
+  async updateDeviceLastSeen(deviceId) {
+    try {
+      await this.query(`
+        INSERT INTO devices (device_id, last_seen)
+        VALUES ($1, now())
+        ON CONFLICT (device_id) DO UPDATE SET last_seen = excluded.last_seen
+      `, [deviceId]);
+    } catch (error) {
+      console.error('Error updating device last seen:', error);
+    }
+  }
+
+  // Get latest locations for all devices, or those in scope ({ organizationId, groupId })
+  async getLatestLocations(limit = 100, scope = {}) {
+    const params = parameters([limit]);
+
+    try {
+      const result = await this.query(`
+        SELECT
+          ${gpsLogColumns('gl')},
+          d.name AS device_name,
+          d.timezone AS device_timezone
+        FROM devices d
+        JOIN gps_logs gl ON gl.id = d.last_log_id
+        WHERE ${scopeCondition('d.device_id', scope, params.add)}
+        ORDER BY gl.timestamp DESC
+        LIMIT $1
+      `, params.values);
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting latest locations:', error);
+      throw error;
+    }
+  }
+
+  // Get location history for a specific device, newest first unless order is 'asc'
+  // options: a limit, or { from, to, order, after, limit } with from inclusive and to exclusive
+  async getDeviceHistory(deviceId, options = 100) {
+    const { from, to, order, after, limit } = pageOptions(options, 100);
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const beyond = order === 'asc' ? '>' : '<';
+
+    try {
+      const result = await this.query(`
+        SELECT ${gpsLogColumns('gl')} FROM gps_logs gl
+        WHERE gl.device_id = $1
+          AND ($2::timestamptz IS NULL OR gl.timestamp >= $2)
+          AND ($3::timestamptz IS NULL OR gl.timestamp < $3)
+          AND ($4::timestamptz IS NULL OR (gl.timestamp, gl.id) ${beyond} ($4, $5::bigint))
+        ORDER BY gl.timestamp ${direction}, gl.id ${direction}
+        LIMIT $6
+      `, [deviceId, from, to, after ? after.time : null, after ? after.id : null, limit]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting device history:', error);
+      throw error;
+    }
+  }
+
+  // Get all active devices, or those in scope
+  async getActiveDevices(scope = {}) {
+    const params = parameters();
+
+    try {
+      const result = await this.query(`
+        SELECT
+          d.*,
+          COUNT(gl.id) AS total_logs,
+          MAX(gl.timestamp) AS last_location_time
+        FROM devices d
+        LEFT JOIN gps_logs gl ON d.device_id = gl.device_id
+        WHERE d.is_active AND ${scopeCondition('d.device_id', scope, params.add)}
+        GROUP BY d.device_id
+        ORDER BY d.last_seen DESC NULLS LAST
+      `, params.values);
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting active devices:', error);
+      throw error;
+    }
+  }
+
+  // Insert device command
+  async insertCommand(data) {
+    try {
+      const result = await this.query(`
+        INSERT INTO device_commands (device_id, command_type, command_text, reply_code, channel, status)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id
+      `, [
+        data.device_id,
+        data.command_type,
+        data.command_text,
+        data.reply_code || null,
+        data.channel || 'sms',
+        data.status || 'pending'
+      ]);
+      return { changes: 1, lastInsertRowid: result.rows[0].id };
+    } catch (error) {
+      console.error('Error inserting command:', error);
+      throw error;
+    }
+  }
+
+  // Update command status
+  async updateCommandStatus(commandId, status, responseData = null) {
+    try {
+      const result = await this.query(`
+        UPDATE device_commands
+        SET status = $1::text, response_data = $2,
+            sent_at = CASE WHEN $1::text = 'sent' THEN now() ELSE sent_at END,
+            response_received_at = CASE WHEN $1::text = 'completed' THEN now() ELSE response_received_at END
+        WHERE id = $3
+      `, [status, responseData, commandId]);
+      return { changes: result.rowCount };
+    } catch (error) {
+      console.error('Error updating command status:', error);
+      throw error;
+    }
+  }
+
+  // Get pending commands, for one device or those in scope
+  async getPendingCommands(deviceId = null, scope = {}) {
+    const params = parameters();
+    let query = `
+      SELECT * FROM device_commands
+      WHERE status = 'pending' AND ${scopeCondition('device_id', scope, params.add)}
+    `;
+
+    if (deviceId) {
+      query += ` AND device_id = ${params.add(deviceId)}`;
+    }
+
+    query += ' ORDER BY created_at ASC, id ASC';
+
+    try {
+      const result = await this.query(query, params.values);
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting pending commands:', error);
+      throw error;
+    }
+  }
+
+  // Find the outstanding command a device reply acknowledges
+  // Only a command expecting this reply code matches, the oldest first
+  async findCommandForReply(deviceId, replyCode) {
+    try {
+      const result = await this.query(`
+        SELECT * FROM device_commands
+        WHERE device_id = $1 AND reply_code = $2 AND status IN ('pending', 'sent')
+        ORDER BY created_at ASC, id ASC
+        LIMIT 1
+      `, [deviceId, replyCode]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error finding command for reply:', error);
+      throw error;
+    }
+  }
+
+  // Insert neighbour cell observations reported by a device
+  async insertCellObservations(data) {
+    const cells = data.cells || [];
+
+    try {
+      return await this.transaction(async (client) => {
+        await client.query(`
+          INSERT INTO devices (device_id, last_seen)
+          VALUES ($1, now())
+          ON CONFLICT (device_id) DO UPDATE SET last_seen = excluded.last_seen
+        `, [data.device_id]);
+
+        for (const cell of cells) {
+          await client.query(`
+            INSERT INTO cell_observations (
+              device_id, mcc, mnc, lac, cell_id, rssi, timing_advance, observed_at, raw_data
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+          `, [
+            data.device_id,
+            cell.mcc,
+            cell.mnc,
+            cell.lac,
+            cell.cell_id,
+            cell.rssi,
+            isNaN(data.timing_advance) ? null : data.timing_advance,
+            data.timestamp || new Date().toISOString(),
+            data.raw_data || ''
+          ]);
+        }
+
+        return cells.length;
+      });
+    } catch (error) {
+      console.error('Error inserting cell observations:', error);
+      throw error;
+    }
+  }
+
+  // Get neighbour cell observations for a device
+  async getCellObservations(deviceId, limit = 100) {
+    try {
+      const result = await this.query(`
+        SELECT * FROM cell_observations
+        WHERE device_id = $1
+        ORDER BY observed_at DESC, id ASC
+        LIMIT $2
+      `, [deviceId, limit]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting cell observations:', error);
+      throw error;
+    }
+  }
+
+  // Get command history for device, newest first unless order is 'asc'
+  // options: a limit, or { from, to, order, after, limit } as for getDeviceHistory()
+  async getCommandHistory(deviceId, options = 50) {
+    const { from, to, order, after, limit } = pageOptions(options, 50);
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const beyond = order === 'asc' ? '>' : '<';
+
+    try {
+      // created_at defaults to now(), in microseconds; cursors carry milliseconds
+      const result = await this.query(`
+        SELECT * FROM device_commands
+        WHERE device_id = $1
+          AND ($2::timestamptz IS NULL OR created_at >= $2)
+          AND ($3::timestamptz IS NULL OR created_at < $3)
+          AND ($4::timestamptz IS NULL OR (date_trunc('milliseconds', created_at), id) ${beyond} ($4, $5::bigint))
+        ORDER BY date_trunc('milliseconds', created_at) ${direction}, id ${direction}
+        LIMIT $6
+      `, [deviceId, from, to, after ? after.time : null, after ? after.id : null, limit]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting command history:', error);
+      throw error;
+    }
+  }
+
+  // Update device phone number
+  async updateDevicePhone(deviceId, phoneNumber) {
+    try {
+      const result = await this.query(`
+        INSERT INTO devices (device_id, phone_number, last_seen)
+        VALUES ($1, $2, now())
+        ON CONFLICT (device_id) DO UPDATE SET phone_number = excluded.phone_number
+      `, [deviceId, phoneNumber]);
+      return { changes: result.rowCount };
+    } catch (error) {
+      console.error('Error updating device phone:', error);
+      throw error;
+    }
+  }
+
+  // Update device display timezone (IANA name, null to use the deployment default)
+  async updateDeviceTimezone(deviceId, timezone) {
+    try {
+      const result = await this.query(`
+        INSERT INTO devices (device_id, timezone)
+        VALUES ($1, $2)
+        ON CONFLICT (device_id) DO UPDATE SET timezone = excluded.timezone
+      `, [deviceId, timezone]);
+      return { changes: result.rowCount };
+    } catch (error) {
+      console.error('Error updating device timezone:', error);
+      throw error;
+    }
+  }
+
+  // Get device by ID
+  async getDevice(deviceId) {
+    try {
+      const result = await this.query('SELECT * FROM devices WHERE device_id = $1', [deviceId]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error getting device:', error);
+      throw error;
+    }
+  }
+
+  // Check whether a device is enrolled to report to this server
+  async isDeviceProvisioned(deviceId) {
+    try {
+      const result = await this.query('SELECT provisioned FROM devices WHERE device_id = $1', [deviceId]);
+      return Boolean(result.rows[0] && result.rows[0].provisioned);
+    } catch (error) {
+      console.error('Error checking device provisioning:', error);
+      throw error;
+    }
+  }
+
+  // Enroll a device, creating it if needed
+  async provisionDevice(data) {
+    try {
+      return await this.transaction(async (client) => {
+        const result = await client.query(`
+          INSERT INTO devices (device_id, name, phone_number, organization_id, provisioned)
+          VALUES ($1, $2, $3, $4, TRUE)
+          ON CONFLICT (device_id) DO UPDATE SET
+            name = COALESCE(excluded.name, devices.name),
+            phone_number = COALESCE(excluded.phone_number, devices.phone_number),
+            organization_id = COALESCE(excluded.organization_id, devices.organization_id),
+            provisioned = TRUE
+        `, [data.device_id, data.name || null, data.phone_number || null, data.organization_id ?? null]);
+        await client.query('DELETE FROM unknown_devices WHERE device_id = $1', [data.device_id]);
+        return { changes: result.rowCount };
+      });
+    } catch (error) {
+      console.error('Error provisioning device:', error);
+      throw error;
+    }
+  }
+
+  // Withdraw a device's enrollment; its history is kept
+  async deprovisionDevice(deviceId) {
+    try {
+      const result = await this.query('UPDATE devices SET provisioned = FALSE WHERE device_id = $1', [deviceId]);
+      return { changes: result.rowCount };
+    } catch (error) {
+      console.error('Error deprovisioning device:', error);
+      throw error;
+    }
+  }
+
+  // Record a connection attempt from a device that was not accepted
+  async recordUnknownDevice(data) {
+    try {
+      const result = await this.query(`
+        INSERT INTO unknown_devices (device_id, remote_address, action, last_raw_data, first_seen, last_seen)
+        VALUES ($1, $2, $3, $4, now(), now())
+        ON CONFLICT (device_id) DO UPDATE SET
+          remote_address = excluded.remote_address,
+          action = excluded.action,
+          attempts = unknown_devices.attempts + 1,
+          last_raw_data = excluded.last_raw_data,
+          last_seen = excluded.last_seen
+      `, [data.device_id, data.remote_address || null, data.action || null, data.raw_data || null]);
+      return { changes: result.rowCount };
+    } catch (error) {
+      console.error('Error recording unknown device:', error);
+    }
+  }
+
+  // Get connection attempts from unknown devices
+  async getUnknownDevices(limit = 100) {
+    try {
+      const result = await this.query(`
+        SELECT * FROM unknown_devices
+        ORDER BY last_seen DESC
+        LIMIT $1
+      `, [limit]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting unknown devices:', error);
+      throw error;
+    }
+  }
+
+  // Get device by phone number
+  async getDeviceByPhone(phoneNumber) {
+    try {
+      const result = await this.query('SELECT * FROM devices WHERE phone_number = $1', [phoneNumber]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error getting device by phone:', error);
+      throw error;
+    }
+  }
+
+  // Get IDs of all known devices, or those in scope
+  async getDeviceIds(scope = {}) {
+    const params = parameters();
+
+    try {
+      const result = await this.query(
+        `SELECT device_id FROM devices WHERE ${scopeCondition('device_id', scope, params.add)} ORDER BY device_id`,
+        params.values
+      );
+      return result.rows.map(row => row.device_id);
+    } catch (error) {
+      console.error('Error getting device IDs:', error);
+      throw error;
+    }
+  }
+
+  // Get a device's retention policy override, if any
+  async getRetentionPolicy(deviceId) {
+    try {
+      const result = await this.query('SELECT * FROM retention_policies WHERE device_id = $1', [deviceId]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error getting retention policy:', error);
+      throw error;
+    }
+  }
+
+  // Get all retention policy overrides, or those for devices in scope
+  async getRetentionPolicies(scope = {}) {
+    const params = parameters();
+
+    try {
+      const result = await this.query(
+        `SELECT * FROM retention_policies WHERE ${scopeCondition('device_id', scope, params.add)} ORDER BY device_id`,
+        params.values
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting retention policies:', error);
+      throw error;
+    }
+  }
+
+  // Set a device's retention policy override (null fields use the defaults)
+  async setRetentionPolicy(deviceId, policy) {
+    try {
+      return await this.transaction(async (client) => {
+        await client.query(`
+          INSERT INTO devices (device_id) VALUES ($1)
+          ON CONFLICT (device_id) DO NOTHING
+        `, [deviceId]);
+        const result = await client.query(`
+          INSERT INTO retention_policies (device_id, raw_days, downsampled_days, summary_days, updated_at)
+          VALUES ($1, $2, $3, $4, now())
+          ON CONFLICT (device_id) DO UPDATE SET
+            raw_days = excluded.raw_days,
+            downsampled_days = excluded.downsampled_days,
+            summary_days = excluded.summary_days,
+            updated_at = excluded.updated_at
+        `, [
+          deviceId,
+          policy.raw_days ?? null,
+          policy.downsampled_days ?? null,
+          policy.summary_days ?? null
+        ]);
+        return { changes: result.rowCount };
+      });
+    } catch (error) {
+      console.error('Error setting retention policy:', error);
+      throw error;
+    }
+  }
+
+  // Remove a device's retention policy override
+  async deleteRetentionPolicy(deviceId) {
+    try {
+      const result = await this.query('DELETE FROM retention_policies WHERE device_id = $1', [deviceId]);
+      return { changes: result.rowCount };
+    } catch (error) {
+      console.error('Error deleting retention policy:', error);
+      throw error;
+    }
+  }
+
+  // UTC days (YYYY-MM-DD) that have GPS logs before a given day, oldest first
+  async getGpsLogDays(deviceId, beforeDay) {
+    try {
+      const result = await this.query(`
+        SELECT DISTINCT to_char(timestamp AT TIME ZONE 'UTC', 'YYYY-MM-DD') AS day FROM gps_logs
+        WHERE device_id = $1 AND timestamp < $2
+        ORDER BY day ASC
+      `, [deviceId, dayStart(beforeDay)]);
+      return result.rows.map(row => row.day);
+    } catch (error) {
+      console.error('Error getting GPS log days:', error);
+      throw error;
+    }
+  }
+
+  // GPS logs of one UTC day, oldest first
+  async getGpsLogsForDay(deviceId, day) {
+    try {
+      const result = await this.query(`
+        SELECT ${gpsLogColumns('gl')} FROM gps_logs gl
+        WHERE gl.device_id = $1 AND gl.timestamp >= $2 AND gl.timestamp < $3
+        ORDER BY gl.timestamp ASC, gl.id ASC
+      `, [deviceId, dayStart(day), dayStart(nextDay(day))]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting GPS logs for day:', error);
+      throw error;
+    }
+  }
+
+  // Delete GPS logs by ID, repointing the device's latest fix if it was removed
+  async deleteGpsLogs(deviceId, ids) {
+    try {
+      return await this.transaction(async (client) => {
+        const result = await client.query(
+          'DELETE FROM gps_logs WHERE device_id = $1 AND id = ANY($2::bigint[])',
+          [deviceId, ids]
+        );
+        await client.query(`
+          UPDATE devices d SET last_log_id = latest.id, last_fix_time = latest.timestamp
+          FROM (
+            SELECT id, timestamp FROM gps_logs WHERE device_id = $1
+            ORDER BY timestamp DESC, id DESC LIMIT 1
+          ) latest
+          WHERE d.device_id = $1
+            AND NOT EXISTS (SELECT 1 FROM gps_logs WHERE id = d.last_log_id)
+        `, [deviceId]);
+        // No logs left at all
+        await client.query(`
+          UPDATE devices SET last_log_id = NULL, last_fix_time = NULL
+          WHERE device_id = $1 AND NOT EXISTS (SELECT 1 FROM gps_logs WHERE device_id = $1)
+        `, [deviceId]);
+        await client.query(`
+          UPDATE devices d SET last_valid_log_id = (
+            SELECT id FROM gps_logs gl WHERE gl.device_id = $1 AND ${hasFix('gl')}
+            ORDER BY timestamp DESC, id DESC LIMIT 1
+          )
+          WHERE d.device_id = $1
+            AND NOT EXISTS (SELECT 1 FROM gps_logs WHERE id = d.last_valid_log_id)
+        `, [deviceId]);
+        return { changes: result.rowCount };
+      });
+    } catch (error) {
+      console.error('Error deleting GPS logs:', error);
+      throw error;
+    }
+  }
+
+  // Record the UTC day before which a device's logs have been downsampled
+  async setDownsampledUntil(deviceId, day) {
+    try {
+      const result = await this.query('UPDATE devices SET downsampled_until = $1 WHERE device_id = $2', [day, deviceId]);
+      return { changes: result.rowCount };
+    } catch (error) {
+      console.error('Error updating downsampling progress:', error);
+      throw error;
+    }
+  }
+
+  // Get one day's summary for a device
+  async getDailySummary(deviceId, day) {
+    try {
+      const result = await this.query('SELECT * FROM daily_summaries WHERE device_id = $1 AND day = $2', [deviceId, day]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error getting daily summary:', error);
+      throw error;
+    }
+  }
+
+  // Get a device's daily summaries, newest first
+  async getDailySummaries(deviceId, limit = 100) {
+    try {
+      const result = await this.query(`
+        SELECT * FROM daily_summaries
+        WHERE device_id = $1
+        ORDER BY day DESC
+        LIMIT $2
+      `, [deviceId, limit]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting daily summaries:', error);
+      throw error;
+    }
+  }
+
+  // Insert or replace a device's summary for one day
+  async upsertDailySummary(summary) {
+    try {
+      const result = await this.query(`
+        INSERT INTO daily_summaries (
+          device_id, day, points, distance_km, max_speed, avg_speed,
+          first_fix_time, last_fix_time, min_lat, max_lat, min_lon, max_lon, alarm_count
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        ON CONFLICT (device_id, day) DO UPDATE SET
+          points = excluded.points,
+          distance_km = excluded.distance_km,
+          max_speed = excluded.max_speed,
+          avg_speed = excluded.avg_speed,
+          first_fix_time = excluded.first_fix_time,
+          last_fix_time = excluded.last_fix_time,
+          min_lat = excluded.min_lat,
+          max_lat = excluded.max_lat,
+          min_lon = excluded.min_lon,
+          max_lon = excluded.max_lon,
+          alarm_count = excluded.alarm_count
+      `, [
+        summary.device_id,
+        summary.day,
+        summary.points,
+        summary.distance_km,
+        summary.max_speed,
+        summary.avg_speed,
+        summary.first_fix_time,
+        summary.last_fix_time,
+        summary.min_lat,
+        summary.max_lat,
+        summary.min_lon,
+        summary.max_lon,
+        summary.alarm_count
+      ]);
+      return { changes: result.rowCount };
+    } catch (error) {
+      console.error('Error saving daily summary:', error);
+      throw error;
+    }
+  }
+
+  // Delete a device's daily summaries before a given day
+  async deleteDailySummariesBefore(deviceId, day) {
+    try {
+      const result = await this.query('DELETE FROM daily_summaries WHERE device_id = $1 AND day < $2', [deviceId, day]);
+      return { changes: result.rowCount };
+    } catch (error) {
+      console.error('Error deleting daily summaries:', error);
+      throw error;
+    }
+  }
+
+  // Stored rows per device (or devices in scope), with the on-disk size of their gps_logs rows
+  async getStorageUsage(deviceId = null, scope = {}) {
+    const params = parameters([deviceId]);
+
+    try {
+      const result = await this.query(`
+        SELECT
+          d.device_id,
+          COALESCE(gl.row_count, 0) AS gps_logs,
+          gl.oldest_fix,
+          gl.newest_fix,
+          COALESCE(gl.estimated_bytes, 0) AS estimated_bytes,
+          COALESCE(ds.row_count, 0) AS daily_summaries
+        FROM devices d
+        LEFT JOIN (
+          SELECT
+            device_id,
+            COUNT(*) AS row_count,
+            MIN(timestamp) AS oldest_fix,
+            MAX(timestamp) AS newest_fix,
+            SUM(pg_column_size(gps_logs.*))::bigint AS estimated_bytes
+          FROM gps_logs
+          GROUP BY device_id
+        ) gl ON gl.device_id = d.device_id
+        LEFT JOIN (
+          SELECT device_id, COUNT(*) AS row_count FROM daily_summaries GROUP BY device_id
+        ) ds ON ds.device_id = d.device_id
+        WHERE ($1::text IS NULL OR d.device_id = $1) AND ${scopeCondition('d.device_id', scope, params.add)}
+        ORDER BY gps_logs DESC, d.device_id
+      `, params.values);
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting storage usage:', error);
+      throw error;
+    }
+  }
+
+  // GPS logs of a device between two fix times (inclusive), oldest first
+  // after: { time, id } of the last fix of the previous page
+  async getGpsLogsBetween(deviceId, from = null, to = null, limit = 10000, after = null) {
+    try {
+      const result = await this.query(`
+        SELECT ${gpsLogColumns('gl')} FROM gps_logs gl
+        WHERE gl.device_id = $1
+          AND ($2::timestamptz IS NULL OR gl.timestamp >= $2)
+          AND ($3::timestamptz IS NULL OR gl.timestamp <= $3)
+          AND ($4::timestamptz IS NULL OR (gl.timestamp, gl.id) > ($4, $5::bigint))
+        ORDER BY gl.timestamp ASC, gl.id ASC
+        LIMIT $6
+      `, [deviceId, from, to, after ? after.time : null, after ? after.id : null, limit]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting GPS logs between times:', error);
+      throw error;
+    }
+  }
+
+  // Insert a trip, or update it when it has an ID
+  async saveTrip(trip) {
+    const columns = [
+      trip.device_id, trip.status, trip.start_time, trip.end_time,
+      trip.start_lat, trip.start_lon, trip.end_lat, trip.end_lon,
+      trip.start_log_id, trip.end_log_id, trip.distance_km, trip.duration_s,
+      trip.idle_s, trip.max_speed, trip.avg_speed, trip.point_count
+    ];
+
+    try {
+      if (!trip.id) {
+        const result = await this.query(`
+          INSERT INTO trips (
+            device_id, status, start_time, end_time, start_lat, start_lon, end_lat, end_lon,
+            start_log_id, end_log_id, distance_km, duration_s, idle_s, max_speed, avg_speed, point_count
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+          RETURNING id
+        `, columns);
+        return { changes: 1, lastInsertRowid: result.rows[0].id };
+      }
+
+      const result = await this.query(`
+        UPDATE trips SET
+          device_id = $1, status = $2, start_time = $3, end_time = $4,
+          start_lat = $5, start_lon = $6, end_lat = $7, end_lon = $8,
+          start_log_id = $9, end_log_id = $10, distance_km = $11, duration_s = $12,
+          idle_s = $13, max_speed = $14, avg_speed = $15, point_count = $16,
+          updated_at = now()
+        WHERE id = $17
+      `, [...columns, trip.id]);
+      return { changes: result.rowCount, lastInsertRowid: trip.id };
+    } catch (error) {
+      console.error('Error saving trip:', error);
+      throw error;
+    }
+  }
+
+  // Get a trip by ID
+  async getTrip(tripId) {
+    try {
+      const result = await this.query('SELECT * FROM trips WHERE id = $1', [tripId]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error getting trip:', error);
+      throw error;
+    }
+  }
+
+  // Get the trip a device is currently on, if any
+  async getOpenTrip(deviceId) {
+    try {
+      const result = await this.query(`
+        SELECT * FROM trips WHERE device_id = $1 AND status = 'open'
+        ORDER BY start_time DESC LIMIT 1
+      `, [deviceId]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error getting open trip:', error);
+      throw error;
+    }
+  }
+
+  // Get a device's trips, newest first
+  async getTrips(deviceId, limit = 50) {
+    try {
+      const result = await this.query(`
+        SELECT * FROM trips
+        WHERE device_id = $1
+        ORDER BY start_time DESC
+        LIMIT $2
+      `, [deviceId, limit]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting trips:', error);
+      throw error;
+    }
+  }
+
+  // Delete a trip
+  async deleteTrip(tripId) {
+    try {
+      const result = await this.query('DELETE FROM trips WHERE id = $1', [tripId]);
+      return { changes: result.rowCount };
+    } catch (error) {
+      console.error('Error deleting trip:', error);
+      throw error;
+    }
+  }
+
+  // Insert a stop, or update it when it has an ID
+  async saveStop(stop) {
+    const columns = [
+      stop.device_id, stop.start_time, stop.end_time, stop.lat, stop.lon,
+      stop.start_log_id, stop.duration_s
+    ];
+
+    try {
+      if (!stop.id) {
+        const result = await this.query(`
+          INSERT INTO stops (device_id, start_time, end_time, lat, lon, start_log_id, duration_s)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+          RETURNING id
+        `, columns);
+        return { changes: 1, lastInsertRowid: result.rows[0].id };
+      }
+
+      const result = await this.query(`
+        UPDATE stops SET
+          device_id = $1, start_time = $2, end_time = $3, lat = $4, lon = $5,
+          start_log_id = $6, duration_s = $7
+        WHERE id = $8
+      `, [...columns, stop.id]);
+      return { changes: result.rowCount, lastInsertRowid: stop.id };
+    } catch (error) {
+      console.error('Error saving stop:', error);
+      throw error;
+    }
+  }
+
+  // Get the stop a device is currently at, if any
+  async getOpenStop(deviceId) {
+    try {
+      const result = await this.query(`
+        SELECT * FROM stops WHERE device_id = $1 AND end_time IS NULL
+        ORDER BY start_time DESC LIMIT 1
+      `, [deviceId]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error getting open stop:', error);
+      throw error;
+    }
+  }
+
+  // Get a device's stops, newest first
+  async getStops(deviceId, limit = 50) {
+    try {
+      const result = await this.query(`
+        SELECT * FROM stops
+        WHERE device_id = $1
+        ORDER BY start_time DESC
+        LIMIT $2
+      `, [deviceId, limit]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting stops:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the trips and stops from a fix time on, so they can be segmented
+   * again. With no time, all of the device's trips and stops go.
+   * @returns {Promise<string|null>} Fix time to segment again from (null: from the start)
+   */
+  async deleteTripsSince(deviceId, from = null) {
+    try {
+      return await this.transaction(async (client) => {
+        if (!from) {
+          await client.query('DELETE FROM trips WHERE device_id = $1', [deviceId]);
+          await client.query('DELETE FROM stops WHERE device_id = $1', [deviceId]);
+          return null;
+        }
+
+        // The trip under way at that time (or the last one before it, which
+        // a gap in reports may have cut short) restarts from its beginning,
+        // and so does the stop it set off from
+        const trips = await client.query(`
+          SELECT LEAST($2::timestamptz, MAX(start_time)) AS start_time FROM trips
+          WHERE device_id = $1 AND start_time <= $2
+        `, [deviceId, from]);
+        const tripStart = trips.rows[0].start_time;
+        const stops = await client.query(`
+          SELECT LEAST($2::timestamptz, MIN(start_time)) AS start_time FROM stops
+          WHERE device_id = $1 AND (end_time IS NULL OR end_time >= $2)
+        `, [deviceId, tripStart]);
+
+        await client.query(`
+          DELETE FROM trips WHERE device_id = $1 AND start_time >= $2
+        `, [deviceId, tripStart]);
+        await client.query(`
+          DELETE FROM stops WHERE device_id = $1 AND (end_time IS NULL OR end_time >= $2)
+        `, [deviceId, tripStart]);
+        return stops.rows[0].start_time;
+      });
+    } catch (error) {
+      console.error('Error deleting trips:', error);
+      throw error;
+    }
+  }
+
+  // Add counted distance to a device's odometer and hourly totals, and move its
+  // odometer to the last fix counted
+  // last: { timestamp, lat, lon, id } or null; hours: [{ hour, distance_km }]
+  async recordOdometer(deviceId, odometer) {
+    try {
+      return await this.transaction(async (client) => {
+        await client.query(
+          'UPDATE devices SET odometer_km = COALESCE(odometer_km, 0) + $1 WHERE device_id = $2',
+          [odometer.distance_km || 0, deviceId]
+        );
+        if (odometer.last) {
+          const { timestamp, lat, lon, id } = odometer.last;
+          await client.query(`
+            UPDATE devices SET
+              odometer_started_at = COALESCE(odometer_started_at, $1),
+              odometer_time = $1, odometer_lat = $2, odometer_lon = $3, odometer_log_id = $4
+            WHERE device_id = $5
+          `, [timestamp, lat, lon, id, deviceId]);
+        }
+        for (const entry of odometer.hours || []) {
+          await client.query(`
+            INSERT INTO odometer_hourly (device_id, hour, distance_km) VALUES ($1, $2, $3)
+            ON CONFLICT (device_id, hour) DO UPDATE
+              SET distance_km = odometer_hourly.distance_km + EXCLUDED.distance_km
+          `, [deviceId, entry.hour, entry.distance_km]);
+        }
+      });
+    } catch (error) {
+      console.error('Error recording odometer:', error);
+      throw error;
+    }
+  }
+
+  // Set a device's odometer reading, e.g. to match the vehicle's dashboard
+  async setOdometer(deviceId, km) {
+    try {
+      const result = await this.query(
+        'UPDATE devices SET odometer_km = $1 WHERE device_id = $2',
+        [km, deviceId]
+      );
+      return { changes: result.rowCount };
+    } catch (error) {
+      console.error('Error setting odometer:', error);
+      throw error;
+    }
+  }
+
+  // Hourly distances in [from, to), for some devices or all of them in scope
+  async getOdometerDistances(deviceIds, from, to, scope = {}) {
+    const params = parameters([deviceIds || null, from, to]);
+
+    try {
+      const result = await this.query(`
+        SELECT device_id, hour, distance_km FROM odometer_hourly
+        WHERE ($1::text[] IS NULL OR device_id = ANY($1))
+          AND hour >= $2 AND hour < $3 AND ${scopeCondition('device_id', scope, params.add)}
+        ORDER BY device_id, hour
+      `, params.values);
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting odometer distances:', error);
+      throw error;
+    }
+  }
+
+  // The positioned fixes just before and just after a fix time, skipping one ID
+  async getNeighbourFixes(deviceId, timestamp, excludeId = null) {
+    const fixFilter = `
+      gl.device_id = $1 AND gl.id IS DISTINCT FROM $2::bigint
+        AND gl.gps_valid IS NOT FALSE AND NOT (gl.lat = 0 AND gl.lon = 0)
+    `;
+
+    try {
+      const previous = await this.query(`
+        SELECT ${gpsLogColumns('gl')} FROM gps_logs gl
+        WHERE ${fixFilter} AND gl.timestamp < $3
+        ORDER BY gl.timestamp DESC, gl.id DESC LIMIT 1
+      `, [deviceId, excludeId, timestamp]);
+      const next = await this.query(`
+        SELECT ${gpsLogColumns('gl')} FROM gps_logs gl
+        WHERE ${fixFilter} AND gl.timestamp > $3
+        ORDER BY gl.timestamp ASC, gl.id ASC LIMIT 1
+      `, [deviceId, excludeId, timestamp]);
+
+      return { previous: previous.rows[0], next: next.rows[0] };
+    } catch (error) {
+      console.error('Error getting neighbouring fixes:', error);
+      throw error;
+    }
+  }
+
+  // Insert a geofence, or update it when it has an ID
+  // polygon: [[lat, lon], ...] for polygon fences; organization_id is set on insert only
+  async saveGeofence(fence) {
+    const columns = [
+      fence.name, fence.type, fence.center_lat ?? null, fence.center_lon ?? null,
+      fence.radius_m ?? null, fence.polygon ? JSON.stringify(fence.polygon) : null,
+      fence.min_lat, fence.min_lon, fence.max_lat, fence.max_lon, fence.dwell_minutes ?? null
+    ];
+
+    try {
+      if (!fence.id) {
+        const result = await this.query(`
+          INSERT INTO geofences (
+            name, type, center_lat, center_lon, radius_m, polygon,
+            min_lat, min_lon, max_lat, max_lon, dwell_minutes, organization_id
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+          RETURNING id
+        `, [...columns, fence.organization_id ?? null]);
+        return { changes: 1, lastInsertRowid: result.rows[0].id };
+      }
+
+      const result = await this.query(`
+        UPDATE geofences SET
+          name = $1, type = $2, center_lat = $3, center_lon = $4, radius_m = $5, polygon = $6,
+          min_lat = $7, min_lon = $8, max_lat = $9, max_lon = $10, dwell_minutes = $11,
+          updated_at = now()
+        WHERE id = $12
+      `, [...columns, fence.id]);
+      return { changes: result.rowCount, lastInsertRowid: fence.id };
+    } catch (error) {
+      console.error('Error saving geofence:', error);
+      throw error;
+    }
+  }
+
+  // Get a geofence by ID
+  async getGeofence(geofenceId) {
+    try {
+      const result = await this.query('SELECT * FROM geofences WHERE id = $1', [geofenceId]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error getting geofence:', error);
+      throw error;
+    }
+  }
+
+  // Get all geofences (or an organization's) with the number of devices each applies to
+  async getGeofences(scope = {}) {
+    try {
+      const result = await this.query(`
+        SELECT g.*, COUNT(gd.device_id) AS device_count
+        FROM geofences g
+        LEFT JOIN geofence_devices gd ON gd.geofence_id = g.id
+        WHERE $1::bigint IS NULL OR g.organization_id = $1
+        GROUP BY g.id
+        ORDER BY g.name, g.id
+      `, [organizationOf(scope)]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting geofences:', error);
+      throw error;
+    }
+  }
+
+  // Delete a geofence with its assignments; its events are kept
+  async deleteGeofence(geofenceId) {
+    try {
+      return await this.transaction(async (client) => {
+        await client.query('DELETE FROM geofence_devices WHERE geofence_id = $1', [geofenceId]);
+        await client.query('DELETE FROM geofence_states WHERE geofence_id = $1', [geofenceId]);
+        const result = await client.query('DELETE FROM geofences WHERE id = $1', [geofenceId]);
+        return { changes: result.rowCount };
+      });
+    } catch (error) {
+      console.error('Error deleting geofence:', error);
+      throw error;
+    }
+  }
+
+  // Apply a geofence to a device
+  async assignGeofence(geofenceId, deviceId) {
+    try {
+      const result = await this.query(`
+        INSERT INTO geofence_devices (geofence_id, device_id) VALUES ($1, $2)
+        ON CONFLICT (geofence_id, device_id) DO NOTHING
+      `, [geofenceId, deviceId]);
+      return { changes: result.rowCount };
+    } catch (error) {
+      console.error('Error assigning geofence:', error);
+      throw error;
+    }
+  }
+
+  // Stop applying a geofence to a device, forgetting whether it was inside
+  async unassignGeofence(geofenceId, deviceId) {
+    try {
+      return await this.transaction(async (client) => {
+        await client.query(
+          'DELETE FROM geofence_states WHERE geofence_id = $1 AND device_id = $2',
+          [geofenceId, deviceId]
+        );
+        const result = await client.query(
+          'DELETE FROM geofence_devices WHERE geofence_id = $1 AND device_id = $2',
+          [geofenceId, deviceId]
+        );
+        return { changes: result.rowCount };
+      });
+    } catch (error) {
+      console.error('Error unassigning geofence:', error);
+      throw error;
+    }
+  }
+
+  // Geofence/device assignments, for one geofence or all of them
+  async getGeofenceAssignments(geofenceId = null) {
+    try {
+      const result = await this.query(`
+        SELECT geofence_id, device_id, created_at FROM geofence_devices
+        WHERE $1::bigint IS NULL OR geofence_id = $1
+        ORDER BY geofence_id, device_id
+      `, [geofenceId]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting geofence assignments:', error);
+      throw error;
+    }
+  }
+
+  // Get the geofences applied to a device
+  async getDeviceGeofences(deviceId) {
+    try {
+      const result = await this.query(`
+        SELECT g.* FROM geofences g
+        JOIN geofence_devices gd ON gd.geofence_id = g.id
+        WHERE gd.device_id = $1
+        ORDER BY g.name, g.id
+      `, [deviceId]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting device geofences:', error);
+      throw error;
+    }
+  }
+
+  // Get the geofences a device is inside
+  async getGeofenceStates(deviceId) {
+    try {
+      const result = await this.query('SELECT * FROM geofence_states WHERE device_id = $1', [deviceId]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting geofence states:', error);
+      throw error;
+    }
+  }
+
+  // Store a geofence event and the device's new state for that fence
+  async saveGeofenceEvent(event) {
+    try {
+      return await this.transaction(async (client) => {
+        const result = await client.query(`
+          INSERT INTO geofence_events (
+            device_id, geofence_id, event_type, timestamp, lat, lon, gps_log_id, duration_s
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          RETURNING id
+        `, [
+          event.device_id, event.geofence_id, event.event_type, event.timestamp,
+          event.lat, event.lon, event.gps_log_id ?? null, event.duration_s ?? null
+        ]);
+
+        if (event.event_type === 'enter') {
+          await client.query(`
+            INSERT INTO geofence_states (device_id, geofence_id, entered_at, dwell_notified)
+            VALUES ($1, $2, $3, FALSE)
+            ON CONFLICT (device_id, geofence_id) DO UPDATE SET
+              entered_at = EXCLUDED.entered_at,
+              dwell_notified = FALSE
+          `, [event.device_id, event.geofence_id, event.timestamp]);
+        } else if (event.event_type === 'exit') {
+          await client.query(
+            'DELETE FROM geofence_states WHERE device_id = $1 AND geofence_id = $2',
+            [event.device_id, event.geofence_id]
+          );
+        } else if (event.event_type === 'dwell') {
+          await client.query(
+            'UPDATE geofence_states SET dwell_notified = TRUE WHERE device_id = $1 AND geofence_id = $2',
+            [event.device_id, event.geofence_id]
+          );
+        }
+
+        return { changes: 1, lastInsertRowid: result.rows[0].id };
+      });
+    } catch (error) {
+      console.error('Error saving geofence event:', error);
+      throw error;
+    }
+  }
+
+  // Get geofence events, newest first, for a device and/or a geofence
+  async getGeofenceEvents(filters = {}) {
+    try {
+      const result = await this.query(`
+        SELECT e.*, g.name AS geofence_name
+        FROM geofence_events e
+        LEFT JOIN geofences g ON g.id = e.geofence_id
+        WHERE ($1::text IS NULL OR e.device_id = $1)
+          AND ($2::bigint IS NULL OR e.geofence_id = $2)
+          AND ($3::text IS NULL OR e.event_type = $3)
+        ORDER BY e.timestamp DESC, e.id DESC
+        LIMIT $4
+      `, [filters.deviceId ?? null, filters.geofenceId ?? null, filters.type ?? null, filters.limit || 100]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting geofence events:', error);
+      throw error;
+    }
+  }
+
+  // Insert a rule, or update it when it has an ID; organization_id is set on insert only
+  async saveRule(rule) {
+    const columns = [
+      rule.name, rule.type, rule.device_id ?? null, JSON.stringify(rule.params || {}),
+      rule.severity, Boolean(rule.auto_resolve), Boolean(rule.enabled)
+    ];
+
+    try {
+      if (!rule.id) {
+        const result = await this.query(`
+          INSERT INTO rules (name, type, device_id, params, severity, auto_resolve, enabled, organization_id)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          RETURNING id
+        `, [...columns, rule.organization_id ?? null]);
+        return { changes: 1, lastInsertRowid: result.rows[0].id };
+      }
+
+      const result = await this.query(`
+        UPDATE rules SET
+          name = $1, type = $2, device_id = $3, params = $4, severity = $5, auto_resolve = $6, enabled = $7,
+          updated_at = now()
+        WHERE id = $8
+      `, [...columns, rule.id]);
+      return { changes: result.rowCount, lastInsertRowid: rule.id };
+    } catch (error) {
+      console.error('Error saving rule:', error);
+      throw error;
+    }
+  }
+
+  // Get a rule by ID
+  async getRule(ruleId) {
+    try {
+      const result = await this.query('SELECT * FROM rules WHERE id = $1', [ruleId]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error getting rule:', error);
+      throw error;
+    }
+  }
+
+  // Get all rules, or an organization's
+  async getRules(scope = {}) {
+    try {
+      const result = await this.query(
+        'SELECT * FROM rules WHERE $1::bigint IS NULL OR organization_id = $1 ORDER BY name, id',
+        [organizationOf(scope)]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting rules:', error);
+      throw error;
+    }
+  }
+
+  // Delete a rule; its events are kept
+  async deleteRule(ruleId) {
+    try {
+      const result = await this.query('DELETE FROM rules WHERE id = $1', [ruleId]);
+      return { changes: result.rowCount };
+    } catch (error) {
+      console.error('Error deleting rule:', error);
+      throw error;
+    }
+  }
+
+  // Store a raised event
+  async insertEvent(event) {
+    try {
+      const result = await this.query(`
+        INSERT INTO events (
+          rule_id, device_id, type, severity, status, message, details,
+          lat, lon, gps_log_id, triggered_at
+        )
+        VALUES ($1, $2, $3, $4, 'open', $5, $6, $7, $8, $9, $10)
+        RETURNING id
+      `, [
+        event.rule_id ?? null,
+        event.device_id,
+        event.type,
+        event.severity,
+        event.message ?? null,
+        event.details ? JSON.stringify(event.details) : null,
+        event.lat ?? null,
+        event.lon ?? null,
+        event.gps_log_id ?? null,
+        event.triggered_at
+      ]);
+      return { changes: 1, lastInsertRowid: result.rows[0].id };
+    } catch (error) {
+      console.error('Error inserting event:', error);
+      throw error;
+    }
+  }
+
+  // Get an event by ID
+  async getEvent(eventId) {
+    try {
+      const result = await this.query(`
+        SELECT e.*, r.name AS rule_name FROM events e
+        LEFT JOIN rules r ON r.id = e.rule_id
+        WHERE e.id = $1
+      `, [eventId]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error getting event:', error);
+      throw error;
+    }
+  }
+
+  // Get events, newest first unless order is 'asc'
+  // status: 'open', 'acknowledged', 'resolved', or 'unresolved' for either of the first two;
+  // from, to, order, after and limit page through them as for getDeviceHistory()
+  async getEvents(filters = {}, scope = {}) {
+    const { from, to, order, after, limit } = pageOptions(filters, 100);
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const beyond = order === 'asc' ? '>' : '<';
+    const params = parameters([
+      filters.deviceId ?? null, filters.type ?? null, filters.status ?? null,
+      from, to, after ? after.time : null, after ? after.id : null, limit
+    ]);
+
+    try {
+      const result = await this.query(`
+        SELECT e.*, r.name AS rule_name FROM events e
+        LEFT JOIN rules r ON r.id = e.rule_id
+        WHERE ($1::text IS NULL OR e.device_id = $1)
+          AND ($2::text IS NULL OR e.type = $2)
+          AND ($3::text IS NULL OR e.status = $3 OR ($3 = 'unresolved' AND e.status != 'resolved'))
+          AND ($4::timestamptz IS NULL OR e.triggered_at >= $4)
+          AND ($5::timestamptz IS NULL OR e.triggered_at < $5)
+          AND ($6::timestamptz IS NULL OR (e.triggered_at, e.id) ${beyond} ($6, $7::bigint))
+          AND ${scopeCondition('e.device_id', scope, params.add)}
+        ORDER BY e.triggered_at ${direction}, e.id ${direction}
+        LIMIT $8
+      `, params.values);
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting events:', error);
+      throw error;
+    }
+  }
+
+  // Get a device's events that are not resolved yet
+  async getUnresolvedEvents(deviceId) {
+    try {
+      const result = await this.query(`
+        SELECT * FROM events
+        WHERE device_id = $1 AND status != 'resolved'
+        ORDER BY id
+      `, [deviceId]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting unresolved events:', error);
+      throw error;
+    }
+  }
+
+  // Mark an open event acknowledged
+  async acknowledgeEvent(eventId, by = null, note = null) {
+    try {
+      const result = await this.query(`
+        UPDATE events SET
+          status = 'acknowledged', acknowledged_at = now(), acknowledged_by = $1, note = COALESCE($2, note)
+        WHERE id = $3 AND status = 'open'
+      `, [by, note, eventId]);
+      return { changes: result.rowCount };
+    } catch (error) {
+      console.error('Error acknowledging event:', error);
+      throw error;
+    }
+  }
+
+  // Mark an open or acknowledged event resolved
+  async resolveEvent(eventId, by = null, note = null) {
+    try {
+      const result = await this.query(`
+        UPDATE events SET
+          status = 'resolved', resolved_at = now(), resolved_by = $1, note = COALESCE($2, note)
+        WHERE id = $3 AND status != 'resolved'
+      `, [by, note, eventId]);
+      return { changes: result.rowCount };
+    } catch (error) {
+      console.error('Error resolving event:', error);
+      throw error;
+    }
+  }
+
+  // Devices that have reported, but not since a given time
+  async getSilentDevices(before) {
+    try {
+      const result = await this.query(`
+        SELECT device_id, last_seen, organization_id FROM devices
+        WHERE is_active AND last_seen IS NOT NULL AND last_seen < $1
+        ORDER BY device_id
+      `, [before]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting silent devices:', error);
+      throw error;
+    }
+  }
+
+  // Insert a webhook subscription, or update it when it has an ID; organization_id is set on insert only
+  async saveWebhook(webhook) {
+    const columns = [
+      webhook.url, webhook.secret, webhook.description ?? null,
+      webhook.device_ids ? JSON.stringify(webhook.device_ids) : null,
+      webhook.event_types ? JSON.stringify(webhook.event_types) : null,
+      Boolean(webhook.enabled)
+    ];
+
+    try {
+      if (!webhook.id) {
+        const result = await this.query(`
+          INSERT INTO webhooks (url, secret, description, device_ids, event_types, enabled, organization_id)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+          RETURNING id
+        `, [...columns, webhook.organization_id ?? null]);
+        return { changes: 1, lastInsertRowid: result.rows[0].id };
+      }
+
+      const result = await this.query(`
+        UPDATE webhooks SET
+          url = $1, secret = $2, description = $3, device_ids = $4, event_types = $5, enabled = $6,
+          updated_at = now()
+        WHERE id = $7
+      `, [...columns, webhook.id]);
+      return { changes: result.rowCount, lastInsertRowid: webhook.id };
+    } catch (error) {
+      console.error('Error saving webhook:', error);
+      throw error;
+    }
+  }
+
+  // Get a webhook subscription by ID
+  async getWebhook(webhookId) {
+    try {
+      const result = await this.query('SELECT * FROM webhooks WHERE id = $1', [webhookId]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error getting webhook:', error);
+      throw error;
+    }
+  }
+
+  // Get all webhook subscriptions, or an organization's
+  async getWebhooks(scope = {}) {
+    try {
+      const result = await this.query(
+        'SELECT * FROM webhooks WHERE $1::bigint IS NULL OR organization_id = $1 ORDER BY id',
+        [organizationOf(scope)]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting webhooks:', error);
+      throw error;
+    }
+  }
+
+  // Delete a webhook subscription with its deliveries
+  async deleteWebhook(webhookId) {
+    try {
+      return await this.transaction(async (client) => {
+        await client.query('DELETE FROM webhook_deliveries WHERE webhook_id = $1', [webhookId]);
+        const result = await client.query('DELETE FROM webhooks WHERE id = $1', [webhookId]);
+        return { changes: result.rowCount };
+      });
+    } catch (error) {
+      console.error('Error deleting webhook:', error);
+      throw error;
+    }
+  }
+
+  // Queue deliveries in one statement
+  async insertWebhookDeliveries(deliveries) {
+    if (deliveries.length === 0) {
+      return { changes: 0 };
+    }
+
+    try {
+      const result = await this.query(`
+        INSERT INTO webhook_deliveries (webhook_id, event_type, device_id, payload, next_attempt_at)
+        SELECT * FROM unnest($1::bigint[], $2::text[], $3::text[], $4::text[], $5::timestamptz[])
+      `, [
+        deliveries.map(delivery => delivery.webhook_id),
+        deliveries.map(delivery => delivery.event_type),
+        deliveries.map(delivery => delivery.device_id ?? null),
+        deliveries.map(delivery => JSON.stringify(delivery.payload)),
+        deliveries.map(delivery => delivery.next_attempt_at)
+      ]);
+      return { changes: result.rowCount };
+    } catch (error) {
+      console.error('Error inserting webhook deliveries:', error);
+      throw error;
+    }
+  }
+
+  // Get pending deliveries due by a time, oldest first
+  async getDueWebhookDeliveries(now, limit = 50) {
+    try {
+      const result = await this.query(`
+        SELECT * FROM webhook_deliveries
+        WHERE status = 'pending' AND next_attempt_at <= $1
+        ORDER BY next_attempt_at, id
+        LIMIT $2
+      `, [now, limit]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting due webhook deliveries:', error);
+      throw error;
+    }
+  }
+
+  // Store the outcome of a delivery attempt
+  // attempt: { status, attempts, next_attempt_at, response_status, last_error }
+  async recordWebhookAttempt(deliveryId, attempt) {
+    try {
+      const result = await this.query(`
+        UPDATE webhook_deliveries SET
+          status = $1, attempts = $2, next_attempt_at = $3, last_attempt_at = now(),
+          response_status = $4, last_error = $5,
+          delivered_at = CASE WHEN $1 = 'delivered' THEN now() END
+        WHERE id = $6
+      `, [
+        attempt.status,
+        attempt.attempts,
+        attempt.next_attempt_at,
+        attempt.response_status ?? null,
+        attempt.last_error ?? null,
+        deliveryId
+      ]);
+      return { changes: result.rowCount };
+    } catch (error) {
+      console.error('Error recording webhook attempt:', error);
+      throw error;
+    }
+  }
+
+  // Get a delivery by ID
+  async getWebhookDelivery(deliveryId) {
+    try {
+      const result = await this.query('SELECT * FROM webhook_deliveries WHERE id = $1', [deliveryId]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error getting webhook delivery:', error);
+      throw error;
+    }
+  }
+
+  // Get deliveries, newest first, to any subscription or an organization's
+  async getWebhookDeliveries(filters = {}, scope = {}) {
+    try {
+      const result = await this.query(`
+        SELECT * FROM webhook_deliveries
+        WHERE ($1::bigint IS NULL OR webhook_id = $1)
+          AND ($2::text IS NULL OR status = $2)
+          AND ($4::bigint IS NULL OR webhook_id IN (SELECT id FROM webhooks WHERE organization_id = $4))
+        ORDER BY id DESC
+        LIMIT $3
+      `, [filters.webhookId ?? null, filters.status ?? null, filters.limit || 100, organizationOf(scope)]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting webhook deliveries:', error);
+      throw error;
+    }
+  }
+
+  // Send a dead delivery again with a fresh set of attempts
+  async retryWebhookDelivery(deliveryId) {
+    try {
+      const result = await this.query(`
+        UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = now()
+        WHERE id = $1 AND status = 'dead'
+      `, [deliveryId]);
+      return { changes: result.rowCount };
+    } catch (error) {
+      console.error('Error retrying webhook delivery:', error);
+      throw error;
+    }
+  }
+
+  // Insert a user, or update it when it has an ID
+  async saveUser(user) {
+    const columns = [user.username, user.password_hash, user.role, Boolean(user.enabled), user.organization_id ?? null];
+
+    try {
+      if (!user.id) {
+        const result = await this.query(`
+          INSERT INTO users (username, password_hash, role, enabled, organization_id)
+          VALUES ($1, $2, $3, $4, $5)
+          RETURNING id
+        `, columns);
+        return { changes: 1, lastInsertRowid: result.rows[0].id };
+      }
+
+      const result = await this.query(`
+        UPDATE users SET
+          username = $1, password_hash = $2, role = $3, enabled = $4, organization_id = $5, updated_at = now()
+        WHERE id = $6
+      `, [...columns, user.id]);
+      return { changes: result.rowCount, lastInsertRowid: user.id };
+    } catch (error) {
+      console.error('Error saving user:', error);
+      throw error;
+    }
+  }
+
+  // Get a user by ID
+  async getUser(userId) {
+    try {
+      const result = await this.query('SELECT * FROM users WHERE id = $1', [userId]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error getting user:', error);
+      throw error;
+    }
+  }
+
+  // Get a user by username
+  async getUserByUsername(username) {
+    try {
+      const result = await this.query('SELECT * FROM users WHERE username = $1', [username]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error getting user by username:', error);
+      throw error;
+    }
+  }
+
+  // Get all users, or an organization's
+  async getUsers(scope = {}) {
+    try {
+      const result = await this.query(
+        'SELECT * FROM users WHERE $1::bigint IS NULL OR organization_id = $1 ORDER BY id',
+        [organizationOf(scope)]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting users:', error);
+      throw error;
+    }
+  }
+
+  // Delete a user
+  async deleteUser(userId) {
+    try {
+      const result = await this.query('DELETE FROM users WHERE id = $1', [userId]);
+      return { changes: result.rowCount };
+    } catch (error) {
+      console.error('Error deleting user:', error);
+      throw error;
+    }
+  }
+
+  // Record a successful login
+  async recordUserLogin(userId, at) {
+    try {
+      const result = await this.query('UPDATE users SET last_login_at = $1 WHERE id = $2', [at, userId]);
+      return { changes: result.rowCount };
+    } catch (error) {
+      console.error('Error recording user login:', error);
+      throw error;
+    }
+  }
+
+  // Insert an API key (stored by hash; the key itself is never kept)
+  async insertApiKey(apiKey) {
+    try {
+      const result = await this.query(`
+        INSERT INTO api_keys (name, key_prefix, key_hash, scopes, created_by, expires_at, organization_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING id
+      `, [
+        apiKey.name, apiKey.key_prefix, apiKey.key_hash, JSON.stringify(apiKey.scopes),
+        apiKey.created_by ?? null, apiKey.expires_at ?? null, apiKey.organization_id ?? null
+      ]);
+      return { changes: 1, lastInsertRowid: result.rows[0].id };
+    } catch (error) {
+      console.error('Error inserting API key:', error);
+      throw error;
+    }
+  }
+
+  // Get an API key by ID
+  async getApiKey(keyId) {
+    try {
+      const result = await this.query('SELECT * FROM api_keys WHERE id = $1', [keyId]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error getting API key:', error);
+      throw error;
+    }
+  }
+
+  // Get an API key by the SHA-256 hash of the key
+  async getApiKeyByHash(keyHash) {
+    try {
+      const result = await this.query('SELECT * FROM api_keys WHERE key_hash = $1', [keyHash]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error getting API key by hash:', error);
+      throw error;
+    }
+  }
+
+  // Get all API keys, or an organization's
+  async getApiKeys(scope = {}) {
+    try {
+      const result = await this.query(
+        'SELECT * FROM api_keys WHERE $1::bigint IS NULL OR organization_id = $1 ORDER BY id',
+        [organizationOf(scope)]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting API keys:', error);
+      throw error;
+    }
+  }
+
+  // Delete (revoke) an API key
+  async deleteApiKey(keyId) {
+    try {
+      const result = await this.query('DELETE FROM api_keys WHERE id = $1', [keyId]);
+      return { changes: result.rowCount };
+    } catch (error) {
+      console.error('Error deleting API key:', error);
+      throw error;
+    }
+  }
+
+  // Record when an API key was last used
+  async recordApiKeyUse(keyId, at) {
+    try {
+      const result = await this.query('UPDATE api_keys SET last_used_at = $1 WHERE id = $2', [at, keyId]);
+      return { changes: result.rowCount };
+    } catch (error) {
+      console.error('Error recording API key use:', error);
+      throw error;
+    }
+  }
+
+  // Get the latest position of each device inside an area
+  // area: { bounds } for a box, newest first; or { lat, lon, radiusM } for a circle
+  // (radiusM null for no limit), nearest first with distance_m; scope as for getLatestLocations()
+  async getLatestLocationsInArea(area, limit = 100, scope = {}) {
+    const circle = area.lat !== undefined;
+    const params = parameters();
+
+    try {
+      const result = await this.query(`
+        SELECT
+          ${gpsLogColumns('gl')},
+          d.name AS device_name,
+          d.timezone AS device_timezone
+          ${circle ? `, ST_Distance(gl.geom::geography, ${point(area, params.add)}, false) AS distance_m` : ''}
+        FROM devices d
+        JOIN gps_logs gl ON gl.id = d.last_valid_log_id
+        WHERE ${areaCondition('gl', area, params.add)}
+          AND ${scopeCondition('d.device_id', scope, params.add)}
+        ORDER BY ${circle ? 'distance_m ASC, gl.id ASC' : 'gl.timestamp DESC'}
+        LIMIT ${params.add(limit)}
+      `, params.values);
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting latest locations in area:', error);
+      throw error;
+    }
+  }
+
+  // Get stored positions inside an area (as for getLatestLocationsInArea, with bounds),
+  // newest first unless order is 'asc'
+  // options: { deviceIds, from, to, order, after, limit } paged as for getDeviceHistory()
+  async getLocationsInArea(area, options = {}, scope = {}) {
+    const { from, to, order, after, limit } = pageOptions(options, 100);
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const beyond = order === 'asc' ? '>' : '<';
+    const circle = area.lat !== undefined;
+    const params = parameters();
+    const afterTime = params.add(after ? after.time : null);
+
+    try {
+      const result = await this.query(`
+        SELECT
+          ${gpsLogColumns('gl')}
+          ${circle ? `, ST_Distance(gl.geom::geography, ${point(area, params.add)}, false) AS distance_m` : ''}
+        FROM gps_logs gl
+        WHERE ${areaCondition('gl', area, params.add)}
+          AND (${params.add(options.deviceIds || null)}::text[] IS NULL OR gl.device_id = ANY($${params.values.length}))
+          AND (${params.add(from)}::timestamptz IS NULL OR gl.timestamp >= $${params.values.length})
+          AND (${params.add(to)}::timestamptz IS NULL OR gl.timestamp < $${params.values.length})
+          AND (${afterTime}::timestamptz IS NULL OR (gl.timestamp, gl.id) ${beyond} (${afterTime}, ${params.add(after ? after.id : null)}::bigint))
+          AND ${scopeCondition('gl.device_id', scope, params.add)}
+        ORDER BY gl.timestamp ${direction}, gl.id ${direction}
+        LIMIT ${params.add(limit)}
+      `, params.values);
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting locations in area:', error);
+      throw error;
+    }
+  }
+
+  // Insert an organization, or rename it when it has an ID
+  async saveOrganization(organization) {
+    try {
+      if (!organization.id) {
+        const result = await this.query('INSERT INTO organizations (name) VALUES ($1) RETURNING id', [organization.name]);
+        return { changes: 1, lastInsertRowid: result.rows[0].id };
+      }
+
+      const result = await this.query(
+        'UPDATE organizations SET name = $1, updated_at = now() WHERE id = $2',
+        [organization.name, organization.id]
+      );
+      return { changes: result.rowCount, lastInsertRowid: organization.id };
+    } catch (error) {
+      console.error('Error saving organization:', error);
+      throw error;
+    }
+  }
+
+  // Get an organization by ID with counts of what it owns
+  async getOrganization(organizationId) {
+    const [organization] = await this.getOrganizations({ organizationId: organizationId });
+    return organization;
+  }
+
+  // Get an organization by name
+  async getOrganizationByName(name) {
+    try {
+      const result = await this.query('SELECT * FROM organizations WHERE name = $1', [name]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error getting organization by name:', error);
+      throw error;
+    }
+  }
+
+  // Get all organizations (or the one in scope) with counts of what each owns
+  async getOrganizations(scope = {}) {
+    try {
+      const result = await this.query(`
+        SELECT
+          o.*,
+          (SELECT COUNT(*) FROM devices WHERE organization_id = o.id) AS device_count,
+          (SELECT COUNT(*) FROM device_groups WHERE organization_id = o.id) AS group_count,
+          (SELECT COUNT(*) FROM users WHERE organization_id = o.id) AS user_count,
+          (SELECT COUNT(*) FROM api_keys WHERE organization_id = o.id) AS api_key_count,
+          (SELECT COUNT(*) FROM geofences WHERE organization_id = o.id)
+            + (SELECT COUNT(*) FROM rules WHERE organization_id = o.id)
+            + (SELECT COUNT(*) FROM webhooks WHERE organization_id = o.id) AS config_count
+        FROM organizations o
+        WHERE $1::bigint IS NULL OR o.id = $1
+        ORDER BY o.name, o.id
+      `, [organizationOf(scope)]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting organizations:', error);
+      throw error;
+    }
+  }
+
+  // Delete an organization with its device groups
+  // Callers move or delete its devices, users, keys and alert setup first
+  async deleteOrganization(organizationId) {
+    try {
+      return await this.transaction(async (client) => {
+        await client.query(`
+          DELETE FROM device_group_devices
+          WHERE group_id IN (SELECT id FROM device_groups WHERE organization_id = $1)
+        `, [organizationId]);
+        await client.query('DELETE FROM device_groups WHERE organization_id = $1', [organizationId]);
+        const result = await client.query('DELETE FROM organizations WHERE id = $1', [organizationId]);
+        return { changes: result.rowCount };
+      });
+    } catch (error) {
+      console.error('Error deleting organization:', error);
+      throw error;
+    }
+  }
+
+  // Move a device to an organization (null for none)
+  // It leaves groups, and geofences other organizations set up, on the way
+  async setDeviceOrganization(deviceId, organizationId) {
+    try {
+      return await this.transaction(async (client) => {
+        const result = await client.query(
+          'UPDATE devices SET organization_id = $1 WHERE device_id = $2',
+          [organizationId, deviceId]
+        );
+        await client.query(`
+          DELETE FROM device_group_devices
+          WHERE device_id = $1 AND group_id IN (
+            SELECT id FROM device_groups WHERE organization_id IS DISTINCT FROM $2::bigint
+          )
+        `, [deviceId, organizationId]);
+        await client.query(`
+          DELETE FROM geofence_devices
+          WHERE device_id = $1 AND geofence_id IN (
+            SELECT id FROM geofences WHERE organization_id IS NOT NULL AND organization_id IS DISTINCT FROM $2::bigint
+          )
+        `, [deviceId, organizationId]);
+        return { changes: result.rowCount };
+      });
+    } catch (error) {
+      console.error('Error setting device organization:', error);
+      throw error;
+    }
+  }
+
+  // Get the organization of every device that has one
+  async getDeviceOrganizations() {
+    try {
+      const result = await this.query('SELECT device_id, organization_id FROM devices WHERE organization_id IS NOT NULL');
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting device organizations:', error);
+      throw error;
+    }
+  }
+
+  // Insert a device group, or update it when it has an ID; organization_id is set on insert only
+  async saveDeviceGroup(group) {
+    try {
+      if (!group.id) {
+        const result = await this.query(`
+          INSERT INTO device_groups (organization_id, parent_id, name) VALUES ($1, $2, $3)
+          RETURNING id
+        `, [group.organization_id, group.parent_id ?? null, group.name]);
+        return { changes: 1, lastInsertRowid: result.rows[0].id };
+      }
+
+      const result = await this.query(`
+        UPDATE device_groups SET parent_id = $1, name = $2, updated_at = now() WHERE id = $3
+      `, [group.parent_id ?? null, group.name, group.id]);
+      return { changes: result.rowCount, lastInsertRowid: group.id };
+    } catch (error) {
+      console.error('Error saving device group:', error);
+      throw error;
+    }
+  }
+
+  // Get a device group by ID with the number of devices directly in it
+  async getDeviceGroup(groupId) {
+    try {
+      const result = await this.query(`
+        SELECT g.*, (SELECT COUNT(*) FROM device_group_devices WHERE group_id = g.id) AS device_count
+        FROM device_groups g
+        WHERE g.id = $1
+      `, [groupId]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error getting device group:', error);
+      throw error;
+    }
+  }
+
+  // Get all device groups, or an organization's, with the number of devices directly in each
+  async getDeviceGroups(scope = {}) {
+    try {
+      const result = await this.query(`
+        SELECT g.*, (SELECT COUNT(*) FROM device_group_devices WHERE group_id = g.id) AS device_count
+        FROM device_groups g
+        WHERE $1::bigint IS NULL OR g.organization_id = $1
+        ORDER BY g.organization_id, g.name, g.id
+      `, [organizationOf(scope)]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting device groups:', error);
+      throw error;
+    }
+  }
+
+  // IDs of a group and every group nested under it
+  async getDeviceGroupTree(groupId) {
+    try {
+      const result = await this.query(`
+        WITH RECURSIVE tree(id) AS (
+          SELECT id FROM device_groups WHERE id = $1
+          UNION
+          SELECT g.id FROM device_groups g JOIN tree ON g.parent_id = tree.id
+        )
+        SELECT id FROM tree
+      `, [groupId]);
+      return result.rows.map(row => row.id);
+    } catch (error) {
+      console.error('Error getting device group tree:', error);
+      throw error;
+    }
+  }
+
+  // Delete a device group; its subgroups move up to its parent
+  async deleteDeviceGroup(groupId) {
+    try {
+      return await this.transaction(async (client) => {
+        await client.query(`
+          UPDATE device_groups SET parent_id = (SELECT parent_id FROM device_groups WHERE id = $1)
+          WHERE parent_id = $1
+        `, [groupId]);
+        await client.query('DELETE FROM device_group_devices WHERE group_id = $1', [groupId]);
+        const result = await client.query('DELETE FROM device_groups WHERE id = $1', [groupId]);
+        return { changes: result.rowCount };
+      });
+    } catch (error) {
+      console.error('Error deleting device group:', error);
+      throw error;
+    }
+  }
+
+  // Put devices in a group; devices already in it are left as they are
+  async addDevicesToGroup(groupId, deviceIds) {
+    try {
+      const result = await this.query(`
+        INSERT INTO device_group_devices (group_id, device_id)
+        SELECT $1, device_id FROM unnest($2::text[]) AS device_id
+        ON CONFLICT (group_id, device_id) DO NOTHING
+      `, [groupId, deviceIds]);
+      return { changes: result.rowCount };
+    } catch (error) {
+      console.error('Error adding devices to group:', error);
+      throw error;
+    }
+  }
+
+  // Take a device out of a group
+  async removeDeviceFromGroup(groupId, deviceId) {
+    try {
+      const result = await this.query(
+        'DELETE FROM device_group_devices WHERE group_id = $1 AND device_id = $2',
+        [groupId, deviceId]
+      );
+      return { changes: result.rowCount };
+    } catch (error) {
+      console.error('Error removing device from group:', error);
+      throw error;
+    }
+  }
+
+  // Get the IDs of the devices directly in a group
+  async getDeviceGroupMembers(groupId) {
+    try {
+      const result = await this.query(
+        'SELECT device_id FROM device_group_devices WHERE group_id = $1 ORDER BY device_id',
+        [groupId]
+      );
+      return result.rows.map(row => row.device_id);
+    } catch (error) {
+      console.error('Error getting device group members:', error);
+      throw error;
+    }
+  }
+
+  // Close database connection pool
+  async close() {
+    await this.ready.catch(() => {});
+    await this.pool.end();
+  }
+}
+
+module.exports = PostgresStorage;
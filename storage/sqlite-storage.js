@@ -0,0 +1,2506 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { loadMigrations } = require('../migrations');
+const { haversineKm, lonRanges } = require('../geo');
+
+// Approximate on-disk size of a gps_logs row, excluding raw_data
+const GPS_LOG_ROW_BYTES = 120;
+
+// The UTC day after a YYYY-MM-DD day
+const nextDay = (day) => new Date(Date.parse(`${day}T00:00:00Z`) + 86400000).toISOString().slice(0, 10);
+
+// List options from a limit (older callers) or { from, to, order, after: { time, id }, limit }
+function pageOptions(options, limit) {
+  const page = typeof options === 'number' ? { limit: options } : (options || {});
+  return {
+    from: page.from ?? null,
+    to: page.to ?? null,
+    order: page.order === 'asc' ? 'asc' : 'desc',
+    after: page.after ?? null,
+    limit: page.limit || limit
+  };
+}
+
+// CURRENT_TIMESTAMP columns hold 'YYYY-MM-DD HH:MM:SS'; compare ISO times in that form
+const sqliteTimestamp = (value) => (value ? value.replace('T', ' ').slice(0, 19) : null);
+
+// Rows with a GPS fix, leaving out the 0,0 devices report without one
+const hasFix = (alias) => `COALESCE(${alias}.gps_valid, 1) != 0 AND NOT (${alias}.lat = 0 AND ${alias}.lon = 0)`;
+
+/**
+ * WHERE condition for positions (gps_logs alias `alias`) inside an area
+ * Boxes are searched in an R*Tree (`rtree`) and rechecked against lat/lon, as
+ * the tree rounds coordinates; circles add an exact distance check. Without
+ * bounds (a circle with no radius) every position with a fix matches.
+ * @param {string} rtree - R*Tree table keyed by gps_logs id
+ * @param {string} alias - gps_logs alias
+ * @param {Object} area - { bounds } and/or { lat, lon, radiusM }
+ * @returns {Object} { sql, params }
+ */
+function areaCondition(rtree, alias, area) {
+  if (!area.bounds) {
+    return {
+      sql: hasFix(alias),
+      params: []
+    };
+  }
+
+  const { north, south } = area.bounds;
+  const ranges = lonRanges(area.bounds);
+  const inTree = ranges
+    .map(() => `SELECT id FROM ${rtree} WHERE max_lat >= ? AND min_lat <= ? AND max_lon >= ? AND min_lon <= ?`)
+    .join(' UNION ALL ');
+  const sql = [
+    `${alias}.id IN (${inTree})`,
+    `${alias}.lat BETWEEN ? AND ?`,
+    `(${ranges.map(() => `${alias}.lon BETWEEN ? AND ?`).join(' OR ')})`
+  ];
+  const params = [
+    ...ranges.flatMap(([west, east]) => [south, north, west, east]),
+    south, north,
+    ...ranges.flat()
+  ];
+
+  if (area.radiusM) {
+    sql.push(`distance_m(?, ?, ${alias}.lat, ${alias}.lon) <= ?`);
+    params.push(area.lat, area.lon, area.radiusM);
+  }
+  return { sql: sql.join(' AND '), params };
+}
+
+// Devices in a group or any group nested under it
+const GROUP_DEVICES = `
+  WITH RECURSIVE tree(id) AS (
+    SELECT id FROM device_groups WHERE id = ?
+    UNION
+    SELECT g.id FROM device_groups g JOIN tree ON g.parent_id = tree.id
+  )
+  SELECT device_id FROM device_group_devices WHERE group_id IN (SELECT id FROM tree)
+`;
+
+/**
+ * WHERE condition limiting rows to the devices a caller may see
+ * @param {string} column - Device ID column
+ * @param {Object} scope - { organizationId, groupId }; either may be left out
+ * @returns {Object} { sql, params }; without a scope every device matches
+ */
+function scopeCondition(column, scope = {}) {
+  const sql = ['1 = 1'];
+  const params = [];
+  if (scope.organizationId != null) {
+    sql.push(`${column} IN (SELECT device_id FROM devices WHERE organization_id = ?)`);
+    params.push(scope.organizationId);
+  }
+  if (scope.groupId != null) {
+    sql.push(`${column} IN (${GROUP_DEVICES})`);
+    params.push(scope.groupId);
+  }
+  return { sql: sql.join(' AND '), params };
+}
+
+// The organization a scope is limited to, or null for all of them
+const organizationOf = (scope = {}) => scope.organizationId ?? null;
+
+// SQLite storage backend (single file, synchronous better-sqlite3 driver)
+class SQLiteStorage {
+  /**
+   * @param {string} dbPath - Database file
+   * @param {Object} options
+   * @param {boolean} options.migrate - Apply pending migrations on open (default true)
+   */
+  constructor(dbPath = 'gps_tracker.db', options = {}) {
+    if (dbPath !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(dbPath)), { recursive: true });
+    }
+
+    this.db = new Database(dbPath);
+    if (dbPath !== ':memory:') {
+      // Readers don't block the ingest writer, and commits append to the log
+      this.db.pragma('journal_mode = WAL');
+    }
+    this.statements = new Map();
+    // Great-circle distance in metres between two points, for area queries
+    this.db.function('distance_m', { deterministic: true },
+      (lat1, lon1, lat2, lon2) => haversineKm(lat1, lon1, lat2, lon2) * 1000);
+    this.migrations = loadMigrations();
+    // Fixes received this much later than they were taken count as backfill
+    this.backfillLagMs = (parseInt(process.env.BACKFILL_LAG_SECONDS) || 300) * 1000;
+
+    if (options.migrate !== false) {
+      this.migrate();
+      console.log('Database tables initialized successfully');
+    }
+    // Schema is created synchronously; kept for parity with async backends
+    this.ready = Promise.resolve();
+  }
+
+  // Apply pending schema migrations, each in its own transaction
+  migrate(options = {}) {
+    const dryRun = Boolean(options.dryRun);
+    const status = this.getMigrationStatus();
+    const result = {
+      dryRun: dryRun,
+      from: status.current,
+      to: status.current,
+      migrations: status.pending
+    };
+
+    if (dryRun || status.pending.length === 0) {
+      return result;
+    }
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    const record = this.db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)');
+
+    try {
+      status.pending.forEach(({ version, name }) => {
+        const migration = this.migrations.find(m => m.version === version);
+        this.db.transaction(() => {
+          migration.sqlite(this.db);
+          record.run(version, name);
+        })();
+        result.to = version;
+        console.log(`Applied migration ${version} ${name}`);
+      });
+    } catch (error) {
+      console.error('Error applying migrations:', error);
+      throw error;
+    }
+
+    return result;
+  }
+
+  // Applied and pending migrations, without changing anything
+  getMigrationStatus() {
+    const hasTable = this.db.prepare(`
+      SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'
+    `).get();
+    const applied = hasTable
+      ? this.db.prepare('SELECT version, name, applied_at FROM schema_version ORDER BY version').all()
+      : [];
+    const appliedVersions = new Set(applied.map(row => row.version));
+
+    return {
+      current: applied.length > 0 ? applied[applied.length - 1].version : 0,
+      latest: this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 0,
+      applied: applied,
+      pending: this.migrations
+        .filter(migration => !appliedVersions.has(migration.version))
+        .map(({ version, name, description }) => ({ version, name, description }))
+    };
+  }
+
+  // Recompute each device's newest fix from gps_logs
+  refreshLatestFixes(onlyMissing = false) {
+    this.db.exec(`
+      UPDATE devices SET
+        last_log_id = (
+          SELECT id FROM gps_logs WHERE gps_logs.device_id = devices.device_id
+          ORDER BY timestamp DESC, id DESC LIMIT 1
+        ),
+        last_valid_log_id = (
+          SELECT id FROM gps_logs WHERE gps_logs.device_id = devices.device_id AND ${hasFix('gps_logs')}
+          ORDER BY timestamp DESC, id DESC LIMIT 1
+        ),
+        last_fix_time = (
+          SELECT MAX(timestamp) FROM gps_logs WHERE gps_logs.device_id = devices.device_id
+        )
+      ${onlyMissing ? 'WHERE last_log_id IS NULL' : ''}
+    `);
+  }
+
+  // Prepare a statement once and reuse it for the life of the connection
+  prepare(sql) {
+    let statement = this.statements.get(sql);
+    if (!statement) {
+      statement = this.db.prepare(sql);
+      this.statements.set(sql, statement);
+    }
+    return statement;
+  }
+
+  // Insert GPS log entry
+  insertGpsLog(data) {
+    try {
+      return this.db.transaction(() => this.writeGpsLog(data))();
+    } catch (error) {
+      console.error('Error inserting GPS log:', error);
+      throw error;
+    }
+  }
+
+  // Insert a batch of GPS log entries in one transaction
+  // Each entry gets its own savepoint so a bad packet fails alone;
+  // its result is { error } instead of an insert result
+  insertGpsLogs(batch) {
+    const writeOne = this.db.transaction((data) => this.writeGpsLog(data));
+    const writeAll = this.db.transaction((entries) => entries.map(data => {
+      try {
+        return writeOne(data);
+      } catch (error) {
+        console.error('Error inserting GPS log:', error);
+        return { error: error };
+      }
+    }));
+
+    try {
+      return writeAll(batch);
+    } catch (error) {
+      console.error('Error inserting GPS log batch:', error);
+      throw error;
+    }
+  }
+
+  // Write one GPS log entry; callers provide the transaction
+  // Repeated uploads of the same fix are skipped; fixes older than the device's
+  // latest, or received long after they were taken, are flagged as backfill
+  writeGpsLog(data) {
+    const findDuplicate = this.prepare(`
+      SELECT id, is_backfill FROM gps_logs
+      WHERE device_id = ? AND timestamp = ? AND lat = ? AND lon = ?
+      LIMIT 1
+    `);
+
+    const getLatestFix = this.prepare(`
+      SELECT last_fix_time FROM devices WHERE device_id = ?
+    `);
+
+    const stmt = this.prepare(`
+      INSERT INTO gps_logs (
+        device_id, lat, lon, speed, altitude, heading, timestamp, raw_data,
+        packet_type, status_word, status_flags, alarms, ignition,
+        gps_valid, mcc, mnc, lac, cell_id, is_backfill, received_at, battery_level
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const updateLatestFix = this.prepare(`
+      UPDATE devices SET last_log_id = ?, last_fix_time = ?
+      WHERE device_id = ?
+    `);
+
+    const updateLatestValid = this.prepare(`
+      UPDATE devices SET last_valid_log_id = ?
+      WHERE device_id = ?
+        AND ? >= COALESCE((SELECT timestamp FROM gps_logs WHERE id = devices.last_valid_log_id), '')
+    `);
+
+    const timestamp = data.timestamp || new Date().toISOString();
+    const receivedAt = data.parsed_at || new Date().toISOString();
+
+    const duplicate = findDuplicate.get(data.device_id, timestamp, data.lat, data.lon);
+    if (duplicate) {
+      return {
+        changes: 0,
+        lastInsertRowid: duplicate.id,
+        duplicate: true,
+        backfill: Boolean(duplicate.is_backfill)
+      };
+    }
+
+    // Update device last seen
+    this.updateDeviceLastSeen(data.device_id);
+
+    const device = getLatestFix.get(data.device_id);
+    const outOfOrder = Boolean(device && device.last_fix_time && timestamp < device.last_fix_time);
+    const delayed = new Date(receivedAt) - new Date(timestamp) > this.backfillLagMs;
+
+    const result = stmt.run(
+      data.device_id,
+      data.lat,
+      data.lon,
+      data.speed || 0,
+      data.altitude || 0,
+      data.heading || 0,
+      timestamp,
+      data.raw_data || '',
+      data.type || 'location',
+      data.status_word || null,
+      data.status_flags ? JSON.stringify(data.status_flags) : null,
+      data.alarms && data.alarms.length > 0 ? data.alarms.join(',') : null,
+      typeof data.ignition === 'boolean' ? (data.ignition ? 1 : 0) : null,
+      data.gps_valid === false ? 0 : 1,
+      data.mcc ?? null,
+      data.mnc ?? null,
+      data.lac ?? null,
+      data.cell_id ?? null,
+      outOfOrder || delayed ? 1 : 0,
+      receivedAt,
+      data.battery_level ?? null
+    );
+
+    // "Latest" follows device fix time, not insert order
+    if (!outOfOrder) {
+      updateLatestFix.run(result.lastInsertRowid, timestamp, data.device_id);
+    }
+    // Area queries place a device at its latest fix, past packets sent without one
+    if (data.gps_valid !== false && !(data.lat === 0 && data.lon === 0)) {
+      updateLatestValid.run(result.lastInsertRowid, data.device_id, timestamp);
+    }
+
+    return {
+      ...result,
+      duplicate: false,
+      backfill: outOfOrder || delayed
+    };
+  }
+
+  // Update device last seen timestamp
+  updateDeviceLastSeen(deviceId) {
+    const stmt = this.prepare(`
+      INSERT INTO devices (device_id, last_seen)
+      VALUES (?, ?)
+      ON CONFLICT(device_id) DO UPDATE SET last_seen = excluded.last_seen
+    `);
+
+    try {
+      stmt.run(deviceId, new Date().toISOString());
+    } catch (error) {
+      console.error('Error updating device last seen:', error);
+    }
+  }
+
+  // Get latest locations for all devices, or those in scope ({ organizationId, groupId })
+  getLatestLocations(limit = 100, scope = {}) {
+    const scoped = scopeCondition('d.device_id', scope);
+    const stmt = this.prepare(`
+      SELECT 
+        gl.*,
+        d.name as device_name,
+        d.timezone as device_timezone
+      FROM devices d
+      JOIN gps_logs gl ON gl.id = d.last_log_id
+      WHERE ${scoped.sql}
+      ORDER BY gl.timestamp DESC
+      LIMIT ?
+    `);
+
+    try {
+      return stmt.all(...scoped.params, limit);
+    } catch (error) {
+      console.error('Error getting latest locations:', error);
+      throw error;
+    }
+  }
+
+  // Get location history for a specific device, newest first unless order is 'asc'
+  // options: a limit, or { from, to, order, after, limit } with from inclusive and to exclusive
+  getDeviceHistory(deviceId, options = 100) {
+    const { from, to, order, after, limit } = pageOptions(options, 100);
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const beyond = order === 'asc' ? '>' : '<';
+    const stmt = this.prepare(`
+      SELECT * FROM gps_logs
+      WHERE device_id = ?
+        AND (? IS NULL OR timestamp >= ?)
+        AND (? IS NULL OR timestamp < ?)
+        AND (? IS NULL OR timestamp ${beyond} ? OR (timestamp = ? AND id ${beyond} ?))
+      ORDER BY timestamp ${direction}, id ${direction}
+      LIMIT ?
+    `);
+    const afterTime = after ? after.time : null;
+
+    try {
+      return stmt.all(
+        deviceId, from, from, to, to,
+        afterTime, afterTime, afterTime, after ? after.id : null,
+        limit
+      );
+    } catch (error) {
+      console.error('Error getting device history:', error);
+      throw error;
+    }
+  }
+
+  // Get all active devices, or those in scope
+  getActiveDevices(scope = {}) {
+    const scoped = scopeCondition('d.device_id', scope);
+    const stmt = this.prepare(`
+      SELECT 
+        d.*,
+        COUNT(gl.id) as total_logs,
+        MAX(gl.timestamp) as last_location_time
+      FROM devices d
+      LEFT JOIN gps_logs gl ON d.device_id = gl.device_id
+      WHERE d.is_active = 1 AND ${scoped.sql}
+      GROUP BY d.device_id
+      ORDER BY d.last_seen DESC
+    `);
+
+    try {
+      return stmt.all(...scoped.params);
+    } catch (error) {
+      console.error('Error getting active devices:', error);
+      throw error;
+    }
+  }
+
+  // Insert device command
+  insertCommand(data) {
+    const stmt = this.prepare(`
+      INSERT INTO device_commands (device_id, command_type, command_text, reply_code, channel, status)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+
+    try {
+      const result = stmt.run(
+        data.device_id,
+        data.command_type,
+        data.command_text,
+        data.reply_code || null,
+        data.channel || 'sms',
+        data.status || 'pending'
+      );
+      return result;
+    } catch (error) {
+      console.error('Error inserting command:', error);
+      throw error;
+    }
+  }
+
+  // Update command status
+  updateCommandStatus(commandId, status, responseData = null) {
+    const stmt = this.prepare(`
+      UPDATE device_commands 
+      SET status = ?, response_data = ?, 
+          sent_at = CASE WHEN ? = 'sent' THEN ? ELSE sent_at END,
+          response_received_at = CASE WHEN ? = 'completed' THEN ? ELSE response_received_at END
+      WHERE id = ?
+    `);
+
+    try {
+      const now = new Date().toISOString();
+      const result = stmt.run(status, responseData, status, now, status, now, commandId);
+      return result;
+    } catch (error) {
+      console.error('Error updating command status:', error);
+      throw error;
+    }
+  }
+
+  // Get pending commands, for one device or those in scope
+  getPendingCommands(deviceId = null, scope = {}) {
+    const scoped = scopeCondition('device_id', scope);
+    let query = `
+      SELECT * FROM device_commands 
+      WHERE status = 'pending' AND ${scoped.sql}
+    `;
+    let params = [...scoped.params];
+
+    if (deviceId) {
+      query += ' AND device_id = ?';
+      params.push(deviceId);
+    }
+
+    query += ' ORDER BY created_at ASC';
+
+    const stmt = this.prepare(query);
+    try {
+      return stmt.all(...params);
+    } catch (error) {
+      console.error('Error getting pending commands:', error);
+      throw error;
+    }
+  }
+
+  // Find the outstanding command a device reply acknowledges
+  // Only a command expecting this reply code matches, the oldest first
+  findCommandForReply(deviceId, replyCode) {
+    const stmt = this.prepare(`
+      SELECT * FROM device_commands
+      WHERE device_id = ? AND reply_code = ? AND status IN ('pending', 'sent')
+      ORDER BY created_at ASC, id ASC
+      LIMIT 1
+    `);
+
+    try {
+      return stmt.get(deviceId, replyCode);
+    } catch (error) {
+      console.error('Error finding command for reply:', error);
+      throw error;
+    }
+  }
+
+  // Insert neighbour cell observations reported by a device
+  insertCellObservations(data) {
+    const stmt = this.prepare(`
+      INSERT INTO cell_observations (
+        device_id, mcc, mnc, lac, cell_id, rssi, timing_advance, observed_at, raw_data
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const insertAll = this.db.transaction((cells) => {
+      cells.forEach(cell => {
+        stmt.run(
+          data.device_id,
+          cell.mcc,
+          cell.mnc,
+          cell.lac,
+          cell.cell_id,
+          cell.rssi,
+          isNaN(data.timing_advance) ? null : data.timing_advance,
+          data.timestamp || new Date().toISOString(),
+          data.raw_data || ''
+        );
+      });
+      return cells.length;
+    });
+
+    try {
+      this.updateDeviceLastSeen(data.device_id);
+      return insertAll(data.cells || []);
+    } catch (error) {
+      console.error('Error inserting cell observations:', error);
+      throw error;
+    }
+  }
+
+  // Get neighbour cell observations for a device
+  getCellObservations(deviceId, limit = 100) {
+    const stmt = this.prepare(`
+      SELECT * FROM cell_observations
+      WHERE device_id = ?
+      ORDER BY observed_at DESC, id ASC
+      LIMIT ?
+    `);
+
+    try {
+      return stmt.all(deviceId, limit);
+    } catch (error) {
+      console.error('Error getting cell observations:', error);
+      throw error;
+    }
+  }
+
+  // Get command history for device, newest first unless order is 'asc'
+  // options: a limit, or { from, to, order, after, limit } as for getDeviceHistory()
+  getCommandHistory(deviceId, options = 50) {
+    const { from, to, order, after, limit } = pageOptions(options, 50);
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const beyond = order === 'asc' ? '>' : '<';
+    const stmt = this.prepare(`
+      SELECT * FROM device_commands
+      WHERE device_id = ?
+        AND (? IS NULL OR created_at >= ?)
+        AND (? IS NULL OR created_at < ?)
+        AND (? IS NULL OR created_at ${beyond} ? OR (created_at = ? AND id ${beyond} ?))
+      ORDER BY created_at ${direction}, id ${direction}
+      LIMIT ?
+    `);
+    const start = sqliteTimestamp(from);
+    const end = sqliteTimestamp(to);
+    const afterTime = after ? after.time : null;
+
+    try {
+      return stmt.all(
+        deviceId, start, start, end, end,
+        afterTime, afterTime, afterTime, after ? after.id : null,
+        limit
+      );
+    } catch (error) {
+      console.error('Error getting command history:', error);
+      throw error;
+    }
+  }
+
+  // Update device phone number
+  updateDevicePhone(deviceId, phoneNumber) {
+    const stmt = this.prepare(`
+      INSERT INTO devices (device_id, phone_number, last_seen)
+      VALUES (?, ?, ?)
+      ON CONFLICT(device_id) DO UPDATE SET phone_number = excluded.phone_number
+    `);
+
+    try {
+      const result = stmt.run(deviceId, phoneNumber, new Date().toISOString());
+      return result;
+    } catch (error) {
+      console.error('Error updating device phone:', error);
+      throw error;
+    }
+  }
+
+  // Update device display timezone (IANA name, null to use the deployment default)
+  updateDeviceTimezone(deviceId, timezone) {
+    const stmt = this.prepare(`
+      INSERT INTO devices (device_id, timezone)
+      VALUES (?, ?)
+      ON CONFLICT(device_id) DO UPDATE SET timezone = excluded.timezone
+    `);
+
+    try {
+      return stmt.run(deviceId, timezone);
+    } catch (error) {
+      console.error('Error updating device timezone:', error);
+      throw error;
+    }
+  }
+
+  // Get device by ID
+  getDevice(deviceId) {
+    const stmt = this.prepare(`
+      SELECT * FROM devices WHERE device_id = ?
+    `);
+
+    try {
+      return stmt.get(deviceId);
+    } catch (error) {
+      console.error('Error getting device:', error);
+      throw error;
+    }
+  }
+
+  // Check whether a device is enrolled to report to this server
+  isDeviceProvisioned(deviceId) {
+    const stmt = this.prepare(`
+      SELECT provisioned FROM devices WHERE device_id = ?
+    `);
+
+    try {
+      const device = stmt.get(deviceId);
+      return Boolean(device && device.provisioned);
+    } catch (error) {
+      console.error('Error checking device provisioning:', error);
+      throw error;
+    }
+  }
+
+  // Enroll a device, creating it if needed; organization_id, when given, assigns it
+  provisionDevice(data) {
+    const stmt = this.prepare(`
+      INSERT INTO devices (device_id, name, phone_number, organization_id, provisioned)
+      VALUES (?, ?, ?, ?, 1)
+      ON CONFLICT(device_id) DO UPDATE SET
+        name = COALESCE(excluded.name, name),
+        phone_number = COALESCE(excluded.phone_number, phone_number),
+        organization_id = COALESCE(excluded.organization_id, organization_id),
+        provisioned = 1
+    `);
+    const clearUnknown = this.prepare(`
+      DELETE FROM unknown_devices WHERE device_id = ?
+    `);
+
+    try {
+      const result = stmt.run(data.device_id, data.name || null, data.phone_number || null, data.organization_id ?? null);
+      clearUnknown.run(data.device_id);
+      return result;
+    } catch (error) {
+      console.error('Error provisioning device:', error);
+      throw error;
+    }
+  }
+
+  // Withdraw a device's enrollment; its history is kept
+  deprovisionDevice(deviceId) {
+    const stmt = this.prepare(`
+      UPDATE devices SET provisioned = 0 WHERE device_id = ?
+    `);
+
+    try {
+      return stmt.run(deviceId);
+    } catch (error) {
+      console.error('Error deprovisioning device:', error);
+      throw error;
+    }
+  }
+
+  // Record a connection attempt from a device that was not accepted
+  recordUnknownDevice(data) {
+    const stmt = this.prepare(`
+      INSERT INTO unknown_devices (device_id, remote_address, action, last_raw_data, first_seen, last_seen)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(device_id) DO UPDATE SET
+        remote_address = excluded.remote_address,
+        action = excluded.action,
+        attempts = attempts + 1,
+        last_raw_data = excluded.last_raw_data,
+        last_seen = excluded.last_seen
+    `);
+
+    try {
+      const now = new Date().toISOString();
+      return stmt.run(
+        data.device_id,
+        data.remote_address || null,
+        data.action || null,
+        data.raw_data || null,
+        now,
+        now
+      );
+    } catch (error) {
+      console.error('Error recording unknown device:', error);
+    }
+  }
+
+  // Get connection attempts from unknown devices
+  getUnknownDevices(limit = 100) {
+    const stmt = this.prepare(`
+      SELECT * FROM unknown_devices
+      ORDER BY last_seen DESC
+      LIMIT ?
+    `);
+
+    try {
+      return stmt.all(limit);
+    } catch (error) {
+      console.error('Error getting unknown devices:', error);
+      throw error;
+    }
+  }
+
+  // Get device by phone number
+  getDeviceByPhone(phoneNumber) {
+    const stmt = this.prepare(`
+      SELECT * FROM devices WHERE phone_number = ?
+    `);
+
+    try {
+      return stmt.get(phoneNumber);
+    } catch (error) {
+      console.error('Error getting device by phone:', error);
+      throw error;
+    }
+  }
+
+  // Get IDs of all known devices, or those in scope
+  getDeviceIds(scope = {}) {
+    const scoped = scopeCondition('device_id', scope);
+    const stmt = this.prepare(`SELECT device_id FROM devices WHERE ${scoped.sql} ORDER BY device_id`);
+
+    try {
+      return stmt.all(...scoped.params).map(row => row.device_id);
+    } catch (error) {
+      console.error('Error getting device IDs:', error);
+      throw error;
+    }
+  }
+
+  // Get a device's retention policy override, if any
+  getRetentionPolicy(deviceId) {
+    const stmt = this.prepare('SELECT * FROM retention_policies WHERE device_id = ?');
+
+    try {
+      return stmt.get(deviceId);
+    } catch (error) {
+      console.error('Error getting retention policy:', error);
+      throw error;
+    }
+  }
+
+  // Get all retention policy overrides, or those for devices in scope
+  getRetentionPolicies(scope = {}) {
+    const scoped = scopeCondition('device_id', scope);
+    const stmt = this.prepare(`SELECT * FROM retention_policies WHERE ${scoped.sql} ORDER BY device_id`);
+
+    try {
+      return stmt.all(...scoped.params);
+    } catch (error) {
+      console.error('Error getting retention policies:', error);
+      throw error;
+    }
+  }
+
+  // Set a device's retention policy override (null fields use the defaults)
+  setRetentionPolicy(deviceId, policy) {
+    const ensureDevice = this.prepare(`
+      INSERT INTO devices (device_id) VALUES (?)
+      ON CONFLICT(device_id) DO NOTHING
+    `);
+    const stmt = this.prepare(`
+      INSERT INTO retention_policies (device_id, raw_days, downsampled_days, summary_days, updated_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(device_id) DO UPDATE SET
+        raw_days = excluded.raw_days,
+        downsampled_days = excluded.downsampled_days,
+        summary_days = excluded.summary_days,
+        updated_at = excluded.updated_at
+    `);
+
+    try {
+      return this.db.transaction(() => {
+        ensureDevice.run(deviceId);
+        return stmt.run(
+          deviceId,
+          policy.raw_days ?? null,
+          policy.downsampled_days ?? null,
+          policy.summary_days ?? null,
+          new Date().toISOString()
+        );
+      })();
+    } catch (error) {
+      console.error('Error setting retention policy:', error);
+      throw error;
+    }
+  }
+
+  // Remove a device's retention policy override
+  deleteRetentionPolicy(deviceId) {
+    const stmt = this.prepare('DELETE FROM retention_policies WHERE device_id = ?');
+
+    try {
+      return stmt.run(deviceId);
+    } catch (error) {
+      console.error('Error deleting retention policy:', error);
+      throw error;
+    }
+  }
+
+  // UTC days (YYYY-MM-DD) that have GPS logs before a given day, oldest first
+  getGpsLogDays(deviceId, beforeDay) {
+    const stmt = this.prepare(`
+      SELECT DISTINCT substr(timestamp, 1, 10) AS day FROM gps_logs
+      WHERE device_id = ? AND timestamp < ?
+      ORDER BY day ASC
+    `);
+
+    try {
+      return stmt.all(deviceId, beforeDay).map(row => row.day);
+    } catch (error) {
+      console.error('Error getting GPS log days:', error);
+      throw error;
+    }
+  }
+
+  // GPS logs of one UTC day, oldest first
+  getGpsLogsForDay(deviceId, day) {
+    const stmt = this.prepare(`
+      SELECT * FROM gps_logs
+      WHERE device_id = ? AND timestamp >= ? AND timestamp < ?
+      ORDER BY timestamp ASC, id ASC
+    `);
+
+    try {
+      return stmt.all(deviceId, day, nextDay(day));
+    } catch (error) {
+      console.error('Error getting GPS logs for day:', error);
+      throw error;
+    }
+  }
+
+  // Delete GPS logs by ID, repointing the device's latest fix if it was removed
+  deleteGpsLogs(deviceId, ids) {
+    const remove = this.prepare('DELETE FROM gps_logs WHERE id = ? AND device_id = ?');
+    const repoint = this.prepare(`
+      UPDATE devices SET
+        last_log_id = (
+          SELECT id FROM gps_logs WHERE gps_logs.device_id = devices.device_id
+          ORDER BY timestamp DESC, id DESC LIMIT 1
+        ),
+        last_fix_time = (
+          SELECT MAX(timestamp) FROM gps_logs WHERE gps_logs.device_id = devices.device_id
+        )
+      WHERE device_id = ?
+        AND last_log_id IS NOT NULL
+        AND NOT EXISTS (SELECT 1 FROM gps_logs WHERE id = devices.last_log_id)
+    `);
+    const repointValid = this.prepare(`
+      UPDATE devices SET
+        last_valid_log_id = (
+          SELECT id FROM gps_logs WHERE gps_logs.device_id = devices.device_id AND ${hasFix('gps_logs')}
+          ORDER BY timestamp DESC, id DESC LIMIT 1
+        )
+      WHERE device_id = ?
+        AND last_valid_log_id IS NOT NULL
+        AND NOT EXISTS (SELECT 1 FROM gps_logs WHERE id = devices.last_valid_log_id)
+    `);
+
+    try {
+      return this.db.transaction(() => {
+        let changes = 0;
+        ids.forEach(id => {
+          changes += remove.run(id, deviceId).changes;
+        });
+        repoint.run(deviceId);
+        repointValid.run(deviceId);
+        return { changes };
+      })();
+    } catch (error) {
+      console.error('Error deleting GPS logs:', error);
+      throw error;
+    }
+  }
+
+  // Record the UTC day before which a device's logs have been downsampled
+  setDownsampledUntil(deviceId, day) {
+    const stmt = this.prepare('UPDATE devices SET downsampled_until = ? WHERE device_id = ?');
+
+    try {
+      return stmt.run(day, deviceId);
+    } catch (error) {
+      console.error('Error updating downsampling progress:', error);
+      throw error;
+    }
+  }
+
+  // Get one day's summary for a device
+  getDailySummary(deviceId, day) {
+    const stmt = this.prepare('SELECT * FROM daily_summaries WHERE device_id = ? AND day = ?');
+
+    try {
+      return stmt.get(deviceId, day);
+    } catch (error) {
+      console.error('Error getting daily summary:', error);
+      throw error;
+    }
+  }
+
+  // Get a device's daily summaries, newest first
+  getDailySummaries(deviceId, limit = 100) {
+    const stmt = this.prepare(`
+      SELECT * FROM daily_summaries
+      WHERE device_id = ?
+      ORDER BY day DESC
+      LIMIT ?
+    `);
+
+    try {
+      return stmt.all(deviceId, limit);
+    } catch (error) {
+      console.error('Error getting daily summaries:', error);
+      throw error;
+    }
+  }
+
+  // Insert or replace a device's summary for one day
+  upsertDailySummary(summary) {
+    const stmt = this.prepare(`
+      INSERT INTO daily_summaries (
+        device_id, day, points, distance_km, max_speed, avg_speed,
+        first_fix_time, last_fix_time, min_lat, max_lat, min_lon, max_lon, alarm_count
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(device_id, day) DO UPDATE SET
+        points = excluded.points,
+        distance_km = excluded.distance_km,
+        max_speed = excluded.max_speed,
+        avg_speed = excluded.avg_speed,
+        first_fix_time = excluded.first_fix_time,
+        last_fix_time = excluded.last_fix_time,
+        min_lat = excluded.min_lat,
+        max_lat = excluded.max_lat,
+        min_lon = excluded.min_lon,
+        max_lon = excluded.max_lon,
+        alarm_count = excluded.alarm_count
+    `);
+
+    try {
+      return stmt.run(
+        summary.device_id,
+        summary.day,
+        summary.points,
+        summary.distance_km,
+        summary.max_speed,
+        summary.avg_speed,
+        summary.first_fix_time,
+        summary.last_fix_time,
+        summary.min_lat,
+        summary.max_lat,
+        summary.min_lon,
+        summary.max_lon,
+        summary.alarm_count
+      );
+    } catch (error) {
+      console.error('Error saving daily summary:', error);
+      throw error;
+    }
+  }
+
+  // Delete a device's daily summaries before a given day
+  deleteDailySummariesBefore(deviceId, day) {
+    const stmt = this.prepare('DELETE FROM daily_summaries WHERE device_id = ? AND day < ?');
+
+    try {
+      return stmt.run(deviceId, day);
+    } catch (error) {
+      console.error('Error deleting daily summaries:', error);
+      throw error;
+    }
+  }
+
+  // Stored rows per device (or devices in scope); bytes are estimated from row counts and raw packet sizes
+  getStorageUsage(deviceId = null, scope = {}) {
+    const scoped = scopeCondition('d.device_id', scope);
+    const stmt = this.prepare(`
+      SELECT
+        d.device_id,
+        COALESCE(gl.row_count, 0) AS gps_logs,
+        gl.oldest_fix,
+        gl.newest_fix,
+        COALESCE(gl.estimated_bytes, 0) AS estimated_bytes,
+        COALESCE(ds.row_count, 0) AS daily_summaries
+      FROM devices d
+      LEFT JOIN (
+        SELECT
+          device_id,
+          COUNT(*) AS row_count,
+          MIN(timestamp) AS oldest_fix,
+          MAX(timestamp) AS newest_fix,
+          COUNT(*) * ${GPS_LOG_ROW_BYTES} + COALESCE(SUM(LENGTH(raw_data)), 0) AS estimated_bytes
+        FROM gps_logs
+        GROUP BY device_id
+      ) gl ON gl.device_id = d.device_id
+      LEFT JOIN (
+        SELECT device_id, COUNT(*) AS row_count FROM daily_summaries GROUP BY device_id
+      ) ds ON ds.device_id = d.device_id
+      WHERE (? IS NULL OR d.device_id = ?) AND ${scoped.sql}
+      ORDER BY gps_logs DESC, d.device_id
+    `);
+
+    try {
+      return stmt.all(deviceId, deviceId, ...scoped.params);
+    } catch (error) {
+      console.error('Error getting storage usage:', error);
+      throw error;
+    }
+  }
+
+  // GPS logs of a device between two fix times (inclusive), oldest first
+  // after: { time, id } of the last fix of the previous page
+  getGpsLogsBetween(deviceId, from = null, to = null, limit = 10000, after = null) {
+    const stmt = this.prepare(`
+      SELECT * FROM gps_logs
+      WHERE device_id = ?
+        AND (? IS NULL OR timestamp >= ?)
+        AND (? IS NULL OR timestamp <= ?)
+        AND (? IS NULL OR timestamp > ? OR (timestamp = ? AND id > ?))
+      ORDER BY timestamp ASC, id ASC
+      LIMIT ?
+    `);
+    const afterTime = after ? after.time : null;
+
+    try {
+      return stmt.all(
+        deviceId, from, from, to, to,
+        afterTime, afterTime, afterTime, after ? after.id : null,
+        limit
+      );
+    } catch (error) {
+      console.error('Error getting GPS logs between times:', error);
+      throw error;
+    }
+  }
+
+  // Insert a trip, or update it when it has an ID
+  saveTrip(trip) {
+    const columns = [
+      trip.device_id, trip.status, trip.start_time, trip.end_time,
+      trip.start_lat, trip.start_lon, trip.end_lat, trip.end_lon,
+      trip.start_log_id, trip.end_log_id, trip.distance_km, trip.duration_s,
+      trip.idle_s, trip.max_speed, trip.avg_speed, trip.point_count
+    ];
+
+    try {
+      if (!trip.id) {
+        return this.prepare(`
+          INSERT INTO trips (
+            device_id, status, start_time, end_time, start_lat, start_lon, end_lat, end_lon,
+            start_log_id, end_log_id, distance_km, duration_s, idle_s, max_speed, avg_speed, point_count
+          )
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(...columns);
+      }
+
+      const result = this.prepare(`
+        UPDATE trips SET
+          device_id = ?, status = ?, start_time = ?, end_time = ?,
+          start_lat = ?, start_lon = ?, end_lat = ?, end_lon = ?,
+          start_log_id = ?, end_log_id = ?, distance_km = ?, duration_s = ?,
+          idle_s = ?, max_speed = ?, avg_speed = ?, point_count = ?,
+          updated_at = ?
+        WHERE id = ?
+      `).run(...columns, new Date().toISOString(), trip.id);
+      return { changes: result.changes, lastInsertRowid: trip.id };
+    } catch (error) {
+      console.error('Error saving trip:', error);
+      throw error;
+    }
+  }
+
+  // Get a trip by ID
+  getTrip(tripId) {
+    const stmt = this.prepare('SELECT * FROM trips WHERE id = ?');
+
+    try {
+      return stmt.get(tripId);
+    } catch (error) {
+      console.error('Error getting trip:', error);
+      throw error;
+    }
+  }
+
+  // Get the trip a device is currently on, if any
+  getOpenTrip(deviceId) {
+    const stmt = this.prepare(`
+      SELECT * FROM trips WHERE device_id = ? AND status = 'open'
+      ORDER BY start_time DESC LIMIT 1
+    `);
+
+    try {
+      return stmt.get(deviceId);
+    } catch (error) {
+      console.error('Error getting open trip:', error);
+      throw error;
+    }
+  }
+
+  // Get a device's trips, newest first
+  getTrips(deviceId, limit = 50) {
+    const stmt = this.prepare(`
+      SELECT * FROM trips
+      WHERE device_id = ?
+      ORDER BY start_time DESC
+      LIMIT ?
+    `);
+
+    try {
+      return stmt.all(deviceId, limit);
+    } catch (error) {
+      console.error('Error getting trips:', error);
+      throw error;
+    }
+  }
+
+  // Delete a trip
+  deleteTrip(tripId) {
+    const stmt = this.prepare('DELETE FROM trips WHERE id = ?');
+
+    try {
+      return stmt.run(tripId);
+    } catch (error) {
+      console.error('Error deleting trip:', error);
+      throw error;
+    }
+  }
+
+  // Insert a stop, or update it when it has an ID
+  saveStop(stop) {
+    const columns = [
+      stop.device_id, stop.start_time, stop.end_time, stop.lat, stop.lon,
+      stop.start_log_id, stop.duration_s
+    ];
+
+    try {
+      if (!stop.id) {
+        return this.prepare(`
+          INSERT INTO stops (device_id, start_time, end_time, lat, lon, start_log_id, duration_s)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(...columns);
+      }
+
+      const result = this.prepare(`
+        UPDATE stops SET
+          device_id = ?, start_time = ?, end_time = ?, lat = ?, lon = ?,
+          start_log_id = ?, duration_s = ?
+        WHERE id = ?
+      `).run(...columns, stop.id);
+      return { changes: result.changes, lastInsertRowid: stop.id };
+    } catch (error) {
+      console.error('Error saving stop:', error);
+      throw error;
+    }
+  }
+
+  // Get the stop a device is currently at, if any
+  getOpenStop(deviceId) {
+    const stmt = this.prepare(`
+      SELECT * FROM stops WHERE device_id = ? AND end_time IS NULL
+      ORDER BY start_time DESC LIMIT 1
+    `);
+
+    try {
+      return stmt.get(deviceId);
+    } catch (error) {
+      console.error('Error getting open stop:', error);
+      throw error;
+    }
+  }
+
+  // Get a device's stops, newest first
+  getStops(deviceId, limit = 50) {
+    const stmt = this.prepare(`
+      SELECT * FROM stops
+      WHERE device_id = ?
+      ORDER BY start_time DESC
+      LIMIT ?
+    `);
+
+    try {
+      return stmt.all(deviceId, limit);
+    } catch (error) {
+      console.error('Error getting stops:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the trips and stops from a fix time on, so they can be segmented
+   * again. With no time, all of the device's trips and stops go.
+   * @returns {string|null} Fix time to segment again from (null: from the start)
+   */
+  deleteTripsSince(deviceId, from = null) {
+    const lastTrip = this.prepare(`
+      SELECT MAX(start_time) AS start_time FROM trips
+      WHERE device_id = ? AND start_time <= ?
+    `);
+    const firstStop = this.prepare(`
+      SELECT MIN(start_time) AS start_time FROM stops
+      WHERE device_id = ? AND (end_time IS NULL OR end_time >= ?)
+    `);
+    const deleteTrips = this.prepare(`
+      DELETE FROM trips WHERE device_id = ? AND (? IS NULL OR start_time >= ?)
+    `);
+    const deleteStops = this.prepare(`
+      DELETE FROM stops WHERE device_id = ? AND (? IS NULL OR end_time IS NULL OR end_time >= ?)
+    `);
+    const earliest = (a, b) => (!a || (b && b < a) ? b : a);
+
+    try {
+      return this.db.transaction(() => {
+        if (!from) {
+          deleteTrips.run(deviceId, null, null);
+          deleteStops.run(deviceId, null, null);
+          return null;
+        }
+
+        // The trip under way at that time (or the last one before it, which
+        // a gap in reports may have cut short) restarts from its beginning,
+        // and so does the stop it set off from
+        const tripStart = earliest(from, lastTrip.get(deviceId, from).start_time);
+        const start = earliest(tripStart, firstStop.get(deviceId, tripStart).start_time);
+
+        deleteTrips.run(deviceId, tripStart, tripStart);
+        deleteStops.run(deviceId, tripStart, tripStart);
+        return start;
+      })();
+    } catch (error) {
+      console.error('Error deleting trips:', error);
+      throw error;
+    }
+  }
+
+  // Add counted distance to a device's odometer and hourly totals, and move its
+  // odometer to the last fix counted
+  // last: { timestamp, lat, lon, id } or null; hours: [{ hour, distance_km }]
+  recordOdometer(deviceId, odometer) {
+    const addDistance = this.prepare(`
+      UPDATE devices SET odometer_km = COALESCE(odometer_km, 0) + ? WHERE device_id = ?
+    `);
+    const moveTo = this.prepare(`
+      UPDATE devices SET
+        odometer_started_at = COALESCE(odometer_started_at, ?),
+        odometer_time = ?, odometer_lat = ?, odometer_lon = ?, odometer_log_id = ?
+      WHERE device_id = ?
+    `);
+    const addHour = this.prepare(`
+      INSERT INTO odometer_hourly (device_id, hour, distance_km) VALUES (?, ?, ?)
+      ON CONFLICT(device_id, hour) DO UPDATE SET distance_km = distance_km + excluded.distance_km
+    `);
+
+    try {
+      return this.db.transaction(() => {
+        addDistance.run(odometer.distance_km || 0, deviceId);
+        if (odometer.last) {
+          const { timestamp, lat, lon, id } = odometer.last;
+          moveTo.run(timestamp, timestamp, lat, lon, id, deviceId);
+        }
+        (odometer.hours || []).forEach(entry => addHour.run(deviceId, entry.hour, entry.distance_km));
+      })();
+    } catch (error) {
+      console.error('Error recording odometer:', error);
+      throw error;
+    }
+  }
+
+  // Set a device's odometer reading, e.g. to match the vehicle's dashboard
+  setOdometer(deviceId, km) {
+    const stmt = this.prepare('UPDATE devices SET odometer_km = ? WHERE device_id = ?');
+
+    try {
+      return stmt.run(km, deviceId);
+    } catch (error) {
+      console.error('Error setting odometer:', error);
+      throw error;
+    }
+  }
+
+  // Hourly distances in [from, to), for some devices or all of them in scope
+  getOdometerDistances(deviceIds, from, to, scope = {}) {
+    const scoped = scopeCondition('device_id', scope);
+    const stmt = this.prepare(`
+      SELECT device_id, hour, distance_km FROM odometer_hourly
+      WHERE (? IS NULL OR device_id IN (SELECT value FROM json_each(?)))
+        AND hour >= ? AND hour < ? AND ${scoped.sql}
+      ORDER BY device_id, hour
+    `);
+    const ids = deviceIds ? JSON.stringify(deviceIds) : null;
+
+    try {
+      return stmt.all(ids, ids, from, to, ...scoped.params);
+    } catch (error) {
+      console.error('Error getting odometer distances:', error);
+      throw error;
+    }
+  }
+
+  // The positioned fixes just before and just after a fix time, skipping one ID
+  getNeighbourFixes(deviceId, timestamp, excludeId = null) {
+    const fixFilter = `
+      device_id = ? AND id IS NOT ?
+        AND (gps_valid IS NULL OR gps_valid != 0) AND NOT (lat = 0 AND lon = 0)
+    `;
+    const previous = this.prepare(`
+      SELECT * FROM gps_logs WHERE ${fixFilter} AND timestamp < ?
+      ORDER BY timestamp DESC, id DESC LIMIT 1
+    `);
+    const next = this.prepare(`
+      SELECT * FROM gps_logs WHERE ${fixFilter} AND timestamp > ?
+      ORDER BY timestamp ASC, id ASC LIMIT 1
+    `);
+
+    try {
+      return {
+        previous: previous.get(deviceId, excludeId, timestamp),
+        next: next.get(deviceId, excludeId, timestamp)
+      };
+    } catch (error) {
+      console.error('Error getting neighbouring fixes:', error);
+      throw error;
+    }
+  }
+
+  // Insert a geofence, or update it when it has an ID
+  // polygon: [[lat, lon], ...] for polygon fences; organization_id is set on insert only
+  saveGeofence(fence) {
+    const columns = [
+      fence.name, fence.type, fence.center_lat ?? null, fence.center_lon ?? null,
+      fence.radius_m ?? null, fence.polygon ? JSON.stringify(fence.polygon) : null,
+      fence.min_lat, fence.min_lon, fence.max_lat, fence.max_lon, fence.dwell_minutes ?? null
+    ];
+
+    try {
+      if (!fence.id) {
+        return this.prepare(`
+          INSERT INTO geofences (
+            name, type, center_lat, center_lon, radius_m, polygon,
+            min_lat, min_lon, max_lat, max_lon, dwell_minutes, organization_id
+          )
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(...columns, fence.organization_id ?? null);
+      }
+
+      const result = this.prepare(`
+        UPDATE geofences SET
+          name = ?, type = ?, center_lat = ?, center_lon = ?, radius_m = ?, polygon = ?,
+          min_lat = ?, min_lon = ?, max_lat = ?, max_lon = ?, dwell_minutes = ?,
+          updated_at = ?
+        WHERE id = ?
+      `).run(...columns, new Date().toISOString(), fence.id);
+      return { changes: result.changes, lastInsertRowid: fence.id };
+    } catch (error) {
+      console.error('Error saving geofence:', error);
+      throw error;
+    }
+  }
+
+  // Get a geofence by ID
+  getGeofence(geofenceId) {
+    const stmt = this.prepare('SELECT * FROM geofences WHERE id = ?');
+
+    try {
+      return stmt.get(geofenceId);
+    } catch (error) {
+      console.error('Error getting geofence:', error);
+      throw error;
+    }
+  }
+
+  // Get all geofences (or an organization's) with the number of devices each applies to
+  getGeofences(scope = {}) {
+    const stmt = this.prepare(`
+      SELECT g.*, COUNT(gd.device_id) AS device_count
+      FROM geofences g
+      LEFT JOIN geofence_devices gd ON gd.geofence_id = g.id
+      WHERE ? IS NULL OR g.organization_id = ?
+      GROUP BY g.id
+      ORDER BY g.name, g.id
+    `);
+    const organizationId = organizationOf(scope);
+
+    try {
+      return stmt.all(organizationId, organizationId);
+    } catch (error) {
+      console.error('Error getting geofences:', error);
+      throw error;
+    }
+  }
+
+  // Delete a geofence with its assignments; its events are kept
+  deleteGeofence(geofenceId) {
+    const deleteAssignments = this.prepare('DELETE FROM geofence_devices WHERE geofence_id = ?');
+    const deleteStates = this.prepare('DELETE FROM geofence_states WHERE geofence_id = ?');
+    const deleteFence = this.prepare('DELETE FROM geofences WHERE id = ?');
+
+    try {
+      return this.db.transaction(() => {
+        deleteAssignments.run(geofenceId);
+        deleteStates.run(geofenceId);
+        return deleteFence.run(geofenceId);
+      })();
+    } catch (error) {
+      console.error('Error deleting geofence:', error);
+      throw error;
+    }
+  }
+
+  // Apply a geofence to a device
+  assignGeofence(geofenceId, deviceId) {
+    const stmt = this.prepare(`
+      INSERT INTO geofence_devices (geofence_id, device_id) VALUES (?, ?)
+      ON CONFLICT(geofence_id, device_id) DO NOTHING
+    `);
+
+    try {
+      return stmt.run(geofenceId, deviceId);
+    } catch (error) {
+      console.error('Error assigning geofence:', error);
+      throw error;
+    }
+  }
+
+  // Stop applying a geofence to a device, forgetting whether it was inside
+  unassignGeofence(geofenceId, deviceId) {
+    const deleteAssignment = this.prepare('DELETE FROM geofence_devices WHERE geofence_id = ? AND device_id = ?');
+    const deleteState = this.prepare('DELETE FROM geofence_states WHERE geofence_id = ? AND device_id = ?');
+
+    try {
+      return this.db.transaction(() => {
+        deleteState.run(geofenceId, deviceId);
+        return deleteAssignment.run(geofenceId, deviceId);
+      })();
+    } catch (error) {
+      console.error('Error unassigning geofence:', error);
+      throw error;
+    }
+  }
+
+  // Geofence/device assignments, for one geofence or all of them
+  getGeofenceAssignments(geofenceId = null) {
+    const stmt = this.prepare(`
+      SELECT geofence_id, device_id, created_at FROM geofence_devices
+      WHERE ? IS NULL OR geofence_id = ?
+      ORDER BY geofence_id, device_id
+    `);
+
+    try {
+      return stmt.all(geofenceId, geofenceId);
+    } catch (error) {
+      console.error('Error getting geofence assignments:', error);
+      throw error;
+    }
+  }
+
+  // Get the geofences applied to a device
+  getDeviceGeofences(deviceId) {
+    const stmt = this.prepare(`
+      SELECT g.* FROM geofences g
+      JOIN geofence_devices gd ON gd.geofence_id = g.id
+      WHERE gd.device_id = ?
+      ORDER BY g.name, g.id
+    `);
+
+    try {
+      return stmt.all(deviceId);
+    } catch (error) {
+      console.error('Error getting device geofences:', error);
+      throw error;
+    }
+  }
+
+  // Get the geofences a device is inside
+  getGeofenceStates(deviceId) {
+    const stmt = this.prepare('SELECT * FROM geofence_states WHERE device_id = ?');
+
+    try {
+      return stmt.all(deviceId);
+    } catch (error) {
+      console.error('Error getting geofence states:', error);
+      throw error;
+    }
+  }
+
+  // Store a geofence event and the device's new state for that fence
+  saveGeofenceEvent(event) {
+    const insertEvent = this.prepare(`
+      INSERT INTO geofence_events (
+        device_id, geofence_id, event_type, timestamp, lat, lon, gps_log_id, duration_s
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const enter = this.prepare(`
+      INSERT INTO geofence_states (device_id, geofence_id, entered_at, dwell_notified)
+      VALUES (?, ?, ?, 0)
+      ON CONFLICT(device_id, geofence_id) DO UPDATE SET
+        entered_at = excluded.entered_at,
+        dwell_notified = 0
+    `);
+    const exit = this.prepare('DELETE FROM geofence_states WHERE device_id = ? AND geofence_id = ?');
+    const dwell = this.prepare(`
+      UPDATE geofence_states SET dwell_notified = 1 WHERE device_id = ? AND geofence_id = ?
+    `);
+
+    try {
+      return this.db.transaction(() => {
+        const result = insertEvent.run(
+          event.device_id, event.geofence_id, event.event_type, event.timestamp,
+          event.lat, event.lon, event.gps_log_id ?? null, event.duration_s ?? null
+        );
+
+        if (event.event_type === 'enter') {
+          enter.run(event.device_id, event.geofence_id, event.timestamp);
+        } else if (event.event_type === 'exit') {
+          exit.run(event.device_id, event.geofence_id);
+        } else if (event.event_type === 'dwell') {
+          dwell.run(event.device_id, event.geofence_id);
+        }
+
+        return result;
+      })();
+    } catch (error) {
+      console.error('Error saving geofence event:', error);
+      throw error;
+    }
+  }
+
+  // Get geofence events, newest first, for a device and/or a geofence
+  getGeofenceEvents(filters = {}) {
+    const stmt = this.prepare(`
+      SELECT e.*, g.name AS geofence_name
+      FROM geofence_events e
+      LEFT JOIN geofences g ON g.id = e.geofence_id
+      WHERE (? IS NULL OR e.device_id = ?)
+        AND (? IS NULL OR e.geofence_id = ?)
+        AND (? IS NULL OR e.event_type = ?)
+      ORDER BY e.timestamp DESC, e.id DESC
+      LIMIT ?
+    `);
+    const deviceId = filters.deviceId ?? null;
+    const geofenceId = filters.geofenceId ?? null;
+    const type = filters.type ?? null;
+
+    try {
+      return stmt.all(deviceId, deviceId, geofenceId, geofenceId, type, type, filters.limit || 100);
+    } catch (error) {
+      console.error('Error getting geofence events:', error);
+      throw error;
+    }
+  }
+
+  // Insert a rule, or update it when it has an ID; organization_id is set on insert only
+  saveRule(rule) {
+    const columns = [
+      rule.name, rule.type, rule.device_id ?? null, JSON.stringify(rule.params || {}),
+      rule.severity, rule.auto_resolve ? 1 : 0, rule.enabled ? 1 : 0
+    ];
+
+    try {
+      if (!rule.id) {
+        return this.prepare(`
+          INSERT INTO rules (name, type, device_id, params, severity, auto_resolve, enabled, organization_id)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(...columns, rule.organization_id ?? null);
+      }
+
+      const result = this.prepare(`
+        UPDATE rules SET
+          name = ?, type = ?, device_id = ?, params = ?, severity = ?, auto_resolve = ?, enabled = ?,
+          updated_at = ?
+        WHERE id = ?
+      `).run(...columns, new Date().toISOString(), rule.id);
+      return { changes: result.changes, lastInsertRowid: rule.id };
+    } catch (error) {
+      console.error('Error saving rule:', error);
+      throw error;
+    }
+  }
+
+  // Get a rule by ID
+  getRule(ruleId) {
+    const stmt = this.prepare('SELECT * FROM rules WHERE id = ?');
+
+    try {
+      return stmt.get(ruleId);
+    } catch (error) {
+      console.error('Error getting rule:', error);
+      throw error;
+    }
+  }
+
+  // Get all rules, or an organization's
+  getRules(scope = {}) {
+    const stmt = this.prepare('SELECT * FROM rules WHERE ? IS NULL OR organization_id = ? ORDER BY name, id');
+    const organizationId = organizationOf(scope);
+
+    try {
+      return stmt.all(organizationId, organizationId);
+    } catch (error) {
+      console.error('Error getting rules:', error);
+      throw error;
+    }
+  }
+
+  // Delete a rule; its events are kept
+  deleteRule(ruleId) {
+    const stmt = this.prepare('DELETE FROM rules WHERE id = ?');
+
+    try {
+      return stmt.run(ruleId);
+    } catch (error) {
+      console.error('Error deleting rule:', error);
+      throw error;
+    }
+  }
+
+  // Store a raised event
+  insertEvent(event) {
+    const stmt = this.prepare(`
+      INSERT INTO events (
+        rule_id, device_id, type, severity, status, message, details,
+        lat, lon, gps_log_id, triggered_at
+      )
+      VALUES (?, ?, ?, ?, 'open', ?, ?, ?, ?, ?, ?)
+    `);
+
+    try {
+      return stmt.run(
+        event.rule_id ?? null,
+        event.device_id,
+        event.type,
+        event.severity,
+        event.message ?? null,
+        event.details ? JSON.stringify(event.details) : null,
+        event.lat ?? null,
+        event.lon ?? null,
+        event.gps_log_id ?? null,
+        event.triggered_at
+      );
+    } catch (error) {
+      console.error('Error inserting event:', error);
+      throw error;
+    }
+  }
+
+  // Get an event by ID
+  getEvent(eventId) {
+    const stmt = this.prepare(`
+      SELECT e.*, r.name AS rule_name FROM events e
+      LEFT JOIN rules r ON r.id = e.rule_id
+      WHERE e.id = ?
+    `);
+
+    try {
+      return stmt.get(eventId);
+    } catch (error) {
+      console.error('Error getting event:', error);
+      throw error;
+    }
+  }
+
+  // Get events, newest first unless order is 'asc'
+  // status: 'open', 'acknowledged', 'resolved', or 'unresolved' for either of the first two;
+  // from, to, order, after and limit page through them as for getDeviceHistory()
+  getEvents(filters = {}, scope = {}) {
+    const { from, to, order, after, limit } = pageOptions(filters, 100);
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const beyond = order === 'asc' ? '>' : '<';
+    const scoped = scopeCondition('e.device_id', scope);
+    const stmt = this.prepare(`
+      SELECT e.*, r.name AS rule_name FROM events e
+      LEFT JOIN rules r ON r.id = e.rule_id
+      WHERE (? IS NULL OR e.device_id = ?)
+        AND (? IS NULL OR e.type = ?)
+        AND (? IS NULL OR e.status = ? OR (? = 'unresolved' AND e.status != 'resolved'))
+        AND (? IS NULL OR e.triggered_at >= ?)
+        AND (? IS NULL OR e.triggered_at < ?)
+        AND (? IS NULL OR e.triggered_at ${beyond} ? OR (e.triggered_at = ? AND e.id ${beyond} ?))
+        AND ${scoped.sql}
+      ORDER BY e.triggered_at ${direction}, e.id ${direction}
+      LIMIT ?
+    `);
+    const deviceId = filters.deviceId ?? null;
+    const type = filters.type ?? null;
+    const status = filters.status ?? null;
+    const afterTime = after ? after.time : null;
+
+    try {
+      return stmt.all(
+        deviceId, deviceId, type, type, status, status, status,
+        from, from, to, to,
+        afterTime, afterTime, afterTime, after ? after.id : null,
+        ...scoped.params,
+        limit
+      );
+    } catch (error) {
+      console.error('Error getting events:', error);
+      throw error;
+    }
+  }
+
+  // Get a device's events that are not resolved yet
+  getUnresolvedEvents(deviceId) {
+    const stmt = this.prepare(`
+      SELECT * FROM events
+      WHERE device_id = ? AND status != 'resolved'
+      ORDER BY id
+    `);
+
+    try {
+      return stmt.all(deviceId);
+    } catch (error) {
+      console.error('Error getting unresolved events:', error);
+      throw error;
+    }
+  }
+
+  // Mark an open event acknowledged
+  acknowledgeEvent(eventId, by = null, note = null) {
+    const stmt = this.prepare(`
+      UPDATE events SET
+        status = 'acknowledged', acknowledged_at = ?, acknowledged_by = ?, note = COALESCE(?, note)
+      WHERE id = ? AND status = 'open'
+    `);
+
+    try {
+      return stmt.run(new Date().toISOString(), by, note, eventId);
+    } catch (error) {
+      console.error('Error acknowledging event:', error);
+      throw error;
+    }
+  }
+
+  // Mark an open or acknowledged event resolved
+  resolveEvent(eventId, by = null, note = null) {
+    const stmt = this.prepare(`
+      UPDATE events SET
+        status = 'resolved', resolved_at = ?, resolved_by = ?, note = COALESCE(?, note)
+      WHERE id = ? AND status != 'resolved'
+    `);
+
+    try {
+      return stmt.run(new Date().toISOString(), by, note, eventId);
+    } catch (error) {
+      console.error('Error resolving event:', error);
+      throw error;
+    }
+  }
+
+  // Devices that have reported, but not since a given time
+  getSilentDevices(before) {
+    const stmt = this.prepare(`
+      SELECT device_id, last_seen, organization_id FROM devices
+      WHERE is_active = 1 AND last_seen IS NOT NULL AND last_seen < ?
+      ORDER BY device_id
+    `);
+
+    try {
+      return stmt.all(before);
+    } catch (error) {
+      console.error('Error getting silent devices:', error);
+      throw error;
+    }
+  }
+
+  // Insert a webhook subscription, or update it when it has an ID; organization_id is set on insert only
+  saveWebhook(webhook) {
+    const columns = [
+      webhook.url, webhook.secret, webhook.description ?? null,
+      webhook.device_ids ? JSON.stringify(webhook.device_ids) : null,
+      webhook.event_types ? JSON.stringify(webhook.event_types) : null,
+      webhook.enabled ? 1 : 0
+    ];
+
+    try {
+      if (!webhook.id) {
+        return this.prepare(`
+          INSERT INTO webhooks (url, secret, description, device_ids, event_types, enabled, organization_id)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(...columns, webhook.organization_id ?? null);
+      }
+
+      const result = this.prepare(`
+        UPDATE webhooks SET
+          url = ?, secret = ?, description = ?, device_ids = ?, event_types = ?, enabled = ?,
+          updated_at = ?
+        WHERE id = ?
+      `).run(...columns, new Date().toISOString(), webhook.id);
+      return { changes: result.changes, lastInsertRowid: webhook.id };
+    } catch (error) {
+      console.error('Error saving webhook:', error);
+      throw error;
+    }
+  }
+
+  // Get a webhook subscription by ID
+  getWebhook(webhookId) {
+    const stmt = this.prepare('SELECT * FROM webhooks WHERE id = ?');
+
+    try {
+      return stmt.get(webhookId);
+    } catch (error) {
+      console.error('Error getting webhook:', error);
+      throw error;
+    }
+  }
+
+  // Get all webhook subscriptions, or an organization's
+  getWebhooks(scope = {}) {
+    const stmt = this.prepare('SELECT * FROM webhooks WHERE ? IS NULL OR organization_id = ? ORDER BY id');
+    const organizationId = organizationOf(scope);
+
+    try {
+      return stmt.all(organizationId, organizationId);
+    } catch (error) {
+      console.error('Error getting webhooks:', error);
+      throw error;
+    }
+  }
+
+  // Delete a webhook subscription with its deliveries
+  deleteWebhook(webhookId) {
+    const deleteDeliveries = this.prepare('DELETE FROM webhook_deliveries WHERE webhook_id = ?');
+    const deleteWebhook = this.prepare('DELETE FROM webhooks WHERE id = ?');
+
+    try {
+      return this.db.transaction(() => {
+        deleteDeliveries.run(webhookId);
+        return deleteWebhook.run(webhookId);
+      })();
+    } catch (error) {
+      console.error('Error deleting webhook:', error);
+      throw error;
+    }
+  }
+
+  // Queue deliveries in one transaction
+  insertWebhookDeliveries(deliveries) {
+    const stmt = this.prepare(`
+      INSERT INTO webhook_deliveries (webhook_id, event_type, device_id, payload, next_attempt_at)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+
+    try {
+      return this.db.transaction(() => {
+        deliveries.forEach(delivery => stmt.run(
+          delivery.webhook_id,
+          delivery.event_type,
+          delivery.device_id ?? null,
+          JSON.stringify(delivery.payload),
+          delivery.next_attempt_at
+        ));
+        return { changes: deliveries.length };
+      })();
+    } catch (error) {
+      console.error('Error inserting webhook deliveries:', error);
+      throw error;
+    }
+  }
+
+  // Get pending deliveries due by a time, oldest first
+  getDueWebhookDeliveries(now, limit = 50) {
+    const stmt = this.prepare(`
+      SELECT * FROM webhook_deliveries
+      WHERE status = 'pending' AND next_attempt_at <= ?
+      ORDER BY next_attempt_at, id
+      LIMIT ?
+    `);
+
+    try {
+      return stmt.all(now, limit);
+    } catch (error) {
+      console.error('Error getting due webhook deliveries:', error);
+      throw error;
+    }
+  }
+
+  // Store the outcome of a delivery attempt
+  // attempt: { status, attempts, next_attempt_at, response_status, last_error }
+  recordWebhookAttempt(deliveryId, attempt) {
+    const now = new Date().toISOString();
+    const stmt = this.prepare(`
+      UPDATE webhook_deliveries SET
+        status = ?, attempts = ?, next_attempt_at = ?, last_attempt_at = ?,
+        response_status = ?, last_error = ?, delivered_at = ?
+      WHERE id = ?
+    `);
+
+    try {
+      return stmt.run(
+        attempt.status,
+        attempt.attempts,
+        attempt.next_attempt_at,
+        now,
+        attempt.response_status ?? null,
+        attempt.last_error ?? null,
+        attempt.status === 'delivered' ? now : null,
+        deliveryId
+      );
+    } catch (error) {
+      console.error('Error recording webhook attempt:', error);
+      throw error;
+    }
+  }
+
+  // Get a delivery by ID
+  getWebhookDelivery(deliveryId) {
+    const stmt = this.prepare('SELECT * FROM webhook_deliveries WHERE id = ?');
+
+    try {
+      return stmt.get(deliveryId);
+    } catch (error) {
+      console.error('Error getting webhook delivery:', error);
+      throw error;
+    }
+  }
+
+  // Get deliveries, newest first, to any subscription or an organization's
+  getWebhookDeliveries(filters = {}, scope = {}) {
+    const stmt = this.prepare(`
+      SELECT * FROM webhook_deliveries
+      WHERE (? IS NULL OR webhook_id = ?)
+        AND (? IS NULL OR status = ?)
+        AND (? IS NULL OR webhook_id IN (SELECT id FROM webhooks WHERE organization_id = ?))
+      ORDER BY id DESC
+      LIMIT ?
+    `);
+    const webhookId = filters.webhookId ?? null;
+    const status = filters.status ?? null;
+    const organizationId = organizationOf(scope);
+
+    try {
+      return stmt.all(webhookId, webhookId, status, status, organizationId, organizationId, filters.limit || 100);
+    } catch (error) {
+      console.error('Error getting webhook deliveries:', error);
+      throw error;
+    }
+  }
+
+  // Send a dead delivery again with a fresh set of attempts
+  retryWebhookDelivery(deliveryId) {
+    const stmt = this.prepare(`
+      UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ?
+      WHERE id = ? AND status = 'dead'
+    `);
+
+    try {
+      return stmt.run(new Date().toISOString(), deliveryId);
+    } catch (error) {
+      console.error('Error retrying webhook delivery:', error);
+      throw error;
+    }
+  }
+
+  // Insert a user, or update it when it has an ID
+  saveUser(user) {
+    const columns = [user.username, user.password_hash, user.role, user.enabled ? 1 : 0, user.organization_id ?? null];
+
+    try {
+      if (!user.id) {
+        return this.prepare(`
+          INSERT INTO users (username, password_hash, role, enabled, organization_id)
+          VALUES (?, ?, ?, ?, ?)
+        `).run(...columns);
+      }
+
+      const result = this.prepare(`
+        UPDATE users SET username = ?, password_hash = ?, role = ?, enabled = ?, organization_id = ?, updated_at = ?
+        WHERE id = ?
+      `).run(...columns, new Date().toISOString(), user.id);
+      return { changes: result.changes, lastInsertRowid: user.id };
+    } catch (error) {
+      console.error('Error saving user:', error);
+      throw error;
+    }
+  }
+
+  // Get a user by ID
+  getUser(userId) {
+    const stmt = this.prepare('SELECT * FROM users WHERE id = ?');
+
+    try {
+      return stmt.get(userId);
+    } catch (error) {
+      console.error('Error getting user:', error);
+      throw error;
+    }
+  }
+
+  // Get a user by username
+  getUserByUsername(username) {
+    const stmt = this.prepare('SELECT * FROM users WHERE username = ?');
+
+    try {
+      return stmt.get(username);
+    } catch (error) {
+      console.error('Error getting user by username:', error);
+      throw error;
+    }
+  }
+
+  // Get all users, or an organization's
+  getUsers(scope = {}) {
+    const stmt = this.prepare('SELECT * FROM users WHERE ? IS NULL OR organization_id = ? ORDER BY id');
+    const organizationId = organizationOf(scope);
+
+    try {
+      return stmt.all(organizationId, organizationId);
+    } catch (error) {
+      console.error('Error getting users:', error);
+      throw error;
+    }
+  }
+
+  // Delete a user
+  deleteUser(userId) {
+    const stmt = this.prepare('DELETE FROM users WHERE id = ?');
+
+    try {
+      return stmt.run(userId);
+    } catch (error) {
+      console.error('Error deleting user:', error);
+      throw error;
+    }
+  }
+
+  // Record a successful login
+  recordUserLogin(userId, at) {
+    const stmt = this.prepare('UPDATE users SET last_login_at = ? WHERE id = ?');
+
+    try {
+      return stmt.run(at, userId);
+    } catch (error) {
+      console.error('Error recording user login:', error);
+      throw error;
+    }
+  }
+
+  // Insert an API key (stored by hash; the key itself is never kept)
+  insertApiKey(apiKey) {
+    const stmt = this.prepare(`
+      INSERT INTO api_keys (name, key_prefix, key_hash, scopes, created_by, expires_at, organization_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    try {
+      return stmt.run(
+        apiKey.name, apiKey.key_prefix, apiKey.key_hash, JSON.stringify(apiKey.scopes),
+        apiKey.created_by ?? null, apiKey.expires_at ?? null, apiKey.organization_id ?? null
+      );
+    } catch (error) {
+      console.error('Error inserting API key:', error);
+      throw error;
+    }
+  }
+
+  // Get an API key by ID
+  getApiKey(keyId) {
+    const stmt = this.prepare('SELECT * FROM api_keys WHERE id = ?');
+
+    try {
+      return stmt.get(keyId);
+    } catch (error) {
+      console.error('Error getting API key:', error);
+      throw error;
+    }
+  }
+
+  // Get an API key by the SHA-256 hash of the key
+  getApiKeyByHash(keyHash) {
+    const stmt = this.prepare('SELECT * FROM api_keys WHERE key_hash = ?');
+
+    try {
+      return stmt.get(keyHash);
+    } catch (error) {
+      console.error('Error getting API key by hash:', error);
+      throw error;
+    }
+  }
+
+  // Get all API keys, or an organization's
+  getApiKeys(scope = {}) {
+    const stmt = this.prepare('SELECT * FROM api_keys WHERE ? IS NULL OR organization_id = ? ORDER BY id');
+    const organizationId = organizationOf(scope);
+
+    try {
+      return stmt.all(organizationId, organizationId);
+    } catch (error) {
+      console.error('Error getting API keys:', error);
+      throw error;
+    }
+  }
+
+  // Delete (revoke) an API key
+  deleteApiKey(keyId) {
+    const stmt = this.prepare('DELETE FROM api_keys WHERE id = ?');
+
+    try {
+      return stmt.run(keyId);
+    } catch (error) {
+      console.error('Error deleting API key:', error);
+      throw error;
+    }
+  }
+
+  // Record when an API key was last used
+  recordApiKeyUse(keyId, at) {
+    const stmt = this.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?');
+
+    try {
+      return stmt.run(at, keyId);
+    } catch (error) {
+      console.error('Error recording API key use:', error);
+      throw error;
+    }
+  }
+
+  // Get the latest position of each device inside an area
+  // area: { bounds } for a box, newest first; or { lat, lon, radiusM } for a circle
+  // (radiusM null for no limit), nearest first with distance_m; scope as for getLatestLocations()
+  getLatestLocationsInArea(area, limit = 100, scope = {}) {
+    const circle = area.lat !== undefined;
+    const condition = areaCondition('latest_positions_rtree', 'gl', area);
+    const scoped = scopeCondition('d.device_id', scope);
+    const stmt = this.prepare(`
+      SELECT
+        gl.*,
+        d.name AS device_name,
+        d.timezone AS device_timezone
+        ${circle ? ', distance_m(?, ?, gl.lat, gl.lon) AS distance_m' : ''}
+      FROM devices d
+      JOIN gps_logs gl ON gl.id = d.last_valid_log_id
+      WHERE ${condition.sql} AND ${scoped.sql}
+      ORDER BY ${circle ? 'distance_m ASC, gl.id ASC' : 'gl.timestamp DESC'}
+      LIMIT ?
+    `);
+
+    try {
+      return stmt.all(...(circle ? [area.lat, area.lon] : []), ...condition.params, ...scoped.params, limit);
+    } catch (error) {
+      console.error('Error getting latest locations in area:', error);
+      throw error;
+    }
+  }
+
+  // Get stored positions inside an area (as for getLatestLocationsInArea, with bounds),
+  // newest first unless order is 'asc'
+  // options: { deviceIds, from, to, order, after, limit } paged as for getDeviceHistory()
+  getLocationsInArea(area, options = {}, scope = {}) {
+    const { from, to, order, after, limit } = pageOptions(options, 100);
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const beyond = order === 'asc' ? '>' : '<';
+    const circle = area.lat !== undefined;
+    const condition = areaCondition('gps_logs_rtree', 'gl', area);
+    const scoped = scopeCondition('gl.device_id', scope);
+    const stmt = this.prepare(`
+      SELECT gl.*${circle ? ', distance_m(?, ?, gl.lat, gl.lon) AS distance_m' : ''}
+      FROM gps_logs gl
+      WHERE ${condition.sql}
+        AND (? IS NULL OR gl.device_id IN (SELECT value FROM json_each(?)))
+        AND (? IS NULL OR gl.timestamp >= ?)
+        AND (? IS NULL OR gl.timestamp < ?)
+        AND (? IS NULL OR gl.timestamp ${beyond} ? OR (gl.timestamp = ? AND gl.id ${beyond} ?))
+        AND ${scoped.sql}
+      ORDER BY gl.timestamp ${direction}, gl.id ${direction}
+      LIMIT ?
+    `);
+    const deviceIds = options.deviceIds ? JSON.stringify(options.deviceIds) : null;
+    const afterTime = after ? after.time : null;
+
+    try {
+      return stmt.all(
+        ...(circle ? [area.lat, area.lon] : []),
+        ...condition.params,
+        deviceIds, deviceIds, from, from, to, to,
+        afterTime, afterTime, afterTime, after ? after.id : null,
+        ...scoped.params,
+        limit
+      );
+    } catch (error) {
+      console.error('Error getting locations in area:', error);
+      throw error;
+    }
+  }
+
+  // Insert an organization, or rename it when it has an ID
+  saveOrganization(organization) {
+    try {
+      if (!organization.id) {
+        return this.prepare('INSERT INTO organizations (name) VALUES (?)').run(organization.name);
+      }
+
+      const result = this.prepare('UPDATE organizations SET name = ?, updated_at = ? WHERE id = ?')
+        .run(organization.name, new Date().toISOString(), organization.id);
+      return { changes: result.changes, lastInsertRowid: organization.id };
+    } catch (error) {
+      console.error('Error saving organization:', error);
+      throw error;
+    }
+  }
+
+  // Get an organization by ID with counts of what it owns
+  getOrganization(organizationId) {
+    const [organization] = this.getOrganizations({ organizationId: organizationId });
+    return organization;
+  }
+
+  // Get an organization by name
+  getOrganizationByName(name) {
+    const stmt = this.prepare('SELECT * FROM organizations WHERE name = ?');
+
+    try {
+      return stmt.get(name);
+    } catch (error) {
+      console.error('Error getting organization by name:', error);
+      throw error;
+    }
+  }
+
+  // Get all organizations (or the one in scope) with counts of what each owns
+  getOrganizations(scope = {}) {
+    const stmt = this.prepare(`
+      SELECT
+        o.*,
+        (SELECT COUNT(*) FROM devices WHERE organization_id = o.id) AS device_count,
+        (SELECT COUNT(*) FROM device_groups WHERE organization_id = o.id) AS group_count,
+        (SELECT COUNT(*) FROM users WHERE organization_id = o.id) AS user_count,
+        (SELECT COUNT(*) FROM api_keys WHERE organization_id = o.id) AS api_key_count,
+        (SELECT COUNT(*) FROM geofences WHERE organization_id = o.id)
+          + (SELECT COUNT(*) FROM rules WHERE organization_id = o.id)
+          + (SELECT COUNT(*) FROM webhooks WHERE organization_id = o.id) AS config_count
+      FROM organizations o
+      WHERE ? IS NULL OR o.id = ?
+      ORDER BY o.name, o.id
+    `);
+    const organizationId = organizationOf(scope);
+
+    try {
+      return stmt.all(organizationId, organizationId);
+    } catch (error) {
+      console.error('Error getting organizations:', error);
+      throw error;
+    }
+  }
+
+  // Delete an organization with its device groups
+  // Callers move or delete its devices, users, keys and alert setup first
+  deleteOrganization(organizationId) {
+    const deleteMembers = this.prepare(`
+      DELETE FROM device_group_devices
+      WHERE group_id IN (SELECT id FROM device_groups WHERE organization_id = ?)
+    `);
+    const deleteGroups = this.prepare('DELETE FROM device_groups WHERE organization_id = ?');
+    const deleteOrganization = this.prepare('DELETE FROM organizations WHERE id = ?');
+
+    try {
+      return this.db.transaction(() => {
+        deleteMembers.run(organizationId);
+        deleteGroups.run(organizationId);
+        return deleteOrganization.run(organizationId);
+      })();
+    } catch (error) {
+      console.error('Error deleting organization:', error);
+      throw error;
+    }
+  }
+
+  // Move a device to an organization (null for none)
+  // It leaves groups, and geofences other organizations set up, on the way
+  setDeviceOrganization(deviceId, organizationId) {
+    const update = this.prepare('UPDATE devices SET organization_id = ? WHERE device_id = ?');
+    const leaveGroups = this.prepare(`
+      DELETE FROM device_group_devices
+      WHERE device_id = ? AND group_id IN (SELECT id FROM device_groups WHERE organization_id IS NOT ?)
+    `);
+    const leaveGeofences = this.prepare(`
+      DELETE FROM geofence_devices
+      WHERE device_id = ? AND geofence_id IN (
+        SELECT id FROM geofences WHERE organization_id IS NOT NULL AND organization_id IS NOT ?
+      )
+    `);
+
+    try {
+      return this.db.transaction(() => {
+        const result = update.run(organizationId, deviceId);
+        leaveGroups.run(deviceId, organizationId);
+        leaveGeofences.run(deviceId, organizationId);
+        return result;
+      })();
+    } catch (error) {
+      console.error('Error setting device organization:', error);
+      throw error;
+    }
+  }
+
+  // Get the organization of every device that has one
+  getDeviceOrganizations() {
+    const stmt = this.prepare('SELECT device_id, organization_id FROM devices WHERE organization_id IS NOT NULL');
+
+    try {
+      return stmt.all();
+    } catch (error) {
+      console.error('Error getting device organizations:', error);
+      throw error;
+    }
+  }
+
+  // Insert a device group, or update it when it has an ID; organization_id is set on insert only
+  saveDeviceGroup(group) {
+    try {
+      if (!group.id) {
+        return this.prepare(`
+          INSERT INTO device_groups (organization_id, parent_id, name) VALUES (?, ?, ?)
+        `).run(group.organization_id, group.parent_id ?? null, group.name);
+      }
+
+      const result = this.prepare(`
+        UPDATE device_groups SET parent_id = ?, name = ?, updated_at = ? WHERE id = ?
+      `).run(group.parent_id ?? null, group.name, new Date().toISOString(), group.id);
+      return { changes: result.changes, lastInsertRowid: group.id };
+    } catch (error) {
+      console.error('Error saving device group:', error);
+      throw error;
+    }
+  }
+
+  // Get a device group by ID with the number of devices directly in it
+  getDeviceGroup(groupId) {
+    const stmt = this.prepare(`
+      SELECT g.*, (SELECT COUNT(*) FROM device_group_devices WHERE group_id = g.id) AS device_count
+      FROM device_groups g
+      WHERE g.id = ?
+    `);
+
+    try {
+      return stmt.get(groupId);
+    } catch (error) {
+      console.error('Error getting device group:', error);
+      throw error;
+    }
+  }
+
+  // Get all device groups, or an organization's, with the number of devices directly in each
+  getDeviceGroups(scope = {}) {
+    const stmt = this.prepare(`
+      SELECT g.*, (SELECT COUNT(*) FROM device_group_devices WHERE group_id = g.id) AS device_count
+      FROM device_groups g
+      WHERE ? IS NULL OR g.organization_id = ?
+      ORDER BY g.organization_id, g.name, g.id
+    `);
+    const organizationId = organizationOf(scope);
+
+    try {
+      return stmt.all(organizationId, organizationId);
+    } catch (error) {
+      console.error('Error getting device groups:', error);
+      throw error;
+    }
+  }
+
+  // IDs of a group and every group nested under it
+  getDeviceGroupTree(groupId) {
+    const stmt = this.prepare(`
+      WITH RECURSIVE tree(id) AS (
+        SELECT id FROM device_groups WHERE id = ?
+        UNION
+        SELECT g.id FROM device_groups g JOIN tree ON g.parent_id = tree.id
+      )
+      SELECT id FROM tree
+    `);
+
+    try {
+      return stmt.all(groupId).map(row => row.id);
+    } catch (error) {
+      console.error('Error getting device group tree:', error);
+      throw error;
+    }
+  }
+
+  // Delete a device group; its subgroups move up to its parent
+  deleteDeviceGroup(groupId) {
+    const moveChildren = this.prepare(`
+      UPDATE device_groups SET parent_id = (SELECT parent_id FROM device_groups WHERE id = ?)
+      WHERE parent_id = ?
+    `);
+    const deleteMembers = this.prepare('DELETE FROM device_group_devices WHERE group_id = ?');
+    const deleteGroup = this.prepare('DELETE FROM device_groups WHERE id = ?');
+
+    try {
+      return this.db.transaction(() => {
+        moveChildren.run(groupId, groupId);
+        deleteMembers.run(groupId);
+        return deleteGroup.run(groupId);
+      })();
+    } catch (error) {
+      console.error('Error deleting device group:', error);
+      throw error;
+    }
+  }
+
+  // Put devices in a group; devices already in it are left as they are
+  addDevicesToGroup(groupId, deviceIds) {
+    const stmt = this.prepare(`
+      INSERT INTO device_group_devices (group_id, device_id) VALUES (?, ?)
+      ON CONFLICT(group_id, device_id) DO NOTHING
+    `);
+
+    try {
+      return this.db.transaction(() => {
+        let changes = 0;
+        deviceIds.forEach(deviceId => {
+          changes += stmt.run(groupId, deviceId).changes;
+        });
+        return { changes };
+      })();
+    } catch (error) {
+      console.error('Error adding devices to group:', error);
+      throw error;
+    }
+  }
+
+  // Take a device out of a group
+  removeDeviceFromGroup(groupId, deviceId) {
+    const stmt = this.prepare('DELETE FROM device_group_devices WHERE group_id = ? AND device_id = ?');
+
+    try {
+      return stmt.run(groupId, deviceId);
+    } catch (error) {
+      console.error('Error removing device from group:', error);
+      throw error;
+    }
+  }
+
+  // Get the IDs of the devices directly in a group
+  getDeviceGroupMembers(groupId) {
+    const stmt = this.prepare('SELECT device_id FROM device_group_devices WHERE group_id = ? ORDER BY device_id');
+
+    try {
+      return stmt.all(groupId).map(row => row.device_id);
+    } catch (error) {
+      console.error('Error getting device group members:', error);
+      throw error;
+    }
+  }
+
+  // Close database connection
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = SQLiteStorage;
\ No newline at end of file
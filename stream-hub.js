@@ -0,0 +1,388 @@
+const { WebSocketServer } = require('ws');
+const { hasFix } = require('./geo');
+const { isValidTimezone } = require('./timezone');
+require('dotenv').config();
+
+/**
+ * Pushes new positions and events to API clients over WebSocket and
+ * Server-Sent Events.
+ *
+ * A client subscribes to all devices, a list of devices, or a bounding box,
+ * and first receives a snapshot of the latest position of every device it
+ * subscribed to. Live messages arriving while the snapshot is read are held
+ * back and sent after it. Events without a location of their own are matched
+ * against the device's last known position. Callers limited to some devices
+ * (an organization's, or a device group's) only ever see those; the set is
+ * looked up when they subscribe.
+ *
+ * Messages are { type, data }: 'snapshot' (data is a list of positions),
+ * 'position', 'geofence.enter', 'geofence.exit', 'geofence.dwell',
+ * 'event.raised', 'event.acknowledged', 'event.resolved' and 'error'. Over SSE
+ * the type is the event name and data the payload.
+ */
+class StreamHub {
+  constructor(options = {}) {
+    this.db = options.db;
+    // (type, data, timezone) => payload as the API renders it
+    this.format = options.format;
+    // async (req) => whether a WebSocket upgrade request may stream; all may when not given
+    this.authorize = options.authorize || null;
+    // async (req, params) => Set of device IDs a WebSocket subscription is limited to, or null for all
+    this.restrict = options.restrict || null;
+    this.displayTimezone = options.displayTimezone || 'UTC';
+    this.snapshotLimit = options.snapshotLimit || parseInt(process.env.STREAM_SNAPSHOT_LIMIT) || 10000;
+    this.heartbeatInterval = (options.heartbeatSeconds || parseFloat(process.env.STREAM_HEARTBEAT_SECONDS) || 25) * 1000;
+    // Clients that fall this far behind are disconnected
+    this.maxBuffer = (options.maxBufferKb || parseInt(process.env.STREAM_MAX_BUFFER_KB) || 1024) * 1024;
+
+    this.clients = new Set();
+    this.positions = new Map(); // Last known position per device
+    this.source = null;
+    this.listeners = [];
+    this.wss = null;
+    this.heartbeat = null;
+    this.nextId = 1;
+  }
+
+  /**
+   * Check subscription parameters from a query string or WebSocket message
+   * @param {Object} params - { devices, north, south, east, west, tz, group }
+   * @returns {string|null} Error message, or null when valid
+   */
+  static validateSubscription(params = {}) {
+    if (params.devices !== undefined && typeof params.devices !== 'string' && !Array.isArray(params.devices)) {
+      return 'devices must be a comma-separated list or an array';
+    }
+
+    const edges = ['north', 'south', 'east', 'west'];
+    const given = edges.filter(edge => params[edge] !== undefined && params[edge] !== '');
+    if (given.length > 0) {
+      if (given.length < 4) {
+        return 'A bounding box needs north, south, east and west';
+      }
+      const [north, south, east, west] = edges.map(edge => Number(params[edge]));
+      if ([north, south].some(lat => !Number.isFinite(lat) || Math.abs(lat) > 90) ||
+        [east, west].some(lon => !Number.isFinite(lon) || Math.abs(lon) > 180)) {
+        return 'Bounding box edges must be valid latitudes and longitudes';
+      }
+      if (south > north) {
+        return 'south must not be greater than north';
+      }
+    }
+
+    if (params.tz !== undefined && !isValidTimezone(params.tz)) {
+      return `Invalid timezone: ${params.tz}`;
+    }
+    if (params.group !== undefined && params.group !== '' && !/^\d+$/.test(String(params.group))) {
+      return 'group must be a device group ID';
+    }
+
+    return null;
+  }
+
+  /**
+   * Subscription from validated parameters
+   * @param {Object} params - As accepted by validateSubscription()
+   * @param {Set|null} allowed - Devices the caller may see, or null for all
+   * @returns {Object} { devices: Set|null, allowed: Set|null, bounds: Object|null, timezone }
+   */
+  static toSubscription(params = {}, allowed = null) {
+    const list = Array.isArray(params.devices)
+      ? params.devices.map(String)
+      : (params.devices || '').split(',');
+    const devices = list.map(id => id.trim()).filter(Boolean);
+    const bounded = params.north !== undefined && params.north !== '';
+
+    return {
+      devices: devices.length > 0 ? new Set(devices) : null,
+      allowed: allowed,
+      bounds: bounded
+        ? {
+            north: Number(params.north),
+            south: Number(params.south),
+            east: Number(params.east),
+            west: Number(params.west)
+          }
+        : null,
+      timezone: params.tz || null
+    };
+  }
+
+  // Follow positions and events stored by a TCP server in this process
+  attach(tcpServer) {
+    this.detach();
+    this.source = tcpServer;
+
+    this.listen(tcpServer, 'position', row => this.publish('position', row));
+    this.listen(tcpServer.geofenceService, 'event', event => this.publish(`geofence.${event.event_type}`, event));
+    this.listen(tcpServer.rulesEngine, 'event', event => this.publish('event.raised', event));
+    this.listen(tcpServer.rulesEngine, 'resolved', event => this.publish('event.resolved', event));
+  }
+
+  listen(emitter, name, handler) {
+    emitter.on(name, handler);
+    this.listeners.push(() => emitter.off(name, handler));
+  }
+
+  detach() {
+    this.listeners.forEach(remove => remove());
+    this.listeners = [];
+    this.source = null;
+  }
+
+  // Accept WebSocket clients on an HTTP server at `path`
+  attachServer(server, path = '/stream') {
+    this.wss = new WebSocketServer({
+      server: server,
+      path: path,
+      verifyClient: this.authorize
+        ? (info, done) => this.authorize(info.req).then(
+          allowed => done(allowed, 401, 'Unauthorized'),
+          () => done(false, 500, 'Internal Server Error'))
+        : undefined
+    });
+    this.wss.on('connection', (socket, req) => this.addWebSocketClient(socket, req));
+
+    this.heartbeat = setInterval(() => this.ping(), this.heartbeatInterval);
+    this.heartbeat.unref();
+  }
+
+  addSseClient(res, subscription) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Keep reverse proxies from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(': connected\n\n');
+
+    const client = {
+      id: this.nextId++,
+      kind: 'sse',
+      send: (type, json) => res.write(`event: ${type}\ndata: ${json}\n\n`),
+      ping: () => res.write(': ping\n\n'),
+      buffered: () => res.writableLength,
+      close: () => res.end()
+    };
+    res.on('close', () => this.remove(client));
+
+    this.add(client, subscription);
+  }
+
+  addWebSocketClient(socket, req) {
+    const client = {
+      id: this.nextId++,
+      kind: 'websocket',
+      alive: true,
+      send: (type, json) => socket.send(`{"type":${JSON.stringify(type)},"data":${json}}`),
+      ping: () => {
+        if (!client.alive) {
+          socket.terminate();
+          return;
+        }
+        client.alive = false;
+        socket.ping();
+      },
+      buffered: () => socket.bufferedAmount,
+      close: (code = 1001, reason = 'Server shutting down') => socket.close(code, reason)
+    };
+    socket.on('pong', () => {
+      client.alive = true;
+    });
+    socket.on('close', () => this.remove(client));
+    socket.on('error', () => this.remove(client));
+
+    if (!this.source) {
+      client.send('error', JSON.stringify({ error: 'TCP server is not running in this process' }));
+      socket.close(1011, 'No live data');
+      return;
+    }
+
+    const params = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+    const validationError = StreamHub.validateSubscription(params);
+    if (validationError) {
+      client.send('error', JSON.stringify({ error: validationError }));
+      socket.close(1008, 'Invalid subscription');
+      return;
+    }
+
+    // Limits take a lookup, so subscriptions are chained to apply in the order they were asked for
+    let pending = Promise.resolve();
+    const subscribe = (request, first) => {
+      pending = pending
+        .then(async () => {
+          const allowed = this.restrict ? await this.restrict(req, request) : null;
+          if (socket.readyState !== socket.OPEN) {
+            return;
+          }
+          const subscription = StreamHub.toSubscription(request, allowed);
+          if (first) {
+            this.add(client, subscription);
+          } else {
+            this.subscribe(client, subscription);
+          }
+        })
+        .catch(error => {
+          console.error('❌ Failed to subscribe stream client:', error);
+          client.send('error', JSON.stringify({ error: 'Failed to subscribe' }));
+        });
+    };
+
+    // { "action": "subscribe", devices, north, south, east, west, tz, group } changes the subscription
+    socket.on('message', message => {
+      let request;
+      try {
+        request = JSON.parse(message.toString());
+      } catch (error) {
+        request = null;
+      }
+      if (!request || request.action !== 'subscribe') {
+        client.send('error', JSON.stringify({ error: 'Expected {"action": "subscribe", ...}' }));
+        return;
+      }
+
+      const error = StreamHub.validateSubscription(request);
+      if (error) {
+        client.send('error', JSON.stringify({ error: error }));
+        return;
+      }
+      subscribe(request, false);
+    });
+
+    subscribe(params, true);
+  }
+
+  add(client, subscription) {
+    this.clients.add(client);
+    this.subscribe(client, subscription);
+  }
+
+  remove(client) {
+    this.clients.delete(client);
+  }
+
+  // Switch a client to a subscription, starting with a snapshot
+  async subscribe(client, subscription) {
+    client.subscription = subscription;
+    client.timezone = subscription.timezone || this.displayTimezone;
+    // Live messages wait until the snapshot is out
+    const held = [];
+    client.held = held;
+
+    try {
+      const rows = await this.db.getLatestLocations(this.snapshotLimit);
+      rows.forEach(row => this.remember(row));
+      const snapshot = rows
+        .filter(row => this.matches(subscription, row.device_id, row))
+        .map(row => this.format('position', row, client.timezone));
+
+      if (client.held !== held || !this.clients.has(client)) {
+        return;
+      }
+      this.deliver(client, 'snapshot', JSON.stringify(snapshot));
+    } catch (error) {
+      console.error('❌ Failed to read stream snapshot:', error);
+      this.deliver(client, 'error', JSON.stringify({ error: 'Failed to read snapshot' }));
+    }
+
+    if (client.held === held) {
+      client.held = null;
+      held.forEach(([type, json]) => this.deliver(client, type, json));
+    }
+  }
+
+  /**
+   * Send a position or event to the clients subscribed to it
+   * @param {string} type - Message type
+   * @param {Object} data - Stored row or event, rendered per client timezone
+   */
+  publish(type, data) {
+    const location = hasLocation(data) ? data : this.positions.get(data.device_id);
+    if (type === 'position' && hasLocation(data) && !data.is_backfill) {
+      this.remember(data);
+    }
+
+    const rendered = new Map(); // JSON per timezone
+    this.clients.forEach(client => {
+      if (!client.subscription || !this.matches(client.subscription, data.device_id, location)) {
+        return;
+      }
+
+      if (!rendered.has(client.timezone)) {
+        rendered.set(client.timezone, JSON.stringify(this.format(type, data, client.timezone)));
+      }
+      const json = rendered.get(client.timezone);
+
+      if (client.held) {
+        client.held.push([type, json]);
+      } else {
+        this.deliver(client, type, json);
+      }
+    });
+  }
+
+  deliver(client, type, json) {
+    if (client.buffered() > this.maxBuffer) {
+      console.warn(`⚠️  Stream client ${client.id} is too far behind, disconnecting`);
+      this.remove(client);
+      client.close(1008, 'Too slow');
+      return;
+    }
+    client.send(type, json);
+  }
+
+  matches(subscription, deviceId, location) {
+    if (subscription.allowed && !subscription.allowed.has(deviceId)) {
+      return false;
+    }
+    if (subscription.devices && !subscription.devices.has(deviceId)) {
+      return false;
+    }
+    if (!subscription.bounds) {
+      return true;
+    }
+    if (!location) {
+      return false;
+    }
+
+    const { north, south, east, west } = subscription.bounds;
+    const withinLon = west <= east
+      ? location.lon >= west && location.lon <= east
+      // The box crosses the antimeridian
+      : location.lon >= west || location.lon <= east;
+    return location.lat >= south && location.lat <= north && withinLon;
+  }
+
+  remember(row) {
+    if (hasLocation(row)) {
+      this.positions.set(row.device_id, { lat: row.lat, lon: row.lon });
+    }
+  }
+
+  ping() {
+    this.clients.forEach(client => client.ping());
+  }
+
+  // Disconnect every client and stop following the TCP server
+  close() {
+    this.detach();
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+    this.clients.forEach(client => client.close());
+    this.clients.clear();
+    if (this.wss) {
+      this.wss.close();
+      this.wss = null;
+    }
+  }
+}
+
+// Positions with a fix, and events that carry coordinates
+function hasLocation(data) {
+  return typeof data.lat === 'number' && typeof data.lon === 'number' && hasFix(data);
+}
+
+module.exports = StreamHub;
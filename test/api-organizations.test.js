@@ -0,0 +1,151 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const AuthService = require('../auth-service');
+const { startApi } = require('./helpers/api');
+
+const API_KEY = 'bootstrap-key-for-tests';
+const PASSWORD = 'correct horse battery';
+const TIME = '2025-09-17T08:00:00.000Z';
+
+// Acme's devices: a truck in the fleet, a van in the depot nested in it, and an ungrouped car
+const TRUCK = '860000000000001';
+const VAN = '860000000000002';
+const CAR = '860000000000003';
+const GLOBEX_TRUCK = '860000000000009';
+
+const deviceIds = (response) => response.body.data.map(row => row.device_id).sort();
+
+describe('API organization isolation', () => {
+  let api;
+  let request;
+  let stop;
+  let acmeToken;
+  let fleet;
+  let depot;
+  // Globex's rows, out of Acme's sight
+  const globex = {};
+
+  before(async () => {
+    ({ api, request, stop } = await startApi({ API_KEY: API_KEY, JWT_SECRET: 'jwt-secret-for-tests' }));
+    const db = api.db;
+
+    const acme = (await db.saveOrganization({ name: 'Acme' })).lastInsertRowid;
+    globex.organization = (await db.saveOrganization({ name: 'Globex' })).lastInsertRowid;
+
+    for (const [deviceId, organizationId] of [[TRUCK, acme], [VAN, acme], [CAR, acme], [GLOBEX_TRUCK, globex.organization]]) {
+      await db.provisionDevice({ device_id: deviceId, organization_id: organizationId });
+      await db.insertGpsLog({ device_id: deviceId, lat: 41, lon: 29, speed: 0, heading: 0, timestamp: TIME, parsed_at: TIME });
+    }
+
+    fleet = (await db.saveDeviceGroup({ organization_id: acme, name: 'Fleet' })).lastInsertRowid;
+    depot = (await db.saveDeviceGroup({ organization_id: acme, parent_id: fleet, name: 'Depot' })).lastInsertRowid;
+    await db.addDevicesToGroup(fleet, [TRUCK]);
+    await db.addDevicesToGroup(depot, [VAN]);
+
+    // Acme's admin, who signs in for every request below
+    await db.saveUser(await AuthService.toUserRow({ username: 'acme-admin', password: PASSWORD, role: 'admin', organization_id: acme }));
+    acmeToken = (await request('POST', '/auth/login', { body: { username: 'acme-admin', password: PASSWORD } })).body.token;
+
+    // Globex's setup, created through the API by the platform key
+    const create = async (url, body) => {
+      const response = await request('POST', url, { token: API_KEY, body: { ...body, organization_id: globex.organization } });
+      assert.strictEqual(response.status, 201, `POST ${url}: ${JSON.stringify(response.body)}`);
+      return response.body.data.id;
+    };
+    globex.geofence = await create('/geofences', { name: 'Yard', type: 'circle', center: { latitude: 41, longitude: 29 }, radius_m: 500 });
+    globex.webhook = await create('/webhooks', { url: 'https://globex.example/hooks' });
+    globex.user = await create('/users', { username: 'globex-viewer', password: PASSWORD, role: 'viewer' });
+    globex.key = await create('/api-keys', { name: 'Globex dashboard' });
+    globex.group = await create('/groups', { name: 'Globex fleet' });
+    globex.rule = await create('/rules', { name: 'Globex speeding', type: 'overspeed', params: { speed_kmh: 90 } });
+
+    globex.trip = (await db.saveTrip({
+      device_id: GLOBEX_TRUCK, status: 'closed', start_time: TIME, end_time: TIME,
+      start_lat: 41, start_lon: 29, end_lat: 41, end_lon: 29, start_log_id: null, end_log_id: null,
+      distance_km: 0, duration_s: 0, idle_s: 0, max_speed: 0, avg_speed: 0, point_count: 1
+    })).lastInsertRowid;
+    globex.event = (await db.insertEvent({
+      rule_id: globex.rule, device_id: GLOBEX_TRUCK, type: 'overspeed', severity: 'warning',
+      message: 'Too fast', triggered_at: TIME
+    })).lastInsertRowid;
+  });
+
+  after(async () => {
+    await stop();
+  });
+
+  it('answers 404 for another organization\'s rows', async () => {
+    const hidden = [
+      ['GET', `/devices/${GLOBEX_TRUCK}/latest`, 'Device not found'],
+      ['GET', `/devices/${GLOBEX_TRUCK}/history`, 'Device not found'],
+      ['GET', `/devices/${GLOBEX_TRUCK}/trips`, 'Device not found'],
+      ['POST', `/devices/${GLOBEX_TRUCK}/commands`, 'Device not found'],
+      ['GET', `/trips/${globex.trip}`, 'Trip not found'],
+      ['GET', `/trips/${globex.trip}/points`, 'Trip not found'],
+      ['GET', `/events/${globex.event}`, 'Event not found'],
+      ['POST', `/events/${globex.event}/acknowledge`, 'Event not found'],
+      ['GET', `/geofences/${globex.geofence}`, 'Geofence not found'],
+      ['DELETE', `/geofences/${globex.geofence}`, 'Geofence not found'],
+      ['GET', `/rules/${globex.rule}`, 'Rule not found'],
+      ['GET', `/webhooks/${globex.webhook}`, 'Webhook not found'],
+      ['DELETE', `/webhooks/${globex.webhook}`, 'Webhook not found'],
+      ['GET', `/users/${globex.user}`, 'User not found'],
+      ['DELETE', `/users/${globex.user}`, 'User not found'],
+      ['DELETE', `/api-keys/${globex.key}`, 'API key not found'],
+      ['GET', `/groups/${globex.group}`, 'Device group not found'],
+      ['DELETE', `/groups/${globex.group}`, 'Device group not found'],
+      ['GET', `/organizations/${globex.organization}`, 'Organization not found']
+    ];
+
+    for (const [method, url, error] of hidden) {
+      const response = await request(method, url, { token: acmeToken, body: method === 'POST' ? {} : undefined });
+      assert.strictEqual(response.status, 404, `${method} ${url}`);
+      assert.strictEqual(response.body.error, error, `${method} ${url}`);
+    }
+
+    // Nothing was deleted
+    assert.ok(await api.db.getGeofence(globex.geofence));
+    assert.ok(await api.db.getWebhook(globex.webhook));
+    assert.ok(await api.db.getUser(globex.user));
+    assert.ok(await api.db.getApiKey(globex.key));
+    assert.ok(await api.db.getDeviceGroup(globex.group));
+
+    // They exist: the platform key finds them
+    assert.strictEqual((await request('GET', `/trips/${globex.trip}`, { token: API_KEY })).status, 200);
+    assert.strictEqual((await request('GET', `/events/${globex.event}`, { token: API_KEY })).status, 200);
+
+    // The same routes find Acme's own rows
+    assert.strictEqual((await request('GET', `/devices/${TRUCK}/latest`, { token: acmeToken })).status, 200);
+    assert.strictEqual((await request('GET', `/groups/${fleet}`, { token: acmeToken })).status, 200);
+  });
+
+  it('leaves another organization\'s rows out of lists', async () => {
+    for (const url of ['/events', '/geofences', '/rules', '/webhooks', '/api-keys']) {
+      const response = await request('GET', url, { token: acmeToken });
+      assert.strictEqual(response.status, 200, url);
+      assert.deepStrictEqual(response.body.data, [], url);
+    }
+
+    assert.deepStrictEqual((await request('GET', '/users', { token: acmeToken })).body.data.map(user => user.username), ['acme-admin']);
+    assert.deepStrictEqual((await request('GET', '/groups', { token: acmeToken })).body.data.map(group => group.name).sort(), ['Depot', 'Fleet']);
+    assert.deepStrictEqual(deviceIds(await request('GET', '/devices', { token: acmeToken })), [TRUCK, VAN, CAR].sort());
+    assert.deepStrictEqual(deviceIds(await request('GET', '/locations', { token: acmeToken })), [TRUCK, VAN, CAR].sort());
+
+    // The platform key sees both organizations
+    assert.strictEqual((await request('GET', '/devices', { token: API_KEY })).body.count, 4);
+  });
+
+  it('filters by a group and the groups nested in it', async () => {
+    assert.deepStrictEqual(deviceIds(await request('GET', `/devices?group=${fleet}`, { token: acmeToken })), [TRUCK, VAN].sort());
+    assert.deepStrictEqual(deviceIds(await request('GET', `/devices?group=${depot}`, { token: acmeToken })), [VAN]);
+    assert.deepStrictEqual(deviceIds(await request('GET', `/locations?group=${fleet}`, { token: acmeToken })), [TRUCK, VAN].sort());
+    assert.deepStrictEqual(deviceIds(await request('GET', `/locations?group=${depot}`, { token: acmeToken })), [VAN]);
+
+    // Another organization's group is as unknown as a missing one
+    for (const group of [globex.group, 999999]) {
+      const response = await request('GET', `/devices?group=${group}`, { token: acmeToken });
+      assert.strictEqual(response.status, 404);
+      assert.strictEqual(response.body.error, 'Device group not found');
+    }
+  });
+});
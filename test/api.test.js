@@ -0,0 +1,136 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { startApi } = require('./helpers/api');
+
+const API_KEY = 'bootstrap-key-for-tests';
+const JWT_SECRET = 'jwt-secret-for-tests';
+const PASSWORD = 'correct horse battery';
+
+describe('API authentication', () => {
+  let request;
+  let stop;
+  let viewer;
+  let viewerToken;
+  let dispatcherToken;
+  let readKey;
+
+  before(async () => {
+    ({ request, stop } = await startApi({
+      API_KEY: API_KEY,
+      JWT_SECRET: JWT_SECRET,
+      LOGIN_MAX_ATTEMPTS: '3'
+    }));
+
+    viewer = (await request('POST', '/users', {
+      token: API_KEY,
+      body: { username: 'viewer', password: PASSWORD, role: 'viewer' }
+    })).body.data;
+    await request('POST', '/users', {
+      token: API_KEY,
+      body: { username: 'dispatcher', password: PASSWORD, role: 'dispatcher' }
+    });
+
+    viewerToken = (await request('POST', '/auth/login', { body: { username: 'viewer', password: PASSWORD } })).body.token;
+    dispatcherToken = (await request('POST', '/auth/login', { body: { username: 'dispatcher', password: PASSWORD } })).body.token;
+    readKey = (await request('POST', '/api-keys', {
+      token: API_KEY,
+      body: { name: 'Dashboard', scopes: ['read'] }
+    })).body.data.key;
+  });
+
+  after(async () => {
+    await stop();
+  });
+
+  it('asks for credentials when a request has none', async () => {
+    const response = await request('GET', '/devices');
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual(response.headers.get('www-authenticate'), 'Bearer');
+    assert.strictEqual(response.body.error, 'Authentication required');
+
+    assert.strictEqual((await request('POST', '/devices/860000000000001/commands', { body: { command: 'engineStop' } })).status, 401);
+    assert.strictEqual((await request('GET', '/users')).status, 401);
+  });
+
+  it('refuses expired, tampered and unknown credentials', async () => {
+    const expired = jwt.sign(
+      { username: 'viewer', role: 'viewer', exp: Math.floor(Date.now() / 1000) - 60 },
+      JWT_SECRET,
+      { subject: String(viewer.id) }
+    );
+    // The viewer's own token, claiming to be an admin
+    const [header, payload, signature] = viewerToken.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    const tampered = [header, Buffer.from(JSON.stringify({ ...claims, role: 'admin' })).toString('base64url'), signature].join('.');
+    const forged = jwt.sign({ username: 'viewer', role: 'admin' }, 'another-secret', { subject: String(viewer.id) });
+
+    for (const token of [expired, tampered, forged, 'st9_not-a-key', 'not-the-bootstrap-key']) {
+      const response = await request('GET', '/devices', { token });
+      assert.strictEqual(response.status, 401, token);
+      assert.strictEqual(response.body.error, 'Invalid or expired credentials');
+    }
+
+    assert.strictEqual((await request('GET', '/devices', { token: viewerToken })).status, 200);
+  });
+
+  it('keeps viewers off command and admin routes', async () => {
+    const command = await request('POST', '/devices/860000000000001/commands', {
+      token: viewerToken,
+      body: { command: 'engineStop' }
+    });
+    assert.strictEqual(command.status, 403);
+    assert.strictEqual(command.body.error, 'This route needs the command scope');
+    assert.strictEqual((await request('POST', '/events/1/acknowledge', { token: viewerToken })).status, 403);
+
+    for (const [method, url] of [['GET', '/users'], ['GET', '/api-keys'], ['GET', '/webhooks'], ['POST', '/geofences']]) {
+      const response = await request(method, url, { token: viewerToken, body: method === 'POST' ? {} : undefined });
+      assert.strictEqual(response.status, 403, `${method} ${url}`);
+      assert.strictEqual(response.body.error, 'This route needs the admin scope');
+    }
+
+    // A dispatcher gets past the guard, to a missing event
+    assert.strictEqual((await request('POST', '/events/999999/acknowledge', { token: dispatcherToken })).status, 404);
+    assert.strictEqual((await request('GET', '/users', { token: dispatcherToken })).status, 403);
+  });
+
+  it('keeps read-only API keys off command routes', async () => {
+    assert.strictEqual((await request('GET', '/devices', { token: readKey })).status, 200);
+
+    const command = await request('POST', '/devices/860000000000001/commands', {
+      token: readKey,
+      body: { command: 'engineStop' }
+    });
+    assert.strictEqual(command.status, 403);
+    assert.strictEqual(command.body.error, 'This route needs the command scope');
+    assert.strictEqual((await request('POST', '/events/1/resolve', { token: readKey })).status, 403);
+    assert.strictEqual((await request('POST', '/api-keys', { token: readKey, body: { name: 'Escalated' } })).status, 403);
+  });
+
+  it('rate limits failed logins', async () => {
+    for (let i = 0; i < 3; i++) {
+      const response = await request('POST', '/auth/login', { body: { username: 'dispatcher', password: 'wrong password' } });
+      assert.strictEqual(response.status, 401);
+    }
+
+    // Refused even with the right password until the window passes
+    const limited = await request('POST', '/auth/login', { body: { username: 'dispatcher', password: PASSWORD } });
+    assert.strictEqual(limited.status, 429);
+    assert.ok(limited.body.retry_after > 0);
+    assert.strictEqual(limited.headers.get('retry-after'), String(limited.body.retry_after));
+
+    // Other users are still let in
+    assert.strictEqual((await request('POST', '/auth/login', { body: { username: 'viewer', password: PASSWORD } })).status, 200);
+  });
+
+  it('rate limits failed logins sent in parallel', async () => {
+    await request('POST', '/users', { token: API_KEY, body: { username: 'burst', password: PASSWORD, role: 'viewer' } });
+
+    const burst = await Promise.all(Array.from({ length: 10 }, () =>
+      request('POST', '/auth/login', { body: { username: 'burst', password: 'wrong password' } })));
+    const statuses = burst.map(response => response.status).sort();
+    assert.deepStrictEqual(statuses, [401, 401, 401, 429, 429, 429, 429, 429, 429, 429]);
+
+    assert.strictEqual((await request('POST', '/auth/login', { body: { username: 'burst', password: PASSWORD } })).status, 429);
+  });
+});
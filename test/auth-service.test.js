@@ -0,0 +1,146 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GPSDatabase = require('../database');
+const AuthService = require('../auth-service');
+
+describe('auth service', () => {
+  let dir;
+  let db;
+  let auth;
+  let clock;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'st900-auth-'));
+    db = new GPSDatabase({ backend: 'sqlite', path: path.join(dir, 'test.db') });
+    await db.ready();
+
+    clock = Date.parse('2025-09-20T08:00:00.000Z');
+    auth = new AuthService({
+      db,
+      jwtSecret: 'test-secret',
+      apiKey: 'bootstrap-key',
+      maxLoginAttempts: 3,
+      maxLoginAttemptsPerIp: 5,
+      loginWindowSeconds: 600,
+      now: () => clock
+    });
+
+    await db.saveUser(await AuthService.toUserRow({ username: 'Dispatch', password: 'correct horse', role: 'dispatcher' }));
+  });
+
+  after(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('hashes passwords with a salt and checks them', async () => {
+    const hash = await AuthService.hashPassword('s3cret-pass');
+    assert.match(hash, /^scrypt\$16384\$8\$1\$/);
+    assert.notStrictEqual(hash, await AuthService.hashPassword('s3cret-pass'));
+
+    assert.strictEqual(await AuthService.verifyPassword('s3cret-pass', hash), true);
+    assert.strictEqual(await AuthService.verifyPassword('s3cret-pas', hash), false);
+    assert.strictEqual(await AuthService.verifyPassword('s3cret-pass', 'plain'), false);
+  });
+
+  it('validates users and API keys', () => {
+    assert.strictEqual(AuthService.validateUser({ username: 'ops@fleet', password: '12345678', role: 'admin' }), null);
+    assert.match(AuthService.validateUser({ username: 'x', password: '12345678' }), /username/);
+    assert.match(AuthService.validateUser({ username: 'ops', password: 'short' }), /password/);
+    assert.match(AuthService.validateUser({ username: 'ops', password: '12345678', role: 'root' }), /role/);
+    // Updates only check what they change
+    assert.strictEqual(AuthService.validateUser({ role: 'viewer' }, { username: 'ops' }), null);
+
+    assert.strictEqual(AuthService.validateApiKey({ name: 'Dispatch board', scopes: ['read', 'command'] }), null);
+    assert.match(AuthService.validateApiKey({ scopes: ['read'] }), /name/);
+    assert.match(AuthService.validateApiKey({ name: 'x', scopes: ['write'] }), /scopes/);
+    assert.match(AuthService.validateApiKey({ name: 'x', expires_at: '2000-01-01T00:00:00Z' }), /future/);
+  });
+
+  it('logs users in with a token that carries their role', async () => {
+    assert.strictEqual(await auth.login('dispatch', 'wrong password', '10.0.0.1'), null);
+
+    const session = await auth.login('DISPATCH', 'correct horse', '10.0.0.1');
+    assert.ok(session.token);
+    assert.ok(Date.parse(session.expires_at) > Date.now());
+    assert.ok((await db.getUserByUsername('dispatch')).last_login_at);
+
+    const principal = await auth.authenticate(session.token);
+    assert.deepStrictEqual(principal, {
+      type: 'user', id: session.user.id, name: 'dispatch', role: 'dispatcher', scopes: ['read', 'command'], organizationId: null
+    });
+    assert.ok(AuthService.allows(principal, 'command'));
+    assert.ok(!AuthService.allows(principal, 'admin'));
+
+    // Tokens stop working once the user is disabled, and forged ones never do
+    const user = await db.getUser(session.user.id);
+    await db.saveUser({ ...user, enabled: false });
+    assert.strictEqual(await auth.authenticate(session.token), null);
+    await db.saveUser({ ...user, enabled: true });
+    const forged = new AuthService({ db, jwtSecret: 'other-secret' }).issueToken(user).token;
+    assert.strictEqual(await auth.authenticate(forged), null);
+  });
+
+  it('refuses logins for the rest of the window after too many failures', async () => {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      assert.strictEqual(await auth.login('dispatch', 'guess', '10.0.0.2'), null);
+    }
+    assert.strictEqual(auth.loginRetryAfter('10.0.0.2', 'dispatch'), 600);
+    // Counted per username, from any address
+    assert.ok(auth.loginRetryAfter('10.0.0.3', 'Dispatch') > 0);
+    assert.strictEqual(auth.loginRetryAfter('10.0.0.3', 'someone-else'), 0);
+
+    clock += 600 * 1000;
+    assert.strictEqual(auth.loginRetryAfter('10.0.0.2', 'dispatch'), 0);
+    assert.ok(await auth.login('dispatch', 'correct horse', '10.0.0.2'));
+
+    // One address trying many usernames runs out too
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await auth.login(`user${attempt}`, 'guess', '10.0.0.4');
+    }
+    assert.ok(auth.loginRetryAfter('10.0.0.4', 'dispatch') > 0);
+  });
+
+  it('authenticates scoped API keys until they expire or are revoked', async () => {
+    const { id, key } = await auth.createApiKey({ name: 'Dashboard', scopes: ['read'], expires_at: '2025-09-21T08:00:00Z' }, 'admin');
+    assert.match(key, /^st9_/);
+    const stored = await db.getApiKey(id);
+    assert.strictEqual(stored.key_prefix, key.slice(0, 10));
+    assert.ok(!JSON.stringify(stored).includes(key));
+
+    const principal = await auth.authenticate(key);
+    assert.deepStrictEqual(principal, {
+      type: 'api_key', id: id, name: 'Dashboard', role: null, scopes: ['read'], organizationId: null
+    });
+    assert.ok((await db.getApiKey(id)).last_used_at);
+    assert.strictEqual(await auth.authenticate(key.slice(0, -1)), null);
+
+    clock = Date.parse('2025-09-21T08:00:00.000Z');
+    assert.strictEqual(await auth.authenticate(key), null);
+
+    const second = await auth.createApiKey({ name: 'Integration', scopes: ['read', 'command'] });
+    assert.ok(await auth.authenticate(second.key));
+    await db.deleteApiKey(second.id);
+    assert.strictEqual(await auth.authenticate(second.key), null);
+
+    // Keys made for an organization act within it
+    const organizationId = (await db.saveOrganization({ name: 'Acme Haulage' })).lastInsertRowid;
+    const tenant = await auth.createApiKey({ name: 'Acme board', scopes: ['read'], organization_id: organizationId });
+    assert.strictEqual((await auth.authenticate(tenant.key)).organizationId, organizationId);
+    assert.match(AuthService.validateApiKey({ name: 'x', organization_id: 'acme' }), /organization_id/);
+
+    // API_KEY from the environment has every scope
+    assert.deepStrictEqual((await auth.authenticate('bootstrap-key')).scopes, AuthService.SCOPES);
+  });
+
+  it('reads credentials from headers or the query string', () => {
+    const request = (headers, url = '/locations') => ({ headers, url });
+    assert.strictEqual(AuthService.credentialsFrom(request({ authorization: 'Bearer abc.def' })), 'abc.def');
+    assert.strictEqual(AuthService.credentialsFrom(request({ 'x-api-key': 'st9_key' })), 'st9_key');
+    assert.strictEqual(AuthService.credentialsFrom(request({}, '/stream?devices=A&access_token=tok')), 'tok');
+    assert.strictEqual(AuthService.credentialsFrom(request({ authorization: 'Basic xyz' })), null);
+  });
+});
@@ -0,0 +1,106 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'st900-commands-'));
+process.env.DATABASE_PATH = path.join(dir, 'test.db');
+
+const GPSTrackerServer = require('../server');
+const CommandService = require('../command-service');
+
+const DEVICE = '3072866250';
+
+describe('command replies', () => {
+  let server;
+  let commands;
+  const sent = [];
+
+  before(async () => {
+    server = new GPSTrackerServer();
+    await server.db.ready();
+    await server.db.provisionDevice({ device_id: DEVICE });
+
+    // Stands in for the TCP server holding the device's socket
+    const tcpServer = {
+      isDeviceConnected: () => true,
+      sendToDevice: async (deviceId, frame) => { sent.push(frame); }
+    };
+    commands = new CommandService({ db: server.db, tcpServer });
+  });
+
+  after(async () => {
+    await server.webhookService.close();
+    await server.db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('parses V4 replies', () => {
+    const reply = server.parser.parse('*HQ,3072866250,V4,S20,1,211806,A,3635.1452,N,03702.2586,E,000.00,000,090925,7FFFFBFF#');
+    assert.strictEqual(reply.type, 'command_reply');
+    assert.strictEqual(reply.device_id, DEVICE);
+    assert.strictEqual(reply.command_code, 'S20');
+    assert.strictEqual(reply.response, '1,211806,A,3635.1452,N,03702.2586,E,000.00,000,090925,7FFFFBFF');
+
+    assert.strictEqual(server.parser.parseHQReply('*HQ,3072866250,V1,211806#'), null);
+    assert.strictEqual(server.parser.parseHQReply('*HQ,3072866250,V4#'), null);
+  });
+
+  it('completes the command a reply acknowledges', async () => {
+    const interval = await commands.sendCommand(DEVICE, 'setInterval', { seconds: 30 });
+    const stop = await commands.sendCommand(DEVICE, 'engineStop');
+    assert.strictEqual(stop.channel, 'tcp');
+    assert.match(sent[1], /^\*HQ,3072866250,S20,\d{6},1,1#$/);
+
+    const frame = `*HQ,${DEVICE},V4,S20,1,211806,A,3635.1452,N,03702.2586,E,000.00,000,090925,7FFFFBFF#`;
+    const written = [];
+    await server.handleCommandReply({ write: data => written.push(data) }, 'test', server.parser.parse(frame));
+    assert.deepStrictEqual(written, ['OK\n']);
+
+    // The engine stop is completed even though the interval command is older
+    const history = await server.db.getCommandHistory(DEVICE);
+    const byId = new Map(history.map(command => [command.id, command]));
+    assert.strictEqual(byId.get(stop.commandId).status, 'completed');
+    assert.strictEqual(byId.get(stop.commandId).response_data, frame);
+    assert.ok(byId.get(stop.commandId).response_received_at);
+    assert.strictEqual(byId.get(interval.commandId).status, 'sent');
+  });
+
+  it('leaves commands alone when a reply acknowledges none of them', async () => {
+    const sms = await server.db.insertCommand({
+      device_id: DEVICE,
+      command_type: 'getLocation',
+      command_text: 'WHERE#',
+      channel: 'sms',
+      status: 'sent'
+    });
+
+    const frame = `*HQ,${DEVICE},V4,SCF,0,0,211806,A,3635.1452,N,03702.2586,E,000.00,000,090925,7FFFFBFF#`;
+    const written = [];
+    await server.handleCommandReply({ write: data => written.push(data) }, 'test', server.parser.parse(frame));
+    assert.deepStrictEqual(written, ['OK\n']);
+
+    const history = await server.db.getCommandHistory(DEVICE);
+    assert.strictEqual(history.find(command => command.id === sms.lastInsertRowid).status, 'sent');
+    assert.strictEqual(history.filter(command => command.status === 'completed').length, 1);
+  });
+
+  it('keeps a reply that arrives before the write returns', async () => {
+    const frame = `*HQ,${DEVICE},V4,S20,1,211806,A,3635.1452,N,03702.2586,E,000.00,000,090925,7FFFFBFF#`;
+    // A device that answers while the command is still being written
+    const eager = new CommandService({
+      db: server.db,
+      tcpServer: {
+        isDeviceConnected: () => true,
+        sendToDevice: async () => {
+          await server.handleCommandReply({ write: () => {} }, 'test', server.parser.parse(frame));
+        }
+      }
+    });
+
+    const stop = await eager.sendCommand(DEVICE, 'engineStop');
+    const history = await server.db.getCommandHistory(DEVICE);
+    assert.strictEqual(history.find(command => command.id === stop.commandId).status, 'completed');
+  });
+});
@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const DecoderRegistry = require('../decoder-registry');
+const ST900Parser = require('../parser');
+
+const V1 = '*HQ,3072866250,V1,211806,A,3635.1452,N,03702.2586,E,000.00,000,090925,7FFFFBFF,417,02,202,23002#';
+const BINARY = Buffer.from('24410600082621532131081504419390060740418306000000fffffbfdff0015', 'hex');
+
+// Two toy protocols: "A:<id>" frames, and anything containing a colon
+function registry() {
+  const decoders = new DecoderRegistry();
+  decoders.register('strict', {
+    sniff: (data) => data.startsWith('A:'),
+    decode: (data) => (/^A:\d+$/.test(data) ? { device_id: data.slice(2) } : null)
+  });
+  decoders.register('loose', {
+    sniff: (data) => data.includes(':'),
+    decode: (data) => {
+      if (data === 'boom:') {
+        throw new Error('boom');
+      }
+      return { device_id: data.split(':')[1] };
+    }
+  });
+  return decoders;
+}
+
+describe('decoder registry', () => {
+  it('validates registrations', () => {
+    const decoders = registry();
+    assert.throws(() => decoders.register('strict', { sniff: () => true, decode: () => null }), /already registered/);
+    assert.throws(() => decoders.register('', { sniff: () => true, decode: () => null }), /requires a name/);
+    assert.throws(() => decoders.register('other', { sniff: () => true }), /decode function/);
+    assert.throws(() => decoders.decode('A:1', 'missing'), /Unknown decoder: missing/);
+  });
+
+  it('sniffs decoders in registration order', () => {
+    const decoders = registry();
+    assert.strictEqual(decoders.detect('A:12').name, 'strict');
+    assert.strictEqual(decoders.detect('B:12').name, 'loose');
+    assert.strictEqual(decoders.detect('nothing'), null);
+
+    assert.deepStrictEqual(decoders.decode('A:12'), { format: 'strict', packet: { device_id: '12' } });
+    assert.deepStrictEqual(decoders.decode('B:12'), { format: 'loose', packet: { device_id: '12' } });
+    assert.strictEqual(decoders.decode('nothing'), null);
+  });
+
+  it('does not fall back to a later decoder once one has sniffed the frame', () => {
+    const decoders = registry();
+    // 'strict' claims it and fails; 'loose' would have accepted it
+    assert.strictEqual(decoders.decode('A:x'), null);
+    assert.deepStrictEqual(decoders.getStats().strict, { matched: 1, decoded: 0, failed: 1, rejected: 0 });
+    assert.strictEqual(decoders.getStats().loose.matched, 0);
+  });
+
+  it('holds a connection to its detected protocol', () => {
+    const decoders = registry();
+    assert.deepStrictEqual(decoders.decode('A:7', 'loose'), { format: 'loose', packet: { device_id: '7' } });
+    // Frames the fixed protocol does not sniff are rejected, not handed to another decoder
+    assert.strictEqual(decoders.decode('A7', 'strict'), null);
+    assert.strictEqual(decoders.decode('B:7', 'strict'), null);
+    assert.strictEqual(decoders.getStats().strict.rejected, 2);
+  });
+
+  it('counts decoders that throw as failures, and sniff errors as no match', () => {
+    const decoders = registry();
+    assert.strictEqual(decoders.decode('boom:'), null);
+    assert.deepStrictEqual(decoders.getStats().loose, { matched: 1, decoded: 0, failed: 1, rejected: 0 });
+
+    decoders.register('fragile', {
+      sniff: () => { throw new Error('bad sniff'); },
+      decode: () => ({})
+    });
+    assert.strictEqual(decoders.detect('no colon'), null);
+  });
+
+  it('returns copies of its counters', () => {
+    const decoders = registry();
+    decoders.decode('A:1');
+    decoders.decode('A:2');
+    decoders.decode('B:3');
+
+    const stats = decoders.getStats();
+    assert.deepStrictEqual(stats, {
+      strict: { matched: 2, decoded: 2, failed: 0, rejected: 0 },
+      loose: { matched: 1, decoded: 1, failed: 0, rejected: 0 }
+    });
+    stats.strict.decoded = 99;
+    assert.strictEqual(decoders.getStats().strict.decoded, 2);
+  });
+
+  it('routes the parser\'s built-in protocols to their decoders', () => {
+    const parser = new ST900Parser();
+    assert.strictEqual(parser.parse(V1).format, 'h02');
+    assert.strictEqual(parser.parse(BINARY).format, 'h02');
+    assert.strictEqual(parser.parse('ST900,ID:8160528336,Lat:35.1234,Lon:36.5678,Speed:40,Time:20250909').format, 'st900');
+    assert.strictEqual(parser.parse('8160528336,35.1234,36.5678,40,0,20250909120000').format, 'comma-delimited');
+    assert.strictEqual(parser.parse('hello'), null);
+
+    // A device fixed to H02 does not have a comma-delimited frame decoded
+    assert.strictEqual(parser.parse('8160528336,35.1234,36.5678,40,0,20250909120000', { format: 'h02' }), null);
+
+    const stats = parser.getDecoderStats();
+    assert.deepStrictEqual(stats.h02, { matched: 2, decoded: 2, failed: 0, rejected: 1 });
+    assert.strictEqual(stats['comma-delimited'].decoded, 1);
+    assert.strictEqual(stats['key-value'].matched, 0);
+  });
+});
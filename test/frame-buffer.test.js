@@ -0,0 +1,125 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const FrameBuffer = require('../frame-buffer');
+
+const V1 = '*HQ,3072866250,V1,211806,A,3635.1452,N,03702.2586,E,000.00,000,090925,7FFFFBFF,417,02,202,23002#';
+const HEARTBEAT = '*HQ,3072866250,XT,211806,0#';
+// Short (32 byte) binary H02 position packet
+const BINARY = Buffer.from('24410600082621532131081504419390060740418306000000fffffbfdff0015', 'hex');
+// Long (45 byte) binary packet, with the serving cell after the position; its last byte is 0x0a
+const BINARY_LONG = Buffer.from('2441091144271222470112142233983006114026520e000000fffffbffff0014060000000001cc00262b0f170a', 'hex');
+// The short packet's device sending the long layout, its cell data opening with a given byte
+const longPacket = (firstCellByte) => Buffer.concat([BINARY, Buffer.from([firstCellByte]), BINARY_LONG.subarray(33)]);
+
+const text = (frames) => frames.map(frame => frame.toString());
+
+describe('frame buffer', () => {
+  it('reassembles a frame split across chunks', () => {
+    const buffer = new FrameBuffer();
+    assert.deepStrictEqual(buffer.push(V1.slice(0, 20)), []);
+    assert.deepStrictEqual(buffer.push(V1.slice(20, 60)), []);
+    assert.strictEqual(buffer.pendingBytes, 60);
+    assert.deepStrictEqual(text(buffer.push(V1.slice(60))), [V1]);
+    assert.strictEqual(buffer.pendingBytes, 0);
+  });
+
+  it('splits several frames in one chunk, keeping a trailing partial one', () => {
+    const buffer = new FrameBuffer();
+    assert.deepStrictEqual(text(buffer.push(V1 + HEARTBEAT + V1.slice(0, 10))), [V1, HEARTBEAT]);
+    assert.deepStrictEqual(text(buffer.push(V1.slice(10))), [V1]);
+  });
+
+  it('trims CRLF line endings from newline terminated frames', () => {
+    const buffer = new FrameBuffer();
+    const frames = buffer.push('ST900,ID:8160528336,Lat:35.1,Lon:36.5,Speed:40,Time:20250909\r\n' +
+      '8160528336,35.1234,36.5678,40,0,20250909120000\r\n\r\n' + V1 + '\r\n');
+    assert.deepStrictEqual(text(frames), [
+      'ST900,ID:8160528336,Lat:35.1,Lon:36.5,Speed:40,Time:20250909',
+      '8160528336,35.1234,36.5678,40,0,20250909120000',
+      V1
+    ]);
+    assert.strictEqual(buffer.pendingBytes, 0);
+  });
+
+  it('drops garbage without a terminator and oversized frames', () => {
+    const buffer = new FrameBuffer({ maxFrameSize: 64 });
+    assert.deepStrictEqual(buffer.push('x'.repeat(65)), []);
+    assert.strictEqual(buffer.pendingBytes, 0);
+    assert.strictEqual(buffer.droppedBytes, 65);
+
+    // An oversized frame is dropped, the frames around it are kept
+    assert.deepStrictEqual(text(buffer.push(HEARTBEAT + `*HQ,${'9'.repeat(70)}#` + HEARTBEAT)), [HEARTBEAT, HEARTBEAT]);
+    assert.strictEqual(buffer.droppedBytes, 65 + 75);
+  });
+
+  it('separates text and binary frames in one stream', () => {
+    const buffer = new FrameBuffer();
+    const stream = Buffer.concat([Buffer.from(V1), BINARY, Buffer.from(HEARTBEAT + '\n'), BINARY]);
+
+    // Byte by byte, as a slow link might deliver it
+    const frames = [];
+    for (let i = 0; i < stream.length; i++) {
+      frames.push(...buffer.push(stream.subarray(i, i + 1)));
+    }
+
+    assert.strictEqual(frames.length, 4);
+    assert.strictEqual(frames[0].toString(), V1);
+    assert.ok(frames[1].equals(BINARY));
+    assert.strictEqual(frames[2].toString(), HEARTBEAT);
+    assert.ok(frames[3].equals(BINARY));
+  });
+
+  it('keeps a 45 byte binary packet whole, ending in a newline byte', () => {
+    const buffer = new FrameBuffer();
+    assert.strictEqual(BINARY_LONG.length, 45);
+
+    // Alone, and split past the point where a short packet would end
+    assert.deepStrictEqual(buffer.push(BINARY_LONG.subarray(0, 40)), []);
+    const [whole] = buffer.push(BINARY_LONG.subarray(40));
+    assert.ok(whole.equals(BINARY_LONG));
+    assert.strictEqual(buffer.pendingBytes, 0);
+
+    // Between short packets and text frames
+    const long = longPacket(0x06);
+    const frames = buffer.push(Buffer.concat([BINARY, long, long, Buffer.from(HEARTBEAT), BINARY, Buffer.from(HEARTBEAT)]));
+    assert.strictEqual(frames.length, 6);
+    assert.ok(frames[0].equals(BINARY));
+    assert.ok(frames[1].equals(long));
+    assert.ok(frames[2].equals(long));
+    assert.strictEqual(frames[3].toString(), HEARTBEAT);
+    assert.ok(frames[4].equals(BINARY));
+    assert.strictEqual(frames[5].toString(), HEARTBEAT);
+    assert.strictEqual(buffer.droppedBytes, 0);
+  });
+
+  it('waits to tell a long binary packet split after 32 bytes from a short one', () => {
+    const buffer = new FrameBuffer();
+    assert.deepStrictEqual(buffer.push(BINARY_LONG.subarray(0, 32)), []);
+    const [whole] = buffer.push(BINARY_LONG.subarray(32));
+    assert.ok(whole.equals(BINARY_LONG));
+
+    // After a long packet, a short one waits for the frame that follows it
+    assert.deepStrictEqual(buffer.push(BINARY), []);
+    const frames = buffer.push(HEARTBEAT);
+    assert.ok(frames[0].equals(BINARY));
+    assert.strictEqual(frames[1].toString(), HEARTBEAT);
+
+    // and once the device has sent a short packet, the next is cut at 32 bytes
+    const [next] = buffer.push(BINARY);
+    assert.ok(next.equals(BINARY));
+    assert.strictEqual(buffer.pendingBytes, 0);
+  });
+
+  it('keeps long binary packets whole whatever byte their cell data opens with', () => {
+    // NUL, space, '$' and '*' once passed for a separator or the next frame
+    for (const byte of [0x00, 0x20, 0x24, 0x2a, 0x0a]) {
+      const buffer = new FrameBuffer();
+      const long = longPacket(byte);
+      const frames = buffer.push(Buffer.concat([long, long]));
+      assert.strictEqual(frames.length, 2, `0x${byte.toString(16)}`);
+      assert.ok(frames[0].equals(long));
+      assert.ok(frames[1].equals(long));
+      assert.strictEqual(buffer.pendingBytes, 0);
+    }
+  });
+});
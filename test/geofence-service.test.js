@@ -0,0 +1,153 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GPSDatabase = require('../database');
+const GeofenceService = require('../geofence-service');
+const { START, store } = require('./helpers/fixtures');
+
+// A fix every minute at the given positions ([lat, lon])
+function route(deviceId, positions) {
+  return positions.map(([lat, lon], minute) => {
+    const time = new Date(START + minute * 60 * 1000).toISOString();
+    return { device_id: deviceId, lat, lon, speed: 20, heading: 0, timestamp: time, parsed_at: time };
+  });
+}
+
+// Events as "<type> <fence>"
+const describeEvents = (events) => events.map(event => `${event.event_type} ${event.geofence_name}`);
+
+async function createFence(db, input) {
+  const result = await db.saveGeofence(GeofenceService.toRow(input));
+  return result.lastInsertRowid;
+}
+
+const DEPOT = {
+  name: 'Depot',
+  type: 'circle',
+  center: { latitude: 41, longitude: 29 },
+  radius_m: 500,
+  dwell_minutes: 3
+};
+
+// Roughly 1.1 km square north of the depot
+const SITE = {
+  name: 'Site',
+  type: 'polygon',
+  points: [
+    { latitude: 41.02, longitude: 28.995 },
+    { latitude: 41.02, longitude: 29.005 },
+    { latitude: 41.03, longitude: 29.005 },
+    { latitude: 41.03, longitude: 28.995 }
+  ]
+};
+
+describe('geofences', () => {
+  let dir;
+  let db;
+  let depot;
+  let site;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'st900-geofences-'));
+    db = new GPSDatabase({ backend: 'sqlite', path: path.join(dir, 'test.db') });
+    await db.ready();
+
+    depot = await createFence(db, DEPOT);
+    site = await createFence(db, SITE);
+    for (const deviceId of ['FENCE01', 'FENCE02', 'FENCE03']) {
+      await db.provisionDevice({ device_id: deviceId });
+    }
+    await db.assignGeofence(depot, 'FENCE01');
+    await db.assignGeofence(site, 'FENCE01');
+    await db.assignGeofence(depot, 'FENCE03');
+  });
+
+  after(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('rejects malformed fences', () => {
+    assert.strictEqual(GeofenceService.validateFence(DEPOT), null);
+    assert.strictEqual(GeofenceService.validateFence(SITE), null);
+    assert.match(GeofenceService.validateFence({ ...DEPOT, name: ' ' }), /name/);
+    assert.match(GeofenceService.validateFence({ ...DEPOT, type: 'square' }), /type/);
+    assert.match(GeofenceService.validateFence({ ...DEPOT, radius_m: 0 }), /radius_m/);
+    assert.match(GeofenceService.validateFence({ ...DEPOT, center: { latitude: 91, longitude: 0 } }), /center/);
+    assert.match(GeofenceService.validateFence({ ...SITE, points: SITE.points.slice(0, 2) }), /points/);
+    assert.match(GeofenceService.validateFence({ ...DEPOT, dwell_minutes: 1.5 }), /dwell_minutes/);
+
+    const row = GeofenceService.toRow(DEPOT);
+    assert.ok(row.min_lat < 41 && row.max_lat > 41 && row.min_lon < 29 && row.max_lon > 29);
+  });
+
+  it('raises enter, dwell and exit events for assigned fences', async () => {
+    const geofences = new GeofenceService({ db });
+    const fixes = route('FENCE01', [
+      [40.98, 29], // South of the depot
+      [41, 29.001], // Depot
+      [41.001, 29],
+      [41, 29],
+      [41, 29.002], // Three minutes in
+      [41.025, 29], // Site
+      [41.025, 29.001],
+      [41.05, 29] // Past the site
+    ]);
+
+    const events = describeEvents(await store(db, geofences, fixes));
+    await geofences.close();
+
+    assert.deepStrictEqual(events, [
+      'enter Depot', 'dwell Depot', 'exit Depot', 'enter Site', 'exit Site'
+    ]);
+
+    const stored = await db.getGeofenceEvents({ deviceId: 'FENCE01' });
+    assert.strictEqual(stored.length, 5);
+    const exit = stored.find(event => event.event_type === 'exit' && Number(event.geofence_id) === depot);
+    assert.strictEqual(exit.duration_s, 240);
+    assert.strictEqual((await db.getGeofenceEvents({ geofenceId: site, type: 'enter' })).length, 1);
+    assert.deepStrictEqual(await db.getGeofenceStates('FENCE01'), []);
+  });
+
+  it('ignores fences not assigned to the device', async () => {
+    const geofences = new GeofenceService({ db });
+    const events = describeEvents(await store(db, geofences, route('FENCE02', [[40.98, 29], [41, 29], [40.98, 29]])));
+    await geofences.close();
+
+    assert.deepStrictEqual(events, []);
+  });
+
+  it('remembers which fences a device is in across restarts', async () => {
+    const fixes = route('FENCE03', [[40.98, 29], [41, 29], [41, 29.001], [40.98, 29]]);
+
+    const first = new GeofenceService({ db });
+    assert.deepStrictEqual(describeEvents(await store(db, first, fixes.slice(0, 2))), ['enter Depot']);
+    await first.close();
+
+    const second = new GeofenceService({ db });
+    assert.deepStrictEqual(describeEvents(await store(db, second, fixes.slice(2))), ['exit Depot']);
+    await second.close();
+  });
+
+  it('tests a fix against nearby fences only', () => {
+    const geofences = new GeofenceService({ db });
+    const fences = [];
+    // 500 depots 2 km apart, plus one covering the whole region
+    for (let i = 0; i < 500; i++) {
+      const row = GeofenceService.toRow({
+        ...DEPOT,
+        center: { latitude: 40 + Math.floor(i / 25) * 0.02, longitude: 28 + (i % 25) * 0.02 }
+      });
+      fences.push({ ...row, id: i + 1 });
+    }
+    fences.push({ ...GeofenceService.toRow({ ...DEPOT, radius_m: 300000 }), id: 501 });
+
+    const index = geofences.buildIndex(fences, []);
+    const candidates = geofences.candidates(index, { lat: 40.1, lon: 28.1 });
+
+    assert.ok(candidates.length < 40, `${candidates.length} candidates`);
+    assert.ok(candidates.includes(501));
+  });
+});
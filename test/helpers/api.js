@@ -0,0 +1,61 @@
+/**
+ * Runs the HTTP API on a temporary SQLite database for route tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Start the API on a free local port
+ * @param {Object} env - Environment to set before the API reads it
+ * @returns {Promise<Object>} { api, request(method, url, { token, body }), stop() }
+ */
+async function startApi(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'st900-api-'));
+  Object.assign(process.env, {
+    DATABASE_BACKEND: 'sqlite',
+    DATABASE_PATH: path.join(dir, 'test.db'),
+    AUTH_ENABLED: 'true',
+    ...env
+  });
+
+  const GPSTrackerAPI = require('../../api');
+  const api = new GPSTrackerAPI();
+  await api.db.ready();
+
+  const server = await new Promise(resolve => {
+    const listening = api.app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // JSON request, with a bearer token or API key when given
+  const request = async (method, url, { token, body } = {}) => {
+    const headers = {};
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    const response = await fetch(base + url, {
+      method: method,
+      headers: headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+  };
+
+  const stop = async () => {
+    await new Promise(resolve => server.close(resolve));
+    await api.webhookService.close();
+    await api.db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  return { api, request, stop };
+}
+
+module.exports = { startApi };
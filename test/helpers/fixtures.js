@@ -0,0 +1,46 @@
+/**
+ * Shared fixtures for the tests that store fixes and feed them to services
+ */
+
+const START = Date.parse('2025-09-10T06:00:00.000Z');
+// Degrees of longitude per 300 m at latitude 41
+const STEP_LON = 300 / (111320 * Math.cos(41 * Math.PI / 180));
+
+/**
+ * A stored-fix row for a device, in Istanbul unless overridden
+ * @param {string} id - Device ID
+ * @param {string} timestamp - Fix time, also used as the receive time
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} Fix as passed to insertGpsLog()
+ */
+function fix(id, timestamp, overrides = {}) {
+  return {
+    device_id: id,
+    lat: 41.0082,
+    lon: 28.9784,
+    speed: 10,
+    heading: 90,
+    timestamp: timestamp,
+    parsed_at: timestamp,
+    raw_data: `*HQ,${id},V1#`,
+    ...overrides
+  };
+}
+
+/**
+ * Store fixes and hand each to a service, as the TCP server does
+ * @param {GPSDatabase} db - Database the fixes are written to
+ * @param {Object} service - Anything with addPoint(row)
+ * @param {Object[]} fixes - Parsed fixes, in order
+ * @returns {Promise<Object[]>} Events the service raised, if it raises any
+ */
+async function store(db, service, fixes) {
+  const events = [];
+  for (const row of fixes) {
+    const result = await db.insertGpsLog(row);
+    events.push(...(await service.addPoint({ ...row, id: result.lastInsertRowid }) || []));
+  }
+  return events;
+}
+
+module.exports = { START, STEP_LON, fix, store };
@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const IngestQueue = require('../ingest-queue');
+
+// Stand-in store whose commits complete when the test says so
+function controlledStore() {
+  const store = {
+    batches: [],
+    commits: [],
+    insertGpsLogs(batch) {
+      store.batches.push(batch);
+      return new Promise((resolve, reject) => {
+        store.commits.push({
+          succeed: () => resolve(batch.map((data, index) => ({ lastInsertRowid: index + 1, data }))),
+          fail: (error) => reject(error)
+        });
+      });
+    }
+  };
+  return store;
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('ingest queue', () => {
+  it('writes full batches immediately and the remainder after the flush interval', async () => {
+    const store = controlledStore();
+    const queue = new IngestQueue(store, { batchSize: 3, flushInterval: 20 });
+
+    const saved = [1, 2, 3, 4].map(n => queue.enqueue({ n }));
+    await tick();
+    assert.deepStrictEqual(store.batches.map(batch => batch.length), [3]);
+
+    store.commits[0].succeed();
+    await new Promise(resolve => setTimeout(resolve, 40));
+    assert.deepStrictEqual(store.batches.map(batch => batch.length), [3, 1]);
+
+    store.commits[1].succeed();
+    const results = await Promise.all(saved);
+    assert.deepStrictEqual(results.map(result => result.data.n), [1, 2, 3, 4]);
+  });
+
+  it('resolves a fix only after its batch commits', async () => {
+    const store = controlledStore();
+    const queue = new IngestQueue(store, { batchSize: 1 });
+
+    let settled = false;
+    const saved = queue.enqueue({ n: 1 }).then(() => { settled = true; });
+    await tick();
+    assert.strictEqual(settled, false);
+
+    store.commits[0].succeed();
+    await saved;
+    assert.strictEqual(settled, true);
+  });
+
+  it('rejects every fix of a batch that fails to commit', async () => {
+    const store = controlledStore();
+    const queue = new IngestQueue(store, { batchSize: 2 });
+
+    const saved = [queue.enqueue({ n: 1 }), queue.enqueue({ n: 2 })];
+    await tick();
+    store.commits[0].fail(new Error('disk full'));
+
+    for (const promise of saved) {
+      await assert.rejects(promise, /disk full/);
+    }
+    assert.strictEqual(queue.getStats().failed, 2);
+  });
+
+  it('rejects only the entries the store reports as failed', async () => {
+    const store = {
+      insertGpsLogs: async (batch) => batch.map(data => data.bad ? { error: new Error('bad fix') } : { lastInsertRowid: 1 })
+    };
+    const queue = new IngestQueue(store, { batchSize: 2 });
+
+    const good = queue.enqueue({ bad: false });
+    const bad = queue.enqueue({ bad: true });
+
+    assert.strictEqual((await good).lastInsertRowid, 1);
+    await assert.rejects(bad, /bad fix/);
+  });
+
+  it('signals full and drain around maxPending', async () => {
+    const store = controlledStore();
+    const queue = new IngestQueue(store, { batchSize: 2, maxPending: 4 });
+    const events = [];
+    queue.on('full', () => events.push('full'));
+    queue.on('drain', () => events.push('drain'));
+
+    const saved = [1, 2, 3, 4, 5, 6].map(n => queue.enqueue({ n }));
+    assert.deepStrictEqual(events, ['full']);
+    assert.strictEqual(queue.isFull, true);
+
+    // Two batches must commit before the queue is down to half of maxPending
+    await tick();
+    store.commits[0].succeed();
+    await tick();
+    assert.deepStrictEqual(events, ['full']);
+    store.commits[1].succeed();
+    await tick();
+    assert.deepStrictEqual(events, ['full', 'drain']);
+
+    store.commits[2].succeed();
+    await Promise.all(saved);
+    assert.strictEqual(queue.isFull, false);
+  });
+});
@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const GPSDatabase = require('../database');
+const { loadMigrations } = require('../migrations');
+
+function tempPath(name) {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'st900-')), name);
+}
+
+describe('schema migrations', () => {
+  it('brings a new database to the latest version on open', async () => {
+    const db = new GPSDatabase({ backend: 'sqlite', path: tempPath('new.db') });
+    const status = await db.getMigrationStatus();
+
+    assert.strictEqual(status.current, status.latest);
+    assert.strictEqual(status.pending.length, 0);
+    await db.close();
+  });
+
+  it('reports pending migrations without applying them on a dry run', async () => {
+    const file = tempPath('dry.db');
+    const db = new GPSDatabase({ backend: 'sqlite', path: file, migrate: false });
+
+    const result = await db.migrate({ dryRun: true });
+    assert.strictEqual(result.from, 0);
+    assert.strictEqual(result.to, 0);
+    assert.ok(result.migrations.length > 0);
+    assert.strictEqual((await db.getMigrationStatus()).current, 0);
+
+    const applied = await db.migrate();
+    assert.strictEqual(applied.to, (await db.getMigrationStatus()).latest);
+    assert.strictEqual((await db.migrate()).migrations.length, 0);
+    await db.close();
+  });
+
+  it('adopts a database created before migrations existed', async () => {
+    const file = tempPath('legacy.db');
+    const legacy = new Database(file);
+    legacy.exec(`
+      CREATE TABLE gps_logs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        device_id TEXT NOT NULL,
+        lat REAL NOT NULL,
+        lon REAL NOT NULL,
+        speed REAL DEFAULT 0,
+        altitude REAL DEFAULT 0,
+        heading REAL DEFAULT 0,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        raw_data TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE TABLE devices (
+        device_id TEXT PRIMARY KEY,
+        name TEXT,
+        last_seen DATETIME,
+        is_active BOOLEAN DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      INSERT INTO devices (device_id) VALUES ('8160528336');
+      INSERT INTO gps_logs (device_id, lat, lon, timestamp) VALUES ('8160528336', 35.1, 36.5, '2025-09-09 10:00:00');
+    `);
+    legacy.close();
+
+    const db = new GPSDatabase({ backend: 'sqlite', path: file });
+    const columns = db.db.prepare('PRAGMA table_info(gps_logs)').all().map(column => column.name);
+    const [latest] = await db.getLatestLocations();
+
+    assert.ok(columns.includes('is_backfill'));
+    assert.strictEqual(latest.device_id, '8160528336');
+    assert.strictEqual(latest.lat, 35.1);
+    await db.close();
+  });
+
+  it('loads migration files in version order', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'st900-migrations-'));
+    fs.writeFileSync(path.join(directory, '010-later.js'), "module.exports = { description: 'later' };");
+    fs.writeFileSync(path.join(directory, '002-earlier.js'), "module.exports = { description: 'earlier' };");
+    fs.writeFileSync(path.join(directory, 'README.md'), 'not a migration');
+
+    const migrations = loadMigrations(directory);
+    assert.deepStrictEqual(migrations.map(m => [m.version, m.name]), [[2, 'earlier'], [10, 'later']]);
+
+    fs.writeFileSync(path.join(directory, '10-again.js'), "module.exports = { description: 'again' };");
+    assert.throws(() => loadMigrations(directory), /Duplicate migration version 10/);
+  });
+});
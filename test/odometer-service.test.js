@@ -0,0 +1,187 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GPSDatabase = require('../database');
+const OdometerService = require('../odometer-service');
+const { KM_PER_MILE } = require('../geo');
+const { START, STEP_LON, store } = require('./helpers/fixtures');
+
+// A fix every 30 s, heading east 300 m at a time (36 km/h)
+function drive(deviceId, count, start = START) {
+  const fixes = [];
+  for (let i = 0; i < count; i++) {
+    const time = new Date(start + i * 30 * 1000).toISOString();
+    fixes.push({
+      device_id: deviceId,
+      lat: 41,
+      lon: 29 + i * STEP_LON,
+      speed: 36,
+      heading: 90,
+      timestamp: time,
+      parsed_at: time
+    });
+  }
+  return fixes;
+}
+
+const near = (actual, expected, message) =>
+  assert.ok(Math.abs(actual - expected) < 0.01, `${message || 'distance'} ${actual}, expected ${expected}`);
+
+describe('odometer', () => {
+  let dir;
+  let db;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'st900-odometer-'));
+    db = new GPSDatabase({ backend: 'sqlite', path: path.join(dir, 'test.db') });
+    await db.ready();
+  });
+
+  after(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('counts the distance driven, skipping no-fix packets, jitter and jumps', async () => {
+    const odometer = new OdometerService({ db });
+    const fixes = drive('ODO01', 11);
+    const last = fixes[fixes.length - 1];
+    const later = (seconds) => new Date(Date.parse(last.timestamp) + seconds * 1000).toISOString();
+
+    fixes.push(
+      // Parked: the position wanders by a few metres
+      { ...last, lat: 41.0001, speed: 0, timestamp: later(30), parsed_at: later(30) },
+      { ...last, lon: last.lon + 0.0001, speed: 0, timestamp: later(60), parsed_at: later(60) },
+      // No fix
+      { ...last, lat: 0, lon: 0, gps_valid: false, timestamp: later(90), parsed_at: later(90) },
+      // 50 km in 30 s
+      { ...last, lat: 41.45, timestamp: later(120), parsed_at: later(120) }
+    );
+    await store(db, odometer, fixes);
+    await odometer.close();
+
+    const device = await db.getDevice('ODO01');
+    near(device.odometer_km, 3);
+    assert.strictEqual(device.odometer_started_at, fixes[0].timestamp);
+    assert.strictEqual(device.odometer_time, last.timestamp);
+  });
+
+  it('resumes from the last counted fix after a restart', async () => {
+    const fixes = drive('ODO02', 21);
+
+    const first = new OdometerService({ db });
+    await store(db, first, fixes.slice(0, 8));
+    await first.close();
+
+    // Stored while the counting process was down
+    for (const fix of fixes.slice(8, 15)) {
+      await db.insertGpsLog(fix);
+    }
+
+    const second = new OdometerService({ db });
+    await store(db, second, fixes.slice(15));
+    await second.close();
+
+    near((await db.getDevice('ODO02')).odometer_km, 6);
+  });
+
+  it('catches up past more stored fixes at one time than fit on a page', { timeout: 10000 }, async () => {
+    const fixes = drive('ODO06', 11);
+
+    const first = new OdometerService({ db });
+    await store(db, first, fixes.slice(0, 4));
+    await first.close();
+
+    // A buffered upload stamped with a single time, then the drive goes on
+    for (let i = 0; i < 12; i++) {
+      await db.insertGpsLog({ ...fixes[4], lat: 41 + i * 0.000001 });
+    }
+    for (const fix of fixes.slice(5, 10)) {
+      await db.insertGpsLog(fix);
+    }
+
+    const second = new OdometerService({ db, replayPageSize: 5 });
+    await store(db, second, fixes.slice(10));
+    await second.close();
+
+    near((await db.getDevice('ODO06')).odometer_km, 3);
+  });
+
+  it('adds the detour of a fix uploaded late', async () => {
+    const odometer = new OdometerService({ db });
+    const fixes = drive('ODO03', 11);
+    // Out of coverage 400 m north of the road between two stored fixes
+    const detour = { ...fixes[5], lat: 41 + 400 / 111320 };
+    fixes.splice(5, 1);
+
+    await store(db, odometer, fixes);
+    await store(db, odometer, [detour]);
+    // Repeated upload of a fix already counted
+    await store(db, odometer, [{ ...fixes[3], raw_data: 'again' }]);
+    await odometer.close();
+
+    // 3 km along the road, plus two 500 m legs in place of 600 m
+    near((await db.getDevice('ODO03')).odometer_km, 3.4);
+  });
+
+  it('keeps counting from a reading set to match the dashboard', async () => {
+    const odometer = new OdometerService({ db });
+    const fixes = drive('ODO04', 11);
+
+    await store(db, odometer, fixes.slice(0, 6));
+    await odometer.flush('ODO04');
+    await db.setOdometer('ODO04', 12000);
+    await store(db, odometer, fixes.slice(6));
+    await odometer.close();
+
+    near((await db.getDevice('ODO04')).odometer_km, 12001.5);
+  });
+
+  it('reports distance per day, week and month in a timezone', async () => {
+    const odometer = new OdometerService({ db });
+    // 3 km drives on Sunday evening and Monday morning, New York time
+    await store(db, odometer, drive('ODO05', 11, Date.parse('2025-09-14T22:00:00.000Z')));
+    await store(db, odometer, drive('ODO05', 11, Date.parse('2025-09-15T13:00:00.000Z')));
+    await odometer.close();
+
+    const days = await odometer.getDistanceReport({
+      deviceIds: ['ODO05', 'ODO99'],
+      from: '2025-09-13',
+      to: '2025-09-15',
+      period: 'day',
+      timezone: 'America/New_York'
+    });
+    assert.deepStrictEqual(days.devices.map(device => device.device_id), ['ODO05', 'ODO99']);
+    assert.deepStrictEqual(days.devices[0].periods.map(entry => entry.period), ['2025-09-13', '2025-09-14', '2025-09-15']);
+    assert.strictEqual(days.devices[0].periods[0].distance, 0);
+    // Monday also has the way back from where Sunday's drive ended
+    near(days.devices[0].periods[1].distance, 3);
+    assert.ok(days.devices[0].periods[2].distance > 3);
+    assert.strictEqual(days.devices[1].distance, 0);
+
+    const weeks = await odometer.getDistanceReport({
+      deviceIds: ['ODO05'],
+      from: '2025-09-13',
+      to: '2025-09-15',
+      period: 'week',
+      unit: 'mi',
+      timezone: 'America/New_York'
+    });
+    assert.deepStrictEqual(weeks.devices[0].periods.map(entry => entry.period), ['2025-09-08', '2025-09-15']);
+    near(weeks.devices[0].periods[0].distance, 3 / KM_PER_MILE);
+    near(weeks.distance * KM_PER_MILE, days.distance, 'total');
+
+    const months = await odometer.getDistanceReport({
+      deviceIds: null,
+      from: '2025-09-01',
+      to: '2025-10-31',
+      period: 'month',
+      timezone: 'UTC'
+    });
+    const device = months.devices.find(entry => entry.device_id === 'ODO05');
+    assert.deepStrictEqual(device.periods.map(entry => entry.period), ['2025-09', '2025-10']);
+    assert.strictEqual(device.periods[0].distance, days.devices[0].distance);
+  });
+});
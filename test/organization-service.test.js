@@ -0,0 +1,78 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GPSDatabase = require('../database');
+const OrganizationService = require('../organization-service');
+
+describe('organization service', () => {
+  let dir;
+  let db;
+  let organizations;
+  let acme;
+  let globex;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'st900-organizations-'));
+    db = new GPSDatabase({ backend: 'sqlite', path: path.join(dir, 'test.db') });
+    await db.ready();
+    organizations = new OrganizationService({ db });
+
+    acme = (await db.saveOrganization({ name: 'Acme' })).lastInsertRowid;
+    globex = (await db.saveOrganization({ name: 'Globex' })).lastInsertRowid;
+  });
+
+  after(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('validates organizations and groups', () => {
+    assert.strictEqual(OrganizationService.validateOrganization({ name: 'Acme Haulage' }), null);
+    assert.match(OrganizationService.validateOrganization({ name: ' ' }), /name/);
+    assert.match(OrganizationService.validateOrganization({ name: 'x'.repeat(101) }), /100/);
+
+    assert.strictEqual(OrganizationService.validateGroup({ name: 'Fleet', parent_id: 3 }), null);
+    assert.match(OrganizationService.validateGroup({ parent_id: 3 }), /name/);
+    assert.match(OrganizationService.validateGroup({ name: 'Fleet', parent_id: 'top' }), /parent_id/);
+    // Updates only check what they change, and stay in their organization
+    const existing = { id: 1, organization_id: acme, parent_id: null, name: 'Fleet' };
+    assert.strictEqual(OrganizationService.validateGroup({ parent_id: null }, existing), null);
+    assert.match(OrganizationService.validateGroup({ organization_id: globex }, existing), /another organization/);
+
+    assert.deepStrictEqual(OrganizationService.toGroupRow({ name: ' Depot ' }, existing),
+      { organization_id: acme, parent_id: null, name: 'Depot' });
+  });
+
+  it('keeps groups nested within one organization and free of cycles', async () => {
+    const fleet = (await db.saveDeviceGroup({ organization_id: acme, name: 'Fleet' })).lastInsertRowid;
+    const depot = (await db.saveDeviceGroup({ organization_id: acme, parent_id: fleet, name: 'Depot' })).lastInsertRowid;
+    const elsewhere = (await db.saveDeviceGroup({ organization_id: globex, name: 'Elsewhere' })).lastInsertRowid;
+
+    assert.strictEqual(await organizations.validateParent({ organization_id: acme, parent_id: depot, name: 'Bay' }), null);
+    assert.match(await organizations.validateParent({ organization_id: acme, parent_id: elsewhere, name: 'Bay' }), /same organization/);
+    assert.match(await organizations.validateParent({ organization_id: acme, parent_id: 999, name: 'Bay' }), /same organization/);
+
+    // A fleet can't move under its own depot, or under itself
+    assert.match(await organizations.validateParent({ id: fleet, organization_id: acme, parent_id: depot }), /itself/);
+    assert.match(await organizations.validateParent({ id: fleet, organization_id: acme, parent_id: fleet }), /itself/);
+    assert.strictEqual(await organizations.validateParent({ id: depot, organization_id: acme, parent_id: null }), null);
+  });
+
+  it('lists the devices a scope covers', async () => {
+    await db.provisionDevice({ device_id: '860000000000001', organization_id: acme });
+    await db.provisionDevice({ device_id: '860000000000002', organization_id: acme });
+    await db.provisionDevice({ device_id: '860000000000003', organization_id: globex });
+
+    const fleet = (await db.saveDeviceGroup({ organization_id: acme, name: 'Tankers' })).lastInsertRowid;
+    const depot = (await db.saveDeviceGroup({ organization_id: acme, parent_id: fleet, name: 'North' })).lastInsertRowid;
+    await db.addDevicesToGroup(depot, ['860000000000002']);
+
+    assert.strictEqual(await organizations.devicesIn({}), null);
+    assert.deepStrictEqual([...await organizations.devicesIn({ organizationId: acme })].sort(),
+      ['860000000000001', '860000000000002']);
+    assert.deepStrictEqual([...await organizations.devicesIn({ organizationId: acme, groupId: fleet })], ['860000000000002']);
+    assert.deepStrictEqual([...await organizations.devicesIn({ organizationId: globex, groupId: fleet })], []);
+  });
+});
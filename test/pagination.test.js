@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { validatePageQuery, toPage, paginate, encodeCursor, decodeCursor } = require('../pagination');
+
+describe('pagination', () => {
+  it('rejects malformed ranges, orders and cursors', () => {
+    assert.strictEqual(validatePageQuery({}, 'UTC'), null);
+    assert.strictEqual(validatePageQuery({ from: '2025-09-10', to: '2025-09-10' }, 'UTC'), null);
+    assert.match(validatePageQuery({ from: 'yesterday' }, 'UTC'), /from and to/);
+    assert.match(validatePageQuery({ from: '2025-09-10T18:00', to: '2025-09-10T08:00' }, 'UTC'), /before/);
+    assert.match(validatePageQuery({ order: 'up' }, 'UTC'), /order/);
+    assert.strictEqual(validatePageQuery({ limit: '20' }, 'UTC'), null);
+    for (const limit of ['-2', '0', '2.5', 'ten', '']) {
+      assert.match(validatePageQuery({ limit: limit }, 'UTC'), /limit must be a positive integer/, limit);
+    }
+    assert.match(validatePageQuery({ cursor: 'not-a-cursor' }, 'UTC'), /cursor/);
+
+    const cursor = encodeCursor({ order: 'asc', time: '2025-09-10T08:00:00.000Z', id: 7 });
+    assert.strictEqual(validatePageQuery({ cursor: cursor }, 'UTC'), null);
+    assert.match(validatePageQuery({ cursor: cursor, order: 'desc' }, 'UTC'), /other order/);
+  });
+
+  it('reads times without an offset in the given timezone', () => {
+    const page = toPage({ from: '2025-09-10T08:00', to: '2025-09-10T18:00' }, 'Europe/Istanbul');
+    assert.strictEqual(page.from, '2025-09-10T05:00:00.000Z');
+    assert.strictEqual(page.to, '2025-09-10T15:00:00.000Z');
+    assert.strictEqual(page.order, 'desc');
+    assert.strictEqual(page.limit, 100);
+
+    // A date as `to` includes that whole day
+    const day = toPage({ from: '2025-09-10', to: '2025-09-10', limit: '20' }, 'Europe/Istanbul', 50);
+    assert.strictEqual(day.from, '2025-09-09T21:00:00.000Z');
+    assert.strictEqual(day.to, '2025-09-10T21:00:00.000Z');
+    assert.strictEqual(day.limit, 20);
+
+    assert.strictEqual(toPage({ from: '2025-09-10T08:00:00Z' }, 'Europe/Istanbul').from, '2025-09-10T08:00:00.000Z');
+  });
+
+  it('hands out a cursor only when another page follows', () => {
+    const page = toPage({ order: 'asc', limit: '2' }, 'UTC');
+    const rows = [1, 2, 3].map(id => ({ id: id, timestamp: `2025-09-10T08:0${id}:00.000Z` }));
+
+    const first = paginate(rows, page, 'timestamp');
+    assert.deepStrictEqual(first.rows.map(row => row.id), [1, 2]);
+    assert.deepStrictEqual(decodeCursor(first.nextCursor), { order: 'asc', time: '2025-09-10T08:02:00.000Z', id: 2 });
+
+    const next = toPage({ cursor: first.nextCursor, limit: '2' }, 'UTC');
+    assert.deepStrictEqual(next.after, { time: '2025-09-10T08:02:00.000Z', id: 2 });
+    assert.strictEqual(next.order, 'asc');
+    assert.strictEqual(paginate(rows.slice(2), next, 'timestamp').nextCursor, null);
+  });
+});
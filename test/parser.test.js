@@ -0,0 +1,112 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const ST900Parser = require('../parser');
+
+// V1 position frames as ST-900 and other H02 units send them
+const V1_IGNITION_OFF = '*HQ,4210051415,V1,164549,A,0956.3869,N,08406.7068,W,000.00,000,221113,FFFFFBFF,712,01,0,0#';
+const V1_SOS = '*HQ,3072866250,V1,211806,A,3635.1452,N,03702.2586,E,012.50,270,090925,FFFFFFFD,417,02,202,23002#';
+// Status V: no GPS fix, the device repeats its last known position
+const V1_NO_FIX = '*HQ,3072866250,V1,211806,V,3635.1452,N,03702.2586,E,000.00,000,090925,FFFFFBFF,417,02,202,23002#';
+const NBR = '*HQ,3072866250,NBR,211806,417,02,0,3,202,23002,45,202,23003,38,202,23010,30,090925,7FFFFBFF#';
+
+describe('parser', () => {
+  const parser = new ST900Parser();
+
+  it('reads the status word active-low, with bit 10 set meaning ignition on', () => {
+    const allClear = parser.decodeStatusWord('FFFFFFFF');
+    assert.deepStrictEqual(allClear.flags, {
+      sos: false, overspeed: false, power_cut: false, vibration: false, acc_on: true, fuel_cut: false
+    });
+    assert.deepStrictEqual(allClear.alarms, []);
+
+    // Bit 10 cleared: ignition off, and nothing else
+    const parked = parser.decodeStatusWord('fffffbff');
+    assert.strictEqual(parked.status_word, 'FFFFFBFF');
+    assert.strictEqual(parked.flags.acc_on, false);
+    assert.deepStrictEqual(parked.alarms, []);
+
+    assert.strictEqual(parser.decodeStatusWord('FFFBFFFF').flags.fuel_cut, true);
+    assert.strictEqual(parser.decodeStatusWord('7FFFFBFF').flags.fuel_cut, false);
+
+    assert.strictEqual(parser.decodeStatusWord('FFFFFBF'), null);
+    assert.strictEqual(parser.decodeStatusWord('GFFFFBFF'), null);
+  });
+
+  it('turns cleared alarm bits into alarms', () => {
+    assert.deepStrictEqual(parser.decodeStatusWord('FFFFFFFD').alarms, ['sos']);
+    assert.deepStrictEqual(parser.decodeStatusWord('FFFFFFFB').alarms, ['overspeed']);
+    assert.deepStrictEqual(parser.decodeStatusWord('FFF7FFFF').alarms, ['power_cut']);
+    // Vibration (bit 0) and overspeed (bit 2) together
+    assert.deepStrictEqual(parser.decodeStatusWord('FFFFFFFA').alarms, ['overspeed', 'vibration']);
+    // Fuel cut is vehicle state, not an alarm
+    assert.deepStrictEqual(parser.decodeStatusWord('FFFBFFFF').alarms, []);
+  });
+
+  it('carries the decoded status on V1 positions', () => {
+    const parked = parser.parse(V1_IGNITION_OFF);
+    assert.strictEqual(parked.type, 'location');
+    assert.strictEqual(parked.format, 'h02');
+    assert.strictEqual(parked.ignition, false);
+    assert.strictEqual(parked.timestamp, '2013-11-22T16:45:49.000Z');
+    assert.ok(Math.abs(parked.lon - -84.11178) < 1e-6);
+
+    const sos = parser.parse(V1_SOS);
+    assert.strictEqual(sos.type, 'alarm');
+    assert.deepStrictEqual(sos.alarms, ['sos']);
+    assert.strictEqual(sos.ignition, true);
+    assert.strictEqual(sos.status_word, 'FFFFFFFD');
+    assert.ok(Math.abs(sos.speed - 12.5 * 1.852) < 1e-9);
+  });
+
+  it('decodes 45 byte binary packets like short ones', () => {
+    const packet = Buffer.from('2441091144271222470112142233983006114026520e000000fffffbffff0014060000000001cc00262b0f170a', 'hex');
+    const parsed = parser.parse(packet);
+
+    assert.strictEqual(parsed.format, 'h02');
+    assert.strictEqual(parsed.device_id, '4109114427');
+    assert.strictEqual(parsed.timestamp, '2014-12-01T12:22:47.000Z');
+    assert.ok(Math.abs(parsed.lat - 22.566383) < 1e-6);
+    assert.ok(Math.abs(parsed.lon - 114.0442) < 1e-6);
+    assert.strictEqual(parsed.gps_valid, true);
+    assert.strictEqual(parsed.ignition, false);
+    assert.strictEqual(parsed.raw_data, packet.toString('hex'));
+  });
+
+  it('keeps positions without a GPS fix, flagged invalid', () => {
+    const stale = parser.parse(V1_NO_FIX);
+    assert.strictEqual(stale.type, 'location');
+    assert.strictEqual(stale.gps_valid, false);
+    assert.ok(Math.abs(stale.lat - 36.58575333) < 1e-6);
+    assert.deepStrictEqual([stale.mcc, stale.mnc, stale.lac, stale.cell_id], [417, 2, 202, 23002]);
+
+    // Garbage coordinates without a fix are zeroed, the packet is still kept
+    const garbage = parser.parse(V1_NO_FIX.replace('3635.1452', '9999.9999'));
+    assert.strictEqual(garbage.gps_valid, false);
+    assert.strictEqual(garbage.lat, 0);
+    assert.strictEqual(garbage.lon, 0);
+    assert.strictEqual(garbage.cell_id, 23002);
+
+    // The same garbage with a fix claimed is rejected
+    assert.strictEqual(parser.parse(V1_NO_FIX.replace(',V,', ',A,').replace('3635.1452', '9999.9999')), null);
+  });
+
+  it('parses NBR neighbour cell reports', () => {
+    const report = parser.parseHQNeighbours(NBR);
+    assert.deepStrictEqual(report, {
+      type: 'cell_info',
+      device_id: '3072866250',
+      timing_advance: 0,
+      cells: [
+        { mcc: 417, mnc: 2, lac: 202, cell_id: 23002, rssi: 45 },
+        { mcc: 417, mnc: 2, lac: 202, cell_id: 23003, rssi: 38 },
+        { mcc: 417, mnc: 2, lac: 202, cell_id: 23010, rssi: 30 }
+      ],
+      status_word: '7FFFFBFF',
+      timestamp: '2025-09-09T21:18:06.000Z'
+    });
+
+    // A count larger than the cells sent is rejected
+    assert.strictEqual(parser.parseHQNeighbours(NBR.replace(',0,3,', ',0,4,')), null);
+  });
+});
+
@@ -0,0 +1,100 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const GPSDatabase = require('../database');
+const RetentionService = require('../retention-service');
+const { fix } = require('./helpers/fixtures');
+
+const now = new Date('2025-10-01T12:00:00.000Z');
+
+describe('retention service', () => {
+  let dir;
+  let db;
+  let retention;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'st900-retention-'));
+    db = new GPSDatabase({ backend: 'sqlite', path: path.join(dir, 'test.db') });
+    await db.ready();
+    retention = new RetentionService({ db, archiveDir: path.join(dir, 'archive') });
+  });
+
+  after(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('rejects policies that would drop points before downsampling them', () => {
+    assert.match(RetentionService.validatePolicy({ raw_days: 30, downsampled_days: 7 }), /downsampled_days/);
+    assert.match(RetentionService.validatePolicy({ raw_days: -1 }), /raw_days/);
+    assert.strictEqual(RetentionService.validatePolicy({ raw_days: 7, downsampled_days: 30, summary_days: null }), null);
+  });
+
+  it('keeps one point per minute, heading changes and alarms', () => {
+    const rows = [
+      fix('d', '2025-09-01T10:00:00.000Z'),
+      fix('d', '2025-09-01T10:00:20.000Z'),
+      fix('d', '2025-09-01T10:00:40.000Z', { heading: 180 }),
+      fix('d', '2025-09-01T10:00:50.000Z', { heading: 180, packet_type: 'alarm' }),
+      fix('d', '2025-09-01T10:00:55.000Z', { heading: 185 }),
+      fix('d', '2025-09-01T10:01:05.000Z', { heading: 185 })
+    ];
+
+    const { keep } = retention.downsample(rows);
+    assert.deepStrictEqual(keep.map(row => row.timestamp.slice(11, 19)), ['10:00:00', '10:00:40', '10:00:50', '10:01:05']);
+  });
+
+  it('summarizes, downsamples and archives days past the raw window', async () => {
+    const id = 'RET001';
+    await db.setRetentionPolicy(id, { raw_days: 7, downsampled_days: 30, summary_days: 0 });
+    for (let second = 0; second < 120; second += 10) {
+      await db.insertGpsLog(fix(id, new Date(Date.parse('2025-09-20T08:00:00.000Z') + second * 1000).toISOString(), {
+        lat: 41 + second / 10000
+      }));
+    }
+    await db.insertGpsLog(fix(id, '2025-09-30T08:00:00.000Z'));
+
+    const report = await retention.run({ now });
+    const result = report.devices.find(device => device.device_id === id);
+
+    assert.strictEqual(result.summarized, 1);
+    assert.strictEqual(result.downsampled, 10);
+    assert.strictEqual((await db.getGpsLogsForDay(id, '2025-09-20')).length, 2);
+    assert.strictEqual((await db.getGpsLogsForDay(id, '2025-09-30')).length, 1);
+
+    const summary = await db.getDailySummary(id, '2025-09-20');
+    assert.strictEqual(summary.points, 12);
+    assert.ok(summary.distance_km > 1);
+
+    const archived = zlib.gunzipSync(fs.readFileSync(result.archives[0])).toString().trim().split('\n');
+    assert.strictEqual(archived.length, 10);
+    assert.strictEqual(JSON.parse(archived[0]).device_id, id);
+
+    // A second run leaves the already downsampled day alone
+    const again = await retention.run({ now });
+    assert.ok(!again.devices.some(device => device.device_id === id));
+  });
+
+  it('expires old points to the archive and reports usage', async () => {
+    const id = 'RET002';
+    await db.setRetentionPolicy(id, { raw_days: 0, downsampled_days: 10, summary_days: 0 });
+    await db.insertGpsLog(fix(id, '2025-09-01T08:00:00.000Z'));
+    await db.insertGpsLog(fix(id, '2025-09-01T09:00:00.000Z'));
+    await db.insertGpsLog(fix(id, '2025-09-29T09:00:00.000Z'));
+
+    const dryRun = await retention.run({ now, dryRun: true });
+    assert.strictEqual(dryRun.devices.find(device => device.device_id === id).expired, 2);
+    assert.strictEqual((await db.getGpsLogsForDay(id, '2025-09-01')).length, 2);
+
+    await retention.run({ now });
+    assert.strictEqual((await db.getGpsLogsForDay(id, '2025-09-01')).length, 0);
+    assert.strictEqual((await db.getDailySummary(id, '2025-09-01')).points, 2);
+    assert.strictEqual(retention.getArchiveUsage(id).files, 1);
+
+    const latest = (await db.getLatestLocations(100)).find(row => row.device_id === id);
+    assert.strictEqual(latest.timestamp, '2025-09-29T09:00:00.000Z');
+  });
+});
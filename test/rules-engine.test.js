@@ -0,0 +1,170 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GPSDatabase = require('../database');
+const RulesEngine = require('../rules-engine');
+const { START, store } = require('./helpers/fixtures');
+
+// A fix every 30 seconds with the given readings
+function fixes(deviceId, readings) {
+  return readings.map((reading, i) => {
+    const time = new Date(START + i * 30 * 1000).toISOString();
+    return { device_id: deviceId, lat: 41, lon: 29, speed: 0, heading: 0, timestamp: time, parsed_at: time, ...reading };
+  });
+}
+
+async function createRule(db, input) {
+  const result = await db.saveRule(RulesEngine.toRow(input));
+  return result.lastInsertRowid;
+}
+
+describe('rules engine', () => {
+  let dir;
+  let db;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'st900-rules-'));
+    db = new GPSDatabase({ backend: 'sqlite', path: path.join(dir, 'test.db') });
+    await db.ready();
+
+    await createRule(db, { name: 'Speeding', type: 'overspeed', device_id: 'RULE01', params: { speed_kmh: 90, duration_s: 60 } });
+    await createRule(db, { name: 'Idling', type: 'idling', device_id: 'RULE02', params: { minutes: 1 } });
+    await createRule(db, { name: 'SOS', type: 'alarm', params: { alarms: ['sos'] }, severity: 'critical' });
+    await createRule(db, { name: 'Battery', type: 'low_battery', device_id: 'RULE04', params: { percent: 20 } });
+    await createRule(db, { name: 'Silent', type: 'offline', device_id: 'RULE05', params: { minutes: 30 } });
+  });
+
+  after(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('rejects malformed rules', () => {
+    assert.strictEqual(RulesEngine.validateRule({ name: 'Fast', type: 'overspeed', params: { speed_kmh: 100 } }), null);
+    assert.match(RulesEngine.validateRule({ name: ' ', type: 'overspeed' }), /name/);
+    assert.match(RulesEngine.validateRule({ name: 'Fast', type: 'towing' }), /type/);
+    assert.match(RulesEngine.validateRule({ name: 'Fast', type: 'overspeed', params: {} }), /speed_kmh/);
+    assert.match(RulesEngine.validateRule({ name: 'Idle', type: 'idling', params: { minutes: 0 } }), /minutes/);
+    assert.match(RulesEngine.validateRule({ name: 'SOS', type: 'alarm', params: { alarms: ['fire'] } }), /alarms/);
+    assert.match(RulesEngine.validateRule({ name: 'Low', type: 'low_battery', params: { percent: 150 } }), /percent/);
+    assert.match(RulesEngine.validateRule({ name: 'Fast', type: 'overspeed', params: { speed_kmh: 100 }, severity: 'huge' }), /severity/);
+
+    assert.strictEqual(RulesEngine.toRow({ name: 'SOS', type: 'alarm' }).auto_resolve, false);
+    assert.strictEqual(RulesEngine.toRow({ name: 'Off', type: 'offline', params: { minutes: 5 } }).auto_resolve, true);
+  });
+
+  it('raises overspeed once it lasts long enough and resolves it when speed drops', async () => {
+    const rules = new RulesEngine({ db });
+    const rows = fixes('RULE01', [
+      { speed: 120 }, // A short burst
+      { speed: 60 },
+      { speed: 100 },
+      { speed: 110 },
+      { speed: 105 }, // A minute over the limit
+      { speed: 120 },
+      { speed: 40 }
+    ]);
+
+    const events = await store(db, rules, rows);
+    await rules.close();
+
+    assert.deepStrictEqual(events.map(event => event.message), ['Speed 105 km/h above 90 km/h']);
+    const [stored] = await db.getEvents({ deviceId: 'RULE01' });
+    assert.strictEqual(stored.status, 'resolved');
+    assert.strictEqual(stored.resolved_by, 'system');
+    assert.strictEqual(stored.triggered_at, rows[4].timestamp);
+  });
+
+  it('raises idling for a stationary vehicle with ignition on', async () => {
+    const rules = new RulesEngine({ db });
+    const events = await store(db, rules, fixes('RULE02', [
+      { ignition: false },
+      { ignition: true },
+      { ignition: true, speed: 2 },
+      { ignition: true },
+      { ignition: true }
+    ]));
+    await rules.close();
+
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].type, 'idling');
+    assert.strictEqual(events[0].triggered_at, new Date(START + 90 * 1000).toISOString());
+    assert.strictEqual((await db.getEvents({ deviceId: 'RULE02', status: 'open' })).length, 1);
+  });
+
+  it('keeps alarm events open until someone resolves them', async () => {
+    const first = new RulesEngine({ db });
+    const events = await store(db, first, fixes('RULE03', [
+      { alarms: ['vibration'] },
+      { alarms: ['sos'] },
+      { alarms: [] },
+      { alarms: ['sos', 'power_cut'] }
+    ]));
+    await first.close();
+
+    assert.deepStrictEqual(events.map(event => event.message), ['Alarm: sos']);
+    assert.strictEqual(events[0].severity, 'critical');
+
+    await db.resolveEvent(events[0].id, 'ops');
+    const second = new RulesEngine({ db });
+    const again = await store(db, second, fixes('RULE03', [{ alarms: ['sos'] }]).map(row => ({
+      ...row, timestamp: '2025-09-10T07:00:00.000Z'
+    })));
+    await second.close();
+
+    assert.strictEqual(again.length, 1);
+  });
+
+  it('raises low battery from the reported level', async () => {
+    const rules = new RulesEngine({ db });
+    const events = await store(db, rules, fixes('RULE04', [
+      { battery_level: 50 },
+      { battery_level: null },
+      { battery_level: 17 },
+      { battery_level: 15 },
+      { battery_level: 83 }
+    ]));
+    await rules.close();
+
+    assert.deepStrictEqual(events.map(event => event.message), ['Battery at 17%']);
+    assert.strictEqual((await db.getEvents({ deviceId: 'RULE04', status: 'unresolved' })).length, 0);
+  });
+
+  it("applies an organization's rules to its devices only", async () => {
+    const acme = (await db.saveOrganization({ name: 'Acme' })).lastInsertRowid;
+    await db.provisionDevice({ device_id: 'RULE06', organization_id: acme });
+    await db.saveRule({
+      ...RulesEngine.toRow({ name: 'Acme battery', type: 'low_battery', params: { percent: 30 } }),
+      organization_id: acme
+    });
+
+    const rules = new RulesEngine({ db });
+    const events = await store(db, rules, [
+      ...fixes('RULE06', [{ battery_level: 25 }]),
+      ...fixes('RULE07', [{ battery_level: 25 }])
+    ]);
+    await rules.close();
+
+    assert.deepStrictEqual(events.map(event => event.device_id), ['RULE06']);
+  });
+
+  it('raises offline on the timer and resolves it on the next packet', async () => {
+    const rules = new RulesEngine({ db });
+    await store(db, rules, fixes('RULE05', [{}]));
+
+    const lastSeen = Date.parse((await db.getDevice('RULE05')).last_seen);
+    assert.deepStrictEqual(await rules.check(new Date(lastSeen + 10 * 60 * 1000)), []);
+
+    const [event] = await rules.check(new Date(lastSeen + 31 * 60 * 1000));
+    assert.strictEqual(event.message, 'No data for 30 minutes');
+    // Only once while the device stays silent
+    assert.deepStrictEqual(await rules.check(new Date(lastSeen + 60 * 60 * 1000)), []);
+
+    await store(db, rules, fixes('RULE05', [{}]).map(row => ({ ...row, timestamp: '2025-09-10T07:00:00.000Z' })));
+    await rules.close();
+
+    assert.strictEqual((await db.getEvent(event.id)).status, 'resolved');
+  });
+});
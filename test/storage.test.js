@@ -0,0 +1,738 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GPSDatabase = require('../database');
+const { haversineKm, toArea } = require('../geo');
+const { fix } = require('./helpers/fixtures');
+
+// The same behaviour is expected from every storage backend. SQLite always runs;
+// PostgreSQL runs when TEST_DATABASE_URL points at a scratch database with PostGIS.
+const backends = [
+  {
+    name: 'sqlite',
+    create: () => new GPSDatabase({
+      backend: 'sqlite',
+      path: path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'st900-')), 'test.db')
+    })
+  },
+  {
+    name: 'postgres',
+    skip: !process.env.TEST_DATABASE_URL && 'TEST_DATABASE_URL not set',
+    create: () => new GPSDatabase({
+      backend: 'postgres',
+      connectionString: process.env.TEST_DATABASE_URL
+    })
+  }
+];
+
+// Device IDs are unique per run so a shared PostgreSQL database needs no cleanup
+const runId = Date.now().toString().slice(-8);
+const deviceId = (suffix) => `${runId}${suffix}`;
+
+backends.forEach(backend => {
+  describe(`${backend.name} storage`, { skip: backend.skip }, () => {
+    let db;
+
+    before(async () => {
+      db = backend.create();
+      await db.ready();
+    });
+
+    after(async () => {
+      await db.close();
+    });
+
+    it('stores fixes and reports the latest one per device', async () => {
+      const id = deviceId('01');
+      const first = await db.insertGpsLog(fix(id, '2025-09-10T00:00:00.000Z'));
+      const second = await db.insertGpsLog(fix(id, '2025-09-10T00:01:00.000Z', { lat: 41.01 }));
+
+      assert.strictEqual(first.duplicate, false);
+      assert.ok(second.lastInsertRowid > first.lastInsertRowid);
+
+      const latest = (await db.getLatestLocations(1000)).find(row => row.device_id === id);
+      assert.strictEqual(latest.id, second.lastInsertRowid);
+      assert.strictEqual(latest.lat, 41.01);
+      assert.strictEqual(new Date(latest.timestamp).toISOString(), '2025-09-10T00:01:00.000Z');
+    });
+
+    it('skips duplicate uploads and flags out-of-order fixes as backfill', async () => {
+      const id = deviceId('02');
+      const newest = await db.insertGpsLog(fix(id, '2025-09-10T01:00:00.000Z'));
+      const repeat = await db.insertGpsLog(fix(id, '2025-09-10T01:00:00.000Z'));
+      const older = await db.insertGpsLog(fix(id, '2025-09-10T00:30:00.000Z', {
+        parsed_at: '2025-09-10T01:00:05.000Z'
+      }));
+
+      assert.strictEqual(repeat.duplicate, true);
+      assert.strictEqual(repeat.lastInsertRowid, newest.lastInsertRowid);
+      assert.strictEqual(older.backfill, true);
+
+      const history = await db.getDeviceHistory(id, 10);
+      assert.strictEqual(history.length, 2);
+      assert.strictEqual(history[0].id, newest.lastInsertRowid);
+      assert.ok(history[1].is_backfill);
+
+      const latest = (await db.getLatestLocations(1000)).find(row => row.device_id === id);
+      assert.strictEqual(latest.id, newest.lastInsertRowid);
+    });
+
+    it('writes a batch in one call, failing bad entries alone', async () => {
+      const id = deviceId('07');
+      const results = await db.insertGpsLogs([
+        fix(id, '2025-09-10T04:00:00.000Z'),
+        fix(id, '2025-09-10T04:00:20.000Z', { lat: null }),
+        fix(id, '2025-09-10T04:00:40.000Z')
+      ]);
+
+      assert.strictEqual(results.length, 3);
+      assert.ok(results[0].lastInsertRowid);
+      assert.ok(results[1].error);
+      assert.ok(results[2].lastInsertRowid > results[0].lastInsertRowid);
+      assert.strictEqual((await db.getDeviceHistory(id, 10)).length, 2);
+    });
+
+    it('keeps no-fix packets with their cell', async () => {
+      const id = deviceId('03');
+      await db.insertGpsLog(fix(id, '2025-09-10T02:00:00.000Z', {
+        lat: 0,
+        lon: 0,
+        gps_valid: false,
+        mcc: 286,
+        mnc: 1,
+        lac: 1234,
+        cell_id: 5678
+      }));
+
+      const [row] = await db.getDeviceHistory(id, 1);
+      assert.ok(!row.gps_valid);
+      assert.strictEqual(row.mcc, 286);
+      assert.strictEqual(row.cell_id, 5678);
+    });
+
+    it('pages through history, commands and events by time range', async () => {
+      const id = deviceId('15');
+      for (const [minute, lat] of [[0, 41], [1, 41], [1, 41.1], [2, 41], [3, 41]]) {
+        await db.insertGpsLog(fix(id, `2025-09-15T08:0${minute}:00.000Z`, { lat: lat }));
+      }
+
+      const range = { from: '2025-09-15T08:01:00.000Z', to: '2025-09-15T08:03:00.000Z' };
+      const times = (rows) => rows.map(row => new Date(row.timestamp).toISOString().slice(11, 16));
+      assert.deepStrictEqual(times(await db.getDeviceHistory(id, range)), ['08:02', '08:01', '08:01']);
+      assert.deepStrictEqual(times(await db.getDeviceHistory(id, { ...range, order: 'asc' })), ['08:01', '08:01', '08:02']);
+
+      // Pages continue after the last row, also between rows with the same time
+      const seen = [];
+      let after = null;
+      do {
+        const rows = await db.getDeviceHistory(id, { order: 'asc', after: after, limit: 2 });
+        seen.push(...rows.map(row => Number(row.id)));
+        const last = rows[rows.length - 1];
+        after = rows.length === 2 ? { time: last.timestamp, id: Number(last.id) } : null;
+      } while (after);
+      const all = (await db.getDeviceHistory(id, { order: 'asc' })).map(row => Number(row.id));
+      assert.strictEqual(all.length, 5);
+      assert.deepStrictEqual(seen, all);
+
+      for (let i = 0; i < 3; i++) {
+        await db.insertCommand({ device_id: id, command_type: 'locate', command_text: `*HQ,${id},D1#` });
+      }
+      const [newest, ...older] = await db.getCommandHistory(id, { limit: 10 });
+      assert.strictEqual(older.length, 2);
+      const rest = await db.getCommandHistory(id, { after: { time: newest.created_at, id: Number(newest.id) } });
+      assert.deepStrictEqual(rest.map(row => Number(row.id)), older.map(row => Number(row.id)));
+      assert.strictEqual((await db.getCommandHistory(id, { to: '2000-01-01T00:00:00.000Z' })).length, 0);
+
+      const event = { device_id: id, type: 'overspeed', severity: 'warning', message: 'Fast', details: null };
+      for (const minute of [0, 1, 2]) {
+        await db.insertEvent({ ...event, triggered_at: `2025-09-15T08:0${minute}:00.000Z` });
+      }
+      const events = await db.getEvents({ deviceId: id, from: '2025-09-15T08:01:00.000Z', order: 'asc' });
+      assert.deepStrictEqual(events.map(row => new Date(row.triggered_at).toISOString().slice(11, 16)), ['08:01', '08:02']);
+      const later = await db.getEvents({ deviceId: id, order: 'asc', after: { time: events[0].triggered_at, id: Number(events[0].id) } });
+      assert.deepStrictEqual(later.map(row => Number(row.id)), [Number(events[1].id)]);
+    });
+
+    it('lists active devices with log counts', async () => {
+      const id = deviceId('01');
+      const device = (await db.getActiveDevices()).find(row => row.device_id === id);
+
+      assert.ok(device);
+      assert.strictEqual(Number(device.total_logs), 2);
+    });
+
+    it('tracks a command from insert to device reply', async () => {
+      const id = deviceId('04');
+      const phone = `+90555${runId}`;
+      await db.updateDevicePhone(id, phone);
+
+      const { lastInsertRowid: commandId } = await db.insertCommand({
+        device_id: id,
+        command_type: 'setInterval',
+        command_text: `*HQ,${id},S71,000000,22,30#`,
+        reply_code: 'S71',
+        channel: 'tcp'
+      });
+      await db.updateCommandStatus(commandId, 'sent');
+
+      const outstanding = await db.findCommandForReply(id, 'S71');
+      assert.strictEqual(outstanding.id, commandId);
+      assert.ok(outstanding.sent_at);
+
+      await db.updateCommandStatus(commandId, 'completed', 'reply');
+      const [command] = await db.getCommandHistory(id, 1);
+      assert.strictEqual(command.status, 'completed');
+      assert.strictEqual(command.response_data, 'reply');
+      assert.ok(command.response_received_at);
+      assert.strictEqual(await db.findCommandForReply(id, 'S71'), undefined);
+
+      const device = await db.getDeviceByPhone(phone);
+      assert.strictEqual(device.device_id, id);
+    });
+
+    it('matches a reply only to a command expecting its code', async () => {
+      const id = deviceId('16');
+      await db.provisionDevice({ device_id: id });
+      await db.insertCommand({
+        device_id: id,
+        command_type: 'getLocation',
+        command_text: 'WHERE#',
+        channel: 'sms',
+        status: 'sent'
+      });
+      const { lastInsertRowid: intervalId } = await db.insertCommand({
+        device_id: id,
+        command_type: 'setInterval',
+        command_text: `*HQ,${id},S71,000000,22,30#`,
+        reply_code: 'S71',
+        channel: 'tcp',
+        status: 'sent'
+      });
+
+      // A reply to S20 acknowledges nothing outstanding, SMS commands included
+      assert.strictEqual(await db.findCommandForReply(id, 'S20'), undefined);
+      assert.strictEqual((await db.findCommandForReply(id, 'S71')).id, intervalId);
+    });
+
+    it('stores neighbour cell observations', async () => {
+      const id = deviceId('05');
+      const count = await db.insertCellObservations({
+        device_id: id,
+        timing_advance: 0,
+        timestamp: '2025-09-10T03:00:00.000Z',
+        cells: [
+          { mcc: 286, mnc: 1, lac: 1, cell_id: 10, rssi: 40 },
+          { mcc: 286, mnc: 1, lac: 1, cell_id: 11, rssi: 35 }
+        ]
+      });
+
+      assert.strictEqual(count, 2);
+      assert.strictEqual((await db.getCellObservations(id)).length, 2);
+    });
+
+    it('provisions devices and records unknown ones', async () => {
+      const id = deviceId('06');
+      await db.recordUnknownDevice({ device_id: id, remote_address: '127.0.0.1:5000', action: 'quarantine' });
+      await db.recordUnknownDevice({ device_id: id, remote_address: '127.0.0.1:5001', action: 'quarantine' });
+
+      const attempt = (await db.getUnknownDevices()).find(row => row.device_id === id);
+      assert.strictEqual(attempt.attempts, 2);
+      assert.strictEqual(await db.isDeviceProvisioned(id), false);
+
+      await db.provisionDevice({ device_id: id, name: 'Van 6' });
+      assert.strictEqual(await db.isDeviceProvisioned(id), true);
+      assert.strictEqual((await db.getDevice(id)).name, 'Van 6');
+      assert.ok(!(await db.getUnknownDevices()).some(row => row.device_id === id));
+
+      await db.deprovisionDevice(id);
+      assert.strictEqual(await db.isDeviceProvisioned(id), false);
+    });
+
+    it('lists log days, deletes logs and keeps the latest pointer valid', async () => {
+      const id = deviceId('08');
+      await db.insertGpsLog(fix(id, '2025-09-01T10:00:00.000Z'));
+      await db.insertGpsLog(fix(id, '2025-09-01T10:00:30.000Z'));
+      const newest = await db.insertGpsLog(fix(id, '2025-09-02T08:00:00.000Z'));
+
+      assert.deepStrictEqual(await db.getGpsLogDays(id, '2025-09-03'), ['2025-09-01', '2025-09-02']);
+      assert.deepStrictEqual(await db.getGpsLogDays(id, '2025-09-02'), ['2025-09-01']);
+      assert.strictEqual((await db.getGpsLogsForDay(id, '2025-09-01')).length, 2);
+
+      const removed = await db.deleteGpsLogs(id, [newest.lastInsertRowid]);
+      assert.strictEqual(removed.changes, 1);
+
+      const latest = (await db.getLatestLocations(1000)).find(row => row.device_id === id);
+      assert.strictEqual(new Date(latest.timestamp).toISOString(), '2025-09-01T10:00:30.000Z');
+
+      const [usage] = await db.getStorageUsage(id);
+      assert.strictEqual(Number(usage.gps_logs), 2);
+      assert.ok(Number(usage.estimated_bytes) > 0);
+    });
+
+    it('stores retention policies and daily summaries', async () => {
+      const id = deviceId('09');
+      await db.setRetentionPolicy(id, { raw_days: 7, downsampled_days: null, summary_days: 365 });
+
+      const policy = await db.getRetentionPolicy(id);
+      assert.strictEqual(policy.raw_days, 7);
+      assert.strictEqual(policy.downsampled_days, null);
+      assert.ok((await db.getRetentionPolicies()).some(row => row.device_id === id));
+
+      await db.upsertDailySummary({
+        device_id: id,
+        day: '2025-08-01',
+        points: 10,
+        distance_km: 1.5,
+        max_speed: 40,
+        avg_speed: 20,
+        first_fix_time: '2025-08-01T06:00:00.000Z',
+        last_fix_time: '2025-08-01T18:00:00.000Z',
+        min_lat: 41,
+        max_lat: 41.1,
+        min_lon: 28.9,
+        max_lon: 29,
+        alarm_count: 1
+      });
+      const summary = await db.getDailySummary(id, '2025-08-01');
+      assert.strictEqual(summary.day, '2025-08-01');
+      assert.strictEqual(summary.points, 10);
+
+      await db.setDownsampledUntil(id, '2025-08-02');
+      assert.strictEqual((await db.getDevice(id)).downsampled_until, '2025-08-02');
+
+      assert.strictEqual((await db.deleteDailySummariesBefore(id, '2025-08-02')).changes, 1);
+      assert.strictEqual((await db.getDailySummaries(id)).length, 0);
+
+      await db.deleteRetentionPolicy(id);
+      assert.strictEqual(await db.getRetentionPolicy(id), undefined);
+    });
+
+    it('stores trips and stops and deletes them from a time on', async () => {
+      const id = deviceId('10');
+      await db.insertGpsLog(fix(id, '2025-09-11T08:00:00.000Z'));
+      await db.insertGpsLog(fix(id, '2025-09-11T08:10:00.000Z'));
+      await db.insertGpsLog(fix(id, '2025-09-11T08:20:00.000Z'));
+
+      const between = await db.getGpsLogsBetween(id, '2025-09-11T08:05:00.000Z', '2025-09-11T08:20:00.000Z');
+      assert.strictEqual(between.length, 2);
+      assert.strictEqual(new Date(between[0].timestamp).toISOString(), '2025-09-11T08:10:00.000Z');
+
+      // Pages on (timestamp, id), so fixes sharing a time are neither skipped nor read twice
+      const paged = deviceId('17');
+      for (const lat of [41, 41.001, 41.002]) {
+        await db.insertGpsLog(fix(paged, '2025-09-11T08:10:00.000Z', { lat: lat }));
+      }
+      await db.insertGpsLog(fix(paged, '2025-09-11T08:20:00.000Z'));
+      const all = await db.getGpsLogsBetween(paged);
+      const page = await db.getGpsLogsBetween(paged, null, null, 2);
+      const rest = await db.getGpsLogsBetween(paged, null, null, 2, { time: page[1].timestamp, id: page[1].id });
+      assert.strictEqual(all.length, 4);
+      assert.deepStrictEqual([...page, ...rest].map(row => row.id), all.map(row => row.id));
+
+      const stop = { device_id: id, start_time: '2025-09-11T07:00:00.000Z', end_time: null, lat: 41, lon: 29, start_log_id: null, duration_s: null };
+      stop.id = (await db.saveStop(stop)).lastInsertRowid;
+      assert.strictEqual((await db.getOpenStop(id)).id, stop.id);
+      await db.saveStop({ ...stop, end_time: '2025-09-11T08:00:00.000Z', duration_s: 3600 });
+      assert.strictEqual(await db.getOpenStop(id), undefined);
+
+      const trip = {
+        device_id: id,
+        status: 'open',
+        start_time: '2025-09-11T08:00:00.000Z',
+        end_time: '2025-09-11T08:10:00.000Z',
+        start_lat: 41,
+        start_lon: 29,
+        end_lat: 41.01,
+        end_lon: 29.01,
+        start_log_id: null,
+        end_log_id: null,
+        distance_km: 1.4,
+        duration_s: 600,
+        idle_s: 0,
+        max_speed: 30,
+        avg_speed: 8.4,
+        point_count: 2
+      };
+      trip.id = (await db.saveTrip(trip)).lastInsertRowid;
+      assert.strictEqual((await db.getOpenTrip(id)).id, trip.id);
+
+      await db.saveTrip({ ...trip, status: 'closed', end_time: '2025-09-11T08:20:00.000Z' });
+      const saved = await db.getTrip(trip.id);
+      assert.strictEqual(saved.status, 'closed');
+      assert.strictEqual(new Date(saved.end_time).toISOString(), '2025-09-11T08:20:00.000Z');
+      assert.strictEqual(await db.getOpenTrip(id), undefined);
+
+      // The trip under way at that time and the stop it left from go again
+      const from = await db.deleteTripsSince(id, '2025-09-11T08:15:00.000Z');
+      assert.strictEqual(new Date(from).toISOString(), '2025-09-11T07:00:00.000Z');
+      assert.strictEqual((await db.getTrips(id)).length, 0);
+      assert.strictEqual((await db.getStops(id)).length, 0);
+    });
+
+    it('keeps an odometer with hourly distances', async () => {
+      const id = deviceId('11');
+      const first = await db.insertGpsLog(fix(id, '2025-09-12T08:00:00.000Z'));
+      await db.insertGpsLog(fix(id, '2025-09-12T08:05:00.000Z', { gps_valid: false, lat: 0, lon: 0 }));
+      const last = await db.insertGpsLog(fix(id, '2025-09-12T08:10:00.000Z', { lon: 29 }));
+
+      await db.recordOdometer(id, {
+        distance_km: 1.5,
+        last: { timestamp: '2025-09-12T08:10:00.000Z', lat: 41.0082, lon: 29, id: last.lastInsertRowid },
+        hours: [{ hour: '2025-09-12T08:00:00.000Z', distance_km: 1.5 }]
+      });
+      await db.recordOdometer(id, {
+        distance_km: 0.5,
+        last: null,
+        hours: [{ hour: '2025-09-12T08:00:00.000Z', distance_km: 0.5 }]
+      });
+
+      const device = await db.getDevice(id);
+      assert.strictEqual(device.odometer_km, 2);
+      assert.strictEqual(new Date(device.odometer_started_at).toISOString(), '2025-09-12T08:10:00.000Z');
+      assert.strictEqual(Number(device.odometer_log_id), last.lastInsertRowid);
+
+      await db.setOdometer(id, 12000);
+      assert.strictEqual((await db.getDevice(id)).odometer_km, 12000);
+
+      const hours = await db.getOdometerDistances([id], '2025-09-12T00:00:00.000Z', '2025-09-13T00:00:00.000Z');
+      assert.strictEqual(hours.length, 1);
+      assert.strictEqual(hours[0].distance_km, 2);
+      assert.strictEqual(new Date(hours[0].hour).toISOString(), '2025-09-12T08:00:00.000Z');
+
+      // The no-fix packet between them isn't a neighbour
+      const { previous, next } = await db.getNeighbourFixes(id, '2025-09-12T08:07:00.000Z');
+      assert.strictEqual(previous.id, first.lastInsertRowid);
+      assert.strictEqual(next.id, last.lastInsertRowid);
+      const around = await db.getNeighbourFixes(id, '2025-09-12T08:10:00.000Z', last.lastInsertRowid);
+      assert.strictEqual(around.next, undefined);
+    });
+
+    it('stores geofences, assignments and events', async () => {
+      const id = deviceId('12');
+      await db.provisionDevice({ device_id: id });
+
+      const fence = {
+        name: `Yard ${runId}`,
+        type: 'polygon',
+        polygon: [[41, 29], [41, 29.01], [41.01, 29.01]],
+        min_lat: 41,
+        min_lon: 29,
+        max_lat: 41.01,
+        max_lon: 29.01,
+        dwell_minutes: 10
+      };
+      fence.id = (await db.saveGeofence(fence)).lastInsertRowid;
+      await db.saveGeofence({ ...fence, name: `Main yard ${runId}` });
+      const saved = await db.getGeofence(fence.id);
+      assert.strictEqual(saved.name, `Main yard ${runId}`);
+      assert.deepStrictEqual(JSON.parse(saved.polygon), fence.polygon);
+
+      await db.assignGeofence(fence.id, id);
+      await db.assignGeofence(fence.id, id);
+      assert.deepStrictEqual((await db.getGeofenceAssignments(fence.id)).map(row => row.device_id), [id]);
+      assert.strictEqual((await db.getDeviceGeofences(id)).length, 1);
+      const listed = (await db.getGeofences()).find(row => Number(row.id) === Number(fence.id));
+      assert.strictEqual(Number(listed.device_count), 1);
+
+      const event = { device_id: id, geofence_id: fence.id, timestamp: '2025-09-12T09:00:00.000Z', lat: 41.005, lon: 29.008 };
+      await db.saveGeofenceEvent({ ...event, event_type: 'enter' });
+      await db.saveGeofenceEvent({ ...event, event_type: 'dwell', timestamp: '2025-09-12T09:10:00.000Z', duration_s: 600 });
+      const [state] = await db.getGeofenceStates(id);
+      assert.strictEqual(new Date(state.entered_at).toISOString(), event.timestamp);
+      assert.ok(state.dwell_notified);
+
+      const events = await db.getGeofenceEvents({ deviceId: id });
+      assert.deepStrictEqual(events.map(row => row.event_type), ['dwell', 'enter']);
+      assert.strictEqual(events[0].geofence_name, `Main yard ${runId}`);
+
+      // Unassigning forgets the device was inside; deleting keeps the events
+      await db.unassignGeofence(fence.id, id);
+      assert.deepStrictEqual(await db.getGeofenceStates(id), []);
+      assert.strictEqual((await db.deleteGeofence(fence.id)).changes, 1);
+      assert.strictEqual(await db.getGeofence(fence.id), undefined);
+      assert.strictEqual((await db.getGeofenceEvents({ deviceId: id, type: 'enter' })).length, 1);
+    });
+
+    it('stores rules and events with acknowledge and resolve states', async () => {
+      const id = deviceId('13');
+      await db.insertGpsLog(fix(id, '2025-09-13T08:00:00.000Z', { battery_level: 17 }));
+      assert.strictEqual((await db.getDeviceHistory(id, 1))[0].battery_level, 17);
+
+      const rule = { name: `Speeding ${runId}`, type: 'overspeed', device_id: id, params: { speed_kmh: 90 }, severity: 'critical', auto_resolve: true, enabled: true };
+      rule.id = (await db.saveRule(rule)).lastInsertRowid;
+      await db.saveRule({ ...rule, enabled: false });
+      const saved = await db.getRule(rule.id);
+      assert.deepStrictEqual(JSON.parse(saved.params), rule.params);
+      assert.ok(!saved.enabled);
+      assert.ok((await db.getRules()).some(row => Number(row.id) === Number(rule.id)));
+
+      const event = { rule_id: rule.id, device_id: id, type: 'overspeed', severity: 'critical', message: 'Too fast', details: { speed: 120 }, triggered_at: '2025-09-13T08:00:00.000Z' };
+      const first = (await db.insertEvent(event)).lastInsertRowid;
+      const second = (await db.insertEvent({ ...event, triggered_at: '2025-09-13T09:00:00.000Z' })).lastInsertRowid;
+      assert.strictEqual((await db.getUnresolvedEvents(id)).length, 2);
+
+      assert.strictEqual((await db.acknowledgeEvent(first, 'ops', 'On it')).changes, 1);
+      assert.strictEqual((await db.acknowledgeEvent(first, 'ops')).changes, 0);
+      assert.strictEqual((await db.resolveEvent(second, 'system')).changes, 1);
+      assert.strictEqual((await db.resolveEvent(second, 'ops')).changes, 0);
+
+      const acknowledged = await db.getEvent(first);
+      assert.strictEqual(acknowledged.status, 'acknowledged');
+      assert.strictEqual(acknowledged.acknowledged_by, 'ops');
+      assert.strictEqual(acknowledged.note, 'On it');
+      assert.strictEqual(acknowledged.rule_name, `Speeding ${runId}`);
+      assert.deepStrictEqual(JSON.parse(acknowledged.details), { speed: 120 });
+
+      const events = await db.getEvents({ deviceId: id });
+      assert.deepStrictEqual(events.map(row => Number(row.id)), [Number(second), Number(first)]);
+      assert.deepStrictEqual((await db.getEvents({ deviceId: id, status: 'unresolved' })).map(row => Number(row.id)), [Number(first)]);
+      assert.strictEqual((await db.getEvents({ deviceId: id, status: 'resolved', type: 'overspeed' })).length, 1);
+
+      // Deleting a rule keeps its events
+      assert.strictEqual((await db.deleteRule(rule.id)).changes, 1);
+      assert.strictEqual(await db.getRule(rule.id), undefined);
+      assert.strictEqual((await db.getEvents({ deviceId: id })).length, 2);
+
+      const silent = await db.getSilentDevices(new Date(Date.now() + 60000).toISOString());
+      assert.ok(silent.some(row => row.device_id === id));
+      assert.ok(!(await db.getSilentDevices('2000-01-01T00:00:00.000Z')).some(row => row.device_id === id));
+    });
+
+    it('stores webhook subscriptions and their deliveries', async () => {
+      const webhook = { url: 'https://example.com/hook', secret: 'secret', device_ids: [deviceId('14')], event_types: ['position'], enabled: true };
+      webhook.id = (await db.saveWebhook(webhook)).lastInsertRowid;
+      await db.saveWebhook({ ...webhook, description: 'Dispatch' });
+      const saved = await db.getWebhook(webhook.id);
+      assert.strictEqual(saved.description, 'Dispatch');
+      assert.deepStrictEqual(JSON.parse(saved.device_ids), webhook.device_ids);
+      assert.ok((await db.getWebhooks()).some(row => Number(row.id) === Number(webhook.id)));
+
+      const due = '2025-09-14T10:00:00.000Z';
+      const payload = { event: 'position', data: { speed: 42 } };
+      await db.insertWebhookDeliveries([
+        { webhook_id: webhook.id, event_type: 'position', device_id: deviceId('14'), payload: payload, next_attempt_at: due },
+        { webhook_id: webhook.id, event_type: 'position', device_id: deviceId('14'), payload: payload, next_attempt_at: '2025-09-14T11:00:00.000Z' }
+      ]);
+      const dueNow = (await db.getDueWebhookDeliveries('2025-09-14T10:30:00.000Z', 1000))
+        .filter(row => Number(row.webhook_id) === Number(webhook.id));
+      assert.strictEqual(dueNow.length, 1);
+      assert.deepStrictEqual(JSON.parse(dueNow[0].payload), payload);
+
+      const [first] = dueNow;
+      await db.recordWebhookAttempt(first.id, { status: 'pending', attempts: 1, next_attempt_at: '2025-09-14T12:00:00.000Z', response_status: 502, last_error: 'HTTP 502' });
+      let delivery = await db.getWebhookDelivery(first.id);
+      assert.strictEqual(delivery.attempts, 1);
+      assert.strictEqual(delivery.last_error, 'HTTP 502');
+      assert.ok(delivery.last_attempt_at);
+      assert.strictEqual(delivery.delivered_at, null);
+
+      await db.recordWebhookAttempt(first.id, { status: 'dead', attempts: 2, next_attempt_at: '2025-09-14T12:00:00.000Z', last_error: 'timeout' });
+      assert.strictEqual((await db.getWebhookDeliveries({ webhookId: webhook.id, status: 'dead' })).length, 1);
+      assert.strictEqual((await db.retryWebhookDelivery(first.id)).changes, 1);
+      assert.strictEqual((await db.retryWebhookDelivery(first.id)).changes, 0);
+      delivery = await db.getWebhookDelivery(first.id);
+      assert.strictEqual(delivery.status, 'pending');
+      assert.strictEqual(delivery.attempts, 0);
+
+      await db.recordWebhookAttempt(first.id, { status: 'delivered', attempts: 1, next_attempt_at: due, response_status: 204 });
+      assert.ok((await db.getWebhookDelivery(first.id)).delivered_at);
+      assert.deepStrictEqual((await db.getWebhookDeliveries({ webhookId: webhook.id })).map(row => row.status), ['pending', 'delivered']);
+
+      // Deleting a subscription deletes its deliveries
+      assert.strictEqual((await db.deleteWebhook(webhook.id)).changes, 1);
+      assert.strictEqual(await db.getWebhook(webhook.id), undefined);
+      assert.deepStrictEqual(await db.getWebhookDeliveries({ webhookId: webhook.id }), []);
+    });
+
+    it('stores users and API keys', async () => {
+      const username = `ops-${runId}`;
+      const user = { username: username, password_hash: 'scrypt$hash', role: 'viewer', enabled: true };
+      user.id = (await db.saveUser(user)).lastInsertRowid;
+      await db.saveUser({ ...user, role: 'dispatcher', enabled: false });
+      const saved = await db.getUserByUsername(username);
+      assert.strictEqual(Number(saved.id), Number(user.id));
+      assert.strictEqual(saved.role, 'dispatcher');
+      assert.ok(!saved.enabled);
+      assert.strictEqual(saved.last_login_at, null);
+
+      await db.recordUserLogin(user.id, '2025-09-20T08:00:00.000Z');
+      assert.strictEqual(new Date((await db.getUser(user.id)).last_login_at).toISOString(), '2025-09-20T08:00:00.000Z');
+      assert.ok((await db.getUsers()).some(row => row.username === username));
+      await assert.rejects(async () => db.saveUser({ ...user, id: undefined }));
+
+      const keyHash = `hash-${runId}`;
+      const keyId = (await db.insertApiKey({ name: 'Board', key_prefix: 'st9_abcdef', key_hash: keyHash, scopes: ['read'], created_by: username })).lastInsertRowid;
+      const apiKey = await db.getApiKeyByHash(keyHash);
+      assert.strictEqual(Number(apiKey.id), Number(keyId));
+      assert.deepStrictEqual(JSON.parse(apiKey.scopes), ['read']);
+      assert.strictEqual(apiKey.expires_at, null);
+      await db.recordApiKeyUse(keyId, '2025-09-20T09:00:00.000Z');
+      assert.strictEqual(new Date((await db.getApiKey(keyId)).last_used_at).toISOString(), '2025-09-20T09:00:00.000Z');
+      assert.ok((await db.getApiKeys()).some(row => Number(row.id) === Number(keyId)));
+
+      assert.strictEqual((await db.deleteApiKey(keyId)).changes, 1);
+      assert.strictEqual(await db.getApiKeyByHash(keyHash), undefined);
+      assert.strictEqual((await db.deleteUser(user.id)).changes, 1);
+      assert.strictEqual(await db.getUser(user.id), undefined);
+    });
+
+    it('finds positions by box, radius and distance', async () => {
+      const [moving, parked, east, west] = ['16a', '16b', '16c', '16d'].map(deviceId);
+      const mine = (rows) => rows.filter(row => [moving, parked, east, west].includes(row.device_id));
+      const first = (await db.insertGpsLog(fix(moving, '2025-09-15T08:00:00.000Z', { lat: -40, lon: 175 }))).lastInsertRowid;
+      const second = (await db.insertGpsLog(fix(moving, '2025-09-15T08:05:00.000Z', { lat: -40.01, lon: 175.01 }))).lastInsertRowid;
+      const parkedLog = (await db.insertGpsLog(fix(parked, '2025-09-15T07:00:00.000Z', { lat: -40.02, lon: 175 }))).lastInsertRowid;
+      await db.insertGpsLog(fix(east, '2025-09-15T08:00:00.000Z', { lat: -40, lon: 179.95 }));
+      await db.insertGpsLog(fix(west, '2025-09-15T08:00:00.000Z', { lat: -40, lon: -179.95 }));
+      // No fix: never inside an area
+      await db.insertGpsLog(fix(moving, '2025-09-15T07:30:00.000Z', { lat: 0, lon: 0, gps_valid: false }));
+
+      const box = { bounds: { north: -39.9, south: -40.05, east: 175.1, west: 174.9 } };
+      const latest = mine(await db.getLatestLocationsInArea(box, 1000));
+      assert.deepStrictEqual(latest.map(row => Number(row.id)), [Number(second), Number(parkedLog)]);
+      assert.strictEqual(latest[0].device_name, null);
+
+      // West greater than east crosses the antimeridian
+      const across = { bounds: { north: -39.9, south: -40.1, east: -179.9, west: 179.9 } };
+      assert.deepStrictEqual(mine(await db.getLatestLocationsInArea(across, 1000)).map(row => row.device_id).sort(), [east, west].sort());
+
+      const circle = toArea({ lat: -40, lon: 175, radius_m: 1500 });
+      const nearby = mine(await db.getLatestLocationsInArea(circle, 1000));
+      assert.deepStrictEqual(nearby.map(row => row.device_id), [moving]);
+      assert.ok(Math.abs(nearby[0].distance_m - haversineKm(-40, 175, -40.01, 175.01) * 1000) < 1);
+
+      const nearest = mine(await db.getLatestLocationsInArea(toArea({ lat: -40, lon: 175 }), 100000));
+      assert.deepStrictEqual(nearest.map(row => row.device_id), [moving, parked, east, west]);
+      assert.ok(nearest[3].distance_m > 400000);
+
+      // History in an area, by device, time range and keyset
+      const history = await db.getLocationsInArea(box, { deviceIds: [moving] });
+      assert.deepStrictEqual(history.map(row => Number(row.id)), [Number(second), Number(first)]);
+      const later = await db.getLocationsInArea(box, { deviceIds: [moving], from: '2025-09-15T08:01:00.000Z' });
+      assert.deepStrictEqual(later.map(row => Number(row.id)), [Number(second)]);
+      const around = await db.getLocationsInArea(toArea({ lat: -40, lon: 175, radius_m: 100 }), { deviceIds: [moving, parked] });
+      assert.deepStrictEqual(around.map(row => Number(row.id)), [Number(first)]);
+      assert.ok(around[0].distance_m < 1);
+
+      const page = await db.getLocationsInArea(box, { deviceIds: [moving, parked], order: 'asc', limit: 2 });
+      assert.deepStrictEqual(page.map(row => Number(row.id)), [Number(parkedLog), Number(first)]);
+      const next = await db.getLocationsInArea(box, {
+        deviceIds: [moving, parked],
+        order: 'asc',
+        after: { time: new Date(page[1].timestamp).toISOString(), id: Number(page[1].id) }
+      });
+      assert.deepStrictEqual(next.map(row => Number(row.id)), [Number(second)]);
+
+      // Deleted positions leave the index
+      await db.deleteGpsLogs(parked, [parkedLog]);
+      assert.deepStrictEqual(await db.getLocationsInArea(box, { deviceIds: [parked] }), []);
+    });
+
+    it('keeps a device in area queries at its last fix after packets without one', async () => {
+      const id = deviceId('16e');
+      const mine = (rows) => rows.filter(row => row.device_id === id).map(row => Number(row.id));
+      const circle = toArea({ lat: -30, lon: 150, radius_m: 1000 });
+      const first = (await db.insertGpsLog(fix(id, '2025-09-15T08:00:00.000Z', { lat: -30, lon: 150 }))).lastInsertRowid;
+      const noFix = (await db.insertGpsLog(fix(id, '2025-09-15T08:05:00.000Z', { lat: -35, lon: 155, gps_valid: false }))).lastInsertRowid;
+      await db.insertGpsLog(fix(id, '2025-09-15T08:06:00.000Z', { lat: 0, lon: 0, gps_valid: false }));
+
+      // The latest packet is still the one without a fix; areas place the device at its fix
+      const latest = (await db.getLatestLocations(1000)).find(row => row.device_id === id);
+      assert.notStrictEqual(Number(latest.id), Number(first));
+      assert.deepStrictEqual(mine(await db.getLatestLocationsInArea(circle, 1000)), [Number(first)]);
+      assert.deepStrictEqual(mine(await db.getLatestLocationsInArea({ bounds: { north: -34, south: -36, east: 156, west: 154 } }, 1000)), []);
+      assert.deepStrictEqual(mine(await db.getLatestLocationsInArea(toArea({ lat: -30, lon: 150 }), 100000)), [Number(first)]);
+
+      // A newer fix moves it; a backfilled older one doesn't
+      const second = (await db.insertGpsLog(fix(id, '2025-09-15T08:10:00.000Z', { lat: -30.001, lon: 150 }))).lastInsertRowid;
+      await db.insertGpsLog(fix(id, '2025-09-15T07:00:00.000Z', { lat: -30.002, lon: 150 }));
+      assert.deepStrictEqual(mine(await db.getLatestLocationsInArea(circle, 1000)), [Number(second)]);
+
+      // Deleting it falls back to the fix before
+      await db.deleteGpsLogs(id, [second, noFix]);
+      assert.deepStrictEqual(mine(await db.getLatestLocationsInArea(circle, 1000)), [Number(first)]);
+    });
+
+    it('scopes lists to an organization and its nested groups', async () => {
+      const [truck, van, other, loose] = ['17a', '17b', '17c', '17d'].map(deviceId);
+      const ids = (rows) => rows.map(row => row.device_id).filter(id => [truck, van, other, loose].includes(id)).sort();
+
+      const acme = (await db.saveOrganization({ name: `Acme ${runId}` })).lastInsertRowid;
+      const globex = (await db.saveOrganization({ name: `Globex ${runId}` })).lastInsertRowid;
+      await db.saveOrganization({ id: acme, name: `Acme Haulage ${runId}` });
+      assert.strictEqual(Number((await db.getOrganizationByName(`Acme Haulage ${runId}`)).id), Number(acme));
+
+      await db.provisionDevice({ device_id: truck, organization_id: acme });
+      await db.provisionDevice({ device_id: van, organization_id: acme });
+      await db.provisionDevice({ device_id: other, organization_id: globex });
+      await db.provisionDevice({ device_id: loose });
+      // Provisioning again without an organization keeps the device's
+      await db.provisionDevice({ device_id: van, name: 'Van' });
+      for (const id of [truck, van, other, loose]) {
+        await db.insertGpsLog(fix(id, '2025-09-17T08:00:00.000Z'));
+      }
+
+      // Depot nested in a fleet: the fleet's devices include the depot's
+      const fleet = (await db.saveDeviceGroup({ organization_id: acme, name: 'Fleet' })).lastInsertRowid;
+      const depot = (await db.saveDeviceGroup({ organization_id: acme, parent_id: fleet, name: 'Depot' })).lastInsertRowid;
+      assert.strictEqual((await db.addDevicesToGroup(fleet, [truck])).changes, 1);
+      assert.strictEqual((await db.addDevicesToGroup(depot, [van, van])).changes, 1);
+      assert.deepStrictEqual((await db.getDeviceGroupTree(fleet)).map(Number).sort(), [Number(fleet), Number(depot)].sort());
+      assert.deepStrictEqual(await db.getDeviceGroupMembers(depot), [van]);
+      assert.strictEqual(Number((await db.getDeviceGroup(depot)).device_count), 1);
+
+      const inAcme = { organizationId: acme };
+      assert.deepStrictEqual(ids(await db.getLatestLocations(1000, inAcme)), [truck, van].sort());
+      assert.deepStrictEqual(ids(await db.getLatestLocations(1000, { ...inAcme, groupId: fleet })), [truck, van].sort());
+      assert.deepStrictEqual(ids(await db.getActiveDevices({ ...inAcme, groupId: depot })), [van]);
+      assert.deepStrictEqual(ids(await db.getActiveDevices()), [truck, van, other, loose].sort());
+      assert.deepStrictEqual((await db.getDeviceIds({ organizationId: globex })), [other]);
+      // A group in scope of another organization covers nothing
+      assert.deepStrictEqual(ids(await db.getActiveDevices({ organizationId: globex, groupId: fleet })), []);
+
+      const organization = await db.getOrganization(acme);
+      assert.strictEqual(Number(organization.device_count), 2);
+      assert.strictEqual(Number(organization.group_count), 2);
+      assert.deepStrictEqual((await db.getOrganizations(inAcme)).map(row => Number(row.id)), [Number(acme)]);
+      assert.deepStrictEqual((await db.getDeviceGroups({ organizationId: globex })), []);
+
+      const rule = (await db.saveRule({
+        name: `Acme speeding ${runId}`, type: 'overspeed', params: { speed_kmh: 90 },
+        severity: 'warning', auto_resolve: false, enabled: true, organization_id: acme
+      })).lastInsertRowid;
+      const event = { rule_id: rule, type: 'overspeed', severity: 'warning', message: 'Too fast', triggered_at: '2025-09-17T08:00:00.000Z' };
+      await db.insertEvent({ ...event, device_id: van });
+      await db.insertEvent({ ...event, device_id: other });
+      assert.deepStrictEqual(ids(await db.getEvents({}, { ...inAcme, groupId: depot })), [van]);
+      assert.deepStrictEqual((await db.getRules({ organizationId: globex })).filter(row => Number(row.id) === Number(rule)), []);
+
+      // Moving a device takes it out of its old organization's groups
+      await db.setDeviceOrganization(van, globex);
+      assert.deepStrictEqual(await db.getDeviceGroupMembers(depot), []);
+      assert.deepStrictEqual(ids(await db.getActiveDevices({ organizationId: globex })), [van, other].sort());
+      assert.ok((await db.getDeviceOrganizations()).some(row => row.device_id === van && Number(row.organization_id) === Number(globex)));
+
+      // Deleting a group moves its subgroups up
+      await db.addDevicesToGroup(depot, [truck]);
+      assert.strictEqual((await db.removeDeviceFromGroup(depot, truck)).changes, 1);
+      const child = (await db.saveDeviceGroup({ organization_id: acme, parent_id: depot, name: 'Bay' })).lastInsertRowid;
+      assert.strictEqual((await db.deleteDeviceGroup(depot)).changes, 1);
+      assert.strictEqual(Number((await db.getDeviceGroup(child)).parent_id), Number(fleet));
+
+      await db.deleteRule(rule);
+      await db.setDeviceOrganization(truck, null);
+      assert.strictEqual((await db.deleteOrganization(acme)).changes, 1);
+      assert.strictEqual(await db.getDeviceGroup(fleet), undefined);
+      assert.strictEqual(await db.getOrganization(acme), undefined);
+    });
+
+    it('stores a display timezone per device', async () => {
+      const id = deviceId('01');
+      await db.updateDeviceTimezone(id, 'Europe/Istanbul');
+
+      assert.strictEqual((await db.getDevice(id)).timezone, 'Europe/Istanbul');
+    });
+  });
+});
@@ -0,0 +1,203 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const GPSDatabase = require('../database');
+const StreamHub = require('../stream-hub');
+
+function fix(deviceId, lat, lon, timestamp = '2025-09-10T06:00:00.000Z') {
+  return { device_id: deviceId, lat, lon, speed: 10, heading: 0, timestamp: timestamp, parsed_at: timestamp };
+}
+
+// Stands in for GPSTrackerServer and the services whose events are streamed
+function tcpServer() {
+  const server = new EventEmitter();
+  server.geofenceService = new EventEmitter();
+  server.rulesEngine = new EventEmitter();
+  return server;
+}
+
+// Messages from a client, awaited in order
+function inbox() {
+  const messages = [];
+  const waiting = [];
+  return {
+    push(message) {
+      const next = waiting.shift();
+      if (next) {
+        next(message);
+      } else {
+        messages.push(message);
+      }
+    },
+    next() {
+      return messages.length > 0 ? Promise.resolve(messages.shift()) : new Promise(resolve => waiting.push(resolve));
+    },
+    pending: () => messages.length
+  };
+}
+
+function connectWebSocket(port, query = '') {
+  const socket = new WebSocket(`ws://127.0.0.1:${port}/stream${query}`);
+  const messages = inbox();
+  socket.on('message', data => messages.push(JSON.parse(data.toString())));
+  return new Promise(resolve => socket.on('open', () => resolve({ socket, messages })));
+}
+
+function connectSse(port, query = '') {
+  const messages = inbox();
+  return new Promise(resolve => {
+    const req = http.get(`http://127.0.0.1:${port}/stream${query}`, res => {
+      let buffer = '';
+      res.on('data', chunk => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const type = /^event: (.*)$/m.exec(block);
+          const data = /^data: (.*)$/m.exec(block);
+          if (type && data) {
+            messages.push({ type: type[1], data: JSON.parse(data[1]) });
+          }
+        }
+      });
+      resolve({ req, res, messages });
+    });
+  });
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+describe('stream hub', () => {
+  let dir;
+  let db;
+  let hub;
+  let source;
+  let server;
+  let port;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'st900-stream-'));
+    db = new GPSDatabase({ backend: 'sqlite', path: path.join(dir, 'test.db') });
+    await db.ready();
+    await db.insertGpsLog(fix('LIVE01', 41.01, 28.98));
+    await db.insertGpsLog(fix('LIVE02', 39.93, 32.85));
+
+    hub = new StreamHub({
+      db,
+      format: (type, data, timezone) => ({ device_id: data.device_id, lat: data.lat ?? null, timezone: timezone }),
+      authorize: async (req) => !req.url.includes('access_token=wrong')
+    });
+    source = tcpServer();
+    hub.attach(source);
+
+    server = http.createServer((req, res) => {
+      const params = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+      hub.addSseClient(res, StreamHub.toSubscription(params));
+    });
+    hub.attachServer(server);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  after(async () => {
+    hub.close();
+    await new Promise(resolve => server.close(resolve));
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('validates subscriptions', () => {
+    assert.strictEqual(StreamHub.validateSubscription({}), null);
+    assert.strictEqual(StreamHub.validateSubscription({ devices: 'A,B', north: '42', south: '40', east: '30', west: '28' }), null);
+    assert.match(StreamHub.validateSubscription({ north: '42', south: '40' }), /bounding box/);
+    assert.match(StreamHub.validateSubscription({ north: '40', south: '42', east: '30', west: '28' }), /south/);
+    assert.match(StreamHub.validateSubscription({ north: 'x', south: '40', east: '30', west: '28' }), /latitudes/);
+    assert.match(StreamHub.validateSubscription({ tz: 'Mars/Olympus' }), /timezone/);
+
+    const subscription = StreamHub.toSubscription({ devices: 'A, B,', tz: 'Europe/Istanbul' });
+    assert.deepStrictEqual([...subscription.devices], ['A', 'B']);
+    assert.strictEqual(subscription.bounds, null);
+    assert.strictEqual(subscription.timezone, 'Europe/Istanbul');
+
+    // Devices outside the caller's organization never match, even when asked for
+    const limited = StreamHub.toSubscription({ devices: 'A,C' }, new Set(['A', 'B']));
+    assert.ok(hub.matches(limited, 'A', null));
+    assert.ok(!hub.matches(limited, 'C', null));
+    assert.ok(!hub.matches(StreamHub.toSubscription({}, new Set()), 'A', null));
+  });
+
+  it('sends a WebSocket client a snapshot, then the devices it subscribed to', async () => {
+    const { socket, messages } = await connectWebSocket(port, '?devices=LIVE01&tz=Europe/Istanbul');
+
+    const snapshot = await messages.next();
+    assert.strictEqual(snapshot.type, 'snapshot');
+    assert.deepStrictEqual(snapshot.data, [{ device_id: 'LIVE01', lat: 41.01, timezone: 'Europe/Istanbul' }]);
+
+    source.emit('position', { ...fix('LIVE02', 39.94, 32.86), id: 10 });
+    source.emit('position', { ...fix('LIVE01', 41.02, 28.99), id: 11 });
+    source.geofenceService.emit('event', { device_id: 'LIVE01', event_type: 'enter', lat: 41.02, lon: 28.99 });
+    assert.deepStrictEqual(await messages.next(), { type: 'position', data: { device_id: 'LIVE01', lat: 41.02, timezone: 'Europe/Istanbul' } });
+    assert.strictEqual((await messages.next()).type, 'geofence.enter');
+
+    // Switching to a bounding box around Ankara brings a new snapshot
+    socket.send(JSON.stringify({ action: 'subscribe', north: 40.5, south: 39.5, east: 33.5, west: 32.5 }));
+    const ankara = await messages.next();
+    assert.strictEqual(ankara.type, 'snapshot');
+    assert.deepStrictEqual(ankara.data.map(row => row.device_id), ['LIVE02']);
+
+    socket.send(JSON.stringify({ action: 'subscribe', north: 10 }));
+    assert.strictEqual((await messages.next()).type, 'error');
+
+    socket.close();
+  });
+
+  it('refuses WebSocket upgrades the caller is not authorized for', async () => {
+    const socket = new WebSocket(`ws://127.0.0.1:${port}/stream?access_token=wrong`);
+    const error = await new Promise(resolve => socket.on('error', resolve));
+    assert.match(error.message, /401/);
+  });
+
+  it('streams positions and events inside a bounding box over SSE', async () => {
+    const { req, messages } = await connectSse(port, '?north=41.5&south=40.5&east=29.5&west=28.5');
+    assert.deepStrictEqual((await messages.next()).data.map(row => row.device_id), ['LIVE01']);
+
+    source.emit('position', { ...fix('LIVE02', 39.95, 32.87), id: 12 }); // Ankara
+    source.emit('position', { ...fix('LIVE03', 41.1, 29.1), id: 13 }); // Istanbul
+    // No location of its own: follows the device's last position
+    source.rulesEngine.emit('event', { device_id: 'LIVE03', type: 'offline', lat: null, lon: null });
+    source.rulesEngine.emit('event', { device_id: 'LIVE02', type: 'offline', lat: null, lon: null });
+
+    assert.deepStrictEqual(await messages.next(), { type: 'position', data: { device_id: 'LIVE03', lat: 41.1, timezone: 'UTC' } });
+    const event = await messages.next();
+    assert.strictEqual(event.type, 'event.raised');
+    assert.strictEqual(event.data.device_id, 'LIVE03');
+
+    await settle();
+    assert.strictEqual(messages.pending(), 0);
+    req.destroy();
+  });
+
+  it('holds live messages back until the snapshot is sent', async () => {
+    const read = db.getLatestLocations.bind(db);
+    db.getLatestLocations = async (limit) => {
+      // A fix arrives while the snapshot is being read
+      source.emit('position', { ...fix('LIVE01', 41.03, 29), id: 14 });
+      return read(limit);
+    };
+
+    const { socket, messages } = await connectWebSocket(port, '?devices=LIVE01');
+    assert.strictEqual((await messages.next()).type, 'snapshot');
+    assert.strictEqual((await messages.next()).data.lat, 41.03);
+
+    db.getLatestLocations = read;
+    socket.close();
+    await settle();
+    assert.strictEqual(hub.clients.size, 0);
+  });
+});
@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  isValidTimezone,
+  resolveTimezone,
+  parseUtc,
+  formatInTimezone,
+  localDate,
+  startOfLocalDay,
+  parseLocalTime
+} = require('../timezone');
+
+const HOUR = 3600 * 1000;
+
+describe('timezone', () => {
+  it('rejects names that are not IANA zones', () => {
+    assert.strictEqual(isValidTimezone('Europe/Istanbul'), true);
+    assert.strictEqual(isValidTimezone('UTC'), true);
+    assert.strictEqual(isValidTimezone('Mars/Olympus_Mons'), false);
+    assert.strictEqual(isValidTimezone('+03:00'), false);
+    assert.strictEqual(isValidTimezone(''), false);
+    assert.strictEqual(isValidTimezone(null), false);
+    assert.strictEqual(isValidTimezone(3), false);
+
+    // Request, then device, then deployment zone; invalid ones are skipped
+    assert.strictEqual(resolveTimezone('Mars/Olympus_Mons', undefined, 'Asia/Tokyo'), 'Asia/Tokyo');
+    assert.strictEqual(resolveTimezone('Europe/Berlin', 'Asia/Tokyo'), 'Europe/Berlin');
+    assert.strictEqual(resolveTimezone('Mars/Olympus_Mons'), 'UTC');
+  });
+
+  it('reads stored timestamps without a zone as UTC', () => {
+    assert.strictEqual(parseUtc('2025-09-09 21:18:06').toISOString(), '2025-09-09T21:18:06.000Z');
+    assert.strictEqual(parseUtc('2025-09-09T21:18:06.250').toISOString(), '2025-09-09T21:18:06.250Z');
+    assert.strictEqual(parseUtc('2025-09-10T00:18:06+03:00').toISOString(), '2025-09-09T21:18:06.000Z');
+    assert.strictEqual(parseUtc(''), null);
+    assert.strictEqual(parseUtc('not a time'), null);
+  });
+
+  it('renders instants as local time with the zone\'s offset', () => {
+    assert.strictEqual(formatInTimezone('2025-09-09 21:18:06', 'Europe/Istanbul'), '2025-09-10T00:18:06.000+03:00');
+    assert.strictEqual(formatInTimezone('2025-07-01T12:00:00Z', 'America/St_Johns'), '2025-07-01T09:30:00.000-02:30');
+    assert.strictEqual(formatInTimezone('2025-07-01T12:00:00Z', 'Asia/Kolkata'), '2025-07-01T17:30:00.000+05:30');
+    assert.strictEqual(formatInTimezone('2025-07-01T12:00:00Z'), '2025-07-01T12:00:00.000+00:00');
+    assert.strictEqual(formatInTimezone(null, 'Europe/Istanbul'), null);
+
+    assert.strictEqual(localDate(new Date('2025-09-09T21:30:00Z'), 'Europe/Istanbul'), '2025-09-10');
+    assert.strictEqual(localDate(new Date('2025-09-09T21:30:00Z'), 'America/New_York'), '2025-09-09');
+  });
+
+  it('follows DST changeovers', () => {
+    // Berlin springs forward at 01:00 UTC on 30 March 2025: 02:00 local becomes 03:00
+    assert.strictEqual(formatInTimezone('2025-03-30T00:59:59Z', 'Europe/Berlin'), '2025-03-30T01:59:59.000+01:00');
+    assert.strictEqual(formatInTimezone('2025-03-30T01:00:00Z', 'Europe/Berlin'), '2025-03-30T03:00:00.000+02:00');
+
+    // And falls back at 01:00 UTC on 26 October: 02:30 local happens twice
+    assert.strictEqual(formatInTimezone('2025-10-26T00:30:00Z', 'Europe/Berlin'), '2025-10-26T02:30:00.000+02:00');
+    assert.strictEqual(formatInTimezone('2025-10-26T01:30:00Z', 'Europe/Berlin'), '2025-10-26T02:30:00.000+01:00');
+
+    // Local days around the changes are 23 and 25 hours long
+    const day = (date) => startOfLocalDay(date, 'Europe/Berlin').getTime();
+    assert.strictEqual(startOfLocalDay('2025-03-30', 'Europe/Berlin').toISOString(), '2025-03-29T23:00:00.000Z');
+    assert.strictEqual(day('2025-03-31') - day('2025-03-30'), 23 * HOUR);
+    assert.strictEqual(day('2025-10-27') - day('2025-10-26'), 25 * HOUR);
+
+    // New York, on the other side of the Atlantic and on another date
+    assert.strictEqual(formatInTimezone('2025-03-09T06:59:00Z', 'America/New_York'), '2025-03-09T01:59:00.000-05:00');
+    assert.strictEqual(formatInTimezone('2025-03-09T07:00:00Z', 'America/New_York'), '2025-03-09T03:00:00.000-04:00');
+  });
+
+  it('parses request times as local unless they carry an offset', () => {
+    assert.strictEqual(parseLocalTime('2025-09-10', 'Europe/Istanbul').toISOString(), '2025-09-09T21:00:00.000Z');
+    assert.strictEqual(parseLocalTime('2025-09-10T08:00', 'Europe/Istanbul').toISOString(), '2025-09-10T05:00:00.000Z');
+    assert.strictEqual(parseLocalTime('2025-10-26T08:00', 'Europe/Berlin').toISOString(), '2025-10-26T07:00:00.000Z');
+    assert.strictEqual(parseLocalTime('2025-10-25T08:00', 'Europe/Berlin').toISOString(), '2025-10-25T06:00:00.000Z');
+    assert.strictEqual(parseLocalTime('2025-09-10T08:00:00.000+01:00', 'Europe/Istanbul').toISOString(), '2025-09-10T07:00:00.000Z');
+    assert.strictEqual(parseLocalTime('2025-09-10T08:00:00Z', 'Europe/Istanbul').toISOString(), '2025-09-10T08:00:00.000Z');
+
+    assert.strictEqual(parseLocalTime('2025-02-30', 'Europe/Istanbul'), null);
+    assert.strictEqual(parseLocalTime('2025-09-10 08:00', 'Europe/Istanbul'), null);
+    assert.strictEqual(parseLocalTime('yesterday', 'Europe/Istanbul'), null);
+  });
+});
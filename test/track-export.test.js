@@ -0,0 +1,116 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const GPSDatabase = require('../database');
+const TrackExporter = require('../track-export');
+
+function fix(minute, overrides = {}) {
+  const timestamp = `2025-09-10T06:0${minute}:00.000Z`;
+  return {
+    device_id: 'EXPORT01',
+    lat: 41 + minute / 100,
+    lon: 29 + minute / 100,
+    speed: 36,
+    heading: 90,
+    timestamp: timestamp,
+    parsed_at: timestamp,
+    alarms: [],
+    ...overrides
+  };
+}
+
+describe('track export', () => {
+  let dir;
+  let db;
+  let server;
+  let port;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'st900-export-'));
+    db = new GPSDatabase({ backend: 'sqlite', path: path.join(dir, 'test.db') });
+    await db.ready();
+    for (let minute = 0; minute < 5; minute++) {
+      await db.insertGpsLog(fix(minute));
+    }
+    // No fix: left out of every format
+    await db.insertGpsLog(fix(5, { lat: 0, lon: 0, gps_valid: false }));
+
+    // Small batches so every format is written in several pieces
+    const exporter = new TrackExporter({ db, batchSize: 2 });
+    server = http.createServer((req, res) => {
+      const query = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+      exporter.export(res, {
+        deviceId: 'EXPORT01',
+        from: query.from || null,
+        to: query.to || null,
+        format: query.format,
+        timezone: 'Europe/Istanbul',
+        name: 'Van & trailer',
+        filename: 'EXPORT01 today'
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const download = async (query) => {
+    const res = await fetch(`http://127.0.0.1:${port}/?${query}`);
+    return { headers: res.headers, body: await res.text() };
+  };
+
+  it('writes GPX track points with local times, speed and course', async () => {
+    const { headers, body } = await download('format=gpx');
+    assert.strictEqual(headers.get('content-type'), 'application/gpx+xml');
+    assert.strictEqual(headers.get('content-disposition'), 'attachment; filename="EXPORT01_today.gpx"');
+
+    assert.strictEqual(body.match(/<trkpt /g).length, 5);
+    assert.match(body, /<name>Van &amp; trailer<\/name>/);
+    assert.match(body, /<trkpt lat="41" lon="29">\s*<ele>0<\/ele>\s*<time>2025-09-10T09:00:00.000\+03:00<\/time>/);
+    assert.match(body, /<gpxtpx:speed>10<\/gpxtpx:speed>\s*<gpxtpx:course>90<\/gpxtpx:course>/);
+    assert.match(body, /<\/trkseg>\s*<\/trk>\s*<\/gpx>\s*$/);
+  });
+
+  it('writes a GeoJSON line joined across batches, with a point per position', async () => {
+    const { headers, body } = await download('format=geojson');
+    assert.strictEqual(headers.get('content-type'), 'application/geo+json');
+
+    const collection = JSON.parse(body);
+    const lines = collection.features.filter(feature => feature.geometry.type === 'LineString');
+    const points = collection.features.filter(feature => feature.geometry.type === 'Point');
+    assert.strictEqual(points.length, 5);
+    assert.deepStrictEqual(points[4].properties.timestamp, '2025-09-10T09:04:00.000+03:00');
+    assert.strictEqual(points[4].properties.speed_kmh, 36);
+
+    // Each segment starts where the one before ended
+    assert.deepStrictEqual(lines.map(line => line.geometry.coordinates.length), [2, 3, 2]);
+    assert.deepStrictEqual(lines[1].geometry.coordinates[0], lines[0].geometry.coordinates[1]);
+  });
+
+  it('writes KML with a styled line and placemarks', async () => {
+    const { body } = await download('format=kml');
+    assert.match(body, /<Style id="track"><LineStyle>/);
+    assert.strictEqual(body.match(/<styleUrl>#track<\/styleUrl>/g).length, 3);
+    assert.strictEqual(body.match(/<Point>/g).length, 5);
+    assert.match(body, /<when>2025-09-10T09:01:00.000\+03:00<\/when>/);
+    assert.match(body, /<\/Document>\s*<\/kml>\s*$/);
+  });
+
+  it('writes CSV rows for a time range', async () => {
+    const { body } = await download('format=csv&from=2025-09-10T06:01:00.000Z&to=2025-09-10T06:03:00.000Z');
+    const rows = body.trim().split('\r\n');
+    assert.strictEqual(rows[0], 'device_id,timestamp,latitude,longitude,speed_kmh,heading,altitude,ignition,alarms');
+    assert.deepStrictEqual(rows.slice(1).map(row => row.split(',')[1]), [
+      '2025-09-10T09:01:00.000+03:00',
+      '2025-09-10T09:02:00.000+03:00'
+    ]);
+  });
+});
@@ -0,0 +1,172 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GPSDatabase = require('../database');
+const TripService = require('../trip-service');
+const { START, STEP_LON, store } = require('./helpers/fixtures');
+
+// Fixes every 30 s: { minutes, moving } legs; moving legs head east at 36 km/h
+function track(deviceId, legs) {
+  const fixes = [];
+  let time = START;
+  let lon = 29;
+
+  legs.forEach(leg => {
+    for (let i = 0; i < leg.minutes * 2; i++) {
+      if (leg.moving) {
+        lon += STEP_LON;
+      }
+      fixes.push({
+        device_id: deviceId,
+        lat: 41,
+        lon: lon,
+        speed: leg.moving ? 36 : 0,
+        heading: 90,
+        timestamp: new Date(time).toISOString(),
+        parsed_at: new Date(time).toISOString()
+      });
+      time += 30 * 1000;
+    }
+  });
+
+  return fixes;
+}
+
+describe('trip segmentation', () => {
+  let dir;
+  let db;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'st900-trips-'));
+    db = new GPSDatabase({ backend: 'sqlite', path: path.join(dir, 'test.db') });
+    await db.ready();
+  });
+
+  after(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('splits a track into stops and trips', async () => {
+    const trips = new TripService({ db });
+    await store(db, trips, track('TRIP01', [
+      { minutes: 5, moving: false },
+      { minutes: 10, moving: true },
+      { minutes: 10, moving: false }
+    ]));
+    await trips.close();
+
+    // From the last fix before moving off to the first fix standing still
+    const [trip] = await db.getTrips('TRIP01');
+    assert.strictEqual(trip.status, 'closed');
+    assert.strictEqual(trip.start_time, '2025-09-10T06:04:30.000Z');
+    assert.strictEqual(trip.end_time, '2025-09-10T06:15:00.000Z');
+    assert.ok(Math.abs(trip.distance_km - 6) < 0.05, `distance ${trip.distance_km}`);
+    assert.strictEqual(trip.duration_s, 630);
+    assert.strictEqual(trip.max_speed, 36);
+    assert.ok(Math.abs(trip.avg_speed - 34.3) < 0.1);
+
+    const stops = await db.getStops('TRIP01');
+    assert.strictEqual(stops.length, 2);
+    assert.strictEqual(stops[0].end_time, null);
+    assert.strictEqual(stops[0].start_time, trip.end_time);
+    assert.strictEqual(stops[1].end_time, trip.start_time);
+  });
+
+  it('counts short pauses as idle time and ignores drift', async () => {
+    const trips = new TripService({ db });
+    const fixes = track('TRIP02', [
+      { minutes: 5, moving: true },
+      { minutes: 2, moving: false },
+      { minutes: 5, moving: true },
+      { minutes: 6, moving: false }
+    ]);
+    // A moment at walking pace without going anywhere is not a trip
+    const parked = fixes[fixes.length - 1];
+    for (let second = 10; second <= 400; second += 30) {
+      const time = new Date(Date.parse(parked.timestamp) + second * 1000).toISOString();
+      fixes.push({ ...parked, speed: second === 10 ? 6 : 0, timestamp: time, parsed_at: time });
+    }
+    await store(db, trips, fixes);
+    await trips.close();
+
+    // The first fix is already on the move, so the trip starts there
+    const list = await db.getTrips('TRIP02');
+    assert.strictEqual(list.length, 1);
+    assert.strictEqual(list[0].idle_s, 90);
+    assert.ok(Math.abs(list[0].distance_km - 5.7) < 0.05, `distance ${list[0].distance_km}`);
+
+    const stops = await db.getStops('TRIP02');
+    assert.strictEqual(stops.length, 1);
+    assert.strictEqual(stops[0].end_time, null);
+  });
+
+  it('continues an open trip after a restart', async () => {
+    const fixes = track('TRIP03', [{ minutes: 10, moving: true }, { minutes: 6, moving: false }]);
+
+    const before = new TripService({ db });
+    await store(db, before, fixes.slice(0, 10));
+    await before.close();
+    const open = await db.getOpenTrip('TRIP03');
+    assert.ok(open);
+
+    const after = new TripService({ db });
+    await store(db, after, fixes.slice(10));
+    await after.close();
+
+    const list = await db.getTrips('TRIP03');
+    assert.strictEqual(list.length, 1);
+    assert.strictEqual(list[0].id, open.id);
+    assert.strictEqual(list[0].status, 'closed');
+    assert.ok(Math.abs(list[0].distance_km - 5.7) < 0.05, `distance ${list[0].distance_km}`);
+  });
+
+  it('catches up past more stored fixes at one time than fit on a page', { timeout: 10000 }, async () => {
+    const fixes = track('TRIP06', [{ minutes: 10, moving: true }, { minutes: 6, moving: false }]);
+
+    const before = new TripService({ db });
+    await store(db, before, fixes.slice(0, 10));
+    await before.close();
+
+    // A buffered upload stamped with a single time, then the drive goes on
+    for (let i = 0; i < 12; i++) {
+      await db.insertGpsLog({ ...fixes[10], lat: 41 + i * 0.000001 });
+    }
+    for (const fix of fixes.slice(11, 20)) {
+      await db.insertGpsLog(fix);
+    }
+
+    const after = new TripService({ db, replayPageSize: 5 });
+    await store(db, after, fixes.slice(20));
+    await after.close();
+
+    const list = await db.getTrips('TRIP06');
+    assert.strictEqual(list.length, 1);
+    assert.strictEqual(list[0].status, 'closed');
+    assert.ok(Math.abs(list[0].distance_km - 5.7) < 0.05, `distance ${list[0].distance_km}`);
+  });
+
+  it('segments again when older fixes are uploaded late', async () => {
+    const trips = new TripService({ db, rebuildDelay: 10 });
+    const fixes = track('TRIP04', [
+      { minutes: 5, moving: false },
+      { minutes: 10, moving: true },
+      { minutes: 6, moving: false }
+    ]);
+    const late = fixes.slice(12, 28);
+
+    // The device drove out of coverage and uploaded the drive afterwards
+    await store(db, trips, fixes.filter(fix => !late.includes(fix)));
+    await store(db, trips, late);
+    await trips.close();
+
+    const list = await db.getTrips('TRIP04');
+    assert.strictEqual(list.length, 1);
+    assert.ok(Math.abs(list[0].distance_km - 6) < 0.05, `distance ${list[0].distance_km}`);
+    assert.strictEqual(list[0].start_time, '2025-09-10T06:04:30.000Z');
+    assert.strictEqual(list[0].point_count, 22);
+    assert.strictEqual(list[0].idle_s, 0);
+  });
+});
@@ -0,0 +1,209 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const dns = require('dns').promises;
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const GPSDatabase = require('../database');
+const WebhookService = require('../webhook-service');
+
+const SECRET = 'a-shared-secret-for-tests';
+// The test subscriber listens on loopback, which subscriptions may only reach when allowed
+const ALLOWED_HOSTS = ['127.0.0.1'];
+
+// A subscriber that answers with the next status in `statuses` (200 when empty)
+function subscriber() {
+  const received = [];
+  const statuses = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body: body });
+      res.statusCode = statuses.shift() || 200;
+      res.end();
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    received: received,
+    statuses: statuses,
+    close: () => new Promise(done => server.close(done))
+  })));
+}
+
+function position(deviceId, id) {
+  return {
+    id: id,
+    device_id: deviceId,
+    lat: 41.0082,
+    lon: 28.9784,
+    speed: 42,
+    heading: 90,
+    timestamp: '2025-09-10T06:00:00.000Z',
+    alarms: []
+  };
+}
+
+describe('webhooks', () => {
+  let dir;
+  let db;
+  let hook;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'st900-webhooks-'));
+    db = new GPSDatabase({ backend: 'sqlite', path: path.join(dir, 'test.db') });
+    await db.ready();
+    hook = await subscriber();
+  });
+
+  after(async () => {
+    await hook.close();
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('rejects malformed subscriptions', () => {
+    assert.strictEqual(WebhookService.validateWebhook({ url: 'https://example.com/hook' }), null);
+    assert.match(WebhookService.validateWebhook({ url: 'not a url' }), /url/);
+    assert.match(WebhookService.validateWebhook({ url: 'ftp://example.com' }), /http/);
+    assert.match(WebhookService.validateWebhook({ url: 'https://example.com', secret: 'short' }), /secret/);
+    assert.match(WebhookService.validateWebhook({ url: 'https://example.com', device_ids: [] }), /device_ids/);
+    assert.match(WebhookService.validateWebhook({ url: 'https://example.com', event_types: ['trip'] }), /event_types/);
+
+    const row = WebhookService.toRow({ url: 'https://example.com' });
+    assert.strictEqual(row.secret.length, 48);
+    assert.strictEqual(WebhookService.toRow({ url: 'https://example.com' }, row).secret, row.secret);
+  });
+
+  it('delivers signed payloads to matching subscriptions only', async () => {
+    const all = (await db.saveWebhook(WebhookService.toRow({ url: hook.url, secret: SECRET }))).lastInsertRowid;
+    const filtered = (await db.saveWebhook(WebhookService.toRow({
+      url: hook.url,
+      secret: SECRET,
+      device_ids: ['HOOK02'],
+      event_types: ['geofence.enter']
+    }))).lastInsertRowid;
+
+    const webhooks = new WebhookService({ db, allowedHosts: ALLOWED_HOSTS });
+    webhooks.publishPosition(position('HOOK01', 1));
+    webhooks.publishPosition(position('HOOK02', 2));
+    webhooks.publishGeofenceEvent({
+      id: 7, device_id: 'HOOK02', geofence_id: 3, geofence_name: 'Depot', event_type: 'enter',
+      timestamp: '2025-09-10T06:01:00.000Z', lat: 41, lon: 29, gps_log_id: 2
+    });
+    await webhooks.flush();
+
+    assert.strictEqual(await webhooks.deliverDue(), 4);
+    await webhooks.close();
+
+    assert.strictEqual(hook.received.length, 4);
+    for (const { headers, body } of hook.received) {
+      assert.strictEqual(headers['x-webhook-signature'], WebhookService.sign(SECRET, headers['x-webhook-timestamp'], body));
+      assert.strictEqual(JSON.parse(body).event, headers['x-webhook-event']);
+    }
+
+    const toFiltered = hook.received.filter(request => request.headers['x-webhook-id'] === String(filtered));
+    assert.deepStrictEqual(toFiltered.map(request => JSON.parse(request.body).data.geofence_name), ['Depot']);
+    const first = JSON.parse(hook.received[0].body);
+    assert.strictEqual(first.data.latitude, 41.0082);
+    assert.strictEqual(first.data.timestamp, '2025-09-10T06:00:00.000Z');
+
+    const delivered = await db.getWebhookDeliveries({ webhookId: all, status: 'delivered' });
+    assert.strictEqual(delivered.length, 3);
+    assert.strictEqual(delivered[0].response_status, 200);
+
+    await db.deleteWebhook(all);
+    await db.deleteWebhook(filtered);
+    hook.received.length = 0;
+  });
+
+  it('retries with backoff into the dead letters, and carries pending deliveries over a restart', async () => {
+    const webhookId = (await db.saveWebhook(WebhookService.toRow({ url: hook.url, secret: SECRET }))).lastInsertRowid;
+    const options = { db, maxAttempts: 3, retrySeconds: 60, allowedHosts: ALLOWED_HOSTS };
+    hook.statuses.push(500, 503, 500);
+
+    const first = new WebhookService(options);
+    first.publishPosition(position('HOOK03', 3));
+    await first.flush();
+
+    const start = new Date();
+    assert.strictEqual(await first.deliverDue(start), 1);
+    let [delivery] = await db.getWebhookDeliveries({ webhookId });
+    assert.strictEqual(delivery.status, 'pending');
+    assert.strictEqual(delivery.last_error, 'HTTP 500');
+    assert.strictEqual(Date.parse(delivery.next_attempt_at), start.getTime() + 60000);
+    // Not due again until the backoff has passed
+    assert.strictEqual(await first.deliverDue(start), 0);
+    await first.close();
+
+    // A new instance picks the delivery up from the database
+    const second = new WebhookService(options);
+    assert.strictEqual(await second.deliverDue(new Date(start.getTime() + 60000)), 1);
+    [delivery] = await db.getWebhookDeliveries({ webhookId });
+    assert.strictEqual(Date.parse(delivery.next_attempt_at), start.getTime() + 60000 + 120000);
+
+    assert.strictEqual(await second.deliverDue(new Date(start.getTime() + 180000)), 1);
+    [delivery] = await db.getWebhookDeliveries({ webhookId });
+    assert.strictEqual(delivery.status, 'dead');
+    assert.strictEqual(delivery.attempts, 3);
+    assert.strictEqual((await db.getWebhookDeliveries({ status: 'dead' })).length, 1);
+
+    // Retried from the dead letters, it succeeds
+    assert.strictEqual((await db.retryWebhookDelivery(delivery.id)).changes, 1);
+    assert.strictEqual(await second.deliverDue(), 1);
+    await second.close();
+
+    delivery = await db.getWebhookDelivery(delivery.id);
+    assert.strictEqual(delivery.status, 'delivered');
+    assert.strictEqual(hook.received.length, 4);
+    assert.strictEqual(new Set(hook.received.map(request => request.headers['x-webhook-delivery'])).size, 1);
+  });
+
+  it('refuses subscribers on loopback, private and link-local addresses', async () => {
+    const names = { 'dispatch.example': '93.184.216.34', 'intranet.example': '10.1.2.3' };
+    const webhooks = new WebhookService({
+      db,
+      lookup: async (hostname) => (names[hostname] ? [{ address: names[hostname], family: 4 }] : dns.lookup(hostname, { all: true }))
+    });
+
+    for (const url of ['http://127.0.0.1:8080/hook', 'http://localhost/hook', 'http://[::1]/hook', 'http://169.254.169.254/latest',
+      'http://192.168.1.10/', 'http://[::ffff:10.0.0.1]/', 'http://[fd00::1]/', 'https://intranet.example/hook']) {
+      assert.match(await webhooks.checkTarget(url), /loopback, private or link-local/, url);
+    }
+    assert.strictEqual(await webhooks.checkTarget('https://dispatch.example/hook'), null);
+    assert.strictEqual(await webhooks.checkTarget('http://8.8.8.8/hook'), null);
+    assert.strictEqual(await new WebhookService({ db, allowedHosts: ['localhost'] }).checkTarget('http://localhost:8080/hook'), null);
+
+    // Checked again at delivery: the test subscriber is on loopback
+    const webhookId = (await db.saveWebhook(WebhookService.toRow({ url: hook.url, secret: SECRET }))).lastInsertRowid;
+    webhooks.publishPosition(position('HOOK05', 5));
+    await webhooks.flush();
+    await webhooks.deliverDue();
+    await webhooks.close();
+
+    const [delivery] = await db.getWebhookDeliveries({ webhookId });
+    assert.strictEqual(delivery.status, 'pending');
+    assert.match(delivery.last_error, /127\.0\.0\.1/);
+    assert.strictEqual(hook.received.filter(request => request.headers['x-webhook-id'] === String(webhookId)).length, 0);
+    await db.deleteWebhook(webhookId);
+  });
+
+  it('does not wait for subscribers when publishing', async () => {
+    const webhookId = (await db.saveWebhook(WebhookService.toRow({ url: 'http://127.0.0.1:9/unreachable', secret: SECRET }))).lastInsertRowid;
+    const webhooks = new WebhookService({ db });
+
+    const started = Date.now();
+    for (let i = 0; i < 100; i++) {
+      webhooks.publishPosition(position('HOOK04', 100 + i));
+    }
+    assert.ok(Date.now() - started < 100);
+
+    await webhooks.close();
+    assert.strictEqual((await db.getWebhookDeliveries({ webhookId, status: 'pending', limit: 1000 })).length, 100);
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Timezone helpers for rendering stored UTC timestamps
+ * Uses the IANA database bundled with Node's Intl, so DST is handled per date
+ */
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+/**
+ * Check that a timezone name is a valid IANA zone
+ * @param {string} timezone - e.g. Europe/Istanbul
+ * @returns {boolean} True if Intl recognizes the zone
+ */
+function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Pick the first valid timezone from most to least specific
+ * @param {...string} candidates - e.g. request, device, deployment timezones
+ * @returns {string} IANA timezone name
+ */
+function resolveTimezone(...candidates) {
+  return candidates.find(isValidTimezone) || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Parse a stored timestamp as UTC
+ * SQLite CURRENT_TIMESTAMP values ('YYYY-MM-DD HH:MM:SS') carry no zone and are UTC
+ * @param {string|Date} value - Stored timestamp
+ * @returns {Date|null} Date or null if the value is empty or invalid
+ */
+function parseUtc(value) {
+  if (!value) {
+    return null;
+  }
+
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+
+  let text = String(value);
+  if (/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(\.\d+)?$/.test(text)) {
+    text = text.replace(' ', 'T') + 'Z';
+  }
+
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone name
+ * @returns {number} Offset in minutes, positive east of UTC
+ */
+function getOffsetMinutes(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const field = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+  const wallClock = Date.UTC(
+    field('year'), field('month') - 1, field('day'),
+    field('hour'), field('minute'), field('second')
+  );
+
+  return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Render a UTC timestamp as ISO 8601 local time with its offset
+ * Example: 2025-09-10T00:18:06.000+03:00
+ * @param {string|Date} value - Stored UTC timestamp
+ * @param {string} timezone - IANA timezone name
+ * @returns {string|null} Local ISO timestamp or null if the value is empty
+ */
+function formatInTimezone(value, timezone = DEFAULT_TIMEZONE) {
+  const date = parseUtc(value);
+  if (!date) {
+    return null;
+  }
+
+  const offset = getOffsetMinutes(date, timezone);
+  const local = new Date(date.getTime() + offset * 60000).toISOString().slice(0, -1);
+
+  const sign = offset < 0 ? '-' : '+';
+  const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+  const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+
+  return `${local}${sign}${hours}:${minutes}`;
+}
+
+/**
+ * Calendar date of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone name
+ * @returns {string} Local date as YYYY-MM-DD
+ */
+function localDate(date, timezone = DEFAULT_TIMEZONE) {
+  return new Date(date.getTime() + getOffsetMinutes(date, timezone) * 60000).toISOString().slice(0, 10);
+}
+
+/**
+ * Check a calendar date string (YYYY-MM-DD) names a real date
+ * @param {string} value - Date string
+ * @returns {boolean} True if valid
+ */
+function isLocalDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Instant a local calendar date starts in a timezone
+ * @param {string} day - Local date as YYYY-MM-DD
+ * @param {string} timezone - IANA timezone name
+ * @returns {Date} UTC instant of local midnight
+ */
+function startOfLocalDay(day, timezone = DEFAULT_TIMEZONE) {
+  return fromWallClock(Date.parse(`${day}T00:00:00Z`), timezone);
+}
+
+/**
+ * Parse a time given in a request, reading it as local time in a timezone
+ * unless it carries its own offset
+ * Examples: 2025-09-10, 2025-09-10T08:00, 2025-09-10T08:00:00.000+03:00
+ * @param {string} value - Local date, local date and time, or ISO 8601 timestamp
+ * @param {string} timezone - IANA timezone name for values without an offset
+ * @returns {Date|null} UTC instant, or null if the value is not a valid time
+ */
+function parseLocalTime(value, timezone = DEFAULT_TIMEZONE) {
+  if (isLocalDate(value)) {
+    return startOfLocalDay(value, timezone);
+  }
+
+  const match = typeof value === 'string' &&
+    /^(\d{4}-\d{2}-\d{2})T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})?$/.exec(value);
+  if (!match || !isLocalDate(match[1])) {
+    return null;
+  }
+
+  if (match[4]) {
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+  }
+
+  const wallClock = Date.parse(`${value}Z`);
+  return isNaN(wallClock) ? null : fromWallClock(wallClock, timezone);
+}
+
+// UTC instant of a wall clock time (given as if it were UTC) in a timezone
+function fromWallClock(wallClock, timezone) {
+  // The offset at the wall clock time can differ from the offset a few hours away (DST)
+  let instant = wallClock - getOffsetMinutes(new Date(wallClock), timezone) * 60000;
+  instant = wallClock - getOffsetMinutes(new Date(instant), timezone) * 60000;
+  return new Date(instant);
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  resolveTimezone,
+  parseUtc,
+  getOffsetMinutes,
+  formatInTimezone,
+  localDate,
+  isLocalDate,
+  startOfLocalDay,
+  parseLocalTime
+};
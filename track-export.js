@@ -0,0 +1,254 @@
+const { hasFix } = require('./geo');
+const { formatInTimezone } = require('./timezone');
+require('dotenv').config();
+
+const KMH_PER_MS = 3.6;
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Quote a CSV field when it needs it
+const csvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Writers per format. Each turns a track into text in three steps so it can be
+ * streamed: start(track), points(batch, previous) for every batch of
+ * positions in time order, and end(track). `previous` is the last position
+ * of the batch before, so line segments written per batch join up.
+ */
+const WRITERS = {
+  gpx: {
+    contentType: 'application/gpx+xml',
+    start: (track) => [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<gpx version="1.1" creator="ST-900 GPS Tracker Server" xmlns="http://www.topografix.com/GPX/1/1"',
+      '  xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2">',
+      `  <metadata><name>${escapeXml(track.name)}</name></metadata>`,
+      '  <trk>',
+      `    <name>${escapeXml(track.name)}</name>`,
+      '    <trkseg>',
+      ''
+    ].join('\n'),
+    // GPX has no speed or course of its own; the Garmin extension carries them (speed in m/s)
+    points: (points) => points.map(point => [
+      `      <trkpt lat="${point.lat}" lon="${point.lon}">`,
+      point.altitude !== null && point.altitude !== undefined ? `        <ele>${point.altitude}</ele>` : null,
+      `        <time>${point.time}</time>`,
+      '        <extensions><gpxtpx:TrackPointExtension>',
+      `          <gpxtpx:speed>${round(point.speed / KMH_PER_MS, 2)}</gpxtpx:speed>`,
+      `          <gpxtpx:course>${point.heading}</gpxtpx:course>`,
+      '        </gpxtpx:TrackPointExtension></extensions>',
+      '      </trkpt>',
+      ''
+    ].filter(line => line !== null).join('\n')).join(''),
+    end: () => '    </trkseg>\n  </trk>\n</gpx>\n'
+  },
+
+  kml: {
+    contentType: 'application/vnd.google-earth.kml+xml',
+    start: (track) => [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<kml xmlns="http://www.opengis.net/kml/2.2">',
+      '<Document>',
+      `  <name>${escapeXml(track.name)}</name>`,
+      '  <Style id="track"><LineStyle><color>ffd18a1e</color><width>4</width></LineStyle></Style>',
+      '  <Style id="position"><IconStyle><scale>0.5</scale>' +
+        '<Icon><href>http://maps.google.com/mapfiles/kml/shapes/shaded_dot.png</href></Icon></IconStyle>' +
+        '<LabelStyle><scale>0</scale></LabelStyle></Style>',
+      ''
+    ].join('\n'),
+    // The line is written as one segment per batch, each starting where the last ended
+    points: (points, previous) => {
+      const line = previous ? [previous, ...points] : points;
+      const segment = line.length < 2 ? '' : [
+        '  <Placemark>',
+        '    <name>Track</name>',
+        '    <styleUrl>#track</styleUrl>',
+        '    <LineString><tessellate>1</tessellate><coordinates>' +
+          line.map(point => `${point.lon},${point.lat}`).join(' ') + '</coordinates></LineString>',
+        '  </Placemark>',
+        ''
+      ].join('\n');
+
+      return segment + points.map(point => [
+        '  <Placemark>',
+        `    <name>${escapeXml(point.time)}</name>`,
+        '    <styleUrl>#position</styleUrl>',
+        `    <TimeStamp><when>${point.time}</when></TimeStamp>`,
+        '    <ExtendedData>',
+        `      <Data name="speed_kmh"><value>${point.speed}</value></Data>`,
+        `      <Data name="heading"><value>${point.heading}</value></Data>`,
+        '    </ExtendedData>',
+        `    <Point><coordinates>${point.lon},${point.lat}</coordinates></Point>`,
+        '  </Placemark>',
+        ''
+      ].join('\n')).join('');
+    },
+    end: () => '</Document>\n</kml>\n'
+  },
+
+  geojson: {
+    contentType: 'application/geo+json',
+    start: (track) => `{"type":"FeatureCollection","name":${JSON.stringify(track.name)},"features":[\n`,
+    // A LineString segment per batch, followed by a Point feature per position
+    points: (points, previous) => {
+      const line = (previous ? [previous, ...points] : points).map(point => [point.lon, point.lat]);
+      const features = [];
+      if (line.length > 1) {
+        features.push({
+          type: 'Feature',
+          geometry: { type: 'LineString', coordinates: line },
+          properties: { kind: 'track', device_id: points[0].device_id }
+        });
+      }
+      points.forEach(point => features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [point.lon, point.lat] },
+        properties: {
+          kind: 'position',
+          id: point.id,
+          device_id: point.device_id,
+          timestamp: point.time,
+          speed_kmh: point.speed,
+          heading: point.heading,
+          altitude: point.altitude
+        }
+      }));
+
+      // Features after the first batch follow a comma
+      return (previous ? ',\n' : '') + features.map(feature => JSON.stringify(feature)).join(',\n');
+    },
+    end: () => '\n]}\n'
+  },
+
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    start: () => 'device_id,timestamp,latitude,longitude,speed_kmh,heading,altitude,ignition,alarms\r\n',
+    points: (points) => points.map(point => [
+      point.device_id, point.time, point.lat, point.lon, point.speed, point.heading,
+      point.altitude, point.ignition, point.alarms
+    ].map(csvField).join(',') + '\r\n').join(''),
+    end: () => ''
+  }
+};
+
+/**
+ * Exports a device's positions over a time range as GPX, KML, GeoJSON or CSV.
+ *
+ * Positions with a GPS fix are read in time order a batch at a time and
+ * written to the response as they are read, waiting whenever the client falls
+ * behind, so a month of data never sits in memory. Times are rendered in the
+ * requested timezone.
+ */
+class TrackExporter {
+  constructor(options = {}) {
+    this.db = options.db;
+    this.batchSize = options.batchSize || parseInt(process.env.EXPORT_BATCH_SIZE) || 1000;
+  }
+
+  /**
+   * Stream a track to an HTTP response
+   * @param {http.ServerResponse} res - Response to write to
+   * @param {Object} track - { deviceId, from, to, format, timezone, name, filename }
+   *   with from (inclusive) and to (exclusive) as ISO strings or null
+   * @returns {Promise<number>} Positions written
+   */
+  async export(res, track) {
+    const writer = WRITERS[track.format];
+    res.writeHead(200, {
+      'Content-Type': writer.contentType,
+      'Content-Disposition': `attachment; filename="${track.filename.replace(/[^\w.-]+/g, '_')}.${track.format}"`
+    });
+
+    let written = 0;
+    let previous = null;
+    let after = null;
+
+    try {
+      await write(res, writer.start(track));
+
+      while (!res.destroyed) {
+        const rows = await this.db.getDeviceHistory(track.deviceId, {
+          from: track.from,
+          to: track.to,
+          order: 'asc',
+          after: after,
+          limit: this.batchSize
+        });
+        if (rows.length === 0) {
+          break;
+        }
+        const last = rows[rows.length - 1];
+        after = { time: last.timestamp, id: Number(last.id) };
+
+        const points = rows.filter(hasFix).map(row => toPoint(row, track.timezone));
+        if (points.length > 0) {
+          await write(res, writer.points(points, previous));
+          previous = points[points.length - 1];
+          written += points.length;
+        }
+
+        if (rows.length < this.batchSize) {
+          break;
+        }
+      }
+
+      if (!res.destroyed) {
+        res.end(writer.end(track));
+      }
+    } catch (error) {
+      // The status line is already sent; cut the response short so the client sees it failed
+      console.error('❌ Track export failed:', error);
+      res.destroy(error);
+    }
+
+    return written;
+  }
+}
+
+// Position as the writers use it
+function toPoint(row, timezone) {
+  return {
+    id: Number(row.id),
+    device_id: row.device_id,
+    lat: row.lat,
+    lon: row.lon,
+    speed: row.speed ?? 0,
+    heading: row.heading ?? 0,
+    altitude: row.altitude ?? null,
+    ignition: row.ignition === null || row.ignition === undefined ? null : Boolean(row.ignition),
+    alarms: Array.isArray(row.alarms) ? row.alarms.join(',') : (row.alarms || ''),
+    time: formatInTimezone(row.timestamp, timezone)
+  };
+}
+
+// Write a chunk, waiting for the client to catch up when its buffer is full
+function write(res, chunk) {
+  if (!chunk || res.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+TrackExporter.FORMATS = Object.keys(WRITERS);
+
+module.exports = TrackExporter;
@@ -0,0 +1,406 @@
+const GPSDatabase = require('./database');
+const { haversineKm, hasFix } = require('./geo');
+const { parseUtc } = require('./timezone');
+require('dotenv').config();
+
+// Fixes read per query when segmenting stored history
+const REPLAY_PAGE_SIZE = 1000;
+
+/**
+ * Splits each device's track into trips and stops as fixes are stored.
+ *
+ * A trip starts when the device moves: its speed reaches minSpeed, or it drifts
+ * more than stopRadius metres from where it stood. It ends once the device has
+ * stood still for stopMinutes, or has sent nothing for that long. Trips shorter
+ * than minDistance metres are dropped as GPS drift. Idle time inside a trip
+ * (traffic lights, queues) is kept in idle_s.
+ *
+ * Fixes that arrive older than the last one seen (blind-area uploads) cause the
+ * device's trips from that time on to be segmented again.
+ */
+class TripService {
+  constructor(options = {}) {
+    this.db = options.db || new GPSDatabase();
+    this.minSpeed = options.minSpeed || parseFloat(process.env.TRIP_MIN_SPEED) || 5;
+    this.stopMs = (options.stopMinutes || parseFloat(process.env.TRIP_STOP_MINUTES) || 5) * 60 * 1000;
+    this.stopRadius = options.stopRadius || parseFloat(process.env.TRIP_STOP_RADIUS) || 100;
+    this.minDistance = options.minDistance || parseFloat(process.env.TRIP_MIN_DISTANCE) || 200;
+    // An open trip is written at most this often while it grows
+    this.saveInterval = options.saveInterval || 30 * 1000;
+    // Backfilled fixes tend to arrive in bursts; wait for the burst to end
+    this.rebuildDelay = options.rebuildDelay || 5 * 1000;
+    this.replayPageSize = options.replayPageSize || REPLAY_PAGE_SIZE;
+
+    this.states = new Map(); // Segmentation state per device
+    this.chains = new Map(); // Work queued per device, run in order
+    this.rebuilds = new Map(); // Pending re-segmentation per device
+  }
+
+  /**
+   * Segment a stored fix. Call in the order fixes are stored.
+   * @param {Object} row - gps_logs row (or parsed data with its stored id)
+   * @returns {Promise} Resolves when the fix has been handled; never rejects
+   */
+  addPoint(row) {
+    return this.enqueue(row.device_id, () => this.handlePoint(row))
+      .catch(error => console.error(`❌ Trip segmentation failed for ${row.device_id}:`, error));
+  }
+
+  /**
+   * Delete a device's trips and stops from a time on and segment its stored
+   * fixes again
+   * @param {string} deviceId - Device ID
+   * @param {string|null} from - Fix time, or null for the whole history
+   * @returns {Promise<Object>} { from, points }
+   */
+  rebuild(deviceId, from = null) {
+    return this.enqueue(deviceId, () => this.resegment(deviceId, from));
+  }
+
+  // Run a task after the device's earlier ones; a failure doesn't stop later tasks
+  enqueue(deviceId, task) {
+    const previous = this.chains.get(deviceId) || Promise.resolve();
+    const run = previous.then(task);
+    const settled = run.catch(() => {});
+
+    this.chains.set(deviceId, settled);
+    settled.then(() => {
+      if (this.chains.get(deviceId) === settled) {
+        this.chains.delete(deviceId);
+      }
+    });
+
+    return run;
+  }
+
+  async handlePoint(row) {
+    const deviceId = row.device_id;
+
+    // A rebuild is waiting; it will read this fix from the database
+    if (this.rebuilds.has(deviceId)) {
+      return;
+    }
+
+    const state = await this.loadState(deviceId);
+    const id = Number(row.id);
+
+    // Already read while loading state or rebuilding
+    if (id <= state.maxId) {
+      return;
+    }
+
+    const time = parseUtc(row.timestamp);
+    if (state.last && time && time.getTime() <= state.last.time) {
+      this.scheduleRebuild(deviceId, time.toISOString());
+      state.maxId = id;
+      return;
+    }
+
+    await this.advance(state, row);
+    await this.saveOpenTrip(state);
+  }
+
+  // State for a device, picking up an open trip or stop after a restart
+  async loadState(deviceId) {
+    if (this.states.has(deviceId)) {
+      return this.states.get(deviceId);
+    }
+
+    const state = this.createState(deviceId);
+    const trip = await this.db.getOpenTrip(deviceId);
+
+    if (trip) {
+      state.trip = trip;
+      state.saved = { ...trip };
+      state.savedAt = Date.now();
+      // Continue from the trip's last saved fix
+      await this.replay(state, trip.end_time, Number(trip.end_log_id));
+    } else {
+      state.stop = (await this.db.getOpenStop(deviceId)) || null;
+    }
+
+    this.states.set(deviceId, state);
+    return state;
+  }
+
+  createState(deviceId) {
+    return {
+      deviceId: deviceId,
+      trip: null, // Open trip
+      stop: null, // Open stop
+      previousStop: null, // Stop the open trip set off from
+      tail: null, // Standing still inside a trip: { point, distance }
+      last: null, // Last fix
+      maxId: 0, // Highest gps_logs id handled
+      saved: null, // Open trip as last written
+      savedAt: 0
+    };
+  }
+
+  // Feed stored fixes from a time on through the segmentation, oldest first
+  async replay(state, from, startId = null) {
+    let points = 0;
+
+    await this.db.eachGpsLogSince(state.deviceId, from, this.replayPageSize, async (row) => {
+      if (startId !== null && row.id === startId) {
+        // The fix the open trip was saved at
+        state.last = toPoint(row);
+        state.maxId = Math.max(state.maxId, row.id);
+      } else if (!state.last || Date.parse(row.timestamp) > state.last.time) {
+        await this.advance(state, row);
+        points++;
+      }
+    });
+
+    return points;
+  }
+
+  // Apply one fix to a device's state
+  async advance(state, row) {
+    state.maxId = Math.max(state.maxId, Number(row.id));
+
+    const point = toPoint(row);
+    if (!point) {
+      return; // No GPS fix
+    }
+
+    const last = state.last;
+
+    // A silence longer than the stop time ends the trip where the device went quiet
+    if (state.trip && last && point.time - last.time >= this.stopMs) {
+      await this.closeTrip(state, state.tail ? state.tail.point : last);
+    }
+
+    if (!state.trip) {
+      if (this.isMoving(point, state.stop)) {
+        // Depart from the last fix if the device was reporting until now
+        const departure = last && point.time - last.time < this.stopMs ? last : point;
+        await this.startTrip(state, departure);
+        if (departure !== point) {
+          this.extendTrip(state.trip, point, distanceM(departure, point));
+        }
+      } else if (!state.stop) {
+        await this.openStop(state, point);
+      }
+    } else {
+      const step = last ? distanceM(last, point) : 0;
+      const tail = state.tail;
+
+      if (this.isMoving(point, tail && tail.point)) {
+        if (tail) {
+          // Moving again: the pause was idle time within the trip
+          state.trip.idle_s += (last.time - tail.point.time) / 1000;
+          state.trip.distance_km += tail.distance / 1000;
+          state.tail = null;
+        }
+        this.extendTrip(state.trip, point, step);
+      } else if (!tail) {
+        // Stopped; the trip ends here if the device stays put
+        this.extendTrip(state.trip, point, step);
+        state.tail = { point: point, distance: 0 };
+      } else {
+        tail.distance += step;
+        if (point.time - tail.point.time >= this.stopMs) {
+          await this.closeTrip(state, tail.point);
+        }
+      }
+    }
+
+    state.last = point;
+  }
+
+  // Moving if fast enough, or far enough from where the device stood
+  isMoving(point, anchor) {
+    return point.speed >= this.minSpeed ||
+      Boolean(anchor && distanceM(anchor, point) > this.stopRadius);
+  }
+
+  async startTrip(state, point) {
+    if (state.stop) {
+      state.stop.end_time = point.timestamp;
+      state.stop.duration_s = Math.round((point.time - Date.parse(state.stop.start_time)) / 1000);
+      await this.db.saveStop(state.stop);
+      state.previousStop = state.stop;
+      state.stop = null;
+    }
+
+    state.trip = {
+      device_id: state.deviceId,
+      status: 'open',
+      start_time: point.timestamp,
+      end_time: point.timestamp,
+      start_lat: point.lat,
+      start_lon: point.lon,
+      end_lat: point.lat,
+      end_lon: point.lon,
+      start_log_id: point.id,
+      end_log_id: point.id,
+      distance_km: 0,
+      duration_s: 0,
+      idle_s: 0,
+      max_speed: point.speed,
+      avg_speed: 0,
+      point_count: 1
+    };
+    state.tail = null;
+    state.saved = null;
+    state.savedAt = 0;
+  }
+
+  extendTrip(trip, point, stepMetres) {
+    trip.end_time = point.timestamp;
+    trip.end_lat = point.lat;
+    trip.end_lon = point.lon;
+    trip.end_log_id = point.id;
+    trip.distance_km += stepMetres / 1000;
+    trip.max_speed = Math.max(trip.max_speed, point.speed);
+    trip.point_count++;
+  }
+
+  // End the open trip at a fix; the device is stopped there from then on
+  async closeTrip(state, end) {
+    const trip = state.trip;
+    state.trip = null;
+    state.tail = null;
+    state.saved = null;
+
+    if (trip.distance_km * 1000 < this.minDistance) {
+      // Too short to be a trip: the device never really left its stop
+      if (trip.id) {
+        await this.db.deleteTrip(trip.id);
+      }
+      if (state.previousStop) {
+        state.stop = { ...state.previousStop, end_time: null, duration_s: null };
+        state.previousStop = null;
+        await this.db.saveStop(state.stop);
+        return;
+      }
+    } else {
+      trip.status = 'closed';
+      const result = await this.db.saveTrip(this.tripRow(trip));
+      trip.id = result.lastInsertRowid;
+    }
+
+    state.previousStop = null;
+    await this.openStop(state, end);
+  }
+
+  async openStop(state, point) {
+    state.stop = {
+      device_id: state.deviceId,
+      start_time: point.timestamp,
+      end_time: null,
+      lat: point.lat,
+      lon: point.lon,
+      start_log_id: point.id,
+      duration_s: null
+    };
+    const result = await this.db.saveStop(state.stop);
+    state.stop.id = result.lastInsertRowid;
+  }
+
+  // Write the open trip when it is new, or changed and not written for a while
+  async saveOpenTrip(state, force = false) {
+    const trip = state.trip;
+    if (!trip || (state.saved && state.saved.end_log_id === trip.end_log_id)) {
+      return;
+    }
+    if (trip.id && !force && Date.now() - state.savedAt < this.saveInterval) {
+      return;
+    }
+
+    const result = await this.db.saveTrip(this.tripRow(trip));
+    trip.id = result.lastInsertRowid;
+    state.saved = { ...trip };
+    state.savedAt = Date.now();
+  }
+
+  // Trip as stored: derived totals filled in and rounded
+  tripRow(trip) {
+    const duration = (Date.parse(trip.end_time) - Date.parse(trip.start_time)) / 1000;
+    const moving = duration - trip.idle_s;
+
+    return {
+      ...trip,
+      distance_km: Math.round(trip.distance_km * 1000) / 1000,
+      duration_s: Math.round(duration),
+      idle_s: Math.round(trip.idle_s),
+      avg_speed: moving > 0 ? Math.round(trip.distance_km / (moving / 3600) * 100) / 100 : 0
+    };
+  }
+
+  scheduleRebuild(deviceId, from) {
+    const pending = this.rebuilds.get(deviceId);
+    if (pending) {
+      if (from < pending.from) {
+        pending.from = from;
+      }
+      return;
+    }
+
+    const rebuild = { from: from };
+    rebuild.timer = setTimeout(() => {
+      this.rebuild(deviceId, rebuild.from)
+        .catch(error => console.error(`❌ Trip rebuild failed for ${deviceId}:`, error));
+    }, this.rebuildDelay);
+    rebuild.timer.unref();
+    this.rebuilds.set(deviceId, rebuild);
+  }
+
+  async resegment(deviceId, from) {
+    const pending = this.rebuilds.get(deviceId);
+    if (pending) {
+      clearTimeout(pending.timer);
+      this.rebuilds.delete(deviceId);
+      if (from && pending.from < from) {
+        from = pending.from;
+      }
+    }
+
+    const start = await this.db.deleteTripsSince(deviceId, from);
+    const state = this.createState(deviceId);
+    this.states.set(deviceId, state);
+
+    const points = await this.replay(state, start);
+    await this.saveOpenTrip(state, true);
+
+    console.log(`🧭 Trips for ${deviceId} segmented again from ${start || 'the first fix'} (${points} fixes)`);
+    return { from: start, points: points };
+  }
+
+  // Finish queued work, run pending rebuilds and write open trips
+  async close() {
+    for (const [deviceId, pending] of this.rebuilds) {
+      clearTimeout(pending.timer);
+      this.rebuild(deviceId, pending.from)
+        .catch(error => console.error(`❌ Trip rebuild failed for ${deviceId}:`, error));
+    }
+
+    await Promise.all([...this.chains.values()]);
+
+    for (const state of this.states.values()) {
+      await this.saveOpenTrip(state, true);
+    }
+  }
+}
+
+// Fix used for segmentation, or null for packets without a position
+function toPoint(row) {
+  const time = parseUtc(row.timestamp);
+  if (!time || !hasFix(row)) {
+    return null;
+  }
+
+  return {
+    id: Number(row.id),
+    timestamp: time.toISOString(),
+    time: time.getTime(),
+    lat: row.lat,
+    lon: row.lon,
+    speed: row.speed || 0
+  };
+}
+
+const distanceM = (a, b) => haversineKm(a.lat, a.lon, b.lat, b.lon) * 1000;
+
+module.exports = TripService;
@@ -0,0 +1,450 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const GPSDatabase = require('./database');
+const { hasFix } = require('./geo');
+const { parseUtc } = require('./timezone');
+require('dotenv').config();
+
+const EVENT_TYPES = [
+  'position',
+  'geofence.enter',
+  'geofence.exit',
+  'geofence.dwell',
+  'event.raised',
+  'event.acknowledged',
+  'event.resolved'
+];
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+// Where a subscription may not send unless its host is in WEBHOOK_ALLOWED_HOSTS:
+// this machine, private and link-local networks, multicast and reserved ranges.
+// IPv4 ranges also match IPv4-mapped IPv6 addresses.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Pushes positions and events to webhook subscribers.
+ *
+ * publish() only queues: matching deliveries are written to webhook_deliveries
+ * in the background, so the ingest path never waits on a subscriber. A worker
+ * (start()) sends due deliveries, signed with the subscription's secret, and
+ * retries failures with exponential backoff until maxAttempts, after which the
+ * delivery is dead until retried through the API. Deliveries are stored
+ * before they're sent, so pending ones carry over a restart. Subscriptions an
+ * organization set up only receive its own devices' payloads.
+ */
+class WebhookService {
+  constructor(options = {}) {
+    this.db = options.db || new GPSDatabase();
+    this.fetch = options.fetch || fetch;
+    this.timeout = (options.timeoutSeconds || parseFloat(process.env.WEBHOOK_TIMEOUT_SECONDS) || 10) * 1000;
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+    // Wait before the second attempt, doubling for each one after it
+    this.retryDelay = (options.retrySeconds || parseFloat(process.env.WEBHOOK_RETRY_SECONDS) || 30) * 1000;
+    this.maxRetryDelay = (options.maxRetrySeconds || parseFloat(process.env.WEBHOOK_RETRY_MAX_SECONDS) || 3600) * 1000;
+    this.pollInterval = (options.pollSeconds || parseFloat(process.env.WEBHOOK_POLL_SECONDS) || 5) * 1000;
+    // Subscriptions are read again this often
+    this.reloadInterval = (options.reloadSeconds || parseFloat(process.env.WEBHOOK_RELOAD_SECONDS) || 60) * 1000;
+    this.batchSize = options.batchSize || 50;
+    // Hosts subscriptions may reach even on a blocked address, e.g. an internal service
+    this.allowedHosts = (options.allowedHosts || (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(','))
+      .map(host => host.trim().toLowerCase())
+      .filter(Boolean);
+    this.lookup = options.lookup || ((hostname) => dns.promises.lookup(hostname, { all: true }));
+
+    this.webhooks = null;
+    this.organizations = new Map(); // Organization of each device, read with the subscriptions
+    this.loadedAt = 0;
+    this.outbox = []; // Published but not yet stored
+    this.flushing = null;
+    this.timer = null;
+    this.running = null;
+    this.again = false;
+    this.closing = false;
+  }
+
+  /**
+   * Check a subscription from the API
+   * @param {Object} input - { url, secret, description, device_ids, event_types, enabled }
+   * @returns {string|null} Error message, or null when valid
+   */
+  static validateWebhook(input) {
+    let url;
+    try {
+      url = new URL(input && input.url);
+    } catch (error) {
+      return 'url must be an absolute URL';
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return 'url must use http or https';
+    }
+
+    if (input.secret !== undefined && (typeof input.secret !== 'string' || input.secret.length < 16)) {
+      return 'secret must be a string of at least 16 characters';
+    }
+    if (input.device_ids !== undefined && input.device_ids !== null &&
+      (!Array.isArray(input.device_ids) || input.device_ids.length === 0)) {
+      return 'device_ids must be a non-empty array, or null for all devices';
+    }
+    if (input.event_types !== undefined && input.event_types !== null &&
+      (!Array.isArray(input.event_types) || input.event_types.length === 0 ||
+        !input.event_types.every(type => EVENT_TYPES.includes(type)))) {
+      return `event_types must list types from: ${EVENT_TYPES.join(', ')}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check that a subscription URL doesn't lead to this machine or a private network
+   * Checked when a subscription is saved and again before each delivery, as the
+   * name may resolve elsewhere by then. A name that doesn't resolve passes;
+   * sending to it fails by itself.
+   * @param {string} url - URL accepted by validateWebhook()
+   * @returns {Promise<string|null>} Error message, or null when allowed
+   */
+  async checkTarget(url) {
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (this.allowedHosts.includes(hostname)) {
+      return null;
+    }
+
+    let addresses;
+    try {
+      addresses = await this.lookup(hostname);
+    } catch (error) {
+      return null;
+    }
+
+    const blocked = addresses.find(({ address, family }) => BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+    return blocked ? `url must not lead to a loopback, private or link-local address (${hostname} is ${blocked.address})` : null;
+  }
+
+  /**
+   * Subscription row for storage from validated API input
+   * @param {Object} input - Subscription as accepted by validateWebhook()
+   * @param {Object} existing - Stored subscription being replaced, if any
+   * @returns {Object} Row with defaults filled in; a secret is generated when none is given
+   */
+  static toRow(input, existing = null) {
+    return {
+      url: input.url,
+      secret: input.secret || (existing ? existing.secret : crypto.randomBytes(24).toString('hex')),
+      description: input.description ?? null,
+      device_ids: input.device_ids ? input.device_ids.map(String) : null,
+      event_types: input.event_types || null,
+      enabled: input.enabled ?? true
+    };
+  }
+
+  /**
+   * Signature sent in X-Webhook-Signature
+   * @param {string} secret - Subscription secret
+   * @param {number} timestamp - Unix seconds, as sent in X-Webhook-Timestamp
+   * @param {string} body - Request body exactly as sent
+   * @returns {string} 'sha256=' and the hex HMAC-SHA256 of "timestamp.body"
+   */
+  static sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  publishPosition(row) {
+    this.publish('position', row.device_id, {
+      gps_log_id: row.id,
+      device_id: row.device_id,
+      latitude: hasFix(row) ? row.lat : null,
+      longitude: hasFix(row) ? row.lon : null,
+      speed: row.speed ?? null,
+      heading: row.heading ?? null,
+      altitude: row.altitude ?? null,
+      timestamp: toIso(row.timestamp),
+      gps_valid: row.gps_valid === undefined ? true : Boolean(row.gps_valid),
+      ignition: row.ignition ?? null,
+      alarms: Array.isArray(row.alarms) ? row.alarms : (row.alarms ? row.alarms.split(',') : []),
+      battery_level: row.battery_level ?? null
+    });
+  }
+
+  publishGeofenceEvent(event) {
+    this.publish(`geofence.${event.event_type}`, event.device_id, {
+      id: event.id,
+      device_id: event.device_id,
+      geofence_id: event.geofence_id,
+      geofence_name: event.geofence_name ?? null,
+      event_type: event.event_type,
+      timestamp: toIso(event.timestamp),
+      latitude: event.lat,
+      longitude: event.lon,
+      gps_log_id: event.gps_log_id ?? null,
+      duration_s: event.duration_s ?? null
+    });
+  }
+
+  // type: 'event.raised', 'event.acknowledged' or 'event.resolved'
+  publishRuleEvent(type, event) {
+    this.publish(type, event.device_id, {
+      id: event.id,
+      rule_id: event.rule_id,
+      rule_name: event.rule_name ?? null,
+      device_id: event.device_id,
+      type: event.type,
+      severity: event.severity,
+      status: event.status,
+      message: event.message,
+      details: typeof event.details === 'string' ? JSON.parse(event.details) : (event.details ?? null),
+      latitude: event.lat ?? null,
+      longitude: event.lon ?? null,
+      gps_log_id: event.gps_log_id ?? null,
+      triggered_at: toIso(event.triggered_at),
+      acknowledged_by: event.acknowledged_by ?? null,
+      resolved_by: event.resolved_by ?? null
+    });
+  }
+
+  /**
+   * Queue a payload for the subscriptions that want it; returns at once
+   * @param {string} type - One of WebhookService.EVENT_TYPES
+   * @param {string} deviceId - Device the payload is about
+   * @param {Object} data - Payload data
+   */
+  publish(type, deviceId, data) {
+    this.outbox.push({
+      event: type,
+      device_id: deviceId,
+      created_at: new Date().toISOString(),
+      data: data
+    });
+
+    if (!this.flushing) {
+      this.flushing = this.flushOutbox()
+        .catch(error => console.error('❌ Failed to queue webhook deliveries:', error))
+        .finally(() => {
+          this.flushing = null;
+        });
+    }
+  }
+
+  // Wait until everything published so far is stored
+  async flush() {
+    while (this.flushing) {
+      await this.flushing;
+    }
+  }
+
+  // Store deliveries for published payloads, in one transaction per batch
+  async flushOutbox() {
+    while (this.outbox.length > 0) {
+      const payloads = this.outbox;
+      this.outbox = [];
+
+      const webhooks = await this.getWebhooks();
+      const deliveries = [];
+      payloads.forEach(payload => {
+        webhooks.filter(webhook => wants(webhook, payload, this.organizations)).forEach(webhook => {
+          deliveries.push({
+            webhook_id: webhook.id,
+            event_type: payload.event,
+            device_id: payload.device_id,
+            payload: payload,
+            next_attempt_at: payload.created_at
+          });
+        });
+      });
+
+      if (deliveries.length > 0) {
+        await this.db.insertWebhookDeliveries(deliveries);
+        this.kick();
+      }
+    }
+  }
+
+  // Enabled subscriptions, read again when stale, with the device organizations they need
+  async getWebhooks() {
+    if (!this.webhooks || Date.now() - this.loadedAt >= this.reloadInterval) {
+      const loadedAt = Date.now();
+      const webhooks = (await this.db.getWebhooks()).map(webhook => ({
+        ...webhook,
+        id: Number(webhook.id),
+        device_ids: webhook.device_ids ? JSON.parse(webhook.device_ids) : null,
+        event_types: webhook.event_types ? JSON.parse(webhook.event_types) : null,
+        enabled: Boolean(webhook.enabled),
+        organization_id: webhook.organization_id ?? null
+      }));
+      this.organizations = webhooks.some(webhook => webhook.organization_id !== null)
+        ? new Map((await this.db.getDeviceOrganizations()).map(row => [row.device_id, row.organization_id]))
+        : new Map();
+      this.webhooks = webhooks;
+      this.loadedAt = loadedAt;
+    }
+
+    return this.webhooks;
+  }
+
+  // Read subscriptions again before they're next used
+  invalidate() {
+    this.loadedAt = 0;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.kick(), this.pollInterval);
+    this.timer.unref();
+    // Pick up deliveries left pending before a restart
+    this.kick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Send due deliveries now, unless the worker is stopped
+  kick() {
+    if (!this.timer) {
+      return;
+    }
+    if (this.running) {
+      this.again = true;
+      return;
+    }
+
+    this.running = this.deliverDue()
+      .catch(error => console.error('❌ Webhook delivery failed:', error))
+      .finally(() => {
+        this.running = null;
+      });
+  }
+
+  /**
+   * Attempt every delivery due by a time
+   * @param {Date} now - Time to compare next attempts against
+   * @returns {Promise<number>} Deliveries attempted
+   */
+  async deliverDue(now = new Date()) {
+    let attempted = 0;
+    let due;
+
+    do {
+      this.again = false;
+      due = await this.db.getDueWebhookDeliveries(now.toISOString(), this.batchSize);
+      const webhooks = new Map((await this.getWebhooks()).map(webhook => [webhook.id, webhook]));
+
+      await Promise.all(due.map(delivery => this.attempt(delivery, webhooks.get(Number(delivery.webhook_id)), now)));
+      attempted += due.length;
+    } while ((due.length === this.batchSize || this.again) && !this.closing);
+
+    return attempted;
+  }
+
+  async attempt(delivery, webhook, now) {
+    const attempts = delivery.attempts + 1;
+    let responseStatus = null;
+    let error = null;
+
+    if (!webhook || !webhook.enabled) {
+      // Kept as dead so it can be retried once the subscription is enabled again
+      await this.db.recordWebhookAttempt(delivery.id, {
+        status: 'dead',
+        attempts: delivery.attempts,
+        next_attempt_at: toIso(delivery.next_attempt_at),
+        last_error: 'Webhook disabled'
+      });
+      return;
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    error = await this.checkTarget(webhook.url);
+    if (!error) {
+      try {
+        const response = await this.fetch(webhook.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'st900-gps-tracker-server',
+            'X-Webhook-Id': String(webhook.id),
+            'X-Webhook-Delivery': String(delivery.id),
+            'X-Webhook-Event': delivery.event_type,
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Signature': WebhookService.sign(webhook.secret, timestamp, delivery.payload)
+          },
+          body: delivery.payload,
+          // A redirect would lead past checkTarget(), so it counts as a failure
+          redirect: 'manual',
+          signal: AbortSignal.timeout(this.timeout)
+        });
+        responseStatus = response.status;
+        if (!response.ok) {
+          error = `HTTP ${response.status}`;
+        }
+        // Release the connection; the body isn't used
+        await response.arrayBuffer().catch(() => {});
+      } catch (fetchError) {
+        error = fetchError.name === 'TimeoutError' ? `Timed out after ${this.timeout / 1000}s` : fetchError.message;
+      }
+    }
+
+    if (!error) {
+      await this.db.recordWebhookAttempt(delivery.id, {
+        status: 'delivered',
+        attempts: attempts,
+        next_attempt_at: toIso(delivery.next_attempt_at),
+        response_status: responseStatus
+      });
+      return;
+    }
+
+    const dead = attempts >= this.maxAttempts;
+    const delay = Math.min(this.retryDelay * 2 ** (attempts - 1), this.maxRetryDelay);
+    await this.db.recordWebhookAttempt(delivery.id, {
+      status: dead ? 'dead' : 'pending',
+      attempts: attempts,
+      next_attempt_at: dead ? toIso(delivery.next_attempt_at) : new Date(now.getTime() + delay).toISOString(),
+      response_status: responseStatus,
+      last_error: error
+    });
+
+    if (dead) {
+      console.warn(`⚠️  Webhook delivery ${delivery.id} to ${webhook.url} failed ${attempts} times (${error}), moved to dead letters`);
+    }
+  }
+
+  // Store queued payloads and let the batch being sent finish; the rest stay pending
+  async close() {
+    this.stop();
+    this.closing = true;
+    await this.flush();
+    if (this.running) {
+      await this.running;
+    }
+  }
+}
+
+WebhookService.EVENT_TYPES = EVENT_TYPES;
+WebhookService.DELIVERY_STATUSES = DELIVERY_STATUSES;
+
+function wants(webhook, payload, organizations) {
+  return webhook.enabled &&
+    (!webhook.event_types || webhook.event_types.includes(payload.event)) &&
+    (!webhook.device_ids || webhook.device_ids.includes(payload.device_id)) &&
+    (webhook.organization_id === null || webhook.organization_id === organizations.get(payload.device_id));
+}
+
+function toIso(value) {
+  const date = parseUtc(value);
+  return date ? date.toISOString() : null;
+}
+
+module.exports = WebhookService;